@@ -0,0 +1,180 @@
+/**
+ * Admin Counter-Anzeige JavaScript
+ * Zeigt einen Stage-2-Code auf einem Tablet an und erneuert ihn alle N Sekunden.
+ * Signatur und Rendering kommen aus QRLinkGenerator (qr-linkgen.js).
+ */
+
+'use strict';
+
+class CounterDisplay {
+    constructor() {
+        this.generator = new QRLinkGenerator();
+        this.timer = null;
+        this.wakeLock = null;
+        this.rotating = false;
+        this.settings = null;
+        this.nextRotationAt = 0;
+    }
+
+    /**
+     * Initialisiert die Counter-Anzeige
+     */
+    init() {
+        console.log('📺 Counter-Anzeige wird initialisiert...');
+
+        document.getElementById('start-display').addEventListener('click', () => this.start());
+        document.getElementById('stop-display').addEventListener('click', () => this.stop());
+
+        // Wake Lock geht beim Tab-Wechsel verloren
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.timer) this.requestWakeLock();
+        });
+
+        this.generator.updateKeyStatus();
+
+        console.log('✅ Counter-Anzeige initialisiert');
+    }
+
+    getSettings() {
+        const settings = {
+            day: parseInt(document.getElementById('day').value, 10),
+            answer: document.getElementById('answer').value.trim(),
+            rotationSeconds: parseInt(document.getElementById('rotation-seconds').value, 10),
+            graceSeconds: parseInt(document.getElementById('grace-seconds').value, 10) || 0,
+            baseUrl: document.getElementById('base-url').value.trim()
+        };
+
+        if (!(settings.day >= 1 && settings.day <= 24)) {
+            throw new Error('Tag muss zwischen 1 und 24 liegen');
+        }
+        if (!settings.answer) {
+            throw new Error('Antwort ist erforderlich');
+        }
+        if (!(settings.rotationSeconds >= 10 && settings.rotationSeconds <= 600)) {
+            throw new Error('Wechselintervall muss zwischen 10 und 600 Sekunden liegen');
+        }
+        new URL(settings.baseUrl);
+
+        return settings;
+    }
+
+    async start() {
+        try {
+            this.hideError();
+            this.settings = this.getSettings();
+            this.generator.getSigningKey();
+
+            await this.rotate();
+
+            document.getElementById('counter-title').textContent = `Tag ${this.settings.day} – jetzt scannen!`;
+            document.getElementById('counter-setup').style.display = 'none';
+            document.getElementById('counter-display').classList.add('show');
+
+            this.timer = setInterval(() => this.tick(), 1000);
+            this.requestWakeLock();
+            console.log(`▶️ Counter-Anzeige gestartet: Tag ${this.settings.day}, alle ${this.settings.rotationSeconds}s`);
+
+        } catch (error) {
+            this.showError(`Anzeige konnte nicht gestartet werden: ${error.message}`);
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.wakeLock) {
+            this.wakeLock.release().catch(() => {});
+            this.wakeLock = null;
+        }
+
+        document.getElementById('counter-display').classList.remove('show');
+        document.getElementById('counter-qr').innerHTML = '';
+        document.getElementById('counter-setup').style.display = '';
+        console.log('⏹️ Counter-Anzeige beendet');
+    }
+
+    /**
+     * Signiert einen neuen Code: nbf = jetzt, exp = jetzt + Intervall + Nachlauf
+     */
+    async rotate() {
+        const { day, answer, rotationSeconds, graceSeconds, baseUrl } = this.settings;
+        const now = Date.now();
+        const expiresAt = now + (rotationSeconds + graceSeconds) * 1000;
+
+        const data = {
+            day,
+            stage: 2,
+            answer,
+            releaseTime: new Date(now).toISOString(),
+            validUntil: new Date(expiresAt).toISOString(),
+            baseUrl,
+            additionalData: { display: 'counter' }
+        };
+
+        const token = await this.generator.createSignature(data);
+        const url = this.generator.buildQRURL(data, token);
+
+        await this.generator.renderQRCode(url, { container: document.getElementById('counter-qr'), width: 360 });
+
+        this.nextRotationAt = now + rotationSeconds * 1000;
+        document.getElementById('counter-expiry').textContent =
+            `Dieser Code ist gültig bis ${new Date(expiresAt).toLocaleTimeString('de-DE')} Uhr`;
+        this.updateCountdown();
+    }
+
+    async tick() {
+        if (this.rotating) return;
+
+        if (Date.now() >= this.nextRotationAt) {
+            this.rotating = true;
+            try {
+                await this.rotate();
+            } catch (error) {
+                this.stop();
+                this.showError(`Code konnte nicht erneuert werden: ${error.message}`);
+            } finally {
+                this.rotating = false;
+            }
+            return;
+        }
+        this.updateCountdown();
+    }
+
+    updateCountdown() {
+        const remaining = Math.max(0, Math.ceil((this.nextRotationAt - Date.now()) / 1000));
+        document.getElementById('counter-countdown').textContent = `Neuer Code in ${remaining}s`;
+        document.getElementById('counter-progress').style.width = `${(remaining / this.settings.rotationSeconds) * 100}%`;
+    }
+
+    async requestWakeLock() {
+        try {
+            if (navigator.wakeLock) {
+                this.wakeLock = await navigator.wakeLock.request('screen');
+            }
+        } catch (error) {
+            console.warn('⚠️ Bildschirm-Sperre kann nicht verhindert werden:', error);
+        }
+    }
+
+    showError(message) {
+        document.getElementById('error-message').textContent = message;
+        document.getElementById('error-section').classList.add('show');
+        console.error('❌', message);
+    }
+
+    hideError() {
+        document.getElementById('error-section').classList.remove('show');
+    }
+}
+
+const counterDisplay = new CounterDisplay();
+
+// Auto-Start
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => counterDisplay.init());
+} else {
+    counterDisplay.init();
+}
+
+console.log('✅ Counter-Anzeige geladen');
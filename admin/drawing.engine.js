@@ -0,0 +1,300 @@
+/**
+ * Drawing Engine - Verlosung unter den Stage-2 Teilnehmern
+ * Reproduzierbar (öffentlicher Seed + SHA-256), prüfbar (Input-Digest) und signiert (ECDSA P-256)
+ * Läuft im Browser (admin/drawing.html) und in Node (Tests, Nachprüfung)
+ */
+
+'use strict';
+
+/**
+ * Ablauf einer Ziehung:
+ * 1. buildEntries: nur korrekte Stage-2 Antworten, ein Eintrag pro userKey und Tag,
+ *    Gewicht 1 oder Anzahl gelöster Tage
+ * 2. inputDigest: SHA-256 über die kanonische Teilnehmerliste
+ * 3. draw: Ziehung ohne Zurücklegen; Zufall = SHA-256(seed | inputDigest | Zähler)
+ * 4. sign / verify: ECDSA-Signatur über das kanonische Ergebnis
+ *
+ * Wer Seed und Teilnehmerliste kennt, kann die Gewinner jederzeit nachrechnen.
+ */
+class DrawingEngine {
+    constructor() {
+        this.config = {
+            format: 'wr-drawing-v1',
+            signatureAlgorithm: 'ECDSA-P256-SHA256',
+            weightings: ['equal', 'days-solved']
+        };
+    }
+
+    get subtle() {
+        return globalThis.crypto.subtle;
+    }
+
+    /**
+     * Baut die Teilnehmerliste aus Submissions
+     * @param {Array} submissions - Submissions (AnswersStore / Server / Export)
+     * @param {Object} options - { days: number[] (optional), weighting: 'equal'|'days-solved' }
+     * @returns {Array<{userKey: string, days: number[], weight: number}>} sortiert nach userKey
+     */
+    buildEntries(submissions, options = {}) {
+        const weighting = options.weighting || 'equal';
+        if (!this.config.weightings.includes(weighting)) {
+            throw new Error(`Unbekannte Gewichtung: ${weighting}`);
+        }
+
+        const allowedDays = options.days && options.days.length ? new Set(options.days) : null;
+        const daysByUser = new Map();
+
+        for (const submission of submissions) {
+            if (!submission || submission.isCorrect !== true || submission.stage !== 2) continue;
+            if (!submission.userKey || submission.userKey === 'unknown') continue;
+            if (allowedDays && !allowedDays.has(submission.day)) continue;
+
+            // Ein Eintrag pro userKey und Tag, egal wie oft eingereicht
+            if (!daysByUser.has(submission.userKey)) {
+                daysByUser.set(submission.userKey, new Set());
+            }
+            daysByUser.get(submission.userKey).add(submission.day);
+        }
+
+        return [...daysByUser.entries()]
+            .map(([userKey, days]) => {
+                const sortedDays = [...days].sort((a, b) => a - b);
+                return {
+                    userKey,
+                    days: sortedDays,
+                    weight: weighting === 'days-solved' ? sortedDays.length : 1
+                };
+            })
+            .sort((a, b) => (a.userKey < b.userKey ? -1 : a.userKey > b.userKey ? 1 : 0));
+    }
+
+    /**
+     * SHA-256 über die kanonische Teilnehmerliste
+     * @returns {Promise<string>} "sha256-<hex>"
+     */
+    async digestEntries(entries) {
+        return 'sha256-' + await this.sha256Hex(this.canonicalJSON(entries));
+    }
+
+    /**
+     * Zieht Gewinner ohne Zurücklegen
+     * @param {Array} entries - Ergebnis von buildEntries
+     * @param {Object} options - { seed: string, winners: number }
+     * @returns {Promise<Object>} Unsigniertes Ergebnis
+     */
+    async draw(entries, options = {}) {
+        const seed = String(options.seed || '').trim();
+        if (!seed) {
+            throw new Error('Seed fehlt - ohne öffentlichen Seed ist die Ziehung nicht nachprüfbar');
+        }
+
+        const winnerCount = options.winners || 1;
+        if (!Number.isInteger(winnerCount) || winnerCount < 1) {
+            throw new Error('Anzahl Gewinner muss eine positive ganze Zahl sein');
+        }
+        if (winnerCount > entries.length) {
+            throw new Error(`Nur ${entries.length} Teilnehmer für ${winnerCount} Gewinner`);
+        }
+
+        const inputDigest = await this.digestEntries(entries);
+        const random = this.createRandom(`${seed}|${inputDigest}`);
+        const pool = entries.map(entry => ({ ...entry }));
+        const winners = [];
+
+        for (let rank = 1; rank <= winnerCount; rank++) {
+            const totalWeight = pool.reduce((sum, entry) => sum + entry.weight, 0);
+            const ticket = await random.nextInt(totalWeight);
+
+            let cumulative = 0;
+            const index = pool.findIndex(entry => (cumulative += entry.weight) > ticket);
+            const [winner] = pool.splice(index, 1);
+
+            winners.push({ rank, userKey: winner.userKey, weight: winner.weight, ticket, totalWeight });
+        }
+
+        return {
+            format: this.config.format,
+            drawnAt: options.drawnAt || new Date().toISOString(),
+            seed,
+            options: {
+                winners: winnerCount,
+                weighting: options.weighting || 'equal',
+                days: options.days && options.days.length ? [...options.days].sort((a, b) => a - b) : null
+            },
+            inputDigest,
+            entries,
+            winners
+        };
+    }
+
+    /**
+     * Deterministischer Zufallsstrom: SHA-256(material:counter), 48 Bit je Zahl,
+     * Rejection Sampling gegen Modulo-Verzerrung
+     */
+    createRandom(material) {
+        let counter = 0;
+        const RANGE = 2 ** 48;
+
+        return {
+            nextInt: async (max) => {
+                const limit = RANGE - (RANGE % max);
+                for (;;) {
+                    const hex = await this.sha256Hex(`${material}:${counter++}`);
+                    const value = parseInt(hex.substring(0, 12), 16);
+                    if (value < limit) {
+                        return value % max;
+                    }
+                }
+            }
+        };
+    }
+
+    // --- Signatur ---
+
+    /**
+     * Erzeugt ein ECDSA P-256 Schlüsselpaar als JWK
+     * @returns {Promise<{privateKeyJwk: Object, publicKeyJwk: Object}>}
+     */
+    async generateKeyPair() {
+        const keyPair = await this.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+        return {
+            privateKeyJwk: await this.subtle.exportKey('jwk', keyPair.privateKey),
+            publicKeyJwk: await this.subtle.exportKey('jwk', keyPair.publicKey)
+        };
+    }
+
+    /**
+     * Signiert ein Ergebnis von draw()
+     * @param {Object} result - Unsigniertes Ergebnis
+     * @param {Object} privateKeyJwk - Privater Schlüssel (JWK)
+     * @returns {Promise<Object>} Ergebnis mit signature-Block
+     */
+    async sign(result, privateKeyJwk) {
+        const privateKey = await this.subtle.importKey('jwk', privateKeyJwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+
+        const unsigned = { ...result };
+        delete unsigned.signature;
+
+        const signature = await this.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            privateKey,
+            new TextEncoder().encode(this.canonicalJSON(unsigned))
+        );
+
+        return {
+            ...unsigned,
+            signature: {
+                algorithm: this.config.signatureAlgorithm,
+                publicKeyJwk: { kty: privateKeyJwk.kty, crv: privateKeyJwk.crv, x: privateKeyJwk.x, y: privateKeyJwk.y },
+                value: this.toBase64Url(new Uint8Array(signature))
+            }
+        };
+    }
+
+    /**
+     * Prüft eine exportierte Ergebnisdatei vollständig
+     * @param {Object} signedResult - Inhalt der Ergebnisdatei
+     * @param {Object} options - { publicKeyJwk: erwarteter Schlüssel, submissions: Originaldaten zum Abgleich }
+     * @returns {Promise<{valid: boolean, checks: Object, errors: string[]}>}
+     */
+    async verify(signedResult, options = {}) {
+        const errors = [];
+        const checks = { format: false, signature: false, digest: false, winners: false, submissions: null, key: null };
+
+        checks.format = signedResult?.format === this.config.format;
+        if (!checks.format) {
+            return { valid: false, checks, errors: [`Unbekanntes Format: ${signedResult?.format}`] };
+        }
+
+        // 1. Signatur
+        const { signature, ...unsigned } = signedResult;
+        try {
+            const publicKey = await this.subtle.importKey(
+                'jwk', signature.publicKeyJwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+            );
+            checks.signature = await this.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                publicKey,
+                this.fromBase64Url(signature.value),
+                new TextEncoder().encode(this.canonicalJSON(unsigned))
+            );
+        } catch (error) {
+            errors.push(`Signatur nicht prüfbar: ${error.message}`);
+        }
+        if (!checks.signature && errors.length === 0) {
+            errors.push('Signatur ungültig - Ergebnisdatei wurde verändert');
+        }
+
+        if (options.publicKeyJwk) {
+            checks.key = signature?.publicKeyJwk?.x === options.publicKeyJwk.x && signature?.publicKeyJwk?.y === options.publicKeyJwk.y;
+            if (!checks.key) errors.push('Signiert mit einem anderen als dem erwarteten Schlüssel');
+        }
+
+        // 2. Teilnehmerliste passt zum Digest
+        checks.digest = await this.digestEntries(unsigned.entries) === unsigned.inputDigest;
+        if (!checks.digest) errors.push('Input-Digest passt nicht zur Teilnehmerliste');
+
+        // 3. Ziehung nachrechnen
+        try {
+            const replay = await this.draw(unsigned.entries, { ...unsigned.options, seed: unsigned.seed, drawnAt: unsigned.drawnAt });
+            checks.winners = this.canonicalJSON(replay.winners) === this.canonicalJSON(unsigned.winners);
+        } catch (error) {
+            errors.push(`Ziehung nicht reproduzierbar: ${error.message}`);
+        }
+        if (!checks.winners && !errors.some(error => error.startsWith('Ziehung'))) {
+            errors.push('Nachgerechnete Gewinner weichen ab');
+        }
+
+        // 4. Optional: Teilnehmerliste gegen Originaldaten
+        if (options.submissions) {
+            const rebuilt = this.buildEntries(options.submissions, unsigned.options);
+            checks.submissions = await this.digestEntries(rebuilt) === unsigned.inputDigest;
+            if (!checks.submissions) errors.push('Teilnehmerliste passt nicht zu den übergebenen Submissions');
+        }
+
+        return { valid: errors.length === 0, checks, errors };
+    }
+
+    // --- Hilfsfunktionen ---
+
+    /**
+     * JSON mit sortierten Schlüsseln – identische Bytes für identische Daten
+     */
+    canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJSON(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJSON(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    async sha256Hex(text) {
+        const hash = await this.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+}
+
+// Export für Node (Tests, Nachprüfung)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DrawingEngine;
+}
+
+if (typeof window !== 'undefined') {
+    window.DrawingEngine = new DrawingEngine();
+}
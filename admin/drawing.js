@@ -0,0 +1,239 @@
+/**
+ * Admin Verlosung JavaScript
+ * Bedienoberfläche für drawing.engine.js: Teilnehmer laden, ziehen, signiert exportieren, prüfen
+ */
+
+'use strict';
+
+class DrawingAdmin {
+    constructor() {
+        this.engine = window.DrawingEngine;
+        this.keyStorageKey = 'wr_drawing_key_v1';
+        this.submissions = [];
+        this.entries = [];
+        this.lastResult = null;
+    }
+
+    /**
+     * Initialisiert die Verlosungs-Ansicht
+     */
+    init() {
+        console.log('🎁 Verlosung wird initialisiert...');
+        this.setupEventListeners();
+        this.updateSourceFields();
+        this.updateKeyStatus();
+        console.log('✅ Verlosung initialisiert');
+    }
+
+    setupEventListeners() {
+        document.getElementById('source-type').addEventListener('change', () => this.updateSourceFields());
+        document.getElementById('load-entries').addEventListener('click', () => this.loadEntries());
+        document.getElementById('generate-key').addEventListener('click', () => this.generateKey());
+        document.getElementById('export-public-key').addEventListener('click', () => this.exportPublicKey());
+        document.getElementById('run-drawing').addEventListener('click', () => this.runDrawing());
+        document.getElementById('export-result').addEventListener('click', () => this.exportResult());
+        document.getElementById('verify-result').addEventListener('click', () => this.verifyResult());
+    }
+
+    updateSourceFields() {
+        const type = document.getElementById('source-type').value;
+        document.getElementById('source-http-fields').style.display = type === 'http' ? 'block' : 'none';
+        document.getElementById('source-file-fields').style.display = type === 'file' ? 'block' : 'none';
+    }
+
+    /**
+     * Liest "13-24" oder "3,5,7" in eine Liste von Tagen
+     * @returns {number[]} Leere Liste = alle Tage
+     */
+    parseDays(text) {
+        const days = new Set();
+
+        text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const range = part.match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+            const [from, to] = range ? [parseInt(range[1]), parseInt(range[2])] : [parseInt(part), parseInt(part)];
+
+            if (Number.isNaN(from) || from < 1 || to > 24 || from > to) {
+                throw new Error(`Ungültige Tagesangabe: "${part}"`);
+            }
+            for (let day = from; day <= to; day++) days.add(day);
+        });
+
+        return [...days].sort((a, b) => a - b);
+    }
+
+    getDrawingOptions() {
+        return {
+            days: this.parseDays(document.getElementById('drawing-days').value),
+            weighting: document.getElementById('drawing-weighting').value
+        };
+    }
+
+    async loadEntries() {
+        try {
+            this.hideError();
+            const source = await SubmissionSources.createSourceFromForm();
+            this.submissions = await source.getAll({});
+            this.entries = this.engine.buildEntries(this.submissions, this.getDrawingOptions());
+
+            const tickets = this.entries.reduce((sum, entry) => sum + entry.weight, 0);
+            document.getElementById('entries-summary').textContent =
+                `${this.entries.length} Teilnehmer mit ${tickets} Losen aus ${this.submissions.length} Submissions (${source.label})`;
+            console.log(`👥 ${this.entries.length} Teilnehmer geladen`);
+
+        } catch (error) {
+            this.showError(`Teilnehmer konnten nicht geladen werden: ${error.message}`);
+        }
+    }
+
+    // --- Schlüssel ---
+
+    getStoredKey() {
+        try {
+            return JSON.parse(localStorage.getItem(this.keyStorageKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    updateKeyStatus() {
+        const key = this.getStoredKey();
+        document.getElementById('key-status').textContent = key
+            ? `ECDSA P-256, x=${key.publicKeyJwk.x.substring(0, 16)}…`
+            : 'Kein Schlüssel – bitte erzeugen';
+    }
+
+    async generateKey() {
+        if (this.getStoredKey() && !confirm('Vorhandenen Schlüssel ersetzen? Ältere Ergebnisse bleiben mit dem alten öffentlichen Schlüssel prüfbar.')) {
+            return;
+        }
+
+        const keyPair = await this.engine.generateKeyPair();
+        localStorage.setItem(this.keyStorageKey, JSON.stringify(keyPair));
+        this.updateKeyStatus();
+        console.log('🔑 Neuer Signaturschlüssel erzeugt');
+    }
+
+    exportPublicKey() {
+        const key = this.getStoredKey();
+        if (!key) {
+            this.showError('Kein Schlüssel vorhanden');
+            return;
+        }
+        this.download('verlosung_public_key.json', key.publicKeyJwk);
+    }
+
+    // --- Ziehung ---
+
+    async runDrawing() {
+        try {
+            this.hideError();
+
+            if (this.entries.length === 0) {
+                throw new Error('Zuerst Teilnehmer laden');
+            }
+
+            const key = this.getStoredKey();
+            if (!key) {
+                throw new Error('Zuerst einen Signaturschlüssel erzeugen');
+            }
+
+            const options = this.getDrawingOptions();
+            const result = await this.engine.draw(this.entries, {
+                ...options,
+                seed: document.getElementById('drawing-seed').value,
+                winners: parseInt(document.getElementById('drawing-winners').value, 10)
+            });
+
+            this.lastResult = await this.engine.sign(result, key.privateKeyJwk);
+            this.renderResult(this.lastResult);
+            console.log('🎲 Ziehung abgeschlossen:', this.lastResult.winners);
+
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    renderResult(result) {
+        document.getElementById('winner-list').innerHTML = result.winners.map(winner => `
+            <li>${winner.rank}. ${this.escapeHtml(winner.userKey)} (Los ${winner.ticket + 1} von ${winner.totalWeight})</li>
+        `).join('');
+        document.getElementById('drawing-digest').textContent =
+            `Seed: ${result.seed}\nInput-Digest: ${result.inputDigest}\nGezogen: ${result.drawnAt}`;
+        document.getElementById('drawing-result').classList.add('show');
+    }
+
+    exportResult() {
+        if (!this.lastResult) return;
+        this.download(`verlosung_${this.lastResult.drawnAt.slice(0, 10)}.json`, this.lastResult);
+    }
+
+    // --- Prüfung ---
+
+    async verifyResult() {
+        const output = document.getElementById('verify-output');
+
+        try {
+            this.hideError();
+            const file = document.getElementById('verify-file').files[0];
+            if (!file) throw new Error('Bitte eine Ergebnisdatei auswählen');
+
+            const keyText = document.getElementById('verify-public-key').value.trim();
+            const verification = await this.engine.verify(JSON.parse(await file.text()), {
+                publicKeyJwk: keyText ? JSON.parse(keyText) : undefined,
+                submissions: this.submissions.length ? this.submissions : undefined
+            });
+
+            const mark = (value) => (value === null ? '–' : value ? '✅' : '❌');
+            output.textContent = [
+                `${verification.valid ? '✅ Ergebnis gültig' : '❌ Ergebnis ungültig'}`,
+                `Signatur: ${mark(verification.checks.signature)}`,
+                `Erwarteter Schlüssel: ${mark(verification.checks.key)}`,
+                `Input-Digest: ${mark(verification.checks.digest)}`,
+                `Gewinner nachgerechnet: ${mark(verification.checks.winners)}`,
+                `Abgleich mit Submissions: ${mark(verification.checks.submissions)}`,
+                ...verification.errors.map(error => `• ${error}`)
+            ].join('\n');
+
+        } catch (error) {
+            output.textContent = '';
+            this.showError(`Prüfung fehlgeschlagen: ${error.message}`);
+        }
+    }
+
+    // --- Hilfsfunktionen ---
+
+    download(fileName, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+    }
+
+    showError(message) {
+        document.getElementById('error-message').textContent = message;
+        document.getElementById('error-section').classList.add('show');
+        console.error('❌', message);
+    }
+
+    hideError() {
+        document.getElementById('error-section').classList.remove('show');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+const drawingAdmin = new DrawingAdmin();
+
+// Auto-Start
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => drawingAdmin.init());
+} else {
+    drawingAdmin.init();
+}
+
+console.log('✅ Verlosung Admin geladen');
@@ -0,0 +1,101 @@
+/**
+ * Admin Bestenliste JavaScript
+ * Zeigt die Bestenliste mit vollständigen User-Keys (öffentliche Ansicht: nur maskiert)
+ */
+
+'use strict';
+
+class LeaderboardAdmin {
+    constructor() {
+        this.leaderboard = window.Leaderboard;
+    }
+
+    /**
+     * Initialisiert die Admin-Bestenliste
+     */
+    init() {
+        console.log('🏆 Admin-Bestenliste wird initialisiert...');
+
+        document.getElementById('board').innerHTML = [
+            '<option value="overall">Gesamt</option>',
+            '<option value="stage:1">Stage 1</option>',
+            '<option value="stage:2">Stage 2</option>',
+            ...Array.from({ length: 24 }, (_, i) => `<option value="day:${i + 1}">Tag ${i + 1}</option>`)
+        ].join('');
+
+        document.getElementById('source-type').addEventListener('change', () => this.updateSourceFields());
+        document.getElementById('load-board').addEventListener('click', () => this.loadBoard());
+        document.getElementById('board').addEventListener('change', () => this.loadBoard());
+
+        this.updateSourceFields();
+        this.loadBoard();
+        console.log('✅ Admin-Bestenliste initialisiert');
+    }
+
+    updateSourceFields() {
+        const type = document.getElementById('source-type').value;
+        document.getElementById('source-http-fields').style.display = type === 'http' ? 'block' : 'none';
+        document.getElementById('source-file-fields').style.display = type === 'file' ? 'block' : 'none';
+    }
+
+    /**
+     * Lädt alle Submissions der Quelle und berechnet die gewählte Wertung
+     */
+    async loadBoard() {
+        try {
+            document.getElementById('error-section').classList.remove('show');
+
+            const [scope, value] = document.getElementById('board').value.split(':');
+            const board = this.leaderboard.parseBoard({ scope, day: value, stage: value });
+
+            const source = await SubmissionSources.createSourceFromForm();
+            const submissions = await source.getAll({});
+            const rows = this.leaderboard.compute(submissions, board);
+
+            this.renderRows(rows);
+            document.getElementById('board-summary').textContent =
+                `${rows.length} Teilnehmer aus ${submissions.length} Submissions (${source.label})`;
+
+        } catch (error) {
+            document.getElementById('error-message').textContent = `Bestenliste konnte nicht berechnet werden: ${error.message}`;
+            document.getElementById('error-section').classList.add('show');
+            console.error('❌ Fehler bei der Bestenliste:', error);
+        }
+    }
+
+    /**
+     * Summe der Aufschlüsselungen (ScoringEngine); Submissions ohne Aufschlüsselung fehlen darin
+     */
+    describeScore(row) {
+        if (!window.ScoringEngine || row.scoreBreakdowns.length === 0) return '-';
+        const summary = window.ScoringEngine.summarize(row.scoreBreakdowns);
+        return window.ScoringEngine.describe(summary);
+    }
+
+    renderRows(rows) {
+        const escape = (text) => this.leaderboard.escapeHtml(text);
+
+        document.getElementById('board-body').innerHTML = rows.map(row => `
+            <tr>
+                <td>${row.rank}</td>
+                <td class="user-key">${escape(row.userKey)}</td>
+                <td class="user-key">${escape(this.leaderboard.maskUserKey(row.userKey))}</td>
+                <td>${row.points}</td>
+                <td>${escape(this.describeScore(row))}</td>
+                <td>${row.solved}</td>
+                <td>${this.leaderboard.formatDuration(row.totalDurationMs)}</td>
+            </tr>
+        `).join('');
+    }
+}
+
+const leaderboardAdmin = new LeaderboardAdmin();
+
+// Auto-Start
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => leaderboardAdmin.init());
+} else {
+    leaderboardAdmin.init();
+}
+
+console.log('✅ Admin-Bestenliste geladen');
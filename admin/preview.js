@@ -0,0 +1,112 @@
+/**
+ * Admin Vorschau-Links JavaScript
+ * Signiert Vorschau-Tokens (scripts/preview.mode.js) für die Zeitreise durch den Kalender.
+ * Der Schlüssel kommt aus QRLinkGenerator (qr-linkgen.js), die Berliner Zeit aus WR_TIME.
+ */
+
+'use strict';
+
+class PreviewLinkPage {
+    constructor() {
+        this.generator = new QRLinkGenerator();
+        this.preview = window.PreviewMode;
+        this.currentUrl = null;
+    }
+
+    /**
+     * Initialisiert die Seite
+     */
+    init() {
+        console.log('🔍 Vorschau-Links werden initialisiert...');
+
+        document.getElementById('create-link').addEventListener('click', () => this.createLink());
+        document.getElementById('copy-link').addEventListener('click', () => this.copyLink());
+        document.getElementById('open-link').addEventListener('click', () => {
+            if (this.currentUrl) window.open(this.currentUrl, '_blank', 'noopener');
+        });
+
+        this.generator.updateKeyStatus();
+
+        console.log('✅ Vorschau-Links initialisiert');
+    }
+
+    getSettings() {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(document.getElementById('simulated-at').value);
+        if (!match) {
+            throw new Error('Simulierte Zeit ist erforderlich');
+        }
+
+        const [year, month, day, hour, minute] = match.slice(1).map(Number);
+        const settings = {
+            // Eingabe ist Berliner Wanduhrzeit, unabhängig von der Zeitzone dieses Rechners
+            at: window.WR_TIME.zonedTimeToDate({ year, month, day, hour, minute }),
+            validHours: parseInt(document.getElementById('valid-hours').value, 10),
+            baseUrl: document.getElementById('base-url').value.trim()
+        };
+
+        if (!(settings.validHours >= 1 && settings.validHours <= this.preview.config.maxValidityHours)) {
+            throw new Error(`Gültigkeit muss zwischen 1 und ${this.preview.config.maxValidityHours} Stunden liegen`);
+        }
+        new URL(settings.baseUrl);
+
+        return settings;
+    }
+
+    async createLink() {
+        try {
+            this.hideError();
+            const { at, validHours, baseUrl } = this.getSettings();
+            const token = await this.preview.createToken({ at, validHours }, this.generator.getSigningKey());
+
+            const url = new URL(baseUrl);
+            if (!url.pathname.endsWith('/')) url.pathname += '/';
+            url.search = new URLSearchParams({ [this.preview.config.urlParam]: token }).toString();
+
+            this.currentUrl = url.toString();
+            document.getElementById('preview-link').textContent = this.currentUrl;
+            document.getElementById('preview-expiry').textContent =
+                `Startet am ${at.toLocaleString('de-DE', { timeZone: window.WR_TIME.cfg.timeZone })} (Berlin) · Link gültig bis ${new Date(Date.now() + validHours * 3600 * 1000).toLocaleString('de-DE')}`;
+            document.getElementById('result-section').classList.add('show');
+
+            console.log(`🔗 Vorschau-Link erzeugt: ${at.toISOString()}, ${validHours}h gültig`);
+
+        } catch (error) {
+            this.showError(`Vorschau-Link konnte nicht erzeugt werden: ${error.message}`);
+        }
+    }
+
+    async copyLink() {
+        if (!this.currentUrl) return;
+
+        try {
+            await navigator.clipboard.writeText(this.currentUrl);
+            document.getElementById('copy-link').textContent = '✅ Kopiert';
+            setTimeout(() => {
+                document.getElementById('copy-link').textContent = '📋 Kopieren';
+            }, 2000);
+        } catch (error) {
+            this.showError(`Kopieren fehlgeschlagen: ${error.message}`);
+        }
+    }
+
+    showError(message) {
+        document.getElementById('error-message').textContent = message;
+        document.getElementById('error-section').classList.add('show');
+        console.error('❌', message);
+    }
+
+    hideError() {
+        document.getElementById('error-section').classList.remove('show');
+    }
+}
+
+const previewLinkPage = new PreviewLinkPage();
+
+// Auto-Start
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => previewLinkPage.init());
+} else {
+    previewLinkPage.init();
+}
+
+console.log('✅ Vorschau-Links geladen');
@@ -1,18 +1,34 @@
 /**
  * QR-Link Generator JavaScript
- * Sichere Generierung von QR-Codes mit HMAC-SHA256 Signaturen
+ * Sichere Generierung von QR-Codes mit ECDSA-P256-Signaturen (ES256)
  * Winter Rallye 2025 - Admin Tool
+ *
+ * Der private Schlüssel bleibt in diesem Browser (localStorage); die App erhält
+ * nur den öffentlichen Teil über public/keys/qr-keyset.json.
+ * Kurzcodes (scripts/short.code.js) werden per HKDF aus demselben Schlüssel abgeleitet,
+ * die App prüft sie gegen die gehashte Liste public/keys/short-codes.json.
  */
 
 class QRLinkGenerator {
     constructor() {
-        this.secretKey = null;
+        this.keyStorageKey = 'wr_qr_signing_key_v1';
+        this.keySetUrl = '../public/keys/qr-keyset.json';
+        this.shortCodesUrl = '../public/keys/short-codes.json';
+        this.puzzleBaseUrl = '../public/puzzles/raetsel/';
+        this.keyValidityDays = 120;
         this.baseUrl = 'https://winter-rallye-2025.haldensleben.de';
-        this.qrLib = null; // QR.js library placeholder
+        this.qrLib = null;
+        this.batchResults = [];
+        this.currentShortCode = null;
         
-        this.initializeEventListeners();
         this.loadQRLibrary();
-        this.setDefaultDateTime();
+        
+        // Ohne Formular (z.B. counter.html) werden nur Signatur und Rendering genutzt
+        if (document.getElementById('qr-form')) {
+            this.initializeEventListeners();
+            this.setDefaultDateTime();
+            this.updateKeyStatus();
+        }
     }
     
     initializeEventListeners() {
@@ -32,10 +48,16 @@ class QRLinkGenerator {
         // Batch operations
         document.getElementById('generate-batch').addEventListener('click', () => this.generateBatch());
         document.getElementById('download-batch').addEventListener('click', () => this.downloadBatch());
+        document.getElementById('print-batch').addEventListener('click', () => this.printBatchSheet());
+        document.getElementById('export-short-codes').addEventListener('click', () => this.exportShortCodes());
         
         // Utilities
         document.getElementById('validate-signature').addEventListener('click', () => this.validateSignature());
-        document.getElementById('generate-secret').addEventListener('click', () => this.generateSecretKey());
+        document.getElementById('generate-key').addEventListener('click', () => this.generateKeyPair());
+        document.getElementById('export-keyset').addEventListener('click', () => this.exportKeySet());
+        document.getElementById('backup-key').addEventListener('click', () => this.backupKey());
+        document.getElementById('restore-key').addEventListener('click', () => document.getElementById('key-file').click());
+        document.getElementById('key-file').addEventListener('change', (e) => this.restoreKey(e));
         document.getElementById('export-config').addEventListener('click', () => this.exportConfig());
         document.getElementById('import-config').addEventListener('click', () => this.importConfig());
         
@@ -48,29 +70,8 @@ class QRLinkGenerator {
     }
     
     async loadQRLibrary() {
-        // Inline QR generation without external dependencies
-        this.qrLib = {
-            toCanvas: (element, text, options) => {
-                // Simplified QR generation for demonstration
-                // In production, integrate proper QR library
-                const canvas = document.createElement('canvas');
-                canvas.width = 200;
-                canvas.height = 200;
-                const ctx = canvas.getContext('2d');
-                
-                // Simple placeholder rendering
-                ctx.fillStyle = '#000000';
-                ctx.fillRect(0, 0, 200, 200);
-                ctx.fillStyle = '#FFFFFF';
-                ctx.fillRect(10, 10, 180, 180);
-                ctx.fillStyle = '#000000';
-                ctx.font = '10px monospace';
-                ctx.fillText('QR: ' + text.substring(0, 20) + '...', 15, 30);
-                
-                element.appendChild(canvas);
-                return Promise.resolve(canvas);
-            }
-        };
+        // Eigener Encoder (qr.encoder.js), keine externe Abhängigkeit
+        this.qrLib = window.QREncoder;
     }
     
     setDefaultDateTime() {
@@ -81,6 +82,10 @@ class QRLinkGenerator {
         
         const datetimeString = tomorrow.toISOString().slice(0, 16);
         document.getElementById('release-time').value = datetimeString;
+        
+        // Standard-Gültigkeit: bis 20:00 am Freischalttag
+        tomorrow.setHours(20, 0, 0, 0);
+        document.getElementById('valid-until').value = tomorrow.toISOString().slice(0, 16);
     }
     
     updateStageBasedOnDay(day) {
@@ -123,11 +128,14 @@ class QRLinkGenerator {
             // Build URL
             const qrUrl = this.buildQRURL(formData, signature);
             
+            // Kurzcode zum Abtippen (nur Stage 2)
+            const shortCode = await this.createShortCode(formData);
+            
             // Generate QR code
             await this.renderQRCode(qrUrl);
             
             // Show results
-            this.displayResults(qrUrl, signature, formData);
+            this.displayResults(qrUrl, signature, formData, shortCode);
             
         } catch (error) {
             console.error('QR Generation Error:', error);
@@ -152,7 +160,9 @@ class QRLinkGenerator {
             answer: document.getElementById('answer').value.trim(),
             stage: parseInt(document.getElementById('stage').value),
             releaseTime: document.getElementById('release-time').value,
-            secretKey: document.getElementById('secret-key').value,
+            validUntil: document.getElementById('valid-until').value,
+            singleUse: document.getElementById('single-use').checked,
+            bindUserKey: document.getElementById('bind-user-key').value.trim(),
             baseUrl: document.getElementById('base-url').value.trim(),
             additionalData
         };
@@ -169,8 +179,8 @@ class QRLinkGenerator {
             return false;
         }
         
-        if (!data.secretKey) {
-            this.showError('Secret Key ist erforderlich');
+        if (!this.getStoredKey()) {
+            this.showError('Kein Signaturschlüssel – bitte unter Utilities erzeugen oder wiederherstellen');
             return false;
         }
         
@@ -179,6 +189,11 @@ class QRLinkGenerator {
             return false;
         }
         
+        if (data.validUntil && Date.parse(data.validUntil) <= Date.parse(data.releaseTime)) {
+            this.showError('"Gültig bis" muss nach der Freischaltzeit liegen');
+            return false;
+        }
+        
         try {
             new URL(data.baseUrl);
         } catch {
@@ -189,129 +204,68 @@ class QRLinkGenerator {
         return true;
     }
     
+    /**
+     * Erzeugt ein Token v1 (Format siehe scripts/qr.token.js)
+     * nbf/exp kommen aus Freischaltzeit und "Gültig bis", jede Ausgabe erhält eine neue Nonce
+     */
     async createSignature(data) {
-        // Create payload for signing
+        const signingKey = this.getSigningKey();
+        const toUnixSeconds = (value) => Math.floor(Date.parse(value) / 1000);
+        
+        // Kernfelder nach den Zusatzdaten, damit sie nicht überschrieben werden
         const payload = {
+            ...data.additionalData,
             day: data.day,
-            answer: data.answer.toLowerCase().trim(),
             stage: data.stage,
+            answer: data.answer.toLowerCase().trim(),
             timestamp: data.releaseTime,
-            ...data.additionalData
-        };
-        
-        // Convert to canonical JSON string
-        const payloadString = JSON.stringify(payload, Object.keys(payload).sort());
-        
-        // Try ECDSA signing first, fallback to HMAC
-        let signature;
-        try {
-            signature = await this.ecdsaSign(data.secretKey, payloadString);
-        } catch (error) {
-            console.warn('ECDSA signing failed, falling back to HMAC:', error.message);
-            signature = await this.hmacSHA256(data.secretKey, payloadString);
-        }
-        
-        // Create JWT-like structure for EC256 compatibility
-        const header = {
-            alg: signature instanceof Uint8Array ? "HS256" : "ES256",
-            typ: "JWT"
+            nonce: window.QRToken.createNonce()
         };
         
-        const encodedHeader = this.base64URLEncode(JSON.stringify(header));
-        const encodedPayload = this.base64URLEncode(payloadString);
-        const encodedSignature = this.base64URLEncode(signature);
+        if (data.releaseTime) payload.nbf = toUnixSeconds(data.releaseTime);
+        if (data.validUntil) payload.exp = toUnixSeconds(data.validUntil);
+        if (data.singleUse) payload.once = true;
+        if (data.bindUserKey) payload.sub = data.bindUserKey;
         
-        return `v1.${encodedHeader}.${encodedPayload}.${encodedSignature}`;
+        return window.QRToken.sign(payload, signingKey);
     }
     
-    async ecdsaSign(privateKeyHex, message) {
-        try {
-            const encoder = new TextEncoder();
-            const messageData = encoder.encode(message);
-            
-            // Convert hex private key to raw bytes
-            const privateKeyBytes = new Uint8Array(
-                privateKeyHex.match(/.{2}/g).map(byte => parseInt(byte, 16))
-            );
-            
-            // Import ECDSA private key (P-256 curve)
-            const cryptoKey = await crypto.subtle.importKey(
-                'raw',
-                privateKeyBytes,
-                { name: 'ECDSA', namedCurve: 'P-256' },
-                false,
-                ['sign']
-            );
-            
-            // Sign with ECDSA-SHA256
-            const signature = await crypto.subtle.sign(
-                { name: 'ECDSA', hash: 'SHA-256' },
-                cryptoKey,
-                messageData
-            );
-            
-            return new Uint8Array(signature);
-        } catch (error) {
-            throw new Error(`ECDSA signing failed: ${error.message}`);
-        }
-    }
-    
-    async hmacSHA256(key, message) {
-        const encoder = new TextEncoder();
-        const keyData = encoder.encode(key);
-        const messageData = encoder.encode(message);
-        
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw',
-            keyData,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        );
-        
-        const signature = await crypto.subtle.sign('HMAC', cryptoKey, messageData);
-        return new Uint8Array(signature);
-    }
-    
-    base64URLEncode(data) {
-        if (data instanceof Uint8Array) {
-            const bytes = Array.from(data);
-            const binary = String.fromCharCode(...bytes);
-            return btoa(binary)
-                .replace(/\\+/g, '-')
-                .replace(/\\//g, '_')
-                .replace(/=/g, '');
-        } else {
-            return btoa(data)
-                .replace(/\\+/g, '-')
-                .replace(/\\//g, '_')
-                .replace(/=/g, '');
-        }
+    /**
+     * Kurzcode des Tages (Stage 2), abgeleitet aus dem privaten Schlüssel
+     * @returns {Promise<string|null>} null für Stage 1
+     */
+    async createShortCode(data) {
+        if (data.stage !== 2) return null;
+        return window.ShortCode.create(data.day, this.getSigningKey().privateKeyJwk);
     }
     
+    /**
+     * URL im QR-Code: <baseUrl>/?day&stage&qr=<token>, ausgewertet von main.checkAutoOpenDoor
+     */
     buildQRURL(data, signature) {
-        const params = new URLSearchParams({
-            day: data.day.toString(),
-            sig: signature,
-            t: new Date(data.releaseTime).getTime().toString()
-        });
-        
-        return `${data.baseUrl}/verify?${params.toString()}`;
+        return window.QRToken.buildUrl(data.baseUrl, signature);
     }
     
-    async renderQRCode(url) {
-        const qrPreview = document.getElementById('qr-preview');
+    /**
+     * Rendert den QR-Code in die Vorschau oder in einen eigenen Container
+     * @param {string} url - Inhalt des QR-Codes
+     * @param {Object} options - { container, width } (ohne container: #qr-preview mit Überschrift und Größenhinweis)
+     */
+    async renderQRCode(url, { container = null, width = 200 } = {}) {
+        const qrPreview = container || document.getElementById('qr-preview');
         qrPreview.innerHTML = '';
         
         // Add header
-        const header = document.createElement('h4');
-        header.textContent = 'QR-Code Preview';
-        header.style.margin = '0 0 1rem 0';
-        qrPreview.appendChild(header);
+        if (!container) {
+            const header = document.createElement('h4');
+            header.textContent = 'QR-Code Preview';
+            header.style.margin = '0 0 1rem 0';
+            qrPreview.appendChild(header);
+        }
         
         // Generate QR code
         await this.qrLib.toCanvas(qrPreview, url, {
-            width: 200,
+            width,
             margin: 2,
             color: {
                 dark: '#000000',
@@ -319,6 +273,8 @@ class QRLinkGenerator {
             }
         });
         
+        if (container) return;
+        
         // Add size info
         const info = document.createElement('p');
         info.textContent = 'Größe: 200x200px, empfohlene Druckgröße: 5x5cm';
@@ -328,9 +284,13 @@ class QRLinkGenerator {
         qrPreview.appendChild(info);
     }
     
-    displayResults(url, signature, formData) {
+    displayResults(url, signature, formData, shortCode = null) {
         // Display URL
         document.getElementById('generated-url').textContent = url;
+        this.currentShortCode = shortCode;
+        document.getElementById('generated-short-code').textContent = shortCode
+            ? window.ShortCode.format(shortCode)
+            : '– (nur für Stage 2)';
         
         // Display signature details
         const signatureDetails = document.getElementById('signature-details');
@@ -363,9 +323,7 @@ class QRLinkGenerator {
     
     base64URLDecode(str) {
         try {
-            const padded = str + '='.repeat((4 - str.length % 4) % 4);
-            const base64 = padded.replace(/-/g, '+').replace(/_/g, '/');
-            return atob(base64);
+            return window.QRToken.base64UrlDecodeText(str);
         } catch {
             return str;
         }
@@ -380,13 +338,8 @@ class QRLinkGenerator {
             }
             
             const configs = JSON.parse(configText);
-            const secretKey = document.getElementById('secret-key').value;
             const baseUrl = document.getElementById('base-url').value;
-            
-            if (!secretKey) {
-                this.showError('Secret Key für Batch-Generierung erforderlich');
-                return;
-            }
+            const puzzleMeta = await this.loadPuzzleMeta();
             
             const results = [];
             
@@ -396,22 +349,30 @@ class QRLinkGenerator {
                     answer: config.answer,
                     stage: config.day <= 12 ? 1 : 2,
                     releaseTime: config.releaseTime,
-                    secretKey,
+                    validUntil: config.validUntil,
+                    singleUse: config.singleUse === true,
+                    bindUserKey: config.bindUserKey,
                     baseUrl,
                     additionalData: config.additionalData || {}
                 };
                 
                 const signature = await this.createSignature(formData);
                 const url = this.buildQRURL(formData, signature);
+                const shortCode = await this.createShortCode(formData);
                 
+                const meta = puzzleMeta.get(config.day) || {};
                 results.push({
                     day: config.day,
                     url,
                     signature,
+                    shortCode,
+                    shopName: config.shopName || meta.shop_name || '',
+                    address: config.address || meta.address || '',
                     config: formData
                 });
             }
             
+            this.batchResults = results.sort((a, b) => a.day - b.day);
             this.displayBatchResults(results);
             
         } catch (error) {
@@ -419,6 +380,149 @@ class QRLinkGenerator {
         }
     }
     
+    /**
+     * Liest meta (shop_name, address) aller Rätsel über das Manifest
+     * @returns {Promise<Map<number, Object>>} Leer, wenn die Rätsel nicht erreichbar sind
+     */
+    async loadPuzzleMeta() {
+        const metaByDay = new Map();
+        
+        try {
+            const manifest = await (await fetch(`${this.puzzleBaseUrl}manifest.json`)).json();
+            await Promise.all(manifest.days.map(async (entry) => {
+                const response = await fetch(`${this.puzzleBaseUrl}${entry.file}`);
+                if (response.ok) {
+                    metaByDay.set(entry.day, (await response.json()).meta || {});
+                }
+            }));
+        } catch (error) {
+            console.warn('⚠️ Rätsel-Metadaten nicht verfügbar, Druckbogen ohne Geschäftsangaben:', error);
+        }
+        
+        return metaByDay;
+    }
+    
+    getSheetItems() {
+        if (this.batchResults.length === 0) {
+            throw new Error('Bitte zuerst einen Batch generieren');
+        }
+        
+        return this.batchResults.map(result => ({
+            day: result.day,
+            url: result.url,
+            token: result.signature,
+            shopName: result.shopName,
+            address: result.address,
+            fallbackCode: result.shortCode ? `Code: ${window.ShortCode.format(result.shortCode)}` : undefined
+        }));
+    }
+    
+    /**
+     * Exportiert die Prüfliste der Kurzcodes (nur Hashes) für public/keys/short-codes.json.
+     * Einträge anderer Tage aus der veröffentlichten Liste bleiben erhalten,
+     * die Tage des aktuellen Batches werden ersetzt.
+     */
+    async exportShortCodes() {
+        try {
+            const results = this.batchResults.filter(result => result.shortCode);
+            if (results.length === 0) {
+                throw new Error('Bitte zuerst einen Batch mit Stage-2-Tagen (13-24) generieren');
+            }
+            
+            let codes = [];
+            try {
+                const response = await fetch(this.shortCodesUrl, { cache: 'no-cache' });
+                if (response.ok) {
+                    const published = await response.json();
+                    if (published.iterations === window.ShortCode.iterations) {
+                        codes = published.codes || [];
+                    }
+                }
+            } catch (error) {
+                console.warn('Bestehende Kurzcode-Liste nicht erreichbar, exportiere nur den aktuellen Batch:', error);
+            }
+            
+            const toUnixSeconds = (value) => (value ? Math.floor(Date.parse(value) / 1000) : undefined);
+            const days = new Set(results.map(result => result.day));
+            codes = codes.filter(entry => !days.has(entry.day));
+            
+            for (const result of results) {
+                codes.push(await window.ShortCode.createEntry(result.shortCode, {
+                    nbf: toUnixSeconds(result.config.releaseTime),
+                    exp: toUnixSeconds(result.config.validUntil)
+                }));
+            }
+            
+            this.downloadJSON('short-codes.json', {
+                version: 1,
+                description: 'Prüfliste der Stage-2-Kurzcodes (PBKDF2-SHA256, Hex). Wird in admin/qr-linkgen.html per "Kurzcode-Liste exportieren" erzeugt – niemals Klartext-Codes eintragen.',
+                iterations: window.ShortCode.iterations,
+                codes: codes.sort((a, b) => a.day - b.day)
+            });
+            
+        } catch (error) {
+            this.showError(`Kurzcode-Liste fehlgeschlagen: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Lädt den Druckbogen als SVG herunter (eine Datei pro A4-Seite)
+     */
+    downloadBatch() {
+        try {
+            const pages = window.QRSheet.render(this.getSheetItems());
+            
+            pages.forEach((svg, index) => {
+                const blob = new Blob([svg], { type: 'image/svg+xml' });
+                const url = URL.createObjectURL(blob);
+                
+                const link = document.createElement('a');
+                link.download = `winter-rallye-qr-bogen-${index + 1}.svg`;
+                link.href = url;
+                link.click();
+                
+                URL.revokeObjectURL(url);
+            });
+            
+        } catch (error) {
+            this.showError(`Druckbogen fehlgeschlagen: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Öffnet alle Seiten des Druckbogens in einem Druckfenster (Vektor, A4 ohne Seitenrand)
+     */
+    printBatchSheet() {
+        try {
+            const pages = window.QRSheet.render(this.getSheetItems())
+                .map(svg => `<div class="page">${svg.replace(/^<\?xml[^>]*>\n/, '')}</div>`);
+            
+            const printWindow = window.open('', '_blank');
+            printWindow.document.write(`
+                <html>
+                    <head>
+                        <title>QR-Druckbogen - Winter Rallye 2025</title>
+                        <style>
+                            @page { size: A4; margin: 0; }
+                            body { margin: 0; }
+                            .page { page-break-after: always; }
+                            .page:last-child { page-break-after: auto; }
+                            svg { display: block; }
+                        </style>
+                    </head>
+                    <body>${pages.join('')}</body>
+                </html>
+            `);
+            
+            printWindow.document.close();
+            printWindow.focus();
+            printWindow.print();
+            
+        } catch (error) {
+            this.showError(`Druckbogen fehlgeschlagen: ${error.message}`);
+        }
+    }
+    
     displayBatchResults(results) {
         const batchResults = document.getElementById('batch-results');
         batchResults.innerHTML = '<h3>Batch-Ergebnisse</h3>';
@@ -431,7 +535,7 @@ class QRLinkGenerator {
             item.style.marginBottom = 'var(--space-2)';
             
             item.innerHTML = `
-                <strong>Tag ${result.day}</strong><br>
+                <strong>Tag ${result.day}</strong>${result.shortCode ? ` · Kurzcode <code>${window.ShortCode.format(result.shortCode)}</code>` : ''}<br>
                 <code style="font-size: var(--font-size-xs); word-break: break-all;">${result.url}</code>
             `;
             
@@ -444,16 +548,11 @@ class QRLinkGenerator {
     async testSignature() {
         try {
             const formData = this.getFormData();
-            if (!formData.secretKey) {
-                this.showError('Secret Key für Test erforderlich');
-                return;
-            }
-            
             const signature = await this.createSignature(formData);
-            const isValid = await this.verifySignature(signature, formData);
+            const isValid = await this.verifySignature(signature);
             
             if (isValid) {
-                alert('✅ Signatur ist gültig');
+                alert('✅ Signatur ist gültig (geprüft mit dem öffentlichen Schlüssel)');
             } else {
                 alert('❌ Signatur ist ungültig');
             }
@@ -463,68 +562,172 @@ class QRLinkGenerator {
         }
     }
     
-    async verifySignature(signature, originalData) {
+    /**
+     * Prüft eine Signatur so wie die App: nur mit dem öffentlichen Schlüssel
+     */
+    async verifySignature(signature) {
         try {
-            const parts = signature.split('.');
-            if (parts.length !== 4 || parts[0] !== 'v1') return false;
-            
-            const payload = JSON.parse(this.base64URLDecode(parts[2]));
-            const expectedSignature = await this.createSignature(originalData);
+            const decoded = window.QRToken.decode(signature);
+            const key = this.getStoredKey();
+            if (!key || decoded.header.kid !== key.keyId) return false;
             
-            return signature === expectedSignature;
+            return await window.QRToken.verify(decoded, key.publicKeyJwk);
             
         } catch {
             return false;
         }
     }
     
-    generateSecretKey() {
-        // Generate ECDSA private key (32 bytes for P-256)
-        const array = new Uint8Array(32);
-        crypto.getRandomValues(array);
-        const key = Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
-        
-        document.getElementById('secret-key').value = key;
-        alert(`🔑 ECDSA Private Key generiert: ${key.substring(0, 16)}...\\n\\nHinweis: Dies ist ein Private Key für ECDSA P-256 Signaturen.`);
+    // --- Schlüsselverwaltung ---
+    
+    getStoredKey() {
+        try {
+            return JSON.parse(localStorage.getItem(this.keyStorageKey) || 'null');
+        } catch {
+            return null;
+        }
+    }
+    
+    /**
+     * Liefert den Signaturschlüssel oder wirft, wenn keiner vorhanden bzw. abgelaufen ist
+     */
+    getSigningKey() {
+        const key = this.getStoredKey();
+        if (!key) {
+            throw new Error('Kein Signaturschlüssel vorhanden');
+        }
+        if (Date.parse(key.expiresAt) < Date.now()) {
+            throw new Error(`Schlüssel ${key.keyId} ist abgelaufen – bitte neues Schlüsselpaar erzeugen und Key-Set exportieren`);
+        }
+        return key;
+    }
+    
+    updateKeyStatus() {
+        const key = this.getStoredKey();
+        document.getElementById('key-status').textContent = key
+            ? `${key.keyId} (ECDSA P-256, gültig bis ${new Date(key.expiresAt).toLocaleDateString('de-DE')})`
+            : 'Kein Schlüssel – bitte unter Utilities erzeugen';
     }
     
     async generateKeyPair() {
         try {
-            // Generate ECDSA key pair (P-256)
+            if (this.getStoredKey() && !confirm('Vorhandenen Schlüssel ersetzen? Bereits gedruckte QR-Codes bleiben gültig, solange der alte Schlüssel im Key-Set steht.')) {
+                return;
+            }
+            
             const keyPair = await crypto.subtle.generateKey(
                 { name: 'ECDSA', namedCurve: 'P-256' },
                 true, // extractable
                 ['sign', 'verify']
             );
             
-            // Export private key
-            const privateKeyBuffer = await crypto.subtle.exportKey('raw', keyPair.privateKey);
-            const privateKeyHex = Array.from(new Uint8Array(privateKeyBuffer), 
-                byte => byte.toString(16).padStart(2, '0')).join('');
-            
-            // Export public key
-            const publicKeyBuffer = await crypto.subtle.exportKey('raw', keyPair.publicKey);
-            const publicKeyHex = Array.from(new Uint8Array(publicKeyBuffer),
-                byte => byte.toString(16).padStart(2, '0')).join('');
+            const privateKeyJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+            const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
             
-            document.getElementById('secret-key').value = privateKeyHex;
+            const now = new Date();
+            const suffix = Array.from(crypto.getRandomValues(new Uint8Array(2)), byte => byte.toString(16).padStart(2, '0')).join('');
+            const key = {
+                keyId: `wr-${now.toISOString().slice(0, 10).replace(/-/g, '')}-${suffix}`,
+                privateKeyJwk,
+                publicKeyJwk: { kty, crv, x, y },
+                notBefore: now.toISOString(),
+                expiresAt: new Date(now.getTime() + this.keyValidityDays * 24 * 60 * 60 * 1000).toISOString()
+            };
             
-            // Show key pair info
-            const keyInfo = `ECDSA P-256 Schlüsselpaar generiert:
-            
-Private Key (für Signaturen): ${privateKeyHex.substring(0, 32)}...
-Public Key (für Verifikation): ${publicKeyHex.substring(0, 32)}...
-
-⚠️ Speichern Sie den Public Key für die Verifikation!`;
+            localStorage.setItem(this.keyStorageKey, JSON.stringify(key));
+            this.updateKeyStatus();
             
-            alert(keyInfo);
+            alert(`🔑 Schlüsselpaar ${key.keyId} erzeugt.\n\nJetzt "Key-Set exportieren" und die Datei als public/keys/qr-keyset.json veröffentlichen. Sichern Sie außerdem den Schlüssel als Datei.`);
             
-            return { privateKey: privateKeyHex, publicKey: publicKeyHex };
+            return key;
             
         } catch (error) {
-            alert(`Fehler bei Schlüsselgenerierung: ${error.message}`);
-            throw error;
+            this.showError(`Fehler bei Schlüsselgenerierung: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Erzeugt das öffentliche Key-Set: bisher veröffentlichte, noch gültige Schlüssel
+     * bleiben erhalten (Rotation), der aktuelle Schlüssel wird ergänzt.
+     */
+    async exportKeySet() {
+        const key = this.getStoredKey();
+        if (!key) {
+            this.showError('Kein Schlüssel vorhanden');
+            return;
+        }
+        
+        let keys = [];
+        try {
+            const response = await fetch(this.keySetUrl, { cache: 'no-cache' });
+            if (response.ok) {
+                keys = (await response.json()).keys || [];
+            }
+        } catch (error) {
+            console.warn('Bestehendes Key-Set nicht erreichbar, exportiere nur den aktuellen Schlüssel:', error);
         }
+        
+        const now = Date.now();
+        keys = keys.filter(entry => entry.keyId !== key.keyId && !(Date.parse(entry.expiresAt) < now));
+        keys.push({
+            keyId: key.keyId,
+            algorithm: 'ECDSA-P256',
+            publicKeyJwk: key.publicKeyJwk,
+            notBefore: key.notBefore,
+            expiresAt: key.expiresAt
+        });
+        
+        this.downloadJSON('qr-keyset.json', {
+            version: 1,
+            description: 'Öffentliche ECDSA-P256-Schlüssel für Stage-2 QR-Codes. Wird in admin/qr-linkgen.html per "Key-Set exportieren" erzeugt – niemals private Schlüssel (Feld d) eintragen.',
+            keys
+        });
+    }
+    
+    backupKey() {
+        const key = this.getStoredKey();
+        if (!key) {
+            this.showError('Kein Schlüssel vorhanden');
+            return;
+        }
+        this.downloadJSON(`qr-signing-key-${key.keyId}.json`, key);
+    }
+    
+    restoreKey(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const key = JSON.parse(e.target.result);
+                if (!key.keyId || !key.privateKeyJwk?.d || !key.publicKeyJwk?.x || !key.expiresAt) {
+                    throw new Error('Keine gültige Schlüsselsicherung');
+                }
+                
+                localStorage.setItem(this.keyStorageKey, JSON.stringify(key));
+                this.updateKeyStatus();
+                alert(`📥 Schlüssel ${key.keyId} wiederhergestellt`);
+                
+            } catch (error) {
+                this.showError(`Schlüssel konnte nicht importiert werden: ${error.message}`);
+            }
+        };
+        
+        reader.readAsText(file);
+        event.target.value = ''; // Reset file input
+    }
+    
+    downloadJSON(fileName, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.download = fileName;
+        link.href = url;
+        link.click();
+        
+        URL.revokeObjectURL(url);
     }
     
     async copyToClipboard() {
@@ -569,12 +772,14 @@ Public Key (für Verifikation): ${publicKeyHex.substring(0, 32)}...
                     <style>
                         body { font-family: sans-serif; text-align: center; padding: 2cm; }
                         canvas { border: 1px solid #ccc; margin: 1cm 0; }
+                        .short-code { font-family: 'Courier New', monospace; font-size: 20px; letter-spacing: 2px; }
                         .info { margin-top: 1cm; font-size: 12px; color: #666; }
                     </style>
                 </head>
                 <body>
                     <h1>Winter Rallye 2025 - Tag ${document.getElementById('day').value}</h1>
                     ${qrSection.innerHTML}
+                    ${this.currentShortCode ? `<p class="short-code">Code: ${window.ShortCode.format(this.currentShortCode)}</p>` : ''}
                     <div class="info">
                         <p>Generiert am: ${new Date().toLocaleString('de-DE')}</p>
                         <p>Antwort: ${document.getElementById('answer').value}</p>
@@ -662,31 +867,28 @@ Public Key (für Verifikation): ${publicKeyHex.substring(0, 32)}...
         document.getElementById('result-section').classList.remove('show');
     }
     
-    validateSignature() {
-        const signatureInput = prompt('Signatur zur Validierung eingeben:');
-        if (!signatureInput) return;
+    async validateSignature() {
+        const input = prompt('Token oder QR-URL zur Validierung eingeben:');
+        if (!input) return;
         
         try {
-            const parts = signatureInput.split('.');
-            if (parts.length !== 4) {
-                alert('❌ Ungültiges Signatur-Format');
-                return;
-            }
+            const token = window.QRToken.parseUrl(input.trim())?.token || input.trim();
+            const { header, payload } = window.QRToken.decode(token);
+            const signatureValid = await this.verifySignature(token);
             
-            const header = JSON.parse(this.base64URLDecode(parts[1]));
-            const payload = JSON.parse(this.base64URLDecode(parts[2]));
-            
-            alert(`✅ Signatur-Format ist gültig\\n\\nTag: ${payload.day}\\nAntwort: ${payload.answer}\\nZeitstempel: ${payload.timestamp}`);
+            alert(`${signatureValid ? '✅ Signatur gültig' : '⚠️ Format gültig, Signatur nicht mit dem eigenen Schlüssel prüfbar'}\n\nSchlüssel: ${header.kid}\nTag: ${payload.day}, Stage ${payload.stage}\nAntwort: ${payload.answer}\nZeitstempel: ${payload.timestamp}`);
             
         } catch (error) {
-            alert('❌ Signatur konnte nicht dekodiert werden');
+            alert(`❌ Token konnte nicht dekodiert werden: ${error.message}`);
         }
     }
 }
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    new QRLinkGenerator();
+    if (document.getElementById('qr-form')) {
+        new QRLinkGenerator();
+    }
 });
 
 // Export for testing
@@ -0,0 +1,450 @@
+/**
+ * QR Encoder - QR-Code-Erzeugung ohne externe Bibliothek (ISO/IEC 18004, Byte-Modus)
+ * Liefert die Modul-Matrix für Canvas (qr-linkgen, Counter-Anzeige) und Vektor-Ausgabe (qr.sheet.js)
+ * Läuft im Browser (Admin-Tools) und in Node (Tests)
+ */
+
+'use strict';
+
+/**
+ * Ablauf von encode:
+ * 1. kleinste Version (1-40) wählen, deren Datenkapazität für den Text im Byte-Modus reicht
+ * 2. Bitstrom: Modus 0100, Zeichenanzahl, UTF-8-Bytes, Terminator, Füllbytes 0xEC/0x11
+ * 3. Reed-Solomon-Fehlerkorrektur je Block, Blöcke verschränken
+ * 4. Funktionsmuster (Finder, Timing, Alignment, Format/Version) zeichnen, Daten im Zickzack setzen
+ * 5. Maske mit der geringsten Strafpunktzahl wählen
+ */
+class QREncoder {
+    constructor() {
+        this.errorCorrectionLevels = {
+            L: { ordinal: 0, formatBits: 1 },
+            M: { ordinal: 1, formatBits: 0 },
+            Q: { ordinal: 2, formatBits: 3 },
+            H: { ordinal: 3, formatBits: 2 }
+        };
+
+        // Index: [Level-Ordinal][Version]
+        this.eccCodewordsPerBlock = [
+            [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        ];
+        this.errorCorrectionBlocks = [
+            [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        ];
+
+        this.masks = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+    }
+
+    /**
+     * Kodiert einen Text als QR-Code
+     * @param {string} text - Inhalt (wird als UTF-8 im Byte-Modus kodiert)
+     * @param {Object} options - { ecl: 'L'|'M'|'Q'|'H' (Standard 'M'), minVersion, maxVersion }
+     * @returns {{version: number, ecl: string, mask: number, size: number, modules: boolean[][]}} modules[y][x], true = dunkel
+     * @throws {Error} Wenn der Text nicht in Version maxVersion passt
+     */
+    encode(text, { ecl = 'M', minVersion = 1, maxVersion = 40 } = {}) {
+        if (!this.errorCorrectionLevels[ecl]) {
+            throw new Error(`Unbekannte Fehlerkorrekturstufe: ${ecl}`);
+        }
+
+        const bytes = new TextEncoder().encode(text);
+        let version = minVersion;
+        for (; version <= maxVersion; version++) {
+            if (bytes.length <= this.getByteCapacity(version, ecl)) break;
+        }
+        if (version > maxVersion) {
+            throw new Error(`Text zu lang für einen QR-Code (${bytes.length} Bytes)`);
+        }
+
+        const codewords = this.addErrorCorrection(this.buildDataCodewords(bytes, version, ecl), version, ecl);
+        const matrix = this.createMatrix(version);
+        this.drawCodewords(matrix, codewords);
+
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            const modules = this.applyMask(matrix, mask, ecl);
+            const penalty = this.getPenaltyScore(modules);
+            if (!best || penalty < best.penalty) best = { mask, modules, penalty };
+        }
+
+        return { version, ecl, mask: best.mask, size: matrix.size, modules: best.modules };
+    }
+
+    /**
+     * Maximale Anzahl Bytes im Byte-Modus
+     */
+    getByteCapacity(version, ecl) {
+        const countBits = version <= 9 ? 8 : 16;
+        return Math.floor((this.getNumDataCodewords(version, ecl) * 8 - 4 - countBits) / 8);
+    }
+
+    getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    getNumDataCodewords(version, ecl) {
+        const ordinal = this.errorCorrectionLevels[ecl].ordinal;
+        return Math.floor(this.getNumRawDataModules(version) / 8) -
+            this.eccCodewordsPerBlock[ordinal][version] * this.errorCorrectionBlocks[ordinal][version];
+    }
+
+    // --- Datenkodierung ---
+
+    buildDataCodewords(bytes, version, ecl) {
+        const capacityBits = this.getNumDataCodewords(version, ecl) * 8;
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    }
+
+    /**
+     * Teilt die Daten in Blöcke, hängt je Block die Reed-Solomon-Codewörter an und verschränkt
+     */
+    addErrorCorrection(data, version, ecl) {
+        const ordinal = this.errorCorrectionLevels[ecl].ordinal;
+        const numBlocks = this.errorCorrectionBlocks[ordinal][version];
+        const blockEccLength = this.eccCodewordsPerBlock[ordinal][version];
+        const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = this.reedSolomonDivisor(blockEccLength);
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Platzhalter der kurzen Blöcke überspringen
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        for (const byte of data) {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.gfMultiply(coefficient, factor);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Multiplikation in GF(2^8) mit Polynom 0x11D
+     */
+    gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    // --- Matrix ---
+
+    createMatrix(version) {
+        const size = version * 4 + 17;
+        const matrix = {
+            version,
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+        const set = (x, y, dark) => {
+            matrix.modules[y][x] = dark;
+            matrix.isFunction[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        const positions = this.getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                // Ecken mit Finder-Mustern auslassen
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Formatbereich reservieren (wird je Maske in applyMask geschrieben)
+        this.drawFormatBits(matrix, 'M', 0, set);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = version << 12 | remainder;
+
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        return matrix;
+    }
+
+    getAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = version * 4 + 10; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    /**
+     * Schreibt die 15 Formatbits (Stufe + Maske, BCH-geschützt) an beide Positionen
+     */
+    drawFormatBits(matrix, ecl, mask, set) {
+        const data = this.errorCorrectionLevels[ecl].formatBits << 3 | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = (data << 10 | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+        const size = matrix.size;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    }
+
+    drawCodewords(matrix, codewords) {
+        const size = matrix.size;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+
+                    if (!matrix.isFunction[y][x] && i < codewords.length * 8) {
+                        matrix.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(matrix, mask, ecl) {
+        const modules = matrix.modules.map((row, y) => row.map((dark, x) =>
+            matrix.isFunction[y][x] ? dark : dark !== this.masks[mask](x, y)
+        ));
+        this.drawFormatBits(matrix, ecl, mask, (x, y, dark) => { modules[y][x] = dark; });
+        return modules;
+    }
+
+    /**
+     * Strafpunkte N1-N4 nach ISO/IEC 18004 (Läufe, 2x2-Blöcke, Finder-ähnliche Muster, Dunkelanteil)
+     */
+    getPenaltyScore(modules) {
+        const size = modules.length;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        let penalty = 0;
+        const finderLike = ['10111010000', '00001011101'];
+
+        lines.forEach(line => {
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += 3 + runLength - 5;
+                    runLength = 1;
+                }
+            }
+
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            finderLike.forEach(pattern => {
+                for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) penalty += 40;
+            });
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += 3;
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    // --- Ausgabe ---
+
+    /**
+     * SVG-Pfad der dunklen Module (waagerechte Läufe zusammengefasst)
+     * @param {Object} qr - Ergebnis von encode
+     * @param {Object} options - { x, y, moduleSize } Position der linken oberen Modulecke
+     * @returns {string} Wert für das d-Attribut
+     */
+    toSvgPath(qr, { x = 0, y = 0, moduleSize = 1 } = {}) {
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const parts = [];
+
+        qr.modules.forEach((row, rowIndex) => {
+            for (let col = 0; col < qr.size; col++) {
+                if (!row[col]) continue;
+                let end = col;
+                while (end + 1 < qr.size && row[end + 1]) end++;
+
+                parts.push(`M${round(x + col * moduleSize)} ${round(y + rowIndex * moduleSize)}h${round((end - col + 1) * moduleSize)}v${round(moduleSize)}h${round(-(end - col + 1) * moduleSize)}z`);
+                col = end;
+            }
+        });
+
+        return parts.join('');
+    }
+
+    /**
+     * Zeichnet einen QR-Code in ein neues Canvas (Schnittstelle wie die qrcode-Bibliothek)
+     * @param {HTMLElement} element - Container
+     * @param {string} text - Inhalt
+     * @param {Object} options - { width, margin (Ruhezone in Modulen), color: { dark, light }, ecl }
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    toCanvas(element, text, { width = 200, margin = 4, color = {}, ecl = 'M' } = {}) {
+        const qr = this.encode(text, { ecl });
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = width;
+
+        const ctx = canvas.getContext('2d');
+        const moduleSize = width / (qr.size + margin * 2);
+
+        ctx.fillStyle = color.light || '#FFFFFF';
+        ctx.fillRect(0, 0, width, width);
+        ctx.fillStyle = color.dark || '#000000';
+        qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) {
+                ctx.fillRect(
+                    Math.floor((x + margin) * moduleSize),
+                    Math.floor((y + margin) * moduleSize),
+                    Math.ceil(moduleSize),
+                    Math.ceil(moduleSize)
+                );
+            }
+        }));
+
+        element.appendChild(canvas);
+        return Promise.resolve(canvas);
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QREncoder;
+}
+
+if (typeof window !== 'undefined') {
+    window.QREncoder = new QREncoder();
+}
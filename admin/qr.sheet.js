@@ -0,0 +1,171 @@
+/**
+ * QR Sheet - Druckbogen für die Batch-Generierung in admin/qr-linkgen.html
+ * Legt die QR-Codes als Vektor-SVG auf A4-Seiten (2 × 3 Kacheln) mit Schnittmarken
+ * Läuft im Browser (Admin-Tool) und in Node (Tests)
+ */
+
+'use strict';
+
+const QREncoderClass = (typeof module !== 'undefined' && module.exports) ? require('./qr.encoder.js') : QREncoder;
+
+/**
+ * Jede Kachel enthält: Tag, QR-Code, Geschäftsname und Adresse (aus meta des Rätsels)
+ * und einen lesbaren Code als Rückfallebene, falls der QR-Code nicht scanbar ist.
+ * Alle Maße in Millimetern; die SVG-viewBox entspricht der Seite 1:1.
+ */
+class QRSheet {
+    constructor() {
+        this.encoder = new QREncoderClass();
+        this.config = {
+            pageWidth: 210,
+            pageHeight: 297,
+            margin: 10,
+            columns: 2,
+            rows: 3,
+            qrSize: 50,
+            quietZoneModules: 4,
+            cutMarkLength: 4,
+            maxTextLength: 38,
+            title: 'Winter Rallye 2025'
+        };
+    }
+
+    get tilesPerPage() {
+        return this.config.columns * this.config.rows;
+    }
+
+    /**
+     * Erzeugt alle Seiten
+     * @param {Array<{day, url, token, shopName?, address?, fallbackCode?}>} items - nach Tag sortiert
+     * @param {Object} options - { createdAt }
+     * @returns {string[]} Ein SVG-Dokument pro Seite
+     */
+    render(items, { createdAt = new Date() } = {}) {
+        const pages = [];
+        for (let i = 0; i < items.length; i += this.tilesPerPage) {
+            pages.push(items.slice(i, i + this.tilesPerPage));
+        }
+
+        return pages.map((pageItems, index) => this.renderPage(pageItems, {
+            pageNumber: index + 1,
+            pageCount: pages.length,
+            createdAt
+        }));
+    }
+
+    renderPage(items, { pageNumber = 1, pageCount = 1, createdAt = new Date() } = {}) {
+        const { pageWidth, pageHeight, margin, columns } = this.config;
+        const tile = this.getTileSize();
+
+        const tiles = items.map((item, index) => this.renderTile(
+            item,
+            margin + (index % columns) * tile.width,
+            margin + Math.floor(index / columns) * tile.height,
+            tile
+        ));
+
+        const footer = `${this.config.title} · Seite ${pageNumber}/${pageCount} · erstellt ${createdAt.toLocaleDateString('de-DE')}`;
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${pageWidth}mm" height="${pageHeight}mm" viewBox="0 0 ${pageWidth} ${pageHeight}" font-family="Helvetica, Arial, sans-serif">`,
+            `<rect width="${pageWidth}" height="${pageHeight}" fill="#FFFFFF"/>`,
+            this.renderCutMarks(),
+            ...tiles,
+            `<text x="${pageWidth / 2}" y="${pageHeight - margin / 2 + 1}" font-size="2.5" fill="#888888" text-anchor="middle">${this.escapeXml(footer)}</text>`,
+            '</svg>'
+        ].join('\n');
+    }
+
+    getTileSize() {
+        const { pageWidth, pageHeight, margin, columns, rows } = this.config;
+        return {
+            width: (pageWidth - margin * 2) / columns,
+            height: (pageHeight - margin * 2) / rows
+        };
+    }
+
+    renderTile(item, x, y, tile) {
+        const { qrSize, quietZoneModules } = this.config;
+        const centerX = this.round(x + tile.width / 2);
+        const qr = this.encoder.encode(item.url, { ecl: 'M' });
+        const moduleSize = qrSize / (qr.size + quietZoneModules * 2);
+        const qrX = x + (tile.width - qrSize) / 2;
+        const qrY = y + 21;
+
+        const text = (offsetY, content, attributes) =>
+            `<text x="${centerX}" y="${this.round(y + offsetY)}" text-anchor="middle" ${attributes}>${this.escapeXml(this.truncate(content))}</text>`;
+
+        return [
+            `<g id="tag-${item.day}">`,
+            text(9, this.config.title, 'font-size="3.2" fill="#666666"'),
+            text(17, `Tag ${item.day}`, 'font-size="7" font-weight="bold"'),
+            `<path fill="#000000" d="${this.encoder.toSvgPath(qr, {
+                x: qrX + quietZoneModules * moduleSize,
+                y: qrY + quietZoneModules * moduleSize,
+                moduleSize
+            })}"/>`,
+            item.shopName ? text(qrY - y + qrSize + 6, item.shopName, 'font-size="4.2" font-weight="bold"') : '',
+            item.address ? text(qrY - y + qrSize + 11.5, item.address, 'font-size="3.2"') : '',
+            text(qrY - y + qrSize + 17, this.getFallbackCode(item), 'font-size="3.2" font-family="Courier New, monospace"'),
+            '</g>'
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Schnittmarken: Kreuze an allen Kachelecken
+     */
+    renderCutMarks() {
+        const { margin, columns, rows, cutMarkLength } = this.config;
+        const tile = this.getTileSize();
+        const lines = [];
+
+        for (let col = 0; col <= columns; col++) {
+            for (let row = 0; row <= rows; row++) {
+                const x = this.round(margin + col * tile.width);
+                const y = this.round(margin + row * tile.height);
+                lines.push(`M${this.round(x - cutMarkLength)} ${y}h${cutMarkLength * 2}M${x} ${this.round(y - cutMarkLength)}v${cutMarkLength * 2}`);
+            }
+        }
+
+        return `<path fill="none" stroke="#999999" stroke-width="0.2" d="${lines.join('')}"/>`;
+    }
+
+    /**
+     * Lesbarer Code unter dem QR-Code: Kurzcode, falls vorhanden, sonst Code-ID aus der Signatur
+     * (damit lässt sich ein ausgedruckter Code dem Batch-Ergebnis zuordnen)
+     */
+    getFallbackCode(item) {
+        if (item.fallbackCode) return item.fallbackCode;
+
+        const signature = String(item.token || '').split('.')[3] || '';
+        const day = String(item.day).padStart(2, '0');
+        return `Code-ID: WR-${day}-${signature.slice(0, 4)}-${signature.slice(4, 8)}`;
+    }
+
+    truncate(text) {
+        const value = String(text);
+        return value.length > this.config.maxTextLength ? `${value.slice(0, this.config.maxTextLength - 1)}…` : value;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRSheet;
+}
+
+if (typeof window !== 'undefined') {
+    window.QRSheet = new QRSheet();
+}
@@ -1,17 +1,21 @@
 /**
  * Admin Submissions JavaScript
- * Lädt und zeigt eingereichte Antworten aus localStorage an
+ * Lädt und zeigt eingereichte Antworten aus localStorage, vom Submission-Server
+ * oder aus einer hochgeladenen JSON/CSV-Datei an (siehe submissions.sources.js)
  */
 
 'use strict';
 
 class SubmissionsAdmin {
     constructor() {
-        this.submissions = [];
-        this.filteredSubmissions = [];
+        this.pageSubmissions = [];
+        this.totalFiltered = 0;
         this.currentPage = 1;
         this.itemsPerPage = 50;
         this.storageKey = 'wr_submissions_v1';
+        this.sourceSettingsKey = 'wr_admin_source_v1';
+
+        this.source = new SubmissionSources.LocalStorageSubmissionSource(this.storageKey);
         
         this.filters = {
             day: '',
@@ -24,148 +28,213 @@ class SubmissionsAdmin {
     /**
      * Initialisiert die Admin-Ansicht
      */
-    init() {
+    async init() {
         console.log('📊 Submissions Admin wird initialisiert...');
-        this.loadSubmissions();
-        this.calculateStats();
-        this.renderTable();
+        this.populateDayFilter();
+        this.restoreSourceSettings();
         this.setupEventListeners();
+        await this.refreshData();
         console.log('✅ Admin-Ansicht initialisiert');
     }
 
     /**
-     * Lädt Submissions aus localStorage
+     * Füllt den Tag-Filter mit allen Kalendertagen
+     */
+    populateDayFilter() {
+        const select = document.getElementById('filter-day');
+        select.innerHTML = '<option value="">Alle Tage</option>' +
+            Array.from({ length: 24 }, (_, i) => `<option value="${i + 1}">Tag ${i + 1}</option>`).join('');
+    }
+
+    // --- Datenquellen ---
+
+    /**
+     * Stellt die zuletzt genutzte Server-Quelle wieder her (Token nur für die Sitzung)
      */
-    loadSubmissions() {
+    restoreSourceSettings() {
         try {
-            const data = localStorage.getItem(this.storageKey);
-            if (data) {
-                this.submissions = JSON.parse(data);
-                console.log(`📊 ${this.submissions.length} Submissions geladen`);
-            } else {
-                this.submissions = [];
-                console.log('📊 Keine Submissions gefunden');
+            const settings = JSON.parse(localStorage.getItem(this.sourceSettingsKey) || '{}');
+            document.getElementById('source-endpoint').value = settings.endpoint || '';
+            document.getElementById('source-token').value = sessionStorage.getItem(this.sourceSettingsKey) || '';
+
+            if (settings.type === 'http' && settings.endpoint) {
+                document.getElementById('source-type').value = 'http';
+                this.source = new SubmissionSources.HttpSubmissionSource(settings.endpoint, {
+                    token: sessionStorage.getItem(this.sourceSettingsKey) || ''
+                });
             }
         } catch (error) {
-            console.error('❌ Fehler beim Laden der Submissions:', error);
-            this.submissions = [];
+            console.warn('⚠️ Quell-Einstellungen konnten nicht gelesen werden:', error);
         }
-        
-        // Sortiere nach Timestamp (neueste zuerst)
-        this.submissions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        this.filteredSubmissions = [...this.submissions];
+        this.updateSourceUI();
     }
 
     /**
-     * Berechnet und zeigt Statistiken
+     * Wechselt die Datenquelle anhand der Formularwerte
      */
-    calculateStats() {
-        const total = this.submissions.length;
-        const correct = this.submissions.filter(s => s.isCorrect).length;
-        const uniqueUsers = new Set(this.submissions.map(s => s.userKey)).size;
-        
-        // Durchschnittliche Bearbeitungszeit (nur für Stage-2)
-        const stage2Submissions = this.submissions.filter(s => s.stage === 2 && s.durationMs);
-        const avgDuration = stage2Submissions.length > 0 
-            ? stage2Submissions.reduce((sum, s) => sum + s.durationMs, 0) / stage2Submissions.length
-            : 0;
+    async connectSource() {
+        const type = document.getElementById('source-type').value;
 
-        // Update UI
-        document.getElementById('total-submissions').textContent = total;
-        document.getElementById('correct-submissions').textContent = correct;
-        document.getElementById('unique-users').textContent = uniqueUsers;
-        document.getElementById('avg-duration').textContent = this.formatDuration(avgDuration);
+        try {
+            if (type === 'http') {
+                const endpoint = document.getElementById('source-endpoint').value.trim();
+                const token = document.getElementById('source-token').value.trim();
+                if (!endpoint) {
+                    alert('Bitte einen Server-Endpoint angeben, z.B. http://localhost:8787/api/submissions');
+                    return;
+                }
+                this.source = new SubmissionSources.HttpSubmissionSource(endpoint, { token });
+                localStorage.setItem(this.sourceSettingsKey, JSON.stringify({ type, endpoint }));
+                sessionStorage.setItem(this.sourceSettingsKey, token);
+
+            } else if (type === 'file') {
+                const file = document.getElementById('source-file').files[0];
+                if (!file) {
+                    alert('Bitte eine JSON- oder CSV-Datei auswählen.');
+                    return;
+                }
+                this.source = new SubmissionSources.FileSubmissionSource(file.name, await file.text());
+
+            } else {
+                this.source = new SubmissionSources.LocalStorageSubmissionSource(this.storageKey);
+                localStorage.setItem(this.sourceSettingsKey, JSON.stringify({ type: 'local' }));
+            }
+
+            this.currentPage = 1;
+            this.updateSourceUI();
+            await this.refreshData();
+
+        } catch (error) {
+            console.error('❌ Quelle konnte nicht geladen werden:', error);
+            alert(`Quelle konnte nicht geladen werden: ${error.message}`);
+        }
     }
 
     /**
-     * Wendet Filter an
+     * Blendet die zur Quelle passenden Eingabefelder ein
      */
-    applyFilters() {
-        const dayFilter = document.getElementById('filter-day').value;
-        const stageFilter = document.getElementById('filter-stage').value;
-        const correctFilter = document.getElementById('filter-correct').value;
-        const userKeyFilter = document.getElementById('search-user').value.toLowerCase().trim();
-
-        this.filteredSubmissions = this.submissions.filter(submission => {
-            // Tag Filter
-            if (dayFilter && submission.day !== parseInt(dayFilter)) {
-                return false;
-            }
+    updateSourceUI() {
+        const type = document.getElementById('source-type').value;
+        document.getElementById('source-http-fields').style.display = type === 'http' ? 'flex' : 'none';
+        document.getElementById('source-file-fields').style.display = type === 'file' ? 'flex' : 'none';
+        document.getElementById('source-label').textContent = this.source.label;
+        document.getElementById('clear-button').style.display = this.source.canClear ? '' : 'none';
+    }
 
-            // Stage Filter
-            if (stageFilter && submission.stage !== parseInt(stageFilter)) {
-                return false;
-            }
+    /**
+     * Lädt die aktuelle Seite aus der Quelle (serverseitig paginiert, falls unterstützt)
+     */
+    async loadSubmissions() {
+        try {
+            const result = await this.source.query({
+                filters: this.filters,
+                page: this.currentPage,
+                pageSize: this.itemsPerPage
+            });
+            this.pageSubmissions = result.items;
+            this.totalFiltered = result.total;
+            console.log(`📊 ${result.items.length} von ${result.total} Submissions geladen (${this.source.label})`);
+        } catch (error) {
+            console.error('❌ Fehler beim Laden der Submissions:', error);
+            this.pageSubmissions = [];
+            this.totalFiltered = 0;
+            this.showSourceError(error);
+        }
+    }
 
-            // Korrektheit Filter
-            if (correctFilter && submission.isCorrect.toString() !== correctFilter) {
-                return false;
-            }
+    showSourceError(error) {
+        document.getElementById('source-label').textContent = `${this.source.label} – Fehler: ${error.message}`;
+    }
 
-            // User Key Filter
-            if (userKeyFilter && !submission.userKey.toLowerCase().includes(userKeyFilter)) {
-                return false;
-            }
+    /**
+     * Berechnet und zeigt Statistiken
+     */
+    async calculateStats() {
+        let stats = { total: 0, correct: 0, uniqueUsers: 0, avgDurationMs: 0 };
+        try {
+            stats = await this.source.stats();
+        } catch (error) {
+            console.error('❌ Fehler beim Laden der Statistik:', error);
+        }
+
+        // Update UI
+        document.getElementById('total-submissions').textContent = stats.total;
+        document.getElementById('correct-submissions').textContent = stats.correct;
+        document.getElementById('unique-users').textContent = stats.uniqueUsers;
+        document.getElementById('avg-duration').textContent = this.formatDuration(stats.avgDurationMs);
+    }
 
-            return true;
-        });
+    /**
+     * Liest die Filterwerte aus dem Formular
+     */
+    readFilters() {
+        this.filters = {
+            day: document.getElementById('filter-day').value,
+            stage: document.getElementById('filter-stage').value,
+            correct: document.getElementById('filter-correct').value,
+            userKey: document.getElementById('search-user').value
+        };
+    }
 
+    /**
+     * Wendet Filter an
+     */
+    async applyFilters() {
+        this.readFilters();
         this.currentPage = 1;
+        await this.loadSubmissions();
         this.renderTable();
-        console.log(`🔍 Filter angewendet: ${this.filteredSubmissions.length} von ${this.submissions.length} Submissions`);
+        console.log(`🔍 Filter angewendet: ${this.totalFiltered} Submissions`);
     }
 
     /**
      * Setzt Filter zurück
      */
-    resetFilters() {
+    async resetFilters() {
         document.getElementById('filter-day').value = '';
         document.getElementById('filter-stage').value = '';
         document.getElementById('filter-correct').value = '';
         document.getElementById('search-user').value = '';
         
-        this.filteredSubmissions = [...this.submissions];
-        this.currentPage = 1;
-        this.renderTable();
+        await this.applyFilters();
         console.log('🔄 Filter zurückgesetzt');
     }
 
     /**
      * Rendert die Tabelle mit aktuellen Daten
+     * Server- und Datei-Quellen sind nicht vertrauenswürdig: alle Felder laufen durch escapeHtml
      */
     renderTable() {
         const tbody = document.getElementById('submissions-body');
         const emptyState = document.getElementById('empty-state');
         
-        if (this.filteredSubmissions.length === 0) {
+        if (this.pageSubmissions.length === 0) {
             tbody.innerHTML = '';
             emptyState.style.display = 'block';
+            this.renderPagination();
             return;
         }
 
         emptyState.style.display = 'none';
 
-        // Paginierung
-        const startIndex = (this.currentPage - 1) * this.itemsPerPage;
-        const endIndex = startIndex + this.itemsPerPage;
-        const pageSubmissions = this.filteredSubmissions.slice(startIndex, endIndex);
-
         // Erstelle Tabellenzeilen
-        tbody.innerHTML = pageSubmissions.map(submission => {
+        tbody.innerHTML = this.pageSubmissions.map(submission => {
             const rowClass = submission.isCorrect ? 'correct' : 'incorrect';
             const durationClass = this.getDurationClass(submission.durationMs);
             
             return `
                 <tr class="${rowClass}">
-                    <td><span class="user-key">${this.truncateKey(submission.userKey)}</span></td>
-                    <td>${submission.day}</td>
-                    <td>${submission.stage}</td>
+                    <td><span class="user-key">${this.escapeHtml(this.truncateKey(submission.userKey))}</span></td>
+                    <td>${this.escapeHtml(submission.day)}</td>
+                    <td>${this.escapeHtml(submission.stage)}</td>
                     <td>${this.escapeHtml(submission.answer_raw || '')}</td>
                     <td>${this.escapeHtml(submission.answer_norm || '')}</td>
                     <td>${submission.isCorrect ? '✅' : '❌'}</td>
                     <td><span class="duration ${durationClass}">${this.formatDuration(submission.durationMs)}</span></td>
-                    <td><span class="timestamp">${this.formatTimestamp(submission.timestamp)}</span></td>
-                    <td>${submission.source || 'unknown'}</td>
+                    <td>${this.formatPoints(submission)}</td>
+                    <td>${this.formatHints(submission)}</td>
+                    <td><span class="timestamp">${this.formatTimestamp(submission.timestamp || submission.submittedAt)}</span></td>
+                    <td>${this.escapeHtml(submission.source || 'unknown')}</td>
                 </tr>
             `;
         }).join('');
@@ -178,7 +247,7 @@ class SubmissionsAdmin {
      */
     renderPagination() {
         const pagination = document.getElementById('pagination');
-        const totalPages = Math.ceil(this.filteredSubmissions.length / this.itemsPerPage);
+        const totalPages = Math.ceil(this.totalFiltered / this.itemsPerPage);
 
         if (totalPages <= 1) {
             pagination.style.display = 'none';
@@ -225,11 +294,12 @@ class SubmissionsAdmin {
     /**
      * Wechselt zur angegebenen Seite
      */
-    goToPage(page) {
-        const totalPages = Math.ceil(this.filteredSubmissions.length / this.itemsPerPage);
+    async goToPage(page) {
+        const totalPages = Math.ceil(this.totalFiltered / this.itemsPerPage);
         if (page < 1 || page > totalPages) return;
         
         this.currentPage = page;
+        await this.loadSubmissions();
         this.renderTable();
     }
 
@@ -237,6 +307,8 @@ class SubmissionsAdmin {
      * Setup Event Listeners
      */
     setupEventListeners() {
+        document.getElementById('source-type').addEventListener('change', () => this.updateSourceUI());
+
         // Auto-Update alle 30 Sekunden
         setInterval(() => {
             this.refreshData();
@@ -244,33 +316,23 @@ class SubmissionsAdmin {
     }
 
     /**
-     * Exportiert Daten als CSV
+     * Exportiert alle gefilterten Submissions der aktuellen Quelle als CSV
      */
-    exportToCSV() {
-        if (this.filteredSubmissions.length === 0) {
+    async exportToCSV() {
+        let submissions;
+        try {
+            submissions = await this.source.getAll(this.filters);
+        } catch (error) {
+            alert(`Export fehlgeschlagen: ${error.message}`);
+            return;
+        }
+
+        if (submissions.length === 0) {
             alert('Keine Daten zum Exportieren vorhanden.');
             return;
         }
 
-        const headers = [
-            'User Key', 'Tag', 'Stage', 'Antwort Raw', 'Antwort Normalisiert',
-            'Korrekt', 'Dauer (ms)', 'Timestamp', 'Quelle'
-        ];
-
-        const csvContent = [
-            headers.join(','),
-            ...this.filteredSubmissions.map(s => [
-                s.userKey,
-                s.day,
-                s.stage,
-                `"${(s.answer_raw || '').replace(/"/g, '""')}"`,
-                `"${(s.answer_norm || '').replace(/"/g, '""')}"`,
-                s.isCorrect,
-                s.durationMs || '',
-                s.timestamp,
-                s.source || ''
-            ].join(','))
-        ].join('\n');
+        const csvContent = SubmissionSources.submissionsToCSV(submissions);
 
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
         const link = document.createElement('a');
@@ -278,20 +340,22 @@ class SubmissionsAdmin {
         link.download = `winterrallye_submissions_${new Date().toISOString().slice(0, 10)}.csv`;
         link.click();
 
-        console.log('📊 CSV Export abgeschlossen');
+        console.log(`📊 CSV Export abgeschlossen (${submissions.length} Zeilen)`);
     }
 
     /**
-     * Löscht alle gespeicherten Daten
+     * Löscht alle gespeicherten Daten (nur localStorage-Quelle)
      */
-    clearAllData() {
+    async clearAllData() {
+        if (!this.source.canClear) {
+            alert('Diese Quelle kann nicht aus der Admin-Ansicht gelöscht werden.');
+            return;
+        }
+
         const confirmed = confirm('Sicher? Alle Submissions werden unwiderruflich gelöscht!');
         if (confirmed) {
-            localStorage.removeItem(this.storageKey);
-            this.submissions = [];
-            this.filteredSubmissions = [];
-            this.calculateStats();
-            this.renderTable();
+            await this.source.clear();
+            await this.refreshData();
             console.log('🗑️ Alle Submissions gelöscht');
             alert('Alle Daten wurden gelöscht.');
         }
@@ -300,15 +364,44 @@ class SubmissionsAdmin {
     /**
      * Lädt Daten neu
      */
-    refreshData() {
-        this.loadSubmissions();
-        this.calculateStats();
-        this.applyFilters(); // Behält aktuelle Filter bei
+    async refreshData() {
+        this.readFilters(); // Behält aktuelle Filter bei
+        await this.calculateStats();
+        await this.loadSubmissions();
+
+        // Seite existiert nach Löschungen evtl. nicht mehr
+        const totalPages = Math.max(1, Math.ceil(this.totalFiltered / this.itemsPerPage));
+        if (this.currentPage > totalPages) {
+            this.currentPage = totalPages;
+            await this.loadSubmissions();
+        }
+
+        this.renderTable();
         console.log('🔄 Daten aktualisiert');
     }
 
     // --- Hilfsfunktionen ---
 
+    /**
+     * Punkte mit Aufschlüsselung der ScoringEngine (ältere Submissions ohne)
+     */
+    formatPoints(submission) {
+        if (submission.points === undefined || submission.points === null) return '-';
+        if (!submission.scoreBreakdown || !window.ScoringEngine) return this.escapeHtml(submission.points);
+        return `${this.escapeHtml(submission.points)}<br><small class="score-detail">${this.escapeHtml(window.ScoringEngine.describe(submission.scoreBreakdown))}</small>`;
+    }
+
+    /**
+     * Aufgedeckte Tipps mit Punktabzug (HintStore)
+     */
+    formatHints(submission) {
+        if (!submission.hintsUsed) return '-';
+        return this.escapeHtml(`${submission.hintsUsed} (−${submission.hintPenalty || 0} P)`);
+    }
+
+    /**
+     * Formatiert Dauer in lesbarer Form
+     */
     formatDuration(ms) {
         if (!ms || ms <= 0) return '—';
         
@@ -377,6 +470,10 @@ function refreshData() {
     submissionsAdmin.refreshData();
 }
 
+function connectSource() {
+    submissionsAdmin.connectSource();
+}
+
 // Auto-Start
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => submissionsAdmin.init());
@@ -0,0 +1,373 @@
+/**
+ * Admin Submissions - Datenquellen
+ * localStorage (eigener Browser), HTTP (server/submission-server.js) und hochgeladene JSON/CSV-Datei
+ *
+ * Alle Quellen bieten dieselbe Schnittstelle:
+ *   query({ filters, page, pageSize }) → { total, items }
+ *   getAll(filters)                    → alle gefilterten Submissions (CSV-Export)
+ *   stats()                            → { total, correct, uniqueUsers, avgDurationMs }
+ */
+
+'use strict';
+
+const CSV_COLUMNS = [
+    { header: 'User Key', field: 'userKey' },
+    { header: 'Tag', field: 'day', type: 'integer' },
+    { header: 'Stage', field: 'stage', type: 'integer' },
+    { header: 'Antwort Raw', field: 'answer_raw', quoted: true },
+    { header: 'Antwort Normalisiert', field: 'answer_norm', quoted: true },
+    { header: 'Korrekt', field: 'isCorrect', type: 'boolean' },
+    { header: 'Dauer (ms)', field: 'durationMs', type: 'number' },
+    { header: 'Punkte', field: 'points', type: 'number' },
+    { header: 'Tipps', field: 'hintsUsed', type: 'integer' },
+    { header: 'Tipp-Abzug', field: 'hintPenalty', type: 'integer' },
+    { header: 'Timestamp', field: 'timestamp' },
+    { header: 'Quelle', field: 'source' }
+];
+
+/**
+ * Filterlogik der Admin-Ansicht (Tag, Stage, Korrektheit, User-Key-Suche)
+ * @param {Array} submissions - Submissions
+ * @param {Object} filters - { day, stage, correct, userKey } als Formularwerte
+ * @returns {Array} Gefilterte Submissions
+ */
+function filterSubmissions(submissions, filters = {}) {
+    const userKey = (filters.userKey || '').toLowerCase().trim();
+
+    return submissions.filter(submission => {
+        if (filters.day && submission.day !== parseInt(filters.day)) return false;
+        if (filters.stage && submission.stage !== parseInt(filters.stage)) return false;
+        if (filters.correct && String(submission.isCorrect) !== filters.correct) return false;
+        if (userKey && !(submission.userKey || '').toLowerCase().includes(userKey)) return false;
+        return true;
+    });
+}
+
+/**
+ * Kennzahlen wie in der Statistik-Leiste
+ */
+function calculateSubmissionStats(submissions) {
+    const stage2Submissions = submissions.filter(s => s.stage === 2 && s.durationMs);
+
+    return {
+        total: submissions.length,
+        correct: submissions.filter(s => s.isCorrect).length,
+        uniqueUsers: new Set(submissions.map(s => s.userKey)).size,
+        avgDurationMs: stage2Submissions.length > 0
+            ? stage2Submissions.reduce((sum, s) => sum + s.durationMs, 0) / stage2Submissions.length
+            : 0
+    };
+}
+
+/**
+ * Erzeugt CSV im Format von exportToCSV
+ */
+function submissionsToCSV(submissions) {
+    const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+    return [
+        CSV_COLUMNS.map(column => column.header).join(','),
+        ...submissions.map(submission => CSV_COLUMNS.map(column => {
+            const value = submission[column.field];
+            if (column.quoted) return escape(value);
+            if (value === undefined || value === null) return '';
+            return /[",\n]/.test(String(value)) ? escape(value) : value;
+        }).join(','))
+    ].join('\n');
+}
+
+/**
+ * Zerlegt CSV-Text (RFC 4180: Anführungszeichen, "" als Escape, Zeilenumbrüche in Feldern)
+ * @returns {Array<Array<string>>} Zeilen mit Feldern
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+/**
+ * Liest einen CSV-Export (exportToCSV) zurück in Submission-Objekte
+ */
+function submissionsFromCSV(text) {
+    const [headerRow, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+    if (!headerRow) return [];
+
+    const columns = headerRow.map(header => CSV_COLUMNS.find(column => column.header === header.trim()));
+    if (!columns.some(Boolean)) {
+        throw new Error('Unbekanntes CSV-Format: erwartet Spalten wie im CSV-Export');
+    }
+
+    return rows.map(cells => {
+        const submission = {};
+        columns.forEach((column, index) => {
+            if (!column || cells[index] === undefined || cells[index] === '') return;
+            const raw = cells[index];
+
+            switch (column.type) {
+                case 'integer':
+                    submission[column.field] = parseInt(raw, 10);
+                    break;
+                case 'number':
+                    submission[column.field] = Number(raw);
+                    break;
+                case 'boolean':
+                    submission[column.field] = raw === 'true';
+                    break;
+                default:
+                    submission[column.field] = raw;
+            }
+        });
+        return submission;
+    });
+}
+
+// Server-Datendateien haben evtl. nur submittedAt statt timestamp
+const submissionTime = (submission) => new Date(submission.timestamp || submission.submittedAt || 0).getTime();
+
+const sortNewestFirst = (submissions) =>
+    [...submissions].sort((a, b) => submissionTime(b) - submissionTime(a));
+
+/**
+ * Basis für Quellen, deren Daten vollständig im Browser liegen; filtert und paginiert lokal
+ */
+class InMemorySubmissionSource {
+    constructor() {
+        this.supportsServerPaging = false;
+        this.canClear = false;
+    }
+
+    /**
+     * @returns {Promise<Array>} Alle Submissions der Quelle
+     */
+    async load() {
+        throw new Error('load() muss implementiert werden');
+    }
+
+    async query({ filters = {}, page = 1, pageSize = 50 } = {}) {
+        const items = filterSubmissions(sortNewestFirst(await this.load()), filters);
+        const start = (page - 1) * pageSize;
+        return { total: items.length, items: items.slice(start, start + pageSize) };
+    }
+
+    async getAll(filters = {}) {
+        return filterSubmissions(sortNewestFirst(await this.load()), filters);
+    }
+
+    async stats() {
+        return calculateSubmissionStats(await this.load());
+    }
+}
+
+/**
+ * Submissions aus dem localStorage dieses Browsers (wr_submissions_v1)
+ */
+class LocalStorageSubmissionSource extends InMemorySubmissionSource {
+    constructor(storageKey = 'wr_submissions_v1') {
+        super();
+        this.storageKey = storageKey;
+        this.canClear = true;
+        this.label = 'Dieser Browser (localStorage)';
+    }
+
+    async load() {
+        const data = localStorage.getItem(this.storageKey);
+        return data ? JSON.parse(data) : [];
+    }
+
+    async clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+/**
+ * Hochgeladene Datei: JSON (Array, { items } oder Server-Datendatei) oder CSV-Export
+ */
+class FileSubmissionSource extends InMemorySubmissionSource {
+    constructor(fileName, text) {
+        super();
+        this.label = `Datei ${fileName}`;
+        this.submissions = FileSubmissionSource.parse(fileName, text);
+    }
+
+    static parse(fileName, text) {
+        if (/\.csv$/i.test(fileName)) {
+            return submissionsFromCSV(text);
+        }
+
+        const data = JSON.parse(text);
+        const submissions = Array.isArray(data) ? data : data.items;
+        if (!Array.isArray(submissions)) {
+            throw new Error('JSON muss ein Array von Submissions oder { items: [...] } enthalten');
+        }
+        return submissions;
+    }
+
+    async load() {
+        return this.submissions;
+    }
+}
+
+/**
+ * Submission-Server (GET /api/submissions) mit serverseitiger Paginierung
+ */
+class HttpSubmissionSource {
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.token = options.token || '';
+        this.timeoutMs = options.timeoutMs || 8000;
+        this.supportsServerPaging = true;
+        this.canClear = false;
+        this.label = `Server ${this.endpoint}`;
+    }
+
+    buildQuery(filters = {}, page = 1, pageSize = 50) {
+        const params = new URLSearchParams();
+        if (filters.day) params.set('day', filters.day);
+        if (filters.stage) params.set('stage', filters.stage);
+        if (filters.correct) params.set('correct', filters.correct);
+        if (filters.userKey && filters.userKey.trim()) params.set('userKey', filters.userKey.trim());
+        params.set('page', page);
+        params.set('pageSize', pageSize);
+        return params.toString();
+    }
+
+    async request(url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const headers = { Accept: 'application/json' };
+            if (this.token) {
+                headers.Authorization = `Bearer ${this.token}`;
+            }
+
+            const response = await fetch(url, { headers, signal: controller.signal });
+            if (response.status === 401) {
+                throw new Error('Nicht autorisiert - Admin-Token prüfen');
+            }
+            if (!response.ok) {
+                throw new Error(`Server antwortete mit ${response.status}`);
+            }
+            return await response.json();
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Server-Timeout');
+            }
+            throw error;
+
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    async query({ filters = {}, page = 1, pageSize = 50 } = {}) {
+        const result = await this.request(`${this.endpoint}?${this.buildQuery(filters, page, pageSize)}`);
+        return { total: result.total, items: result.items };
+    }
+
+    async getAll(filters = {}) {
+        const pageSize = 500;
+        const items = [];
+
+        for (let page = 1; ; page++) {
+            const result = await this.query({ filters, page, pageSize });
+            items.push(...result.items);
+            if (items.length >= result.total || result.items.length === 0) {
+                return items;
+            }
+        }
+    }
+
+    async stats() {
+        const stats = await this.request(`${this.endpoint}/stats`);
+        return {
+            total: stats.total,
+            correct: stats.correct,
+            uniqueUsers: stats.uniqueUsers,
+            avgDurationMs: stats.avgDurationMs
+        };
+    }
+}
+
+/**
+ * Erzeugt die Quelle aus den Standard-Formularfeldern der Admin-Seiten
+ * (#source-type, #source-endpoint, #source-token, #source-file)
+ * @returns {Promise<Object>} Datenquelle
+ */
+async function createSourceFromForm() {
+    const type = document.getElementById('source-type').value;
+
+    if (type === 'http') {
+        const endpoint = document.getElementById('source-endpoint').value.trim();
+        if (!endpoint) throw new Error('Bitte einen Server-Endpoint angeben');
+        return new HttpSubmissionSource(endpoint, {
+            token: document.getElementById('source-token').value.trim()
+        });
+    }
+
+    if (type === 'file') {
+        const file = document.getElementById('source-file').files[0];
+        if (!file) throw new Error('Bitte eine JSON- oder CSV-Datei auswählen');
+        return new FileSubmissionSource(file.name, await file.text());
+    }
+
+    return new LocalStorageSubmissionSource();
+}
+
+const SubmissionSources = {
+    LocalStorageSubmissionSource,
+    FileSubmissionSource,
+    HttpSubmissionSource,
+    createSourceFromForm,
+    filterSubmissions,
+    calculateSubmissionStats,
+    submissionsToCSV,
+    submissionsFromCSV
+};
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubmissionSources;
+}
+
+if (typeof window !== 'undefined') {
+    window.SubmissionSources = SubmissionSources;
+}
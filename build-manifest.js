@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Erzeugt public/puzzles/raetsel/manifest.json aus allen day-NN.json
+ * Aufruf: node build-manifest.js          (schreibt das Manifest)
+ *         node build-manifest.js --check  (Exit 1, wenn das Manifest veraltet ist)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PuzzleValidator = require('./scripts/puzzle.validator.js');
+
+const PUZZLE_DIR = path.join(__dirname, 'public/puzzles/raetsel');
+const SCHEMA_FILE = path.join(__dirname, 'public/puzzles/schema/puzzle.v1.schema.json');
+const MANIFEST_FILE = path.join(PUZZLE_DIR, 'manifest.json');
+
+// Muss zu CalendarLogic.config.stage1Days passen
+const STAGE1_DAYS = 12;
+
+const checkOnly = process.argv.includes('--check');
+
+const validator = new PuzzleValidator();
+validator.setSchema(JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8')));
+
+const files = fs.readdirSync(PUZZLE_DIR)
+    .filter(name => /^day-\d{2}\.json$/.test(name))
+    .sort();
+
+const days = [];
+let invalid = 0;
+
+for (const file of files) {
+    const day = parseInt(file.substring(4, 6), 10);
+    const raw = fs.readFileSync(path.join(PUZZLE_DIR, file));
+    const data = JSON.parse(raw.toString('utf8'));
+
+    const result = validator.validate(data, { day });
+    if (!result.valid) {
+        console.log(`❌ ${file} ist ungültig und wird nicht ins Manifest übernommen:`);
+        result.errors.forEach(error => console.log(`   ${error.path}: ${error.message}`));
+        invalid++;
+        continue;
+    }
+
+    days.push({
+        day,
+        file,
+        hash: 'sha256-' + crypto.createHash('sha256').update(raw).digest('hex'),
+        stage: day <= STAGE1_DAYS ? 1 : 2,
+        release_times: data.config?.release_times || null,
+        title: data.stage1.title,
+        teaser: data.stage1.teaser || null
+    });
+}
+
+const manifest = {
+    manifest_version: 1,
+    schema: 'puzzle.v1',
+    days
+};
+
+const content = JSON.stringify(manifest, null, 2) + '\n';
+
+if (invalid > 0) {
+    console.log(`\n❌ ${invalid} Rätsel-Datei(en) ungültig - Manifest nicht geschrieben.`);
+    process.exit(1);
+}
+
+if (checkOnly) {
+    const current = fs.existsSync(MANIFEST_FILE) ? fs.readFileSync(MANIFEST_FILE, 'utf8') : '';
+    if (current !== content) {
+        console.log('❌ manifest.json ist veraltet. Bitte "npm run build:manifest" ausführen.');
+        process.exit(1);
+    }
+    console.log(`✅ manifest.json ist aktuell (${days.length} Tage).`);
+} else {
+    fs.writeFileSync(MANIFEST_FILE, content);
+    console.log(`✅ manifest.json geschrieben (${days.length} Tage).`);
+}
@@ -0,0 +1,173 @@
+/**
+ * Achievements - Erfolge für state.userProgress.achievements
+ *
+ * Regeln sind reine Daten ({ id, icon, title, description, criterion, ... });
+ * criteria enthält je Kriterium die Prüfung gegen den Kontext aus main.js:
+ *   solvedDays   gelöste Tage (ProgressModel.getSolvedDays)
+ *   scores       Aufschlüsselungen aus ScoringEngine.score (ProgressModel.getScores)
+ *   stage2Visits Tage mit abgegebener Stage-2 Antwort (ProgressModel.getDaysWithStatus)
+ *   event        auslösendes Ereignis { type: 'solve'|'submit', day, stage, latencyMs }
+ * Einmal vergebene Erfolge bleiben erhalten, auch wenn eine Bedingung später nicht mehr zutrifft.
+ */
+
+'use strict';
+
+class Achievements {
+    constructor() {
+        this.rules = [
+            {
+                id: 'first-door',
+                icon: '🚪',
+                title: 'Erstes Türchen',
+                description: 'Dein erstes Rätsel gelöst',
+                criterion: 'solvedCount',
+                min: 1
+            },
+            {
+                id: 'streak-7',
+                icon: '🔥',
+                title: 'Eine Woche am Stück',
+                description: '7 Tage in Folge gelöst',
+                criterion: 'streak',
+                min: 7
+            },
+            {
+                id: 'all-shops',
+                icon: '🛍️',
+                title: 'Stammkundschaft',
+                description: 'Alle Stage-2 Geschäfte besucht',
+                criterion: 'stage2Visits',
+                // Rückfall ohne ProgressModel; sonst alle Tage mit Stage 2 (getShopCount)
+                min: 24
+            },
+            {
+                id: 'early-bird',
+                icon: '⚡',
+                title: 'Blitzstart',
+                description: 'Innerhalb von 10 Minuten nach Freischaltung gelöst',
+                criterion: 'solvedWithin',
+                maxMinutes: 10
+            },
+            {
+                id: 'no-hints',
+                icon: '🧠',
+                title: 'Ganz ohne Tipps',
+                description: '5 Rätsel ohne Tipp gelöst',
+                criterion: 'solvedWithoutHints',
+                min: 5
+            }
+        ];
+
+        this.criteria = {
+            solvedCount: (rule, context) => context.solvedDays.length >= rule.min,
+            streak: (rule, context) => this.getLongestStreak(context.solvedDays) >= rule.min,
+            stage2Visits: (rule, context) => new Set(context.stage2Visits).size >= this.getShopCount(rule),
+            solvedWithin: (rule, context) => {
+                const latencyMs = context.event?.latencyMs;
+                return Number.isFinite(latencyMs) && latencyMs <= rule.maxMinutes * 60 * 1000;
+            },
+            solvedWithoutHints: (rule, context) =>
+                context.scores.filter(score => score && !score.hintPenalty).length >= rule.min
+        };
+    }
+
+    /**
+     * Neu verdiente Erfolge
+     * @param {Object} context - { solvedDays, scores, stage2Visits, event }
+     * @param {Array<string|{id}>} awarded - state.userProgress.achievements
+     * @returns {Array<Object>} Regeln, die jetzt erstmals erfüllt sind
+     */
+    evaluate(context, awarded = []) {
+        const awardedIds = new Set(this.getAwardedIds(awarded));
+        const normalized = {
+            solvedDays: [...(context.solvedDays || [])],
+            scores: context.scores || [],
+            stage2Visits: context.stage2Visits || [],
+            event: context.event || null
+        };
+
+        return this.rules.filter(rule => {
+            if (awardedIds.has(rule.id)) return false;
+
+            const check = this.criteria[rule.criterion];
+            if (!check) {
+                console.warn(`⚠️ Unbekanntes Kriterium für Erfolg ${rule.id}: ${rule.criterion}`);
+                return false;
+            }
+            return check(rule, normalized);
+        });
+    }
+
+    /**
+     * IDs aus dem gespeicherten State (ältere Stände: reine ID-Strings)
+     */
+    getAwardedIds(awarded = []) {
+        return awarded.map(entry => (typeof entry === 'string' ? entry : entry?.id)).filter(Boolean);
+    }
+
+    /**
+     * Anzahl der Stage-2 Geschäfte (ProgressModel.getStageTotal)
+     */
+    getShopCount(rule) {
+        const model = typeof window !== 'undefined' ? window.ProgressModel : null;
+        return model ? model.getStageTotal(2) : rule.min;
+    }
+
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * Längste Serie aufeinanderfolgender Tage
+     * @param {Iterable<number>} days
+     * @returns {number}
+     */
+    getLongestStreak(days) {
+        const sorted = [...new Set(days)].sort((a, b) => a - b);
+        let longest = 0;
+        let current = 0;
+
+        sorted.forEach((day, index) => {
+            current = index > 0 && day === sorted[index - 1] + 1 ? current + 1 : 1;
+            longest = Math.max(longest, current);
+        });
+
+        return longest;
+    }
+
+    /**
+     * HTML für #achievement-list: erreichte Erfolge zuerst, offene ausgegraut
+     * @param {Array<string|{id}>} awarded
+     * @returns {string}
+     */
+    renderList(awarded = []) {
+        const awardedIds = new Set(this.getAwardedIds(awarded));
+        const sorted = [
+            ...this.rules.filter(rule => awardedIds.has(rule.id)),
+            ...this.rules.filter(rule => !awardedIds.has(rule.id))
+        ];
+
+        return sorted.map(rule => {
+            const earned = awardedIds.has(rule.id);
+            return `
+                <div class="achievement${earned ? '' : ' achievement--locked'}">
+                    <span class="achievement__icon" aria-hidden="true">${earned ? rule.icon : '🔒'}</span>
+                    <span class="achievement__text">
+                        <strong>${rule.title}</strong><br>
+                        <small>${rule.description}${earned ? '' : ' (noch offen)'}</small>
+                    </span>
+                </div>
+            `;
+        }).join('');
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Achievements;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.Achievements = new Achievements();
+}
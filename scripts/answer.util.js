@@ -5,6 +5,8 @@
 
 'use strict';
 
+const ScoringEngineClass = (typeof module !== 'undefined' && module.exports) ? require('./scoring.engine.js') : ScoringEngine;
+
 /**
  * Antwort-Utility-Klasse für Rätsel-Verarbeitung
  */
@@ -15,6 +17,7 @@ class AnswerUtil {
         this.submissionHistory = [];
         this.musicPlayer = null; // Music Integration v3.7
         this.smartLogic = null; // Smart Logic Engine v3.7
+        this.scoringEngine = new ScoringEngineClass();
         
         // Konfiguration für Antwort-Verarbeitung
         this.config = {
@@ -47,8 +50,10 @@ class AnswerUtil {
                 stage2Multiplier: 2,
                 timeBonus: true,
                 maxTimeBonus: 5,
-                consecutiveBonus: true, // Neue Funktion
-                hintPenalty: 2, // Punktabzug für Hinweise
+                consecutiveBonus: true, // Serienbonus für gelöste Tage in Folge
+                streakBonusPerDay: 1,
+                maxStreakBonus: 5,
+                hintPenalty: 2, // Punktabzug je Tipp ohne eigenes cost (HintStore)
                 musicMoodBonus: 1 // Christmas Spirit Bonus
             },
             
@@ -135,14 +140,15 @@ class AnswerUtil {
             const normalizedAnswer = this.normalizeAnswer(validation.sanitized);
 
             // Prüfe gegen bekannte Hashes
-            const verificationResult = await this.verifyAnswer(normalizedAnswer, puzzleData);
+            const verificationResult = await this.verifyAnswer(normalizedAnswer, puzzleData, validation.sanitized);
 
             // Speichere Submission
             this.recordSubmission(rawAnswer, normalizedAnswer, verificationResult, puzzleData);
 
             // Berechne Punkte bei korrekter Antwort
             if (verificationResult.correct) {
-                verificationResult.points = this.calculatePoints(puzzleData, verificationResult.matchedHash);
+                verificationResult.score = this.calculateScore(puzzleData);
+                verificationResult.points = verificationResult.score.total;
             }
 
             // Security-Event loggen
@@ -243,12 +249,16 @@ class AnswerUtil {
     /**
      * Verifiziert eine Antwort gegen gespeicherte Hashes
      */
-    async verifyAnswer(normalizedAnswer, puzzleData) {
+    async verifyAnswer(normalizedAnswer, puzzleData, sanitizedAnswer = normalizedAnswer) {
         try {
             const startTime = Date.now();
+
+            // answer_meta normalisiert nach eigenen Regeln – geht mit in den Cache-Key ein
+            const hasAnswerMeta = Array.isArray(puzzleData.accepted) || Array.isArray(puzzleData.saltedAnswerHashes);
+            const metaAnswer = hasAnswerMeta ? this.applyNormalizeRules(sanitizedAnswer, puzzleData.normalize) : null;
             
             // Cache prüfen
-            const cacheKey = this.getCacheKey(normalizedAnswer, puzzleData);
+            const cacheKey = this.getCacheKey(hasAnswerMeta ? `${normalizedAnswer}|${metaAnswer}` : normalizedAnswer, puzzleData);
             const cached = this.answerCache.get(cacheKey);
             if (cached && (Date.now() - cached.timestamp) < this.config.cache.ttl) {
                 console.log('📦 Antwort-Verifikation aus Cache');
@@ -279,6 +289,22 @@ class AnswerUtil {
                 verificationResult = this.verifyAgainstPlaintext(normalizedAnswer, puzzleData.answerPlaintext);
             }
 
+            // 3b. Antwort-Varianten aus der Rätsel-Datei (stageN.answer_variants)
+            if (!verificationResult.correct && Array.isArray(puzzleData.answerVariants)) {
+                for (const variant of puzzleData.answerVariants) {
+                    const result = this.verifyAgainstPlaintext(normalizedAnswer, variant);
+                    if (result.correct) {
+                        verificationResult = result;
+                        break;
+                    }
+                }
+            }
+
+            // 3c. answer_meta der Rätsel-Datei (accepted bzw. answer_hashes + salt)
+            if (!verificationResult.correct && hasAnswerMeta) {
+                verificationResult = await this.verifyAgainstAnswerMeta(metaAnswer, puzzleData);
+            }
+
             // 4. Pattern-Matching (für flexible Antworten)
             if (!verificationResult.correct && puzzleData.answerPattern) {
                 verificationResult = this.verifyAgainstPattern(normalizedAnswer, puzzleData.answerPattern);
@@ -406,6 +432,54 @@ class AnswerUtil {
         };
     }
 
+    /**
+     * Verifiziert gegen answer_meta: accepted (Klartext) oder answer_hashes (HMAC-SHA256 mit salt)
+     * @param {string} answer - bereits nach answer_meta.normalize normalisiert
+     * @param {Object} puzzleData - { accepted, saltedAnswerHashes, salt }
+     */
+    async verifyAgainstAnswerMeta(answer, puzzleData) {
+        if (Array.isArray(puzzleData.accepted) && puzzleData.accepted.includes(answer)) {
+            return { correct: true, matchedHash: answer, algorithm: 'accepted' };
+        }
+
+        if (Array.isArray(puzzleData.saltedAnswerHashes) && window.SecurityStatic) {
+            const computed = await window.SecurityStatic.hmacSHA256(puzzleData.salt || '', answer);
+            if (puzzleData.saltedAnswerHashes.includes(computed)) {
+                return { correct: true, matchedHash: computed, algorithm: 'HMAC-SHA256' };
+            }
+        }
+
+        return { correct: false };
+    }
+
+    /**
+     * Normalisiert nach answer_meta.normalize (gleiche Regeln wie AnswersStore.normalizeAnswer)
+     * @param {string} answer
+     * @param {string} [rules] - z.B. "lowercase, trim, collapse-spaces, replace-ä->ae"
+     * @returns {string}
+     */
+    applyNormalizeRules(answer, rules = 'lowercase, trim, collapse-spaces') {
+        const steps = {
+            'lowercase': (text) => text.toLowerCase(),
+            'trim': (text) => text.trim(),
+            'collapse-spaces': (text) => text.replace(/\s+/g, ' '),
+            'replace-ä->ae': (text) => text.replace(/ä/g, 'ae'),
+            'replace-ö->oe': (text) => text.replace(/ö/g, 'oe'),
+            'replace-ü->ue': (text) => text.replace(/ü/g, 'ue'),
+            'replace-ß->ss': (text) => text.replace(/ß/g, 'ss'),
+            'remove-spaces': (text) => text.replace(/\s/g, ''),
+            'remove-punctuation': (text) => text.replace(/[.,;:!?-]/g, '')
+        };
+
+        return rules.split(',').map(rule => rule.trim()).reduce((text, rule) => {
+            if (!steps[rule]) {
+                console.warn(`⚠️ Unbekannte Normalisierungsregel: ${rule}`);
+                return text;
+            }
+            return steps[rule](text);
+        }, answer);
+    }
+
     /**
      * Verifiziert gegen Pattern/Regex
      */
@@ -427,30 +501,31 @@ class AnswerUtil {
     }
 
     /**
-     * Berechnet Punkte für korrekte Antwort
+     * Berechnet Punkte für korrekte Antwort (ScoringEngine)
+     * @param {Object} puzzleData - { day, stage, points, releaseTime, streakDays, musicPlaying, hintPenalty }
+     * @returns {Object} Aufschlüsselung aus ScoringEngine.score
      */
-    calculatePoints(puzzleData, matchedHash) {
-        let points = puzzleData.points || this.config.scoring.basePoints;
-        
-        // Stage-2-Bonus
-        const stage = puzzleData.stage || (puzzleData.day > 12 ? 2 : 1);
-        if (stage === 2) {
-            points *= this.config.scoring.stage2Multiplier;
-        }
-
-        // Zeit-Bonus (wenn aktiviert)
-        if (this.config.scoring.timeBonus && puzzleData.releaseTime) {
-            const timeSinceRelease = Date.now() - new Date(puzzleData.releaseTime).getTime();
-            const hoursElapsed = timeSinceRelease / (1000 * 60 * 60);
-            
-            // Bonus für schnelle Lösung (in den ersten 24 Stunden)
-            if (hoursElapsed < 24) {
-                const timeBonus = Math.max(0, this.config.scoring.maxTimeBonus * (1 - hoursElapsed / 24));
-                points += Math.round(timeBonus);
-            }
-        }
+    calculateScore(puzzleData) {
+        // Berliner Zeit aus WR_TIME (Serverabgleich bzw. Vorschau-Modus)
+        const solvedAt = window.WR_TIME ? window.WR_TIME.getBerlinNow() : new Date();
+
+        return this.scoringEngine.score({
+            day: puzzleData.day,
+            stage: puzzleData.stage || (puzzleData.day > 12 ? 2 : 1),
+            basePoints: puzzleData.points,
+            releaseTime: puzzleData.releaseTime,
+            solvedAt,
+            streakDays: puzzleData.streakDays,
+            musicPlaying: puzzleData.musicPlaying,
+            hintPenalty: puzzleData.hintPenalty
+        }, { ...this.scoringEngine.config, ...this.config.scoring });
+    }
 
-        return Math.round(points);
+    /**
+     * Punkte ohne Aufschlüsselung
+     */
+    calculatePoints(puzzleData) {
+        return this.calculateScore(puzzleData).total;
     }
 
     /**
@@ -509,7 +584,7 @@ class AnswerUtil {
      * Cache-Verwaltung
      */
     getCacheKey(answer, puzzleData) {
-        const data = answer + (puzzleData.day || '') + (puzzleData.answerHash || '');
+        const data = answer + (puzzleData.day || '') + (puzzleData.answerHash || '') + (puzzleData.salt || '');
         let hash = 0;
         for (let i = 0; i < data.length; i++) {
             const char = data.charCodeAt(i);
@@ -14,8 +14,16 @@ class AnswersStore {
         this.config = {
             localStorageKey: 'wr_submissions_v1',
             sessionStorageKey: 'wr_stage2_sessions_v1',
-            maxSubmissionsInMemory: 1000
+            maxSubmissionsInMemory: 1000,
+            outbox: {
+                storageKey: 'wr_outbox_v1',
+                immediateRetryMs: 500,
+                backoffBaseMs: 30 * 1000,
+                backoffMaxMs: 30 * 60 * 1000
+            }
         };
+        this.outboxFlushing = false;
+        this.outboxTimerId = null;
         this.isInitialized = false;
     }
 
@@ -31,6 +39,10 @@ class AnswersStore {
             
             // Cleanup alte Einträge
             this.cleanupOldSessions();
+
+            // Outbox: offene Submissions erneut senden
+            this.listenForDeliveryTriggers();
+            this.flushOutbox({ force: true });
             
             this.isInitialized = true;
             console.log('✅ Answers Store initialisiert');
@@ -90,7 +102,9 @@ class AnswersStore {
                 day,
                 sessionId,
                 answer_raw,
-                stage2Config = {}
+                stage2Config = {},
+                hints = {},
+                scoreContext = {}
             } = payload;
 
             console.log(`📝 Stage-2 Antwort wird abgesendet für Tag ${day}:`, { answer_raw });
@@ -128,16 +142,15 @@ class AnswersStore {
                 pageUrl: sessionInfo.pageUrl,
                 timestamp: new Date().toISOString(),
                 sessionId,
-                points: stage2Config.points || 0
+                idempotencyKey: this.createIdempotencyKey(window.WR_USER_KEY || 'unknown', sessionId),
+                delivery: { state: 'pending', updatedAt: submittedAt },
+                ...this.scoreStage2(day, isCorrect, hints, scoreContext)
             };
 
             console.log('📊 Submission-Objekt erstellt:', submission);
 
-            // 6. Speichere lokal
-            const localSaved = await this.saveToLocalStorage(submission);
-            
-            // 7. Sende an Server (falls konfiguriert)
-            const serverResult = await this.submitToServer(submission);
+            // 6./7. Lokal speichern und an Server senden
+            const { localSaved, serverResult } = await this.storeSubmission(submission);
             
             // 8. Cleanup Session
             this.stage2Sessions.delete(sessionId);
@@ -148,10 +161,12 @@ class AnswersStore {
                 ok: true,
                 localSaved,
                 serverSaved: serverResult.success,
+                serverQueued: serverResult.queued === true,
                 serverError: serverResult.error,
                 isCorrect,
                 durationMs,
-                submittedAt
+                submittedAt,
+                score: submission.scoreBreakdown
             };
 
             console.log('✅ Stage-2 Submission abgeschlossen:', result);
@@ -168,6 +183,107 @@ class AnswersStore {
         }
     }
 
+    /**
+     * Speichert eine gelöste Stage-1 Antwort (im Rätsel-Modal bereits geprüft)
+     * @param {Object} payload - { day, answer_raw, answer_norm, score, startedAt, hints }
+     * @returns {Promise<Object>} Result mit { ok, localSaved, serverSaved, errorMessage }
+     */
+    async submitStage1Answer(payload) {
+        try {
+            const { day, answer_raw, answer_norm, score, startedAt, hints = {} } = payload;
+            const userKey = window.WR_USER_KEY || 'unknown';
+            const submittedAt = Date.now();
+            const sessionId = `day${day}_s1_${startedAt}`;
+
+            const submission = {
+                userKey,
+                day,
+                stage: 1,
+                answer_raw,
+                answer_norm,
+                isCorrect: true,
+                startedAt,
+                submittedAt,
+                durationMs: submittedAt - startedAt,
+                source: 'stage1-modal',
+                userAgent: navigator.userAgent,
+                pageUrl: window.location.href,
+                timestamp: new Date().toISOString(),
+                sessionId,
+                idempotencyKey: this.createIdempotencyKey(userKey, sessionId),
+                delivery: { state: 'pending', updatedAt: submittedAt },
+                // Aufschlüsselung aus AnswerUtil.calculateScore (inkl. Tipp-Abzug)
+                points: score ? score.total : 0,
+                hintsUsed: hints.hintsUsed || 0,
+                hintPenalty: hints.hintPenalty || 0,
+                scoreBreakdown: score || null
+            };
+
+            const { localSaved, serverResult } = await this.storeSubmission(submission);
+
+            return {
+                ok: true,
+                localSaved,
+                serverSaved: serverResult.success,
+                serverQueued: serverResult.queued === true,
+                serverError: serverResult.error
+            };
+
+        } catch (error) {
+            console.error('❌ Fehler beim Stage-1 Submit:', error);
+            return {
+                ok: false,
+                localSaved: false,
+                serverSaved: false,
+                errorMessage: error.message
+            };
+        }
+    }
+
+    /**
+     * Punkte einer Stage-2 Antwort über die ScoringEngine; falsche Antworten erhalten 0 Punkte
+     * @param {number} day
+     * @param {boolean} isCorrect
+     * @param {Object} hints - { hintsUsed, hintPenalty } aus HintStore.getPenalty
+     * @param {Object} scoreContext - { basePoints, releaseTime, streakDays, musicPlaying }
+     * @returns {{points, hintsUsed, hintPenalty, scoreBreakdown}}
+     */
+    scoreStage2(day, isCorrect, hints = {}, scoreContext = {}) {
+        const engine = window.ScoringEngine;
+        const score = isCorrect && engine
+            ? engine.score({
+                ...scoreContext,
+                day,
+                stage: 2,
+                solvedAt: window.WR_TIME ? window.WR_TIME.getBerlinNow() : new Date(),
+                hintPenalty: hints.hintPenalty
+            })
+            : null;
+
+        return {
+            points: score ? score.total : 0,
+            hintsUsed: hints.hintsUsed || 0,
+            hintPenalty: hints.hintPenalty || 0,
+            scoreBreakdown: score
+        };
+    }
+
+    /**
+     * Speichert lokal und sendet an den Server – im Vorschau-Modus weder noch
+     * @param {Object} submission
+     * @returns {Promise<{localSaved: boolean, serverResult: Object}>}
+     */
+    async storeSubmission(submission) {
+        const preview = typeof window !== 'undefined' && window.PreviewMode && window.PreviewMode.isActive();
+        if (preview) {
+            return { localSaved: false, serverResult: { success: false, error: 'Vorschau-Modus' } };
+        }
+
+        const localSaved = await this.saveToLocalStorage(submission);
+        const serverResult = await this.submitToServer(submission);
+        return { localSaved, serverResult };
+    }
+
     /**
      * Normalisiert eine Antwort basierend auf den Konfigurationsregeln
      * @param {string} answer - Rohtext der Antwort
@@ -315,56 +431,379 @@ class AnswersStore {
 
     /**
      * Sendet Submission an Backend-Server
+     * Bis zu WR_ANSWER_CFG.maxRetries sofortige Wiederholungen; danach landet die
+     * Submission in der Outbox und wird mit exponentiellem Backoff erneut gesendet.
      * @param {Object} submission - Submission-Objekt
-     * @returns {Promise<Object>} { success: boolean, error?: string }
+     * @returns {Promise<Object>} { success: boolean, queued?: boolean, error?: string }
      */
     async submitToServer(submission) {
-        try {
-            const endpoint = window.WR_ANSWER_CFG?.submitEndpoint;
-            
-            if (!endpoint || endpoint.trim() === '') {
-                console.log('📝 Kein Server-Endpoint konfiguriert, nur lokale Speicherung');
-                return { success: false, error: 'No endpoint configured' };
+        const endpoint = window.WR_ANSWER_CFG?.submitEndpoint;
+
+        if (!endpoint || endpoint.trim() === '') {
+            console.log('📝 Kein Server-Endpoint konfiguriert, nur lokale Speicherung');
+            this.updateDeliveryState(submission.idempotencyKey, { state: 'local-only' });
+            return { success: false, error: 'No endpoint configured' };
+        }
+
+        const maxRetries = navigator.onLine === false ? 0 : (window.WR_ANSWER_CFG?.maxRetries ?? 0);
+        let result;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (attempt > 0) {
+                await this.delay(this.config.outbox.immediateRetryMs * 2 ** (attempt - 1));
             }
 
-            const timeoutMs = window.WR_ANSWER_CFG?.timeoutMs || 8000;
-            const headers = window.WR_ANSWER_CFG?.headers || { 'Content-Type': 'application/json' };
+            result = await this.postSubmission(submission);
+            if (result.success || !result.retryable) {
+                break;
+            }
+        }
 
-            console.log(`🌐 Sende Submission an ${endpoint}...`);
+        if (result.success) {
+            this.updateDeliveryState(submission.idempotencyKey, { state: 'delivered', deliveredAt: Date.now() });
+            return { success: true, response: result.response };
+        }
+
+        if (!result.retryable) {
+            this.updateDeliveryState(submission.idempotencyKey, { state: 'rejected', lastError: result.error });
+            return { success: false, error: result.error };
+        }
 
-            // Erstelle AbortController für Timeout
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        // Offline, Timeout oder Serverfehler: dauerhaft vormerken
+        this.enqueueOutbox(submission, result.error);
+        await this.queueForBackgroundSync(submission);
+        return { success: false, queued: true, error: result.error };
+    }
+
+    /**
+     * Ein einzelner POST-Versuch
+     * @param {Object} submission - Submission-Objekt
+     * @returns {Promise<Object>} { success, retryable, response?, error? }
+     */
+    async postSubmission(submission) {
+        const endpoint = window.WR_ANSWER_CFG.submitEndpoint;
+        const timeoutMs = window.WR_ANSWER_CFG?.timeoutMs || 8000;
+
+        // Erstelle AbortController für Timeout
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            console.log(`🌐 Sende Submission an ${endpoint}...`);
 
             const response = await fetch(endpoint, {
                 method: 'POST',
-                headers,
+                headers: this.getRequestHeaders(submission),
                 body: JSON.stringify(submission),
                 signal: controller.signal
             });
 
-            clearTimeout(timeoutId);
-
             if (!response.ok) {
-                throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+                // 4xx wird durch Wiederholen nicht besser, 408/429/5xx schon
+                const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+                console.error(`❌ Server antwortete mit ${response.status}`);
+                return { success: false, retryable, error: `Server responded with ${response.status}: ${response.statusText}` };
             }
 
             const result = await response.json();
             console.log('✅ Server-Submission erfolgreich:', result);
-            
             return { success: true, response: result };
-            
+
         } catch (error) {
             if (error.name === 'AbortError') {
                 console.error('⏰ Server-Submission timeout');
-                return { success: false, error: 'Request timeout' };
+                return { success: false, retryable: true, error: 'Request timeout' };
             }
-            
+
             console.error('❌ Server-Submission fehlgeschlagen:', error);
-            return { success: false, error: error.message };
+            return { success: false, retryable: true, error: error.message };
+
+        } finally {
+            clearTimeout(timeoutId);
         }
     }
 
+    /**
+     * Header inkl. Idempotency-Key, damit der Server Wiederholungen erkennt
+     */
+    getRequestHeaders(submission) {
+        const headers = { ...(window.WR_ANSWER_CFG?.headers || { 'Content-Type': 'application/json' }) };
+        if (submission.idempotencyKey) {
+            headers['Idempotency-Key'] = submission.idempotencyKey;
+        }
+        return headers;
+    }
+
+    /**
+     * Leitet den Idempotency-Key aus User-Key und Session-ID ab
+     * @param {string} userKey - Benutzer-Schlüssel
+     * @param {string} sessionId - Stage-2 Session-ID
+     * @returns {string} Idempotency-Key
+     */
+    createIdempotencyKey(userKey, sessionId) {
+        return `wr1-${userKey}-${sessionId}`;
+    }
+
+    // --- Outbox ---
+
+    loadOutbox() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.outbox.storageKey) || '[]');
+        } catch (error) {
+            console.warn('⚠️ Outbox beschädigt, wird zurückgesetzt:', error);
+            return [];
+        }
+    }
+
+    saveOutbox(entries) {
+        localStorage.setItem(this.config.outbox.storageKey, JSON.stringify(entries));
+    }
+
+    /**
+     * Legt eine nicht zugestellte Submission in die Outbox
+     * @param {Object} submission - Submission-Objekt
+     * @param {string} lastError - Letzter Fehler
+     */
+    enqueueOutbox(submission, lastError) {
+        const entries = this.loadOutbox();
+
+        if (!entries.some(entry => entry.idempotencyKey === submission.idempotencyKey)) {
+            entries.push({
+                idempotencyKey: submission.idempotencyKey,
+                submission,
+                attempts: 0,
+                nextAttemptAt: Date.now() + this.getBackoffMs(0),
+                lastError
+            });
+            this.saveOutbox(entries);
+        }
+
+        this.updateDeliveryState(submission.idempotencyKey, { state: 'pending', lastError });
+        this.scheduleOutboxFlush();
+        console.log(`📮 Submission in Outbox (${entries.length} offen)`);
+    }
+
+    /**
+     * Exponentieller Backoff mit Obergrenze
+     * @param {number} attempts - Bisherige Outbox-Versuche
+     * @returns {number} Wartezeit in ms
+     */
+    getBackoffMs(attempts) {
+        const { backoffBaseMs, backoffMaxMs } = this.config.outbox;
+        return Math.min(backoffBaseMs * 2 ** attempts, backoffMaxMs);
+    }
+
+    /**
+     * Sendet alle fälligen Outbox-Einträge
+     * @param {Object} options - { force: true } ignoriert nextAttemptAt (online/visibilitychange)
+     * @returns {Promise<Object>} { delivered, rejected, pending }
+     */
+    async flushOutbox(options = {}) {
+        if (this.outboxFlushing) {
+            return { delivered: 0, rejected: 0, pending: this.loadOutbox().length };
+        }
+
+        this.outboxFlushing = true;
+        const stats = { delivered: 0, rejected: 0, pending: 0 };
+
+        try {
+            const now = Date.now();
+
+            for (const entry of this.loadOutbox()) {
+                // Inzwischen vom Service Worker zugestellt (submission-synced)
+                if (!this.loadOutbox().some(current => current.idempotencyKey === entry.idempotencyKey)) {
+                    continue;
+                }
+
+                if (!options.force && entry.nextAttemptAt > now) {
+                    stats.pending++;
+                    continue;
+                }
+
+                const result = await this.postSubmission(entry.submission);
+
+                if (result.success || !result.retryable) {
+                    this.removeFromOutbox(entry.idempotencyKey);
+                    this.dropFromBackgroundSync(entry.idempotencyKey);
+                    this.updateDeliveryState(entry.idempotencyKey, result.success
+                        ? { state: 'delivered', deliveredAt: Date.now() }
+                        : { state: 'rejected', lastError: result.error });
+                    stats[result.success ? 'delivered' : 'rejected']++;
+                    continue;
+                }
+
+                const attempts = entry.attempts + 1;
+                this.updateOutboxEntry(entry.idempotencyKey, {
+                    attempts,
+                    nextAttemptAt: Date.now() + this.getBackoffMs(attempts),
+                    lastError: result.error
+                });
+                this.updateDeliveryState(entry.idempotencyKey, { state: 'pending', lastError: result.error });
+                stats.pending++;
+            }
+        } finally {
+            this.outboxFlushing = false;
+        }
+
+        if (stats.delivered || stats.rejected) {
+            console.log(`📬 Outbox: ${stats.delivered} zugestellt, ${stats.rejected} abgelehnt, ${stats.pending} offen`);
+        }
+
+        this.scheduleOutboxFlush();
+        return stats;
+    }
+
+    updateOutboxEntry(idempotencyKey, changes) {
+        const entries = this.loadOutbox().map(entry =>
+            entry.idempotencyKey === idempotencyKey ? { ...entry, ...changes } : entry
+        );
+        this.saveOutbox(entries);
+    }
+
+    removeFromOutbox(idempotencyKey) {
+        this.saveOutbox(this.loadOutbox().filter(entry => entry.idempotencyKey !== idempotencyKey));
+    }
+
+    /**
+     * Plant den nächsten Outbox-Durchlauf zum frühesten fälligen Eintrag
+     */
+    scheduleOutboxFlush() {
+        clearTimeout(this.outboxTimerId);
+
+        const entries = this.loadOutbox();
+        if (entries.length === 0) {
+            return;
+        }
+
+        const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+        this.outboxTimerId = setTimeout(() => this.flushOutbox(), Math.max(0, nextAttemptAt - Date.now()));
+    }
+
+    /**
+     * Aktualisiert den Zustellstatus der lokal gespeicherten Submission
+     * @param {string} idempotencyKey - Schlüssel der Submission
+     * @param {Object} changes - { state: 'pending'|'delivered'|'rejected'|'local-only', ... }
+     */
+    updateDeliveryState(idempotencyKey, changes) {
+        try {
+            const submissions = this.getAllLocalSubmissions();
+            const submission = submissions.find(entry => entry.idempotencyKey === idempotencyKey);
+            if (!submission) {
+                return;
+            }
+
+            submission.delivery = { ...submission.delivery, ...changes, updatedAt: Date.now() };
+            submission.serverSaved = submission.delivery.state === 'delivered';
+            localStorage.setItem(this.config.localStorageKey, JSON.stringify(submissions));
+
+        } catch (error) {
+            console.warn('⚠️ Zustellstatus konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Übergibt eine nicht zugestellte Submission zusätzlich an den Service Worker (sw.js),
+     * damit sie auch bei geschlossener Seite nachgesendet wird. Wer zuerst zustellt, meldet
+     * es dem anderen (submission-delivered bzw. submission-synced), damit nur einmal gesendet wird
+     * @param {Object} submission - Submission-Objekt
+     * @returns {Promise<boolean>} true, wenn vorgemerkt
+     */
+    async queueForBackgroundSync(submission) {
+        try {
+            if (!('serviceWorker' in navigator)) {
+                return false;
+            }
+
+            // getRegistration statt ready: ready bleibt ohne registrierten Worker ewig offen
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !registration.active) {
+                return false;
+            }
+
+            registration.active.postMessage({
+                type: 'queue-submission',
+                request: {
+                    url: new URL(window.WR_ANSWER_CFG.submitEndpoint, window.location.href).href,
+                    headers: this.getRequestHeaders(submission),
+                    body: JSON.stringify(submission),
+                    sessionId: submission.sessionId,
+                    idempotencyKey: submission.idempotencyKey
+                }
+            });
+
+            if (registration.sync) {
+                await registration.sync.register('wr-submissions');
+            }
+
+            console.log('📮 Submission für Background-Sync vorgemerkt');
+            return true;
+
+        } catch (error) {
+            console.warn('⚠️ Background-Sync nicht verfügbar:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Meldet dem Service Worker, dass die Outbox eine Submission zugestellt (oder endgültig
+     * verworfen) hat, damit er sie aus seiner Background-Sync-Warteschlange entfernt
+     * @param {string} idempotencyKey - Schlüssel der Submission
+     */
+    async dropFromBackgroundSync(idempotencyKey) {
+        try {
+            if (!('serviceWorker' in navigator)) {
+                return;
+            }
+
+            const registration = await navigator.serviceWorker.getRegistration();
+            registration?.active?.postMessage({ type: 'submission-delivered', idempotencyKey });
+
+        } catch (error) {
+            console.warn('⚠️ Service Worker nicht erreichbar:', error);
+        }
+    }
+
+    /**
+     * Stößt die Outbox bei wiederhergestellter Verbindung bzw. sichtbarer Seite an
+     * und übernimmt Rückmeldungen des Service Workers
+     */
+    listenForDeliveryTriggers() {
+        window.addEventListener('online', () => {
+            this.flushOutbox({ force: true });
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && navigator.onLine !== false) {
+                this.flushOutbox({ force: true });
+            }
+        });
+
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const message = event.data || {};
+            if (message.type !== 'submission-synced' || !message.idempotencyKey) {
+                return;
+            }
+
+            this.removeFromOutbox(message.idempotencyKey);
+            this.updateDeliveryState(message.idempotencyKey, message.success
+                ? { state: 'delivered', deliveredAt: Date.now() }
+                : { state: 'rejected', lastError: `HTTP ${message.status}` });
+            console.log(`📬 Service Worker meldet Zustellung ${message.idempotencyKey}: ${message.success ? 'ok' : 'abgelehnt'}`);
+        });
+
+        window.addEventListener('online', () => {
+            navigator.serviceWorker.controller?.postMessage({ type: 'flush-submissions' });
+        });
+    }
+
     /**
      * Lädt Session-Daten aus sessionStorage
      */
@@ -446,7 +885,14 @@ class AnswersStore {
 // Globale Instanz erstellen
 const answersStore = new AnswersStore();
 
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnswersStore;
+}
+
 // Export als WR_ANSWER_STORE für globale API
-window.WR_ANSWER_STORE = answersStore;
+if (typeof window !== 'undefined') {
+    window.WR_ANSWER_STORE = answersStore;
+}
 
 console.log('✅ Answers Store Modul als WR_ANSWER_STORE geladen');
\ No newline at end of file
@@ -21,12 +21,15 @@ class CalendarLogic {
             stage1Days: 12, // Tag 1-12
             stage2Days: 12, // Tag 13-24
             puzzleBaseUrl: 'public/puzzles/raetsel/',
-            releaseTime: { hour: 6, minute: 0 }, // 6:00 Uhr morgens
+            manifestUrl: 'public/puzzles/raetsel/manifest.json',
             musicEnabled: true // Music Integration
         };
 
         // Cache für geladene Rätsel
         this.puzzleCache = new Map();
+
+        // Content-Hashes aus dem Manifest (Tag → "sha256-...")
+        this.manifestHashes = new Map();
     }
 
     /**
@@ -94,9 +97,7 @@ class CalendarLogic {
                      aria-label="Rätsel Tag ${day}">
                     <div class="calendar-door__number">${day}</div>
                     <div class="calendar-door__icon">🎁</div>
-                    <div class="calendar-door__stage-indicator">
-                        ${stage === 1 ? '🎯' : '🏆'}
-                    </div>
+                    <div class="calendar-door__badges" aria-hidden="true"></div>
                 </div>
             `;
         });
@@ -116,95 +117,111 @@ class CalendarLogic {
     }
 
     /**
-     * Lädt Metadaten aller Rätsel
+     * Lädt Metadaten aller Rätsel aus dem Manifest
      */
     async loadPuzzleMetadata() {
         try {
-            console.log('📦 Lade Rätsel-Metadaten...');
-            
-            for (let day = 1; day <= this.config.totalDays; day++) {
-                try {
-                    const metadata = await this.loadPuzzleMetadata(day);
-                    if (metadata) {
-                        this.puzzles.set(day, metadata);
-                    }
-                } catch (error) {
-                    console.warn(`⚠️ Metadaten für Tag ${day} nicht gefunden:`, error);
-                    // Erstelle Standard-Metadaten
-                    this.puzzles.set(day, this.createDefaultPuzzleMetadata(day));
-                }
-            }
+            console.log('📦 Lade Rätsel-Manifest...');
+
+            const manifest = await this.loadManifest();
+            this.applyManifest(manifest);
 
-            console.log(`✅ ${this.puzzles.size} Rätsel-Metadaten geladen`);
+            console.log(`✅ ${manifest.days.length} Rätsel laut Manifest verfügbar`);
 
         } catch (error) {
-            console.error('❌ Fehler beim Laden der Metadaten:', error);
-            // Fallback: Erstelle Standard-Metadaten für alle Tage
-            this.createFallbackMetadata();
+            console.error('❌ Fehler beim Laden des Manifests:', error);
         }
+
+        // Tage ohne Manifest-Eintrag erhalten Platzhalter
+        this.createFallbackMetadata();
     }
 
     /**
-     * Lädt Metadaten für ein bestimmtes Rätsel
+     * Lädt das Rätsel-Manifest (ein Request statt 24)
+     * @returns {Promise<Object>} Manifest mit days[]
      */
-    async loadPuzzleMetadata(day) {
-        const url = `${this.config.puzzleBaseUrl}day-${day.toString().padStart(2, '0')}.json`;
-        
-        try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+    async loadManifest() {
+        const response = await fetch(this.config.manifestUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        if (manifest.manifest_version !== 1 || !Array.isArray(manifest.days)) {
+            throw new Error(`Unbekanntes Manifest-Format (Version ${manifest.manifest_version})`);
+        }
+
+        return manifest;
+    }
+
+    /**
+     * Übernimmt Manifest-Einträge in die Metadaten und verwirft
+     * gecachte Rätsel, deren Content-Hash sich geändert hat
+     * @param {Object} manifest - Geladenes Manifest
+     */
+    applyManifest(manifest) {
+        for (const entry of manifest.days) {
+            const day = entry.day;
+            if (!Number.isInteger(day) || day < 1 || day > this.config.totalDays) {
+                console.warn('⚠️ Ungültiger Manifest-Eintrag:', entry);
+                continue;
             }
-            
-            const data = await response.json();
-            
-            // Validiere Struktur
-            this.validatePuzzleData(data, day);
-            
-            return {
-                ...data,
+
+            const previousHash = this.manifestHashes.get(day);
+            if (previousHash && previousHash !== entry.hash && this.puzzleCache.has(day)) {
+                this.puzzleCache.delete(day);
+                console.log(`♻️ Rätsel ${day} geändert - Cache verworfen`);
+            }
+            this.manifestHashes.set(day, entry.hash);
+
+            // release_times des Rätsels sind maßgeblich für die Freischaltung (WR_TIME)
+            if (window.WR_TIME) {
+                window.WR_TIME.setPuzzleReleaseTimes(day, entry.release_times);
+            }
+
+            this.puzzles.set(day, {
                 day,
-                loaded: true,
-                url
-            };
+                title: entry.title || `Rätsel ${day}`,
+                teaser: entry.teaser || null,
+                stage: entry.stage,
+                releaseTime: entry.release_times ? entry.release_times[0] : null,
+                hash: entry.hash,
+                url: `${this.config.puzzleBaseUrl}${entry.file}`,
+                loaded: true
+            });
+        }
+    }
 
+    /**
+     * Lädt das Manifest neu (z.B. wenn die App wieder sichtbar wird)
+     */
+    async refreshManifest() {
+        try {
+            const manifest = await this.loadManifest();
+            this.applyManifest(manifest);
+            this.updateCalendarDisplay();
         } catch (error) {
-            console.warn(`Rätsel ${day} nicht verfügbar:`, error.message);
-            return null;
+            console.warn('⚠️ Manifest-Aktualisierung fehlgeschlagen:', error.message);
         }
     }
 
     /**
-     * Validiert Rätsel-Datenstruktur
+     * Validiert Rätsel-Datenstruktur gegen das Puzzle-Schema
+     * @throws {Error} mit allen Verletzungen inkl. JSON-Pfad
      */
-    validatePuzzleData(data, day) {
-        const requiredFields = ['title', 'description', 'type', 'points'];
-        
-        for (const field of requiredFields) {
-            if (!data[field]) {
-                throw new Error(`Pflichtfeld '${field}' fehlt`);
-            }
+    async validatePuzzleData(data, day) {
+        const validator = window.PuzzleValidator;
+        if (!validator) {
+            console.warn('⚠️ PuzzleValidator nicht geladen - Schema-Prüfung übersprungen');
+            return;
         }
 
-        // Typ-spezifische Validierung
-        switch (data.type) {
-            case 'location':
-                if (!data.location || !data.answerHash) {
-                    throw new Error('Location-Rätsel benötigt location und answerHash');
-                }
-                break;
-            case 'riddle':
-                if (!data.question || !data.answerHash) {
-                    throw new Error('Riddle-Rätsel benötigt question und answerHash');
-                }
-                break;
-            case 'qr':
-                if (!data.qrSignature || !data.location) {
-                    throw new Error('QR-Rätsel benötigt qrSignature und location');
-                }
-                break;
-            default:
-                console.warn(`Unbekannter Rätsel-Typ: ${data.type}`);
+        await validator.loadSchema();
+
+        const result = validator.validate(data, { day });
+        if (!result.valid) {
+            console.error(`❌ Rätsel ${day} verletzt das Schema:\n${validator.formatErrors(result.errors)}`);
+            throw new Error(`Rätsel ${day} ungültig (${result.errors.length} Fehler): ${validator.formatErrors(result.errors.slice(0, 3))}`);
         }
     }
 
@@ -288,7 +305,7 @@ class CalendarLogic {
         if (!this.isInitialized) return;
 
         try {
-            const now = window.TimeBerlin ? window.TimeBerlin.getCurrentBerlinTime() : new Date();
+            const now = window.WR_TIME ? window.WR_TIME.getBerlinNow() : new Date();
             const currentDecemberDay = this.getCurrentDecemberDay(now);
 
             this.calendarGrid.querySelectorAll('.calendar-door').forEach(doorElement => {
@@ -340,9 +357,19 @@ class CalendarLogic {
             this.updateDoorIcon(doorElement, '🔒');
         }
 
+        // Stage-Badges aus dem Fortschrittsmodell
+        const stageStates = this.getStageStates(day);
+        const badges = doorElement.querySelector('.calendar-door__badges');
+        if (badges) {
+            badges.innerHTML = stageStates.map(({ stage, status, label }) => `
+                <span class="calendar-door__badge calendar-door__badge--${status}" title="Stage ${stage}: ${label}">${stage}</span>
+            `).join('');
+        }
+
         // Aktualisiere ARIA-Attribute
+        const stageText = stageStates.map(({ stage, label }) => `Stage ${stage} ${label}`).join(', ');
         doorElement.setAttribute('aria-label', 
-            `Rätsel Tag ${day} - ${puzzle.title} - ${this.getDoorStatusText(isSolved, isAvailable)}`
+            `Rätsel Tag ${day} - ${puzzle.title} - ${this.getDoorStatusText(isSolved, isAvailable)} (${stageText})`
         );
 
         // Aktiviere/Deaktiviere Interaktion
@@ -395,32 +422,59 @@ class CalendarLogic {
     }
 
     /**
-     * Überprüft ob ein Rätsel gelöst ist
+     * Status aller Stages eines Tages für die Tür-Badges
+     * @returns {Array<{stage, status, label}>}
+     */
+    getStageStates(day) {
+        const model = window.ProgressModel;
+        if (!model) return [];
+
+        const progress = this.getProgress();
+        return model.getStages(day).map(stage => {
+            const { status } = model.getStageState(progress, day, stage);
+            return { stage, status, label: model.config.statusLabels[status] };
+        });
+    }
+
+    /**
+     * Überprüft ob ein Rätsel gelöst ist (Stage, mit der sich das Türchen öffnet)
      */
     isPuzzleSolved(day) {
-        // Prüfe gegen globalen App-State
+        const model = window.ProgressModel;
+        if (!model) return false;
+        return model.isDone(this.getProgress(), day, model.getDoorStage(day));
+    }
+
+    /**
+     * Fortschrittsmodell aus dem globalen App-State
+     */
+    getProgress() {
         if (window.WinterRallyeApp && window.WinterRallyeApp.state) {
-            return window.WinterRallyeApp.state.solvedPuzzles.has(day);
+            return window.WinterRallyeApp.state.progress;
         }
         
-        // Fallback: LocalStorage
+        // Fallback: LocalStorage (Altstände werden migriert)
         try {
             const savedState = localStorage.getItem('winterRallye2025_state');
-            if (savedState) {
-                const state = JSON.parse(savedState);
-                return (state.solvedPuzzles || []).includes(day);
+            if (savedState && window.ProgressModel) {
+                return window.ProgressModel.fromSavedState(JSON.parse(savedState));
             }
         } catch (error) {
-            console.warn('Fehler beim Prüfen des Solved-Status:', error);
+            console.warn('Fehler beim Laden des Fortschritts:', error);
         }
         
-        return false;
+        return null;
     }
 
     /**
      * Berechnet den aktuellen Dezember-Tag
      */
     getCurrentDecemberDay(now = new Date()) {
+        // Kalendertag in Berlin, nicht in der Zeitzone des Geräts
+        if (window.WR_TIME && typeof window.WR_TIME.getCurrentDecemberDay === 'function') {
+            return window.WR_TIME.getCurrentDecemberDay(now);
+        }
+
         const month = now.getMonth() + 1; // 0-basiert
         const date = now.getDate();
         
@@ -444,33 +498,30 @@ class CalendarLogic {
             const progress = this.calculateStageProgress();
             
             if (stage1Indicator) {
-                stage1Indicator.textContent = `${progress.stage1}/12`;
+                stage1Indicator.textContent = `${progress.stage1}/${progress.stage1Total}`;
             }
             
             if (stage2Indicator) {
-                stage2Indicator.textContent = `${progress.stage2}/12`;
+                stage2Indicator.textContent = `${progress.stage2}/${progress.stage2Total}`;
             }
         }
     }
 
     /**
-     * Berechnet den Fortschritt für beide Stages
+     * Berechnet den Fortschritt für beide Stages über alle Tage
+     * Stage 2 zählt ab der Abgabe, auch wenn die Antwort erst serverseitig bestätigt wird.
      */
     calculateStageProgress() {
-        let stage1Solved = 0;
-        let stage2Solved = 0;
-
-        for (let day = 1; day <= this.config.totalDays; day++) {
-            if (this.isPuzzleSolved(day)) {
-                if (day <= this.config.stage1Days) {
-                    stage1Solved++;
-                } else {
-                    stage2Solved++;
-                }
-            }
+        const model = window.ProgressModel;
+        if (!model) {
+            return { stage1: 0, stage2: 0, stage1Total: this.config.totalDays, stage2Total: this.config.totalDays };
         }
 
-        return { stage1: stage1Solved, stage2: stage2Solved };
+        const progress = this.getProgress();
+        const stage1 = model.getStageProgress(progress, 1);
+        const stage2 = model.getStageProgress(progress, 2);
+
+        return { stage1: stage1.done, stage2: stage2.done, stage1Total: stage1.total, stage2Total: stage2.total };
     }
 
     /**
@@ -483,6 +534,11 @@ class CalendarLogic {
                 return this.puzzleCache.get(day);
             }
 
+            // Inhalte zukünftiger Tage erst, wenn die Serverzeit die Freischaltung bestätigt
+            if (window.TimeSync && !(await window.TimeSync.confirmDay(day))) {
+                throw Object.assign(new Error(`Rätsel für Tag ${day} ist noch nicht freigeschaltet`), { code: 'not_released' });
+            }
+
             // Lade aus Metadaten oder vom Server
             const metadata = this.puzzles.get(day);
             if (!metadata || metadata.placeholder) {
@@ -491,12 +547,14 @@ class CalendarLogic {
 
             let puzzle;
             if (metadata.loaded && metadata.url) {
-                // Lade vollständiges Rätsel
-                const response = await fetch(metadata.url);
+                // Lade vollständiges Rätsel (Hash als Cache-Buster)
+                const url = metadata.hash ? `${metadata.url}?v=${encodeURIComponent(metadata.hash)}` : metadata.url;
+                const response = await fetch(url);
                 if (!response.ok) {
                     throw new Error(`HTTP ${response.status}`);
                 }
                 puzzle = await response.json();
+                await this.validatePuzzleData(puzzle, day);
             } else {
                 // Verwende Metadaten
                 puzzle = { ...metadata };
@@ -515,21 +573,22 @@ class CalendarLogic {
     }
 
     /**
-     * Markiert ein Rätsel als gelöst
+     * Markiert eine Stage als gelöst
+     * @param {number} day
+     * @param {number} points
+     * @param {Object} [options] - { stage, score } (Standard: Stage, mit der sich das Türchen öffnet)
+     * @returns {boolean} false, wenn die Stage schon gelöst war
      */
-    markPuzzleAsSolved(day, points = 0) {
+    markPuzzleAsSolved(day, points = 0, options = {}) {
+        const stage = options.stage || (window.ProgressModel ? window.ProgressModel.getDoorStage(day) : 1);
         try {
             // Update global state
-            if (window.WinterRallyeApp && window.WinterRallyeApp.state) {
-                window.WinterRallyeApp.state.solvedPuzzles.add(day);
-                window.WinterRallyeApp.state.userProgress.totalPoints += points;
-                
-                // Update Stage-Progress
-                if (day <= this.config.stage1Days) {
-                    window.WinterRallyeApp.state.userProgress.stage1Progress++;
-                } else {
-                    window.WinterRallyeApp.state.userProgress.stage2Progress++;
-                }
+            if (window.WinterRallyeApp && window.WinterRallyeApp.state && window.ProgressModel) {
+                const recorded = window.ProgressModel.recordSolved(window.WinterRallyeApp.state.progress, day, stage, {
+                    points,
+                    score: options.score
+                });
+                if (!recorded) return false;
             }
 
             // Aktualisiere Kalender-Display
@@ -539,15 +598,18 @@ class CalendarLogic {
             if (window.TrackingAdapter) {
                 window.TrackingAdapter.track('puzzle_solved', {
                     day,
+                    stage,
                     points,
                     timestamp: new Date().toISOString()
                 });
             }
 
-            console.log(`✅ Rätsel ${day} als gelöst markiert (${points} Punkte)`);
+            console.log(`✅ Rätsel ${day} Stage ${stage} als gelöst markiert (${points} Punkte)`);
+            return true;
 
         } catch (error) {
             console.error(`Fehler beim Markieren von Rätsel ${day}:`, error);
+            return false;
         }
     }
 
@@ -626,7 +688,8 @@ class CalendarLogic {
             // Erstelle Modal-Body
             const modalBody = modal.querySelector('.modal__body, .puzzle-content, .content');
             if (modalBody) {
-                modalBody.innerHTML = this.createStage2ModalContent(day, stage2, options);
+                const hintsHtml = window.HintStore ? window.HintStore.renderSection(puzzle, day, 2) : '';
+                modalBody.innerHTML = this.createStage2ModalContent(day, stage2, options, puzzle.config?.location, hintsHtml);
             }
 
             // Erstelle Modal-Footer
@@ -664,17 +727,48 @@ class CalendarLogic {
      * @param {number} day - Tag des Rätsels
      * @param {Object} stage2 - Stage-2 Konfiguration
      * @param {Object} options - Render-Optionen
+     * @param {Object} [location] - config.location für den Standort-Hinweis
+     * @param {string} [hintsHtml] - Tipp-Bereich aus HintStore.renderSection
      * @returns {string} HTML-String
      */
-    createStage2ModalContent(day, stage2, options) {
-        const qrInfo = options.fromQr ? '<div class="stage2-qr-info">🔓 <strong>QR-Code erfolgreich gescannt!</strong> Du kannst jetzt das Rätsel lösen.</div>' : '';
+    createStage2ModalContent(day, stage2, options, location, hintsHtml = '') {
+        const qrInfo = options.fromQr
+            ? '<div class="stage2-qr-info">🔓 <strong>QR-Code erfolgreich gescannt!</strong> Du kannst jetzt das Rätsel lösen.</div>'
+            : `<div class="stage2-scan-info">
+                📷 Den QR-Code für dieses Rätsel findest du im Geschäft.
+                <button type="button" class="btn btn--secondary" data-action="open-scanner">QR-Code scannen</button>
+            </div>
+            <div class="stage2-short-code">
+                <label for="stage2-short-code">QR-Code nicht scanbar? Code vom Aushang eingeben:</label>
+                <div class="stage2-short-code__row">
+                    <input
+                        type="text"
+                        id="stage2-short-code"
+                        class="stage2-short-code__input"
+                        placeholder="XXXX-XXXX"
+                        maxlength="9"
+                        autocomplete="off"
+                        autocapitalize="characters"
+                        spellcheck="false"
+                    />
+                    <button type="button" class="btn btn--secondary stage2-short-code__submit" data-action="submit-short-code" data-payload="${day}">
+                        Code prüfen
+                    </button>
+                </div>
+            </div>`;
+        const locationText = options.locationCheck && window.GeoFence
+            ? window.GeoFence.describe(options.locationCheck, location)
+            : '';
+        const locationInfo = locationText ? `<div class="stage2-location-info">📍 ${locationText}</div>` : '';
         
         return `
             ${qrInfo}
+            ${locationInfo}
             
             <div class="stage2-hints">
                 ${stage2.hint_html || '<p>Hinweise werden geladen...</p>'}
             </div>
+            ${hintsHtml}
             
             <div class="stage2-answer-section">
                 <label for="stage2-answer" class="stage2-answer-label">
@@ -774,6 +868,17 @@ class CalendarLogic {
             // Auto-Focus
             setTimeout(() => answerInput.focus(), 100);
         }
+
+        // Enter-Taste im Kurzcode-Feld
+        const shortCodeInput = document.getElementById('stage2-short-code');
+        if (shortCodeInput) {
+            shortCodeInput.addEventListener('keypress', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    document.querySelector('.stage2-short-code__submit')?.click();
+                }
+            });
+        }
     }
 
     /**
@@ -810,6 +915,11 @@ class CalendarLogic {
     }
 }
 
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarLogic;
+}
+
 // Globale Instanz erstellen
 const calendarLogic = new CalendarLogic();
 
@@ -0,0 +1,172 @@
+/**
+ * GeoFence - Standortprüfung für Stage 2
+ * Vergleicht die Geolocation des Geräts mit config.location (coordinates, radius) des Rätsels
+ */
+
+'use strict';
+
+/**
+ * Richtlinien pro Rätsel (config.location.policy):
+ *   'off'   – keine Standortabfrage, QR-Code genügt
+ *   'warn'  – außerhalb des Radius: Hinweis anzeigen, Rätsel bleibt lösbar (Standard)
+ *   'block' – außerhalb des Radius: Stage 2 wird nicht geöffnet
+ * Ist kein Standort verfügbar (Berechtigung verweigert, Timeout, kein GPS),
+ * gilt immer der QR-only-Fallback: der verifizierte QR-Code genügt.
+ */
+class GeoFence {
+    constructor() {
+        this.config = {
+            defaultPolicy: 'warn',
+            timeoutMs: 10000,
+            maximumAgeMs: 60 * 1000,
+            // Ungenaue Positionen (WLAN/Funkzelle) erweitern den Radius höchstens um diesen Wert
+            maxAccuracyToleranceM: 75
+        };
+        this.earthRadiusM = 6371000;
+    }
+
+    /**
+     * Haversine-Distanz zwischen zwei Koordinaten
+     * @param {{lat: number, lng: number}} from
+     * @param {{lat: number, lng: number}} to
+     * @returns {number} Distanz in Metern
+     */
+    distanceMeters(from, to) {
+        const toRad = (deg) => deg * Math.PI / 180;
+        const dLat = toRad(to.lat - from.lat);
+        const dLng = toRad(to.lng - from.lng);
+
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+        return 2 * this.earthRadiusM * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+
+    /**
+     * Liest die Richtlinie eines Rätsels
+     * @param {Object} location - config.location
+     * @returns {'off'|'warn'|'block'}
+     */
+    getPolicy(location) {
+        if (!location?.coordinates || !location.radius) return 'off';
+        return ['off', 'warn', 'block'].includes(location.policy) ? location.policy : this.config.defaultPolicy;
+    }
+
+    /**
+     * Bewertet eine Position gegen den Radius des Geschäfts
+     * @param {Object} location - config.location
+     * @param {{lat: number, lng: number, accuracy?: number}|null} position - null = kein Standort verfügbar
+     * @param {string} [unavailableReason] - 'denied' | 'unavailable' | 'timeout' | 'unsupported'
+     * @returns {{decision: 'allow'|'warn'|'block', reason: string, policy: string, distanceM?: number, accuracyM?: number}}
+     */
+    evaluate(location, position, unavailableReason = 'unavailable') {
+        const policy = this.getPolicy(location);
+
+        if (policy === 'off') {
+            return { decision: 'allow', reason: 'disabled', policy };
+        }
+
+        if (!position) {
+            return { decision: 'allow', reason: unavailableReason, policy, qrOnly: true };
+        }
+
+        const distanceM = Math.round(this.distanceMeters(position, location.coordinates));
+        const accuracyM = Math.round(position.accuracy || 0);
+        const tolerance = Math.min(accuracyM, this.config.maxAccuracyToleranceM);
+        const inside = distanceM <= location.radius + tolerance;
+
+        return {
+            decision: inside ? 'allow' : policy,
+            reason: inside ? 'inside' : 'outside',
+            policy,
+            distanceM,
+            accuracyM
+        };
+    }
+
+    /**
+     * Fragt die aktuelle Position ab
+     * @returns {Promise<{position: Object|null, reason?: string}>}
+     */
+    getCurrentPosition() {
+        if (typeof navigator === 'undefined' || !navigator.geolocation) {
+            return Promise.resolve({ position: null, reason: 'unsupported' });
+        }
+
+        return new Promise(resolve => {
+            navigator.geolocation.getCurrentPosition(
+                (result) => resolve({
+                    position: {
+                        lat: result.coords.latitude,
+                        lng: result.coords.longitude,
+                        accuracy: result.coords.accuracy
+                    }
+                }),
+                (error) => {
+                    const reasons = { 1: 'denied', 2: 'unavailable', 3: 'timeout' };
+                    resolve({ position: null, reason: reasons[error.code] || 'unavailable' });
+                },
+                {
+                    enableHighAccuracy: true,
+                    timeout: this.config.timeoutMs,
+                    maximumAge: this.config.maximumAgeMs
+                }
+            );
+        });
+    }
+
+    /**
+     * Prüft den Standort für ein Rätsel (fragt nur nach, wenn die Richtlinie es verlangt)
+     * @param {Object} puzzle - Rätsel-JSON
+     * @returns {Promise<Object>} Ergebnis von evaluate
+     */
+    async check(puzzle) {
+        const location = puzzle?.config?.location;
+        if (this.getPolicy(location) === 'off') {
+            return this.evaluate(location, null);
+        }
+
+        const { position, reason } = await this.getCurrentPosition();
+        const result = this.evaluate(location, position, reason);
+
+        console.log(`📍 Standortprüfung Tag ${puzzle.meta?.day}:`, result);
+        return result;
+    }
+
+    /**
+     * Nutzertext zum Ergebnis
+     * @param {Object} result - Ergebnis von evaluate
+     * @param {Object} location - config.location
+     * @returns {string} Leer, wenn nichts anzuzeigen ist
+     */
+    describe(result, location) {
+        const shop = location?.name || 'dem Geschäft';
+
+        if (result.reason === 'outside') {
+            const distance = result.distanceM >= 1000
+                ? `${(result.distanceM / 1000).toFixed(1).replace('.', ',')} km`
+                : `${result.distanceM} m`;
+            return result.decision === 'block'
+                ? `Du bist ca. ${distance} von ${shop} entfernt. Stage 2 kann nur vor Ort gelöst werden.`
+                : `Du scheinst nicht bei ${shop} zu sein (ca. ${distance} entfernt). Die Lösung findest du vor Ort.`;
+        }
+
+        if (result.qrOnly) {
+            return result.reason === 'denied'
+                ? 'Standort nicht freigegeben – der gescannte QR-Code genügt.'
+                : 'Standort nicht ermittelbar – der gescannte QR-Code genügt.';
+        }
+
+        return '';
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoFence;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.GeoFence = new GeoFence();
+}
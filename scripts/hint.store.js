@@ -0,0 +1,236 @@
+/**
+ * Hint Store - Gestufte Tipps mit Punktabzug
+ *
+ * Tipps stehen in der Rätsel-Datei je Stage (stage1.hints[], stage2.hints[]):
+ *   { "html": "<p>…</p>", "cost": 2, "unlock_after_minutes": 60 }
+ *   cost                  Punktabzug (Standard: AnswerUtil.config.scoring.hintPenalty)
+ *   unlock_after_minutes  Wartezeit ab Freischaltung der Stage (release_times)
+ *
+ * Tipps werden der Reihe nach aufgedeckt. Welche Tipps eine Person gesehen hat, speichert
+ * der Store lokal; die Summe der Abzüge geht als hintsUsed/hintPenalty in die Submission
+ * (AnswersStore) und ist dadurch in admin/submissions sichtbar.
+ */
+
+'use strict';
+
+class HintStore {
+    constructor() {
+        this.revealed = {};
+
+        this.config = {
+            storageKey: 'wr_hints_v1',
+            // Rückfall, falls AnswerUtil nicht geladen ist
+            defaultCost: 2
+        };
+    }
+
+    init() {
+        this.loadState();
+        console.log(`💡 Tipps geladen (${Object.keys(this.revealed).length} Stages mit aufgedeckten Tipps)`);
+    }
+
+    /**
+     * Tipps einer Stage mit aufgelösten Standardwerten
+     * @param {Object} puzzle - Rätsel-Datei
+     * @param {number} stage - 1 oder 2
+     * @returns {Array<{index, html, cost, unlockAfterMinutes}>}
+     */
+    getHints(puzzle, stage) {
+        const hints = puzzle?.[`stage${stage}`]?.hints;
+        if (!Array.isArray(hints)) return [];
+
+        return hints.map((hint, index) => ({
+            index,
+            html: hint.html,
+            cost: Number.isInteger(hint.cost) ? hint.cost : this.getDefaultCost(),
+            unlockAfterMinutes: hint.unlock_after_minutes || 0
+        }));
+    }
+
+    getDefaultCost() {
+        const answerUtil = typeof window !== 'undefined' ? window.AnswerUtil : null;
+        const penalty = answerUtil?.config?.scoring?.hintPenalty;
+        return Number.isInteger(penalty) ? penalty : this.config.defaultCost;
+    }
+
+    /**
+     * Bereits aufgedeckte Tipps einer Stage
+     * @returns {Array<{index, cost, revealedAt}>}
+     */
+    getRevealed(day, stage) {
+        return this.revealed[this.getKey(day, stage)] || [];
+    }
+
+    /**
+     * Nächster noch verdeckter Tipp (Tipps werden der Reihe nach aufgedeckt)
+     * @returns {Object|null}
+     */
+    getNextHint(puzzle, day, stage) {
+        return this.getHints(puzzle, stage)[this.getRevealed(day, stage).length] || null;
+    }
+
+    /**
+     * Ab wann ein Tipp aufgedeckt werden darf
+     * @returns {Date|null} null ohne WR_TIME
+     */
+    getUnlockDate(day, stage, hint) {
+        const time = this.getTimeModule();
+        if (!time) return null;
+
+        const release = time.getReleaseDate(day, stage);
+        return new Date(release.getTime() + hint.unlockAfterMinutes * 60 * 1000);
+    }
+
+    isHintUnlocked(day, stage, hint, now) {
+        const unlockDate = this.getUnlockDate(day, stage, hint);
+        const time = this.getTimeModule();
+        const current = now || (time ? time.getBerlinNow() : new Date());
+        return !unlockDate || current >= unlockDate;
+    }
+
+    /**
+     * Deckt einen Tipp auf und merkt sich den Abzug
+     * @param {number} day
+     * @param {number} stage
+     * @param {Object} hint - Eintrag aus getHints
+     * @returns {{index, cost, revealedAt}}
+     * @throws {Error} Wenn der Tipp nicht der nächste ist oder noch gesperrt ist
+     */
+    reveal(day, stage, hint) {
+        const revealed = this.getRevealed(day, stage);
+        const existing = revealed.find(entry => entry.index === hint.index);
+        if (existing) return existing;
+
+        if (hint.index !== revealed.length) {
+            throw new Error('Tipps werden der Reihe nach aufgedeckt');
+        }
+        if (!this.isHintUnlocked(day, stage, hint)) {
+            throw new Error('Dieser Tipp ist noch nicht verfügbar');
+        }
+
+        const entry = { index: hint.index, cost: hint.cost, revealedAt: Date.now() };
+        this.revealed[this.getKey(day, stage)] = [...revealed, entry];
+        this.saveState();
+
+        const tracking = typeof window !== 'undefined' ? window.TrackingAdapter : null;
+        if (tracking && typeof tracking.track === 'function') {
+            tracking.track('hint_revealed', { day, stage, hint: hint.index, cost: hint.cost });
+        }
+
+        console.log(`💡 Tipp ${hint.index + 1} für Tag ${day} Stage ${stage} aufgedeckt (−${hint.cost} Punkte)`);
+        return entry;
+    }
+
+    /**
+     * Abzug für die Submission
+     * @returns {{hintsUsed: number, hintPenalty: number}}
+     */
+    getPenalty(day, stage) {
+        const revealed = this.getRevealed(day, stage);
+        return {
+            hintsUsed: revealed.length,
+            hintPenalty: revealed.reduce((sum, entry) => sum + entry.cost, 0)
+        };
+    }
+
+    /**
+     * HTML für den Tipp-Bereich im Rätsel-Modal (aufgedeckte Tipps + Button für den nächsten)
+     * @param {Object} puzzle - Rätsel-Datei
+     * @param {number} day
+     * @param {number} stage
+     * @param {Object} [options] - { solved: true } blendet den Button aus
+     * @returns {string} Leer, wenn die Stage keine Tipps hat
+     */
+    renderSection(puzzle, day, stage, options = {}) {
+        const hints = this.getHints(puzzle, stage);
+        if (hints.length === 0) return '';
+
+        const revealed = this.getRevealed(day, stage)
+            .map(entry => hints[entry.index])
+            .filter(Boolean)
+            .map(hint => `<li class="puzzle-hints__item">${hint.html}</li>`)
+            .join('');
+
+        const next = options.solved ? null : this.getNextHint(puzzle, day, stage);
+        let button = '';
+        if (next) {
+            const unlockDate = this.isHintUnlocked(day, stage, next) ? null : this.getUnlockDate(day, stage, next);
+            const label = unlockDate
+                ? `Nächster Tipp ab ${this.getTimeModule().formatTimeHHMM(unlockDate)} Uhr`
+                : `Tipp anzeigen (−${next.cost} Punkte)`;
+            button = `<button type="button" class="btn btn--secondary puzzle-hints__button" data-action="show-hint" data-payload="${day}:${stage}">${label}</button>`;
+        }
+
+        return `
+            <div class="puzzle-hints" data-day="${day}" data-stage="${stage}">
+                ${revealed ? `<ol class="puzzle-hints__list">${revealed}</ol>` : ''}
+                ${button}
+            </div>
+        `;
+    }
+
+    /**
+     * Liest Tag und Stage aus dem data-payload des Tipp-Buttons ("day:stage")
+     * @param {string} payload
+     * @returns {{day: number, stage: number}}
+     */
+    parsePayload(payload) {
+        const [day, stage] = String(payload).split(':').map(value => parseInt(value, 10));
+        return { day, stage };
+    }
+
+    reset() {
+        this.revealed = {};
+        this.saveState();
+    }
+
+    getKey(day, stage) {
+        return `${day}-${stage}`;
+    }
+
+    getTimeModule() {
+        return typeof window !== 'undefined' ? window.WR_TIME : null;
+    }
+
+    // --- Persistenz ---
+
+    loadState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+            this.revealed = saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            console.warn('⚠️ Tipps nicht lesbar:', error);
+            this.revealed = {};
+        }
+    }
+
+    saveState() {
+        // Vorschau-Modus: aufgedeckte Tipps nur im Speicher halten
+        if (typeof window !== 'undefined' && window.PreviewMode && window.PreviewMode.isActive()) {
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(this.revealed));
+        } catch (error) {
+            console.warn('⚠️ Tipps nicht speicherbar:', error);
+        }
+    }
+
+    getStatus() {
+        return {
+            stages: Object.keys(this.revealed).length,
+            hintsUsed: Object.values(this.revealed).reduce((sum, entries) => sum + entries.length, 0)
+        };
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HintStore;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.HintStore = new HintStore();
+}
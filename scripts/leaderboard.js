@@ -0,0 +1,229 @@
+/**
+ * Leaderboard - Bestenliste aus Submissions
+ * Gemeinsam genutzt von der App (öffentliche Ansicht), admin/leaderboard.html und server/submission-server.js
+ */
+
+'use strict';
+
+/**
+ * Aggregiert korrekte Submissions pro userKey.
+ * Sortierung: Punkte absteigend, dann kumulierte Lösungszeit (durationMs) aufsteigend.
+ * Gleichstand in beiden Werten ergibt denselben Rang.
+ */
+class Leaderboard {
+    constructor() {
+        this.config = {
+            publicEndpoint: '', // z.B. 'http://localhost:8787/api/leaderboard'
+            publicLimit: 10,
+            refreshIntervalMs: 60 * 1000,
+            localStorageKey: 'wr_submissions_v1'
+        };
+        this.currentBoard = { scope: 'overall' };
+    }
+
+    /**
+     * Maskiert einen User-Key wie die Anzeige "Dein Code" (updateUserKeyDisplay)
+     * @param {string} userKey - Vollständiger Schlüssel
+     * @returns {string} z.B. "****-7F3A"
+     */
+    maskUserKey(userKey) {
+        if (!userKey) return '****';
+        return userKey.length > 4 ? `****-${userKey.slice(-4)}` : userKey;
+    }
+
+    /**
+     * Berechnet eine Bestenliste
+     * @param {Array} submissions - Submissions mit userKey, day, stage, isCorrect, points, durationMs
+     * @param {Object} board - { scope: 'overall'|'day'|'stage', day, stage, limit }
+     * @returns {Array<{rank, userKey, points, totalDurationMs, solved, scoreBreakdowns}>}
+     */
+    compute(submissions, board = {}) {
+        const scope = board.scope || 'overall';
+        if (scope === 'day' && !board.day) throw new Error('Tages-Bestenliste ohne Tag');
+        if (scope === 'stage' && !board.stage) throw new Error('Stage-Bestenliste ohne Stage');
+
+        // Nur die erste korrekte Lösung pro userKey/Tag/Stage zählt
+        const firstSolves = new Map();
+        submissions
+            .filter(s => s && s.isCorrect === true && s.userKey && s.userKey !== 'unknown')
+            .filter(s => scope !== 'day' || s.day === Number(board.day))
+            .filter(s => scope !== 'stage' || s.stage === Number(board.stage))
+            .forEach(s => {
+                const key = `${s.userKey}|${s.day}|${s.stage}`;
+                const existing = firstSolves.get(key);
+                if (!existing || (s.submittedAt || 0) < (existing.submittedAt || 0)) {
+                    firstSolves.set(key, s);
+                }
+            });
+
+        const byUser = new Map();
+        for (const solve of firstSolves.values()) {
+            const row = byUser.get(solve.userKey) || { userKey: solve.userKey, points: 0, totalDurationMs: 0, solved: 0, scoreBreakdowns: [] };
+            row.points += Number(solve.points) || 0;
+            row.totalDurationMs += Number(solve.durationMs) || 0;
+            row.solved += 1;
+            if (solve.scoreBreakdown) row.scoreBreakdowns.push(solve.scoreBreakdown);
+            byUser.set(solve.userKey, row);
+        }
+
+        const rows = [...byUser.values()].sort((a, b) =>
+            b.points - a.points ||
+            a.totalDurationMs - b.totalDurationMs ||
+            (a.userKey < b.userKey ? -1 : a.userKey > b.userKey ? 1 : 0)
+        );
+
+        // Wettkampf-Rangfolge: 1, 1, 3, ...
+        rows.forEach((row, index) => {
+            const previous = rows[index - 1];
+            row.rank = previous && previous.points === row.points && previous.totalDurationMs === row.totalDurationMs
+                ? previous.rank
+                : index + 1;
+        });
+
+        return board.limit ? rows.slice(0, board.limit) : rows;
+    }
+
+    /**
+     * Öffentliche Form: ohne vollständigen User-Key
+     * @param {Array} rows - Ergebnis von compute
+     * @returns {Array<{rank, displayKey, points, totalDurationMs, solved}>}
+     */
+    toPublic(rows) {
+        return rows.map(row => ({
+            rank: row.rank,
+            displayKey: this.maskUserKey(row.userKey),
+            points: row.points,
+            totalDurationMs: row.totalDurationMs,
+            solved: row.solved
+        }));
+    }
+
+    /**
+     * Parst Board-Parameter aus Formular- oder Query-Werten
+     * @returns {Object} { scope, day, stage, limit }
+     */
+    parseBoard(params) {
+        const scope = ['overall', 'day', 'stage'].includes(params.scope) ? params.scope : 'overall';
+        const board = { scope };
+        if (scope === 'day') board.day = parseInt(params.day, 10);
+        if (scope === 'stage') board.stage = parseInt(params.stage, 10);
+        if (params.limit) board.limit = parseInt(params.limit, 10);
+        return board;
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    formatDuration(ms) {
+        if (!ms || ms <= 0) return '—';
+        const totalSeconds = Math.round(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+    }
+
+    // --- Öffentliche Ansicht (index.html) ---
+
+    /**
+     * Lädt die öffentliche Bestenliste: vom Server, sonst aus den lokalen Submissions
+     * @param {Object} board - { scope, day, stage }
+     * @returns {Promise<{rows: Array, source: 'server'|'local'}>}
+     */
+    async loadPublicBoard(board) {
+        const limit = this.config.publicLimit;
+        const endpoint = window.WR_ANSWER_CFG?.leaderboardEndpoint || this.config.publicEndpoint;
+
+        if (endpoint) {
+            try {
+                const params = new URLSearchParams({ scope: board.scope, limit });
+                if (board.day) params.set('day', board.day);
+                if (board.stage) params.set('stage', board.stage);
+
+                const response = await fetch(`${endpoint}?${params}`, { cache: 'no-cache' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const result = await response.json();
+                return { rows: result.rows, source: 'server' };
+
+            } catch (error) {
+                console.warn('⚠️ Bestenliste vom Server nicht erreichbar, nutze lokale Daten:', error);
+            }
+        }
+
+        let submissions = [];
+        try {
+            submissions = JSON.parse(localStorage.getItem(this.config.localStorageKey) || '[]');
+        } catch (error) {
+            console.warn('⚠️ Lokale Submissions nicht lesbar:', error);
+        }
+        return { rows: this.toPublic(this.compute(submissions, { ...board, limit })), source: 'local' };
+    }
+
+    /**
+     * Initialisiert die Bestenliste im Abschnitt #leaderboard
+     */
+    init() {
+        const select = document.getElementById('leaderboard-board');
+        if (!select) return;
+
+        select.innerHTML = [
+            '<option value="overall">Gesamt</option>',
+            '<option value="stage:1">Stage 1</option>',
+            '<option value="stage:2">Stage 2</option>',
+            ...Array.from({ length: 24 }, (_, i) => `<option value="day:${i + 1}">Tag ${i + 1}</option>`)
+        ].join('');
+
+        select.addEventListener('change', () => {
+            const [scope, value] = select.value.split(':');
+            this.currentBoard = this.parseBoard({ scope, day: value, stage: value });
+            this.refresh();
+        });
+
+        this.refresh();
+        setInterval(() => this.refresh(), this.config.refreshIntervalMs);
+        console.log('✅ Bestenliste initialisiert');
+    }
+
+    /**
+     * Lädt und rendert die aktuell gewählte Bestenliste
+     */
+    async refresh() {
+        const list = document.getElementById('leaderboard-list');
+        if (!list) return;
+
+        const { rows, source } = await this.loadPublicBoard(this.currentBoard);
+        const ownKey = window.WR_USER_KEY ? this.maskUserKey(window.WR_USER_KEY) : null;
+
+        if (rows.length === 0) {
+            list.innerHTML = '<li class="leaderboard__empty">Noch keine gelösten Rätsel in dieser Wertung.</li>';
+        } else {
+            list.innerHTML = rows.map(row => `
+                <li class="leaderboard__row${row.displayKey === ownKey ? ' leaderboard__row--own' : ''}">
+                    <span class="leaderboard__rank">${row.rank}.</span>
+                    <code class="leaderboard__key">${this.escapeHtml(row.displayKey)}</code>
+                    <span class="leaderboard__points">${row.points} P</span>
+                    <span class="leaderboard__time">${this.formatDuration(row.totalDurationMs)}</span>
+                </li>
+            `).join('');
+        }
+
+        const hint = document.getElementById('leaderboard-source');
+        if (hint) {
+            hint.textContent = source === 'server'
+                ? 'Alle Teilnehmenden – bei Punktgleichstand zählt die kürzere Gesamtzeit.'
+                : 'Nur Ergebnisse aus diesem Browser – der Server ist nicht erreichbar.';
+        }
+    }
+}
+
+// Export für Node (Server, Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Leaderboard;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.Leaderboard = new Leaderboard();
+}
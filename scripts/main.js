@@ -12,13 +12,13 @@ class WinterRallyeApp {
     constructor() {
         this.isInitialized = false;
         this.modules = new Map();
+        // Öffnungszeitpunkt des Stage-1 Modals (startedAt der Submission)
+        this.puzzleOpenedAt = null;
         this.state = {
             currentDay: null,
-            solvedPuzzles: new Set(),
+            // Status, Zeitpunkte und Punkte je Tag und Stage (scripts/progress.model.js)
+            progress: window.ProgressModel.create(),
             userProgress: {
-                totalPoints: 0,
-                stage1Progress: 0,
-                stage2Progress: 0,
                 achievements: []
             },
             lastActivity: null
@@ -62,6 +62,9 @@ class WinterRallyeApp {
             // Starte Timer-Updates
             this.startPeriodicUpdates();
 
+            // Offline-Betrieb: Service Worker für Precache und Background-Sync
+            this.registerServiceWorker();
+
             this.isInitialized = true;
             console.log('✅ Anwendung erfolgreich initialisiert');
 
@@ -116,14 +119,24 @@ class WinterRallyeApp {
             const savedState = localStorage.getItem('winterRallye2025_state');
             if (savedState) {
                 const parsedState = JSON.parse(savedState);
-                
-                // Validiere und merge State
+                const migrate = !parsedState.progress;
+
+                // Validiere und merge State; Altstände (solvedPuzzles) werden migriert
+                const submissions = window.WR_ANSWER_STORE ? window.WR_ANSWER_STORE.getAllLocalSubmissions() : [];
+                const { solvedPuzzles, ...rest } = parsedState;
+                const { achievements = [] } = parsedState.userProgress || {};
                 this.state = {
                     ...this.state,
-                    ...parsedState,
-                    solvedPuzzles: new Set(parsedState.solvedPuzzles || [])
+                    ...rest,
+                    progress: window.ProgressModel.fromSavedState(parsedState, submissions),
+                    userProgress: { achievements }
                 };
 
+                if (migrate) {
+                    console.log('🔄 Fortschritt auf Tag/Stage-Modell umgestellt');
+                    this.saveUserState();
+                }
+
                 console.log('📁 Benutzer-State geladen:', this.state);
             }
         } catch (error) {
@@ -139,12 +152,19 @@ class WinterRallyeApp {
     async initializeModules() {
         const moduleConfigs = [
             { name: 'security', instance: window.SecurityStatic, required: true },
-            { name: 'time', instance: window.TimeBerlin, required: true },
+            { name: 'time', instance: window.WR_TIME, required: true },
+            { name: 'tracking', instance: window.TrackingAdapter, required: false },
+            { name: 'timeSync', instance: window.TimeSync, required: false },
             { name: 'calendar', instance: window.CalendarLogic, required: true },
             { name: 'qrVerify', instance: window.QRVerify, required: true },
+            { name: 'preview', instance: window.PreviewMode, required: false },
+            { name: 'qrScanner', instance: window.QRScanner, required: false },
             { name: 'answerUtil', instance: window.AnswerUtil, required: true },
+            { name: 'scoring', instance: window.ScoringEngine, required: true },
+            { name: 'progress', instance: window.ProgressModel, required: true },
+            { name: 'hints', instance: window.HintStore, required: false },
+            { name: 'achievements', instance: window.Achievements, required: false },
             { name: 'modalConfirm', instance: window.ModalConfirm, required: false },
-            { name: 'tracking', instance: window.TrackingAdapter, required: false },
             { name: 'extendedMusic', instance: window.ExtendedChristmasMusicPlayer, required: false }
         ];
 
@@ -343,7 +363,13 @@ class WinterRallyeApp {
                     await this.submitStage2Answer(payload, event);
                     break;
                 case 'show-hint':
-                    this.showHint(payload);
+                    await this.showHint(payload);
+                    break;
+                case 'submit-short-code':
+                    await this.submitShortCode(parseInt(payload));
+                    break;
+                case 'open-scanner':
+                    await this.openScanner(event);
                     break;
                 case 'reset-progress':
                     this.confirmResetProgress();
@@ -360,6 +386,289 @@ class WinterRallyeApp {
         }
     }
 
+    /**
+     * Prüft eine Stage-1 Antwort aus dem Rätsel-Modal
+     * @param {string} payload - Tag des Rätsels
+     */
+    async submitAnswer(payload) {
+        const day = parseInt(payload);
+        if (!day || day < 1 || day > 24) {
+            this.showErrorMessage('Ungültiger Tag angegeben.');
+            return;
+        }
+
+        const answerInput = document.getElementById('puzzle-answer');
+        const submitBtn = document.querySelector('[data-action="submit-answer"]');
+        if (!answerInput) {
+            console.error('❌ Stage-1 Antwort-Eingabefeld nicht gefunden');
+            return;
+        }
+
+        if (this.isStageDone(day, 1)) {
+            this.showAnswerFeedback('Dieses Rätsel hast du bereits gelöst. 🎉', 'correct');
+            return;
+        }
+
+        const answerText = answerInput.value.trim();
+        if (!answerText) {
+            this.showAnswerFeedback('Bitte gib zuerst eine Antwort ein.', 'incorrect');
+            answerInput.focus();
+            return;
+        }
+
+        const answerUtil = this.modules.get('answerUtil');
+        const calendar = this.modules.get('calendar');
+        if (!answerUtil || !calendar) {
+            throw new Error('Antwort-Prüfung nicht verfügbar');
+        }
+
+        if (submitBtn) submitBtn.disabled = true;
+
+        try {
+            const puzzle = await calendar.getPuzzle(day);
+            const stage1 = puzzle.stage1 || puzzle;
+            const answerMeta = stage1.answer_meta || {};
+            const hints = this.getHintPenalty(day, 1);
+
+            const result = await answerUtil.processAnswer(answerText, {
+                day,
+                stage: 1,
+                points: puzzle.config?.points_per_stage,
+                releaseTime: window.WR_TIME ? window.WR_TIME.getReleaseDate(day, 1).toISOString() : null,
+                answerHash: stage1.answerHash,
+                answerHashes: stage1.answerHashes,
+                answerVariants: stage1.answer_variants,
+                accepted: answerMeta.accepted,
+                saltedAnswerHashes: answerMeta.answer_hashes,
+                salt: answerMeta.salt,
+                normalize: answerMeta.normalize,
+                hintPenalty: hints.hintPenalty,
+                ...this.getScoreContext(day)
+            });
+
+            if (!result.correct) {
+                if (!result.error) {
+                    this.modules.get('progress').recordAttempt(this.state.progress, day, 1);
+                    this.saveUserState();
+                    this.updateCalendarDisplay();
+                }
+
+                // Validierungs- oder Rate-Limit-Fehler direkt anzeigen, sonst neutral ermutigen
+                this.showAnswerFeedback(result.error || answerMeta.error_message || 'Leider falsch – versuch es noch einmal!', 'incorrect');
+                answerUtil.playAnswerFeedback(false);
+                answerInput.select();
+                return;
+            }
+
+            calendar.markPuzzleAsSolved(day, result.points || 0, { stage: 1, score: result.score });
+            this.saveUserState();
+            this.updateUI();
+
+            answerUtil.playAnswerFeedback(true);
+            this.showAnswerFeedback(`${answerMeta.success_message || 'Richtig!'} +${result.points || 0} Punkte 🎉`, 'correct');
+            this.lockAnswerInput();
+            this.renderHintSection(puzzle, day, 1);
+            this.checkAchievements({ type: 'solve', day, stage: 1, latencyMs: this.getSolveLatency(day, 1) });
+
+            // Lösung mit Tipp-Abzug für Bestenliste und Admin-Ansicht speichern
+            if (window.WR_ANSWER_STORE) {
+                window.WR_ANSWER_STORE.submitStage1Answer({
+                    day,
+                    answer_raw: answerText,
+                    answer_norm: answerUtil.normalizeAnswer(answerText),
+                    score: result.score,
+                    startedAt: this.puzzleOpenedAt || Date.now(),
+                    hints
+                }).then(() => window.Leaderboard?.refresh())
+                    .catch(error => console.warn('⚠️ Stage-1 Lösung konnte nicht gespeichert werden:', error));
+            }
+
+            console.log(`✅ Stage-1 Antwort für Tag ${day} korrekt (${result.points} Punkte)`);
+
+        } finally {
+            if (submitBtn && !this.isStageDone(day, 1)) submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Inline-Rückmeldung unter dem Antwortfeld
+     * @param {string} message
+     * @param {'correct'|'incorrect'} type
+     */
+    showAnswerFeedback(message, type) {
+        const feedback = document.getElementById('puzzle-feedback');
+        if (!feedback) return;
+
+        feedback.textContent = message;
+        feedback.classList.remove('puzzle-feedback--correct', 'puzzle-feedback--incorrect');
+        // Reflow, damit die Animation auch bei wiederholter Rückmeldung neu startet
+        void feedback.offsetWidth;
+        feedback.classList.add(`puzzle-feedback--${type}`);
+    }
+
+    lockAnswerInput() {
+        const answerInput = document.getElementById('puzzle-answer');
+        const submitBtn = document.querySelector('[data-action="submit-answer"]');
+        if (answerInput) answerInput.disabled = true;
+        if (submitBtn) submitBtn.disabled = true;
+    }
+
+    /**
+     * Deckt nach Bestätigung den nächsten Tipp auf (Punktabzug über HintStore)
+     * @param {string} payload - "day:stage" aus HintStore.renderSection
+     */
+    async showHint(payload) {
+        const hintStore = this.modules.get('hints');
+        const calendar = this.modules.get('calendar');
+        if (!hintStore || !calendar) {
+            throw new Error('Tipps nicht verfügbar');
+        }
+
+        const { day, stage } = hintStore.parsePayload(payload);
+
+        const puzzle = await calendar.getPuzzle(day);
+        const hint = hintStore.getNextHint(puzzle, day, stage);
+        if (!hint) {
+            this.showErrorMessage('Für dieses Rätsel gibt es keine weiteren Tipps.');
+            return;
+        }
+
+        if (!hintStore.isHintUnlocked(day, stage, hint)) {
+            const unlockTime = window.WR_TIME.formatTimeHHMM(hintStore.getUnlockDate(day, stage, hint));
+            this.showErrorMessage(`Der nächste Tipp ist ab ${unlockTime} Uhr verfügbar.`);
+            return;
+        }
+
+        const message = `Tipp ${hint.index + 1} kostet ${hint.cost} Punkte. Der Abzug wird bei deiner Lösung verrechnet.`;
+        const modalConfirm = this.modules.get('modalConfirm');
+        const confirmed = modalConfirm
+            ? await modalConfirm.confirm({
+                title: 'Tipp anzeigen?',
+                message,
+                confirmText: 'Tipp anzeigen',
+                cancelText: 'Lieber selbst knobeln',
+                type: 'warning'
+            })
+            : window.confirm(message);
+
+        if (!confirmed) return;
+
+        hintStore.reveal(day, stage, hint);
+        this.renderHintSection(puzzle, day, stage);
+    }
+
+    /**
+     * Ersetzt den Tipp-Bereich im offenen Modal
+     */
+    renderHintSection(puzzle, day, stage) {
+        const hintStore = this.modules.get('hints');
+        const section = document.querySelector(`.puzzle-hints[data-day="${day}"][data-stage="${stage}"]`);
+        if (!hintStore || !section) return;
+
+        section.outerHTML = hintStore.renderSection(puzzle, day, stage, { solved: this.isStageDone(day, stage) });
+    }
+
+    /**
+     * Serie und Musik zum Zeitpunkt der Lösung für die ScoringEngine
+     * @returns {{streakDays: number, musicPlaying: boolean}}
+     */
+    getScoreContext(day) {
+        const scoring = this.modules.get('scoring');
+        return {
+            streakDays: scoring.getStreak(this.modules.get('progress').getSolvedDays(this.state.progress), day),
+            musicPlaying: !!this.modules.get('extendedMusic')?.isPlaying
+        };
+    }
+
+    /**
+     * Gelöst bzw. (Stage 2) abgegeben laut Fortschrittsmodell
+     */
+    isStageDone(day, stage) {
+        return window.ProgressModel.isDone(this.state.progress, day, stage);
+    }
+
+    /**
+     * Zeit zwischen Freischaltung der Stage und jetzt (Berliner Zeit)
+     * @returns {number|undefined} ms, undefined ohne WR_TIME
+     */
+    getSolveLatency(day, stage) {
+        if (!window.WR_TIME) return undefined;
+        return window.WR_TIME.getBerlinNow().getTime() - window.WR_TIME.getReleaseDate(day, stage).getTime();
+    }
+
+    /**
+     * Prüft nach Lösung/Abgabe die Erfolge, speichert neue und kündigt sie an
+     * @param {Object} event - { type: 'solve'|'submit', day, stage, latencyMs }
+     */
+    checkAchievements(event) {
+        const achievements = this.modules.get('achievements');
+        if (!achievements) return;
+
+        const { userProgress, progress } = this.state;
+        const progressModel = this.modules.get('progress');
+        const earned = achievements.evaluate({
+            solvedDays: progressModel.getSolvedDays(progress),
+            scores: progressModel.getScores(progress),
+            stage2Visits: progressModel.getDaysWithStatus(progress, 2, ['submitted', 'solved']),
+            event
+        }, userProgress.achievements);
+
+        if (earned.length === 0) return;
+
+        const awardedAt = new Date().toISOString();
+        userProgress.achievements = [
+            ...(userProgress.achievements || []),
+            ...earned.map(rule => ({ id: rule.id, awardedAt }))
+        ];
+        this.saveUserState();
+        this.renderAchievements();
+
+        this.modules.get('answerUtil')?.playAnswerFeedback(true, 'stage_complete');
+        this.announceAchievements(earned);
+        this.modules.get('tracking')?.track('achievement_unlocked', { ids: earned.map(rule => rule.id), day: event.day });
+
+        console.log(`🏅 Erfolge freigeschaltet: ${earned.map(rule => rule.id).join(', ')}`);
+    }
+
+    /**
+     * Hinweis in der Live-Region #achievement-announcer (sichtbar und für Screenreader)
+     */
+    announceAchievements(earned) {
+        const announcer = document.getElementById('achievement-announcer');
+        if (!announcer) return;
+
+        const text = earned.length === 1
+            ? `🏅 Erfolg freigeschaltet: ${earned[0].title} – ${earned[0].description}`
+            : `🏅 ${earned.length} Erfolge freigeschaltet: ${earned.map(rule => rule.title).join(', ')}`;
+
+        // Leeren und neu setzen, damit auch gleiche Texte erneut vorgelesen werden
+        clearTimeout(this.achievementAnnounceTimer);
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = text;
+            this.achievementAnnounceTimer = setTimeout(() => {
+                announcer.textContent = '';
+            }, 6000);
+        }, 100);
+    }
+
+    renderAchievements() {
+        const list = document.getElementById('achievement-list');
+        const achievements = this.modules.get('achievements');
+        if (!list || !achievements) return;
+
+        list.innerHTML = achievements.renderList(this.state.userProgress.achievements || []);
+    }
+
+    /**
+     * Tipp-Abzug einer Stage für Punkte und Submission
+     * @returns {{hintsUsed: number, hintPenalty: number}}
+     */
+    getHintPenalty(day, stage) {
+        const hintStore = this.modules.get('hints');
+        return hintStore ? hintStore.getPenalty(day, stage) : { hintsUsed: 0, hintPenalty: 0 };
+    }
+
     /**
      * Behandelt Stage-2 Antwort-Eingabe
      * @param {string} payload - Data-day oder zusätzliche Informationen
@@ -419,17 +728,40 @@ class WinterRallyeApp {
                         day,
                         sessionId,
                         answer_raw: answerText,
-                        stage2Config: answerMeta
+                        stage2Config: answerMeta,
+                        hints: this.getHintPenalty(day, 2),
+                        scoreContext: {
+                            basePoints: this.modules.get('scoring').getBasePoints(puzzleData, 2),
+                            releaseTime: window.WR_TIME ? window.WR_TIME.getReleaseDate(day, 2).toISOString() : null,
+                            ...this.getScoreContext(day)
+                        }
                     };
 
                     const result = await window.WR_ANSWER_STORE.submitStage2Answer(payload);
                     
                     if (result && result.ok) {
                         console.log('✅ Stage-2 Antwort erfolgreich eingereicht:', result);
+
+                        this.modules.get('progress').recordSubmitted(this.state.progress, day, 2, {
+                            isCorrect: result.isCorrect,
+                            points: result.score ? result.score.total : undefined,
+                            score: result.score || undefined
+                        });
+                        this.saveUserState();
+                        this.updateUI();
+                        this.checkAchievements({
+                            type: 'submit',
+                            day,
+                            stage: 2,
+                            latencyMs: result.isCorrect ? this.getSolveLatency(day, 2) : undefined
+                        });
                         
                         // Zeige spezifische Success-Message falls verfügbar
                         const successMsg = answerMeta.success_message || 'Deine Antwort wurde erfolgreich eingereicht! 🎉';
                         this.showSuccessMessage(successMsg);
+
+                        // Bestenliste mit der neuen Lösung aktualisieren
+                        window.Leaderboard?.refresh();
                         
                         // Modal schließen nach kurzer Verzögerung
                         setTimeout(() => {
@@ -539,26 +871,30 @@ class WinterRallyeApp {
                 throw new Error('Kalender-Modul nicht verfügbar');
             }
 
-            const puzzle = await calendarModule.getPuzzle(day);
-            if (!puzzle) {
-                throw new Error(`Rätsel für Tag ${day} nicht gefunden`);
-            }
-
             // Überprüfe Verfügbarkeit
             const timeModule = this.modules.get('time');
-            const currentTime = timeModule ? timeModule.getCurrentBerlinTime() : new Date();
+            const currentTime = timeModule ? timeModule.getBerlinNow() : new Date();
             
             if (!this.isPuzzleAvailable(day, currentTime)) {
-                // Zeige spezifische Hinweise je nach WR_TIME Status
-                if (window.WR_TIME && day === window.WR_TIME.cfg.devTestDay) {
-                    const testTime = new Date(window.WR_TIME.cfg.devTestUnlockISO);
-                    this.showErrorMessage(`Türchen ${day} wird um ${window.WR_TIME.formatTimeHHMM(testTime)} Uhr freigeschaltet!`);
-                } else {
-                    this.showErrorMessage(`Türchen ${day} wird um 09:00 Uhr am ${day}. Dezember freigeschaltet!`);
-                }
+                this.showLockedMessage(day);
                 return;
             }
 
+            let puzzle;
+            try {
+                puzzle = await calendarModule.getPuzzle(day);
+            } catch (error) {
+                // Server hat die Freischaltung (noch) nicht bestätigt
+                if (error.code === 'not_released') {
+                    this.showLockedMessage(day);
+                    return;
+                }
+                throw error;
+            }
+            if (!puzzle) {
+                throw new Error(`Rätsel für Tag ${day} nicht gefunden`);
+            }
+
             // Öffne Modal mit Rätsel
             this.displayPuzzleModal(puzzle);
 
@@ -576,6 +912,18 @@ class WinterRallyeApp {
         }
     }
 
+    /**
+     * Hinweis für ein noch gesperrtes Türchen
+     */
+    showLockedMessage(day) {
+        if (window.WR_TIME) {
+            const unlockTime = window.WR_TIME.formatTimeHHMM(window.WR_TIME.getDoorUnlockDate(day));
+            this.showErrorMessage(`Türchen ${day} wird um ${unlockTime} Uhr am ${day}. Dezember freigeschaltet!`);
+        } else {
+            this.showErrorMessage(`Türchen ${day} ist noch nicht freigeschaltet!`);
+        }
+    }
+
     /**
      * Zeigt ein Rätsel im Modal an
      */
@@ -593,10 +941,13 @@ class WinterRallyeApp {
 
             // Bestimme Stage basierend auf puzzle.day
             const day = puzzle.day || puzzle.meta?.day;
-            const stage = day <= 12 ? 1 : 2;
+            const stage = this.modules.get('progress').getDoorStage(day);
 
             // Verwende Stage-spezifische Daten
             const stageData = puzzle[`stage${stage}`] || puzzle;
+
+            this.modules.get('progress').markOpened(this.state.progress, day, stage);
+            this.saveUserState();
             
             // Modal-Titel
             title.textContent = stageData.title || 'Rätsel-Details';
@@ -611,15 +962,33 @@ class WinterRallyeApp {
                         <div class="puzzle-riddle">
                             ${stageData.riddle_html || ''}
                         </div>
+                        ${this.modules.get('hints')?.renderSection(puzzle, day, 1, { solved: this.isStageDone(day, 1) }) || ''}
                         <div class="puzzle-answer-section">
                             <label for="puzzle-answer">Deine Antwort:</label>
-                            <input type="text" id="puzzle-answer" placeholder="Antwort eingeben...">
+                            <input type="text" id="puzzle-answer" placeholder="Antwort eingeben..." autocomplete="off" maxlength="100">
                             <button type="button" data-action="submit-answer" data-payload="${day}">
                                 Antwort prüfen
                             </button>
+                            <p class="puzzle-feedback" id="puzzle-feedback" role="status" aria-live="polite"></p>
                         </div>
                     </div>
                 `;
+
+                // Enter im Eingabefeld prüft die Antwort
+                const answerInput = body.querySelector('#puzzle-answer');
+                answerInput.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter') {
+                        event.preventDefault();
+                        this.handleAction('submit-answer', String(day), event);
+                    }
+                });
+
+                if (this.isStageDone(day, 1)) {
+                    this.showAnswerFeedback('Dieses Rätsel hast du bereits gelöst. 🎉', 'correct');
+                    this.lockAnswerInput();
+                }
+
+                this.puzzleOpenedAt = Date.now();
             } else {
                 // Stage 2 - verwende renderStage2HintView über CalendarLogic
                 const calendarModule = this.modules.get('calendar');
@@ -698,11 +1067,11 @@ class WinterRallyeApp {
         const timeModule = this.modules.get('time');
         if (!timeModule) return;
 
-        const currentTime = timeModule.getCurrentBerlinTime();
+        const currentTime = timeModule.getBerlinNow();
         const timeElement = document.getElementById('current-time');
         
         if (timeElement) {
-            timeElement.textContent = timeModule.formatTime(currentTime);
+            timeElement.textContent = timeModule.formatTimeHHMM(currentTime);
         }
 
         // Countdown bis zum nächsten Rätsel
@@ -717,11 +1086,11 @@ class WinterRallyeApp {
         if (!countdownElement) return;
 
         const timeModule = this.modules.get('time');
-        const nextPuzzleTime = timeModule.getNextPuzzleTime(currentTime);
+        const nextPuzzleTime = timeModule.getNextDailyUnlock(currentTime);
         
         if (nextPuzzleTime) {
             const timeUntil = nextPuzzleTime.getTime() - currentTime.getTime();
-            countdownElement.textContent = timeModule.formatDuration(timeUntil);
+            countdownElement.textContent = timeModule.formatCountdown(timeUntil);
         } else {
             countdownElement.textContent = 'Alle Rätsel verfügbar';
         }
@@ -731,15 +1100,17 @@ class WinterRallyeApp {
      * Aktualisiert die Fortschrittsanzeige
      */
     updateProgressDisplay() {
-        const { solvedPuzzles, userProgress } = this.state;
+        const progressModel = this.modules.get('progress');
         
-        // Fortschrittsbalken
+        // Fortschrittsbalken: abgeschlossene Stages aller Tage
         const progressFill = document.getElementById('progress-fill');
         const progressText = document.getElementById('progress-text');
         
-        if (progressFill && progressText) {
-            const totalPuzzles = 24;
-            const progress = (solvedPuzzles.size / totalPuzzles) * 100;
+        if (progressFill && progressText && progressModel) {
+            const stage1 = progressModel.getStageProgress(this.state.progress, 1);
+            const stage2 = progressModel.getStageProgress(this.state.progress, 2);
+            const totalStages = stage1.total + stage2.total;
+            const progress = totalStages ? ((stage1.done + stage2.done) / totalStages) * 100 : 0;
             
             progressFill.style.width = `${progress}%`;
             progressText.textContent = `${Math.round(progress)}%`;
@@ -747,21 +1118,58 @@ class WinterRallyeApp {
 
         // Stage-Fortschritte
         this.updateStageProgress();
+        this.updateScoreBreakdown();
+        this.renderAchievements();
     }
 
     /**
-     * Aktualisiert die Stage-Fortschritte
+     * Zeigt, woraus sich die Gesamtpunkte zusammensetzen
      */
-    updateStageProgress() {
-        const stage1Progress = document.getElementById('stage-1-progress');
-        const stage2Progress = document.getElementById('stage-2-progress');
-        
-        if (stage1Progress) {
-            stage1Progress.textContent = `${this.state.userProgress.stage1Progress}/12`;
+    updateScoreBreakdown() {
+        const container = document.getElementById('score-breakdown');
+        const scoring = this.modules.get('scoring');
+        if (!container || !scoring) return;
+
+        const summary = scoring.summarize(window.ProgressModel.getScores(this.state.progress));
+        // Punkte aus Altständen ohne Aufschlüsselung (ProgressModel.migrate)
+        const legacyPoints = this.state.progress.legacyPoints || 0;
+        if (summary.solves === 0 && legacyPoints === 0) {
+            container.innerHTML = '';
+            return;
         }
-        
-        if (stage2Progress) {
-            stage2Progress.textContent = `${this.state.userProgress.stage2Progress}/12`;
+
+        const rows = [
+            ['Basispunkte', summary.basePoints],
+            ['Zeitbonus', summary.timeBonus],
+            ['Serienbonus', summary.streakBonus],
+            ['Musikbonus', summary.musicBonus],
+            ['Tipp-Abzug', -summary.hintPenalty],
+            ['Übernommen', legacyPoints]
+        ].filter(([, value]) => value !== 0);
+
+        container.innerHTML = `
+            <dl class="score-breakdown__list">
+                ${rows.map(([label, value], index) => `
+                    <div class="score-breakdown__row">
+                        <dt>${label}</dt>
+                        <dd>${index > 0 && value > 0 ? '+' : ''}${value}</dd>
+                    </div>
+                `).join('')}
+                <div class="score-breakdown__row score-breakdown__row--total">
+                    <dt>Gesamt</dt>
+                    <dd>${summary.total + legacyPoints}</dd>
+                </div>
+            </dl>
+        `;
+    }
+
+    /**
+     * Aktualisiert die Stage-Fortschritte (#stage-1-progress, #stage-2-progress)
+     */
+    updateStageProgress() {
+        const calendar = this.modules.get('calendar');
+        if (calendar) {
+            calendar.updateStageIndicators();
         }
     }
 
@@ -779,12 +1187,14 @@ class WinterRallyeApp {
             currentDayEl.textContent = currentDay || '--';
         }
 
+        const stats = window.ProgressModel.getStats(this.state.progress);
+
         if (solvedCountEl) {
-            solvedCountEl.textContent = this.state.solvedPuzzles.size;
+            solvedCountEl.textContent = stats.solvedDays;
         }
 
         if (totalPointsEl) {
-            totalPointsEl.textContent = this.state.userProgress.totalPoints;
+            totalPointsEl.textContent = stats.totalPoints;
         }
     }
 
@@ -798,10 +1208,10 @@ class WinterRallyeApp {
         try {
             const userKey = window.WR_USER_KEY;
             if (userKey && userKey !== 'unknown') {
-                // Zeige nur die letzten 4 Zeichen für bessere Sicherheit
-                const maskedKey = userKey.length > 4 
-                    ? `****-${userKey.slice(-4)}` 
-                    : userKey;
+                // Zeige nur die letzten 4 Zeichen für bessere Sicherheit (wie in der Bestenliste)
+                const maskedKey = window.Leaderboard
+                    ? window.Leaderboard.maskUserKey(userKey)
+                    : `****-${userKey.slice(-4)}`;
                 userKeyDisplay.textContent = maskedKey;
                 userKeyDisplay.setAttribute('data-full-key', userKey);
             } else {
@@ -837,10 +1247,14 @@ class WinterRallyeApp {
      * Speichert den Benutzer-State
      */
     saveUserState() {
+        // Vorschau-Modus: Fortschritt nie speichern
+        if (window.PreviewMode && window.PreviewMode.isActive()) {
+            return;
+        }
+
         try {
             const stateToSave = {
                 ...this.state,
-                solvedPuzzles: Array.from(this.state.solvedPuzzles),
                 lastSaved: new Date().toISOString()
             };
 
@@ -857,11 +1271,9 @@ class WinterRallyeApp {
     resetUserState() {
         this.state = {
             currentDay: null,
-            solvedPuzzles: new Set(),
+            // Status, Zeitpunkte und Punkte je Tag und Stage (scripts/progress.model.js)
+            progress: window.ProgressModel.create(),
             userProgress: {
-                totalPoints: 0,
-                stage1Progress: 0,
-                stage2Progress: 0,
                 achievements: []
             },
             lastActivity: null
@@ -876,8 +1288,8 @@ class WinterRallyeApp {
      */
     handleVisibilityChange() {
         if (!document.hidden && this.isInitialized) {
-            // App wieder aktiv - aktualisiere UI
-            this.updateUI();
+            // App wieder aktiv - Manifest prüfen und UI aktualisieren
+            this.refreshData();
         }
     }
 
@@ -925,7 +1337,12 @@ class WinterRallyeApp {
                 console.warn('⚠️ WR_TIME Modul nicht geladen');
             }
 
-            // 3. Prüfe URL-Parameter für automatisches Türchen-Öffnen
+            // 3. Bestenliste
+            if (window.Leaderboard) {
+                window.Leaderboard.init();
+            }
+
+            // 4. Prüfe URL-Parameter für automatisches Türchen-Öffnen
             this.checkAutoOpenDoor();
 
         } catch (error) {
@@ -933,6 +1350,23 @@ class WinterRallyeApp {
         }
     }
 
+    /**
+     * Registriert den Service Worker (sw.js) für Offline-Betrieb in Läden mit schlechtem Empfang
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            console.warn('⚠️ Service Worker nicht unterstützt - kein Offline-Betrieb');
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.register('./sw.js');
+            console.log('✅ Service Worker registriert:', registration.scope);
+        } catch (error) {
+            console.warn('⚠️ Service Worker konnte nicht registriert werden:', error);
+        }
+    }
+
     /**
      * Prüft URL-Parameter und öffnet Türchen automatisch falls verfügbar
      */
@@ -973,6 +1407,40 @@ class WinterRallyeApp {
         }
     }
 
+    /**
+     * Öffnet den QR-Scanner (aus dem Kalender oder aus dem Stage-2-Türchen)
+     * @param {Event} event - Optional: Click-Event
+     */
+    async openScanner(event) {
+        const scanner = this.modules.get('qrScanner');
+        if (!scanner) {
+            this.showErrorMessage('Der QR-Scanner ist nicht verfügbar. Bitte nutze die Kamera-App deines Handys.');
+            return;
+        }
+
+        // Aus dem Stage-2-Türchen heraus: Rätsel-Modal vorher schließen
+        if (event && event.target && event.target.closest('#puzzle-modal')) {
+            this.closeCurrentModal(event);
+        }
+
+        await scanner.open();
+    }
+
+    /**
+     * Prüft den im Stage-2-Türchen eingegebenen Kurzcode wie einen gescannten QR-Code
+     * @param {number} day - Tag des Rätsels (1-24)
+     */
+    async submitShortCode(day) {
+        const input = document.getElementById('stage2-short-code');
+        const code = input ? input.value.trim() : '';
+        if (!code) {
+            this.showErrorMessage('Bitte gib den Code vom Aushang ein.');
+            return;
+        }
+
+        await this.handleStage2QRCode(day, code);
+    }
+
     /**
      * Behandelt Stage-2 QR-Code Aufrufe
      * @param {number} day - Tag des Rätsels (1-24)
@@ -982,7 +1450,15 @@ class WinterRallyeApp {
         try {
             console.log(`🔍 Verarbeite Stage-2 QR-Code für Tag ${day}:`, qrToken);
 
+            // Stage 2 erst ab ihrer Freischaltzeit (release_times[1]) - vor der Prüfung, damit kein Einmal-Code verbraucht wird
+            if (window.WR_TIME && !window.WR_TIME.isStageReleased(day, 2, window.WR_TIME.getBerlinNow())) {
+                const releaseTime = window.WR_TIME.formatTimeHHMM(window.WR_TIME.getReleaseDate(day, 2));
+                this.showErrorMessage(`Stage 2 von Tag ${day} startet um ${releaseTime} Uhr am ${day}. Dezember.`);
+                return;
+            }
+
             // QR-Code Verifikation
+            let qrResult = null;
             const qrVerify = this.modules.get('qrVerify');
             if (!qrVerify) {
                 console.warn('⚠️ QR-Verifizierungs-Modul nicht verfügbar, nutze Test-Modus');
@@ -995,10 +1471,13 @@ class WinterRallyeApp {
                 }
             } else {
                 // Verifiziere QR-Token
-                const qrResult = await qrVerify.verifyToken(qrToken, { day, stage: 2 });
+                qrResult = await qrVerify.verifyToken(qrToken, { day, stage: 2 });
                 if (!qrResult || !qrResult.valid) {
                     console.error('❌ QR-Code Verifikation fehlgeschlagen:', qrResult);
-                    this.showErrorMessage('Ungültiger QR-Code. Bitte versuche es erneut.');
+                    // Abgelaufen, an anderes Gerät gebunden, bereits eingelöst usw.
+                    this.showErrorMessage(qrResult?.error
+                        ? `Ungültiger QR-Code: ${qrResult.error}`
+                        : 'Ungültiger QR-Code. Bitte versuche es erneut.');
                     return;
                 }
                 console.log('✅ QR-Code erfolgreich verifiziert:', qrResult);
@@ -1019,13 +1498,29 @@ class WinterRallyeApp {
                 return;
             }
 
+            // Standortprüfung (config.location.policy)
+            let locationCheck = null;
+            if (window.GeoFence) {
+                locationCheck = await window.GeoFence.check(puzzle);
+                if (locationCheck.decision === 'block') {
+                    this.showErrorMessage(window.GeoFence.describe(locationCheck, puzzle.config.location));
+                    return;
+                }
+            }
+
             // Zeige Stage-2 Hinweisansicht
             const renderOptions = {
                 fromQr: true,
                 sessionId: this.generateSessionId(),
+                locationCheck,
                 qrContext: {
                     token: qrToken,
                     verificationResult: qrResult,
+                    location: locationCheck ? {
+                        decision: locationCheck.decision,
+                        reason: locationCheck.reason,
+                        distanceM: locationCheck.distanceM
+                    } : null,
                     timestamp: new Date().toISOString()
                 }
             };
@@ -1037,6 +1532,8 @@ class WinterRallyeApp {
                 return;
             }
 
+            this.modules.get('progress').markOpened(this.state.progress, day, 2);
+            this.saveUserState();
             console.log('🎯 Stage-2 QR-Code erfolgreich verarbeitet');
 
             // URL bereinigen (Optional)
@@ -1138,12 +1635,25 @@ class WinterRallyeApp {
     updateCalendarDisplay() {
         const calendarModule = this.modules.get('calendar');
         if (calendarModule) {
-            calendarModule.updateDisplay();
+            calendarModule.updateCalendarDisplay();
         }
     }
 
-    refreshData() {
+    async refreshData() {
         console.log('🔄 Daten werden aktualisiert...');
+
+        // Serverzeit neu abgleichen - die Geräteuhr kann im Hintergrund verstellt worden sein
+        const timeSync = this.modules.get('timeSync');
+        if (timeSync) {
+            await timeSync.sync();
+        }
+
+        // Manifest neu laden - geänderte Rätsel werden dabei aus dem Cache verworfen
+        const calendarModule = this.modules.get('calendar');
+        if (calendarModule && typeof calendarModule.refreshManifest === 'function') {
+            await calendarModule.refreshManifest();
+        }
+
         this.updateUI();
     }
 }
@@ -0,0 +1,378 @@
+/**
+ * Preview Mode - Zeitreise-Vorschau für Redaktion und Tests
+ *
+ * Ersetzt das frühere DEV-Testtürchen: Mit einem signierten Vorschau-Token läuft die App mit
+ * simulierter Berliner Zeit (WR_TIME.setSimulatedNow). Türchen, Stages und Countdown verhalten
+ * sich wie zum simulierten Zeitpunkt. Gelöste Rätsel, Antworten und Einmal-Codes werden im
+ * Vorschau-Modus weder gespeichert noch an den Server gesendet.
+ *
+ * Token pv1 (gleicher Schlüssel und gleiche Kodierung wie QR-Token v1, siehe qr.token.js):
+ *   pv1.<header>.<payload>.<signature>
+ *   header  = {"alg":"ES256","kid":"<keyId>"}
+ *   payload = {"purpose":"preview","at":<Unix-s>,"iat":<Unix-s>,"exp":<Unix-s>}
+ *             at = simulierter Startzeitpunkt, exp = Ablauf des Tokens (echte Zeit)
+ *
+ * Vorschau-URL: <baseUrl>/?preview=<token> (erzeugt in admin/preview.html)
+ */
+
+'use strict';
+
+// Token-Codec (scripts/qr.token.js): im Browser per <script> vorher geladen, in Node per require
+const PreviewTokenCodec = (typeof module !== 'undefined' && module.exports) ? require('./qr.token.js') : QRToken;
+
+class PreviewMode {
+    constructor() {
+        this.codec = new PreviewTokenCodec();
+        this.active = false;
+        this.token = null;
+        this.claims = null;
+        this.banner = null;
+
+        this.config = {
+            version: 'pv1',
+            urlParam: 'preview',
+            storageKey: 'wr_preview_v1',
+            pattern: /^pv1\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/,
+            // Vorschau-Links sollen kurzlebig bleiben
+            maxValidityHours: 72
+        };
+    }
+
+    /**
+     * Aktiviert die Vorschau aus ?preview=<token> oder stellt sie für diesen Tab wieder her
+     */
+    async init() {
+        const fromUrl = this.readTokenFromUrl();
+        const stored = fromUrl ? null : this.loadState();
+        const token = fromUrl || (stored && stored.token);
+
+        if (!token) return;
+
+        try {
+            await this.activate(token, stored ? stored.simulatedAt : null);
+        } catch (error) {
+            console.warn('⚠️ Vorschau-Token abgelehnt:', error.message);
+            this.clearState();
+        }
+    }
+
+    // --- Token ---
+
+    /**
+     * Signiert ein Vorschau-Token (nur in admin/preview.html)
+     * @param {{at: Date|number, validHours: number}} options
+     * @param {{keyId: string, privateKeyJwk: Object}} signingKey
+     * @returns {Promise<string>} Token pv1
+     */
+    async createToken({ at, validHours }, signingKey) {
+        const iat = Math.floor(Date.now() / 1000);
+        const payload = {
+            purpose: 'preview',
+            at: Math.floor(new Date(at).getTime() / 1000),
+            iat,
+            exp: iat + Math.round(validHours * 3600)
+        };
+        this.validateClaims(payload);
+
+        const header = { alg: this.codec.algorithm, kid: signingKey.keyId };
+        const signingInput = `${this.config.version}.${this.codec.base64UrlEncode(JSON.stringify(header))}.${this.codec.base64UrlEncode(JSON.stringify(payload))}`;
+
+        return `${signingInput}.${await this.codec.signInput(signingInput, signingKey.privateKeyJwk)}`;
+    }
+
+    /**
+     * Zerlegt ein Vorschau-Token ohne Signaturprüfung
+     * @param {string} token
+     * @returns {{header, payload, signingInput, signature: Uint8Array}}
+     * @throws {Error} Bei unbekanntem Format
+     */
+    decodeToken(token) {
+        if (typeof token !== 'string' || token.length > this.codec.maxLength || !this.config.pattern.test(token)) {
+            throw new Error('Unbekanntes Vorschau-Token-Format');
+        }
+
+        const [version, headerPart, payloadPart, signaturePart] = token.split('.');
+        let header;
+        let payload;
+        try {
+            header = JSON.parse(this.codec.base64UrlDecodeText(headerPart));
+            payload = JSON.parse(this.codec.base64UrlDecodeText(payloadPart));
+        } catch (error) {
+            throw new Error('Vorschau-Token nicht lesbar');
+        }
+
+        if (header.alg !== this.codec.algorithm || typeof header.kid !== 'string' || !header.kid) {
+            throw new Error(`Ununterstützter Token-Header: ${header.alg}`);
+        }
+        this.validateClaims(payload);
+
+        return {
+            header,
+            payload,
+            signingInput: `${version}.${headerPart}.${payloadPart}`,
+            signature: this.codec.base64UrlDecode(signaturePart)
+        };
+    }
+
+    validateClaims(payload) {
+        if (!payload || payload.purpose !== 'preview') {
+            throw new Error('Kein Vorschau-Token');
+        }
+        for (const claim of ['at', 'iat', 'exp']) {
+            if (!Number.isInteger(payload[claim])) {
+                throw new Error(`Vorschau-Token: ${claim} muss Unix-Sekunden enthalten`);
+            }
+        }
+        if (payload.exp <= payload.iat || payload.exp - payload.iat > this.config.maxValidityHours * 3600) {
+            throw new Error(`Vorschau-Token: Gültigkeit muss zwischen 0 und ${this.config.maxValidityHours} Stunden liegen`);
+        }
+    }
+
+    /**
+     * Prüft Signatur (Key-Set aus QRVerify) und Ablauf
+     * @param {string} token
+     * @returns {Promise<Object>} Payload
+     * @throws {Error} Wenn das Token ungültig oder abgelaufen ist
+     */
+    async verifyToken(token) {
+        const decoded = this.decodeToken(token);
+        const qrVerify = typeof window !== 'undefined' ? window.QRVerify : null;
+        if (!qrVerify || typeof qrVerify.getVerificationKey !== 'function') {
+            throw new Error('Kein Key-Set für Vorschau-Token verfügbar');
+        }
+
+        const now = this.realNow();
+        const publicKey = await qrVerify.getVerificationKey(decoded.header.kid, now);
+        if (!await this.codec.verify(decoded, publicKey)) {
+            throw new Error('Signatur des Vorschau-Tokens ungültig');
+        }
+        if (now > decoded.payload.exp * 1000) {
+            throw new Error('Vorschau-Token ist abgelaufen');
+        }
+
+        return decoded.payload;
+    }
+
+    /**
+     * Echte (mit dem Server abgeglichene) Zeit – nie die simulierte
+     */
+    realNow() {
+        const time = this.getTimeModule();
+        return Date.now() + (time ? time.getClockOffset() : 0);
+    }
+
+    // --- Vorschau ---
+
+    /**
+     * Prüft das Token und startet die simulierte Zeit
+     * @param {string} token
+     * @param {number|null} [simulatedAt] - Zeitpunkt (ms), z.B. aus der Sitzung; sonst "at" des Tokens
+     */
+    async activate(token, simulatedAt = null) {
+        const claims = await this.verifyToken(token);
+
+        this.token = token;
+        this.claims = claims;
+        this.active = true;
+
+        console.log(`🔍 Vorschau-Modus aktiv (Token gültig bis ${new Date(claims.exp * 1000).toLocaleString('de-DE')})`);
+
+        this.setInstant(Number.isFinite(simulatedAt) ? simulatedAt : claims.at * 1000);
+        this.renderBanner();
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Springt zu einem simulierten Zeitpunkt (die Zeit läuft von dort aus weiter)
+     * @param {Date|number} instant
+     */
+    setInstant(instant) {
+        if (!this.active) return;
+
+        const time = this.getTimeModule();
+        if (!time) return;
+
+        time.setSimulatedNow(instant);
+        this.saveState();
+        this.refreshApp();
+        this.updateBanner();
+    }
+
+    /**
+     * Verschiebt die simulierte Zeit um ganze Tage
+     * @param {number} days - negativ = zurück
+     */
+    shiftDays(days) {
+        const time = this.getTimeModule();
+        if (!this.active || !time) return;
+
+        const parts = time.getBerlinParts(time.getBerlinNow());
+        const target = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+
+        this.setInstant(time.zonedTimeToDate({
+            year: target.getUTCFullYear(),
+            month: target.getUTCMonth() + 1,
+            day: target.getUTCDate(),
+            hour: parts.hour,
+            minute: parts.minute
+        }));
+    }
+
+    /**
+     * Beendet die Vorschau; neu laden, damit kein simulierter Zustand übrig bleibt
+     */
+    exit() {
+        this.active = false;
+        this.token = null;
+        this.claims = null;
+        this.clearState();
+
+        const time = this.getTimeModule();
+        if (time) time.setSimulatedNow(null);
+
+        console.log('🔍 Vorschau-Modus beendet');
+        if (typeof window !== 'undefined' && window.location) {
+            window.location.reload();
+        }
+    }
+
+    refreshApp() {
+        const calendar = typeof window !== 'undefined' ? window.CalendarLogic : null;
+        if (calendar && typeof calendar.updateCalendarDisplay === 'function') {
+            calendar.updateCalendarDisplay();
+        }
+    }
+
+    getTimeModule() {
+        return typeof window !== 'undefined' ? window.WR_TIME : null;
+    }
+
+    // --- URL & Sitzung ---
+
+    /**
+     * Liest ?preview= und entfernt den Parameter aus der Adresszeile
+     */
+    readTokenFromUrl() {
+        if (typeof window === 'undefined' || !window.location) return null;
+
+        try {
+            const url = new URL(window.location.href);
+            const token = url.searchParams.get(this.config.urlParam);
+            if (!token) return null;
+
+            url.searchParams.delete(this.config.urlParam);
+            window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+            return token;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // sessionStorage: die Vorschau gilt nur für diesen Tab
+    loadState() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.config.storageKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveState() {
+        const time = this.getTimeModule();
+        try {
+            sessionStorage.setItem(this.config.storageKey, JSON.stringify({
+                token: this.token,
+                simulatedAt: time ? time.getBerlinNow().getTime() : null
+            }));
+        } catch (error) {
+            console.warn('⚠️ Vorschau-Status nicht speicherbar:', error);
+        }
+    }
+
+    clearState() {
+        try {
+            sessionStorage.removeItem(this.config.storageKey);
+        } catch (error) {
+            // Kein sessionStorage verfügbar
+        }
+    }
+
+    // --- Banner ---
+
+    renderBanner() {
+        // Ohne DOM (Node, Tests) kein Banner
+        if (typeof document === 'undefined' || !document.body || this.banner) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'preview-banner';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <strong class="preview-banner__title">🔍 Vorschau-Modus</strong>
+            <span class="preview-banner__note">Simulierte Zeit – Fortschritt wird nicht gespeichert</span>
+            <div class="preview-banner__controls">
+                <button type="button" class="btn btn--secondary" data-preview="prev" aria-label="Einen Tag zurück">◀</button>
+                <input type="datetime-local" class="preview-banner__input" aria-label="Simulierte Berliner Zeit">
+                <button type="button" class="btn btn--secondary" data-preview="next" aria-label="Einen Tag vor">▶</button>
+                <button type="button" class="btn btn--secondary" data-preview="exit">Vorschau beenden</button>
+            </div>
+        `;
+
+        banner.querySelector('[data-preview="prev"]').addEventListener('click', () => this.shiftDays(-1));
+        banner.querySelector('[data-preview="next"]').addEventListener('click', () => this.shiftDays(1));
+        banner.querySelector('[data-preview="exit"]').addEventListener('click', () => this.exit());
+        banner.querySelector('.preview-banner__input').addEventListener('change', (event) => {
+            const instant = this.parseLocalInput(event.target.value);
+            if (instant) this.setInstant(instant);
+        });
+
+        document.body.prepend(banner);
+        this.banner = banner;
+        this.updateBanner();
+    }
+
+    updateBanner() {
+        const time = this.getTimeModule();
+        if (!this.banner || !time) return;
+
+        const p = time.getBerlinParts(time.getBerlinNow());
+        const pad = (n) => String(n).padStart(2, '0');
+        this.banner.querySelector('.preview-banner__input').value =
+            `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+    }
+
+    /**
+     * datetime-local-Wert als Berliner Wanduhrzeit
+     * @param {string} value - YYYY-MM-DDTHH:MM
+     * @returns {Date|null}
+     */
+    parseLocalInput(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+        const time = this.getTimeModule();
+        if (!match || !time) return null;
+
+        const [year, month, day, hour, minute] = match.slice(1).map(Number);
+        return time.zonedTimeToDate({ year, month, day, hour, minute });
+    }
+
+    getStatus() {
+        const time = this.getTimeModule();
+        return {
+            active: this.active,
+            simulatedNow: this.active && time ? time.getBerlinNow().toISOString() : null,
+            expiresAt: this.claims ? new Date(this.claims.exp * 1000).toISOString() : null
+        };
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PreviewMode;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.PreviewMode = new PreviewMode();
+}
@@ -0,0 +1,348 @@
+/**
+ * Progress Model - Fortschritt je Tag und Stage
+ *
+ * Jedes Rätsel hat stage1 (online) und stage2 (im Geschäft). Gespeichert wird ein reines
+ * JSON-Objekt in state.progress:
+ *   { version: 1, days: { "5": { "1": { status, openedAt, attemptedAt, solvedAt, submittedAt, attempts, points, score } } }, legacyPoints }
+ * legacyPoints: Punkte aus Altständen, die keiner Stage zugeordnet werden können (nur nach Migration)
+ *
+ * Status je Stage (aufsteigend, ein Status fällt nie zurück):
+ *   locked     noch nicht freigeschaltet (abgeleitet aus WR_TIME)
+ *   open       freigeschaltet, noch keine Antwort (abgeleitet)
+ *   attempted  falsche Stage-1 Antwort(en)
+ *   submitted  Stage-2 Antwort abgegeben, lokal nicht als richtig bestätigt
+ *   solved     richtig gelöst
+ * Zeitpunkte sind ISO-Strings; points/score stammen aus der ScoringEngine.
+ */
+
+'use strict';
+
+class ProgressModel {
+    constructor() {
+        this.config = {
+            version: 1,
+            totalDays: 24,
+            // Tage 1-12 öffnen das Türchen mit Stage 1, 13-24 mit Stage 2 (Altstand ohne Stages)
+            stage1Days: 12,
+            statusOrder: ['locked', 'open', 'attempted', 'submitted', 'solved'],
+            statusLabels: {
+                locked: 'gesperrt',
+                open: 'offen',
+                attempted: 'versucht',
+                submitted: 'abgegeben',
+                solved: 'gelöst'
+            }
+        };
+    }
+
+    create() {
+        return { version: this.config.version, days: {} };
+    }
+
+    // --- Lesen ---
+
+    /**
+     * Gespeicherter Eintrag einer Stage
+     * @returns {Object|null}
+     */
+    getEntry(progress, day, stage) {
+        return progress?.days?.[day]?.[stage] || null;
+    }
+
+    /**
+     * Status einer Stage inkl. abgeleitetem locked/open
+     * @param {Object} progress
+     * @param {number} day
+     * @param {number} stage
+     * @param {Date} [now] - Standard: WR_TIME.getBerlinNow()
+     * @returns {Object} { status, openedAt, attemptedAt, solvedAt, submittedAt, attempts, points, score }
+     */
+    getStageState(progress, day, stage, now) {
+        const entry = this.getEntry(progress, day, stage);
+        if (entry && entry.status) return { ...entry };
+
+        return {
+            ...(entry || {}),
+            status: this.isReleased(day, stage, now) ? 'open' : 'locked'
+        };
+    }
+
+    isReleased(day, stage, now) {
+        const time = this.getTimeModule();
+        if (!time) return false;
+        return time.isStageReleased(day, stage, now || time.getBerlinNow());
+    }
+
+    /**
+     * Anzahl der Tage, an denen diese Stage erreichbar ist (getStages)
+     */
+    getStageTotal(stage) {
+        let total = 0;
+        for (let day = 1; day <= this.config.totalDays; day++) {
+            if (this.getStages(day).includes(stage)) total++;
+        }
+        return total;
+    }
+
+    /**
+     * Erreichbare Stages eines Tages: ab der Stage, mit der sich das Türchen öffnet,
+     * bis zur letzten Stage aus release_times (spätere Stages über den QR-Code im Geschäft)
+     * @returns {number[]}
+     */
+    getStages(day) {
+        const time = this.getTimeModule();
+        const stageCount = time ? time.getStageCount(day) : 2;
+        const stages = [];
+        for (let stage = this.getDoorStage(day); stage <= stageCount; stage++) {
+            stages.push(stage);
+        }
+        return stages;
+    }
+
+    /**
+     * Stage, mit der sich das Türchen öffnet
+     */
+    getDoorStage(day) {
+        const time = this.getTimeModule();
+        return time ? time.getDoorStage(day) : (day <= this.config.stage1Days ? 1 : 2);
+    }
+
+    isSolved(progress, day, stage) {
+        return this.getEntry(progress, day, stage)?.status === 'solved';
+    }
+
+    /**
+     * Abgeschlossen = gelöst oder (Stage 2) abgegeben
+     */
+    isDone(progress, day, stage) {
+        const status = this.getEntry(progress, day, stage)?.status;
+        return status === 'solved' || status === 'submitted';
+    }
+
+    /**
+     * Tage, an denen mindestens eine Stage gelöst ist (Serien, Erfolge)
+     * @returns {number[]}
+     */
+    getSolvedDays(progress) {
+        return this.getDays(progress)
+            .filter(day => [1, 2].some(stage => this.isSolved(progress, day, stage)));
+    }
+
+    /**
+     * Tage, deren Stage einen der Status hat
+     * @returns {number[]}
+     */
+    getDaysWithStatus(progress, stage, statuses) {
+        return this.getDays(progress)
+            .filter(day => statuses.includes(this.getEntry(progress, day, stage)?.status));
+    }
+
+    /**
+     * Alle Punkte-Aufschlüsselungen (ScoringEngine.summarize)
+     */
+    getScores(progress) {
+        return this.getDays(progress).flatMap(day =>
+            [1, 2].map(stage => this.getEntry(progress, day, stage)?.score).filter(Boolean)
+        );
+    }
+
+    /**
+     * Fortschritt einer Stage über alle Tage
+     * @param {number} [total] - Tage mit dieser Stage (Standard: getStageTotal)
+     * @returns {{solved, submitted, attempted, done, total}}
+     */
+    getStageProgress(progress, stage, total = this.getStageTotal(stage)) {
+        const count = (status) => this.getDaysWithStatus(progress, stage, [status]).length;
+        const solved = count('solved');
+        const submitted = count('submitted');
+        return { solved, submitted, attempted: count('attempted'), done: solved + submitted, total };
+    }
+
+    /**
+     * Kennzahlen für die Statistik-Anzeige
+     * @returns {{solvedDays, solvedStages, totalPoints}}
+     */
+    getStats(progress) {
+        const entries = this.getDays(progress).flatMap(day =>
+            [1, 2].map(stage => this.getEntry(progress, day, stage)).filter(Boolean)
+        );
+
+        return {
+            solvedDays: this.getSolvedDays(progress).length,
+            solvedStages: entries.filter(entry => entry.status === 'solved').length,
+            totalPoints: entries.reduce((sum, entry) => sum + (entry.points || 0), progress?.legacyPoints || 0)
+        };
+    }
+
+    getDays(progress) {
+        return Object.keys(progress?.days || {}).map(Number).sort((a, b) => a - b);
+    }
+
+    // --- Ereignisse ---
+
+    /**
+     * Rätsel geöffnet (Modal bzw. Stage-2 Ansicht)
+     */
+    markOpened(progress, day, stage, at = new Date()) {
+        const entry = this.ensureEntry(progress, day, stage);
+        if (!entry.openedAt) entry.openedAt = this.toIso(at);
+        return entry;
+    }
+
+    /**
+     * Falsche Stage-1 Antwort
+     */
+    recordAttempt(progress, day, stage, at = new Date()) {
+        const entry = this.ensureEntry(progress, day, stage);
+        entry.attempts = (entry.attempts || 0) + 1;
+        entry.attemptedAt = this.toIso(at);
+        this.raiseStatus(entry, 'attempted');
+        return entry;
+    }
+
+    /**
+     * Richtige Antwort
+     * @param {Object} result - { at, points, score }
+     * @returns {boolean} false, wenn die Stage schon gelöst war (Punkte nicht doppelt zählen)
+     */
+    recordSolved(progress, day, stage, result = {}) {
+        const entry = this.ensureEntry(progress, day, stage);
+        if (entry.status === 'solved') return false;
+
+        entry.solvedAt = this.toIso(result.at || new Date());
+        entry.points = result.points ?? result.score?.total ?? 0;
+        if (result.score) entry.score = result.score;
+        this.raiseStatus(entry, 'solved');
+        return true;
+    }
+
+    /**
+     * Stage-2 Abgabe (wr_submissions_v1); richtige Antworten gelten als gelöst
+     * @param {Object} result - { at, isCorrect, points, score }
+     * @returns {boolean} false, wenn die Stage schon abgeschlossen war
+     */
+    recordSubmitted(progress, day, stage, result = {}) {
+        const entry = this.ensureEntry(progress, day, stage);
+        if (entry.status === 'solved' || (entry.status === 'submitted' && !result.isCorrect)) return false;
+
+        entry.submittedAt = entry.submittedAt || this.toIso(result.at || new Date());
+        if (result.isCorrect) {
+            return this.recordSolved(progress, day, stage, { ...result, at: result.at || entry.submittedAt });
+        }
+
+        entry.points = 0;
+        this.raiseStatus(entry, 'submitted');
+        return true;
+    }
+
+    // --- Migration ---
+
+    /**
+     * Baut das Modell aus einem alten State (solvedPuzzles als Tagesliste) und lokalen Submissions
+     * Altstand: Tage 1-12 zählten als Stage 1, 13-24 als Stage 2. Die Gesamtpunkte bleiben erhalten.
+     * @param {Object} legacyState - gespeicherter State vor Version 1
+     * @param {Array} [submissions] - AnswersStore.getAllLocalSubmissions()
+     * @returns {Object} progress
+     */
+    migrate(legacyState = {}, submissions = []) {
+        const progress = this.create();
+        const scores = legacyState.userProgress?.scores || {};
+        const migratedAt = legacyState.lastSaved || null;
+
+        (legacyState.solvedPuzzles || []).forEach(day => {
+            const stage = day <= this.config.stage1Days ? 1 : 2;
+            const score = scores[`${day}-${stage}`];
+            const entry = this.ensureEntry(progress, day, stage);
+            entry.status = 'solved';
+            entry.solvedAt = migratedAt;
+            entry.points = score ? score.total : 0;
+            if (score) entry.score = score;
+        });
+
+        // Breakdowns ohne passenden Tag in solvedPuzzles (Stage 2 lief nicht über solvedPuzzles)
+        Object.values(scores).forEach(score => {
+            if (score && !this.isSolved(progress, score.day, score.stage)) {
+                this.recordSolved(progress, score.day, score.stage, { at: migratedAt, score });
+            }
+        });
+
+        (legacyState.userProgress?.stage2Visits || []).forEach(day => {
+            if (!this.isDone(progress, day, 2)) {
+                this.recordSubmitted(progress, day, 2, { at: migratedAt });
+            }
+        });
+
+        submissions
+            .filter(submission => Number.isInteger(submission.day) && [1, 2].includes(submission.stage))
+            .sort((a, b) => (a.submittedAt || 0) - (b.submittedAt || 0))
+            .forEach(submission => {
+                const at = submission.submittedAt ? new Date(submission.submittedAt) : migratedAt;
+                const result = { at, isCorrect: submission.isCorrect === true, points: submission.points, score: submission.scoreBreakdown || undefined };
+                if (this.isSolved(progress, submission.day, submission.stage)) {
+                    // Zeitpunkt und Punkte aus der Submission sind genauer als der Altstand
+                    const entry = this.getEntry(progress, submission.day, submission.stage);
+                    if (!entry.solvedAt || entry.solvedAt === migratedAt) entry.solvedAt = this.toIso(at);
+                    return;
+                }
+                if (submission.stage === 1 && !result.isCorrect) {
+                    this.recordAttempt(progress, submission.day, 1, at);
+                } else {
+                    this.recordSubmitted(progress, submission.day, submission.stage, result);
+                }
+            });
+
+        // Altstände ohne Aufschlüsselung: userProgress.totalPoints bleibt als Ausgleich erhalten
+        const legacyTotal = legacyState.userProgress?.totalPoints;
+        const migratedTotal = this.getStats(progress).totalPoints;
+        if (Number.isFinite(legacyTotal) && legacyTotal > migratedTotal) {
+            progress.legacyPoints = legacyTotal - migratedTotal;
+        }
+
+        return progress;
+    }
+
+    /**
+     * Liefert ein gültiges Modell aus einem gespeicherten State (migriert Altstände)
+     */
+    fromSavedState(savedState = {}, submissions = []) {
+        const saved = savedState.progress;
+        if (saved && saved.version === this.config.version && saved.days && typeof saved.days === 'object') {
+            return saved;
+        }
+        return this.migrate(savedState, submissions);
+    }
+
+    // --- Intern ---
+
+    getTimeModule() {
+        return typeof window !== 'undefined' ? window.WR_TIME : null;
+    }
+
+    ensureEntry(progress, day, stage) {
+        progress.days[day] = progress.days[day] || {};
+        progress.days[day][stage] = progress.days[day][stage] || {};
+        return progress.days[day][stage];
+    }
+
+    raiseStatus(entry, status) {
+        const order = this.config.statusOrder;
+        if (order.indexOf(status) > order.indexOf(entry.status)) {
+            entry.status = status;
+        }
+    }
+
+    toIso(at) {
+        if (!at) return null;
+        return typeof at === 'string' ? at : new Date(at).toISOString();
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressModel;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.ProgressModel = new ProgressModel();
+}
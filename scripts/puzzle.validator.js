@@ -0,0 +1,338 @@
+/**
+ * Puzzle Validator - Schema-Prüfung für die Rätsel-Dateien (day-NN.json)
+ * Wird von calendar.logic.js beim Laden und von validate-puzzles.js (Node) genutzt
+ */
+
+'use strict';
+
+/**
+ * Validiert Rätsel-Daten gegen das versionierte JSON-Schema und meldet
+ * jede Verletzung mit ihrem JSON-Pfad (z.B. "$.config.release_times[1]").
+ *
+ * Unterstützt wird die Teilmenge von JSON Schema 2020-12, die das
+ * Rätsel-Schema verwendet: type, enum, required, properties,
+ * additionalProperties, items, min/maxItems, minLength, pattern, format,
+ * minimum/maximum, exclusiveMinimum, anyOf, allOf und lokale $ref.
+ */
+class PuzzleValidator {
+    constructor() {
+        this.schema = null;
+        this.schemaPromise = null;
+
+        this.config = {
+            schemaUrl: 'public/puzzles/schema/puzzle.v1.schema.json',
+            schemaVersion: 1,
+
+            // Regeln, die AnswersStore.normalizeAnswer versteht
+            normalizeRules: [
+                'lowercase',
+                'trim',
+                'collapse-spaces',
+                'replace-ä->ae',
+                'replace-ö->oe',
+                'replace-ü->ue',
+                'replace-ß->ss',
+                'remove-spaces',
+                'remove-punctuation'
+            ]
+        };
+    }
+
+    /**
+     * Setzt das Schema direkt (Node-Skript, Tests)
+     * @param {Object} schema - Geparstes JSON-Schema
+     */
+    setSchema(schema) {
+        if (!schema || typeof schema !== 'object') {
+            throw new Error('Ungültiges Rätsel-Schema');
+        }
+
+        if (schema['x-schema-version'] !== this.config.schemaVersion) {
+            throw new Error(`Schema-Version ${schema['x-schema-version']} wird nicht unterstützt (erwartet ${this.config.schemaVersion})`);
+        }
+
+        this.schema = schema;
+    }
+
+    /**
+     * Lädt das Schema per fetch (Browser) – nur einmal pro Seitenaufruf
+     * @returns {Promise<Object>} Schema
+     */
+    async loadSchema() {
+        if (this.schema) {
+            return this.schema;
+        }
+
+        if (!this.schemaPromise) {
+            this.schemaPromise = fetch(this.config.schemaUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(schema => {
+                    this.setSchema(schema);
+                    return schema;
+                })
+                .catch(error => {
+                    this.schemaPromise = null;
+                    throw new Error(`Rätsel-Schema konnte nicht geladen werden: ${error.message}`);
+                });
+        }
+
+        return this.schemaPromise;
+    }
+
+    /**
+     * Validiert ein Rätsel vollständig
+     * @param {Object} data - Inhalt einer day-NN.json
+     * @param {Object} options - { day } erwarteter Tag (aus dem Dateinamen)
+     * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+     */
+    validate(data, options = {}) {
+        if (!this.schema) {
+            throw new Error('Rätsel-Schema nicht geladen');
+        }
+
+        const errors = [];
+        this.validateNode(data, this.schema, '$', errors);
+
+        // Inhaltliche Prüfungen nur, wenn die Struktur stimmt
+        if (errors.length === 0) {
+            this.validateSemantics(data, options, errors);
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Prüft einen Wert rekursiv gegen ein (Teil-)Schema
+     * @param {*} value - Zu prüfender Wert
+     * @param {Object} schema - Teil-Schema
+     * @param {string} path - JSON-Pfad des Werts
+     * @param {Array} errors - Sammel-Array für Verletzungen
+     */
+    validateNode(value, schema, path, errors) {
+        if (schema.$ref) {
+            this.validateNode(value, this.resolveRef(schema.$ref), path, errors);
+            return;
+        }
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            errors.push({ path, message: `erwartet ${schema.type}, erhalten ${this.describeType(value)}` });
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `erwartet einen von ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+        }
+
+        if (typeof value === 'string') {
+            this.validateString(value, schema, path, errors);
+        }
+
+        if (typeof value === 'number') {
+            this.validateNumber(value, schema, path, errors);
+        }
+
+        if (Array.isArray(value)) {
+            this.validateArray(value, schema, path, errors);
+        } else if (value && typeof value === 'object') {
+            this.validateObject(value, schema, path, errors);
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(subSchema => this.validateNode(value, subSchema, path, errors));
+        }
+
+        if (schema.anyOf) {
+            const matches = schema.anyOf.some(subSchema => {
+                const subErrors = [];
+                this.validateNode(value, subSchema, path, subErrors);
+                return subErrors.length === 0;
+            });
+
+            if (!matches) {
+                errors.push({ path, message: `erfüllt keine der Varianten: ${this.describeAnyOf(schema.anyOf)}` });
+            }
+        }
+    }
+
+    validateString(value, schema, path, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: value.length === 0 ? 'darf nicht leer sein' : `mindestens ${schema.minLength} Zeichen erwartet` });
+        }
+
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `entspricht nicht dem Muster ${schema.pattern}` });
+        }
+
+        if (schema.format === 'date-time' && !this.isDateTime(value)) {
+            errors.push({ path, message: `kein gültiger ISO-8601-Zeitpunkt mit Zeitzone: "${value}"` });
+        }
+    }
+
+    validateNumber(value, schema, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `muss >= ${schema.minimum} sein (ist ${value})` });
+        }
+
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `muss <= ${schema.maximum} sein (ist ${value})` });
+        }
+
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `muss > ${schema.exclusiveMinimum} sein (ist ${value})` });
+        }
+    }
+
+    validateArray(value, schema, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `mindestens ${schema.minItems} Einträge erwartet (sind ${value.length})` });
+        }
+
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `höchstens ${schema.maxItems} Einträge erlaubt (sind ${value.length})` });
+        }
+
+        if (schema.items) {
+            value.forEach((item, index) => this.validateNode(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    validateObject(value, schema, path, errors) {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: this.joinPath(path, key), message: 'Pflichtfeld fehlt' });
+            }
+        }
+
+        for (const [key, propValue] of Object.entries(value)) {
+            const propPath = this.joinPath(path, key);
+
+            if (properties[key]) {
+                this.validateNode(propValue, properties[key], propPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: propPath, message: 'unbekanntes Feld' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                this.validateNode(propValue, schema.additionalProperties, propPath, errors);
+            }
+        }
+    }
+
+    /**
+     * Inhaltliche Prüfungen, die JSON Schema nicht ausdrücken kann
+     */
+    validateSemantics(data, options, errors) {
+        const expectedDay = options.day;
+        if (expectedDay !== undefined && data.meta.day !== expectedDay) {
+            errors.push({ path: '$.meta.day', message: `Tag ${data.meta.day} passt nicht zur Datei für Tag ${expectedDay}` });
+        }
+
+        ['stage1', 'stage2'].forEach(stage => {
+            const normalize = data[stage].answer_meta?.normalize;
+            if (!normalize) return;
+
+            normalize.split(',').map(rule => rule.trim()).forEach(rule => {
+                if (!this.config.normalizeRules.includes(rule)) {
+                    errors.push({ path: `$.${stage}.answer_meta.normalize`, message: `unbekannte Normalisierungsregel "${rule}"` });
+                }
+            });
+        });
+
+        const config = data.config;
+        if (!config) return;
+
+        if (config.release_times.length !== config.stages) {
+            errors.push({ path: '$.config.release_times', message: `${config.stages} Stages erfordern ${config.stages} Freischaltzeiten (sind ${config.release_times.length})` });
+        }
+
+        const times = config.release_times.map(time => Date.parse(time));
+        for (let i = 1; i < times.length; i++) {
+            if (times[i] < times[i - 1]) {
+                errors.push({ path: `$.config.release_times[${i}]`, message: 'Freischaltzeit liegt vor der vorherigen Stage' });
+            }
+        }
+
+        if (config.total_points !== undefined && config.total_points !== config.stages * config.points_per_stage) {
+            errors.push({ path: '$.config.total_points', message: `erwartet ${config.stages * config.points_per_stage} (stages × points_per_stage)` });
+        }
+    }
+
+    // --- Hilfsfunktionen ---
+
+    resolveRef(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Nur lokale $ref werden unterstützt: ${ref}`);
+        }
+
+        const target = ref.substring(2).split('/').reduce((node, key) => node && node[key], this.schema);
+        if (!target) {
+            throw new Error(`$ref nicht auflösbar: ${ref}`);
+        }
+        return target;
+    }
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            default:
+                return typeof value === type;
+        }
+    }
+
+    describeType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && !Number.isInteger(value)) return 'number';
+        if (typeof value === 'number') return 'integer';
+        return typeof value;
+    }
+
+    describeAnyOf(variants) {
+        return variants.map(variant => {
+            if (variant.required) {
+                return variant.required.join(' + ');
+            }
+            return JSON.stringify(variant);
+        }).join(' | ');
+    }
+
+    isDateTime(value) {
+        const isoPattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+        return isoPattern.test(value) && !Number.isNaN(Date.parse(value));
+    }
+
+    joinPath(path, key) {
+        return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+
+    /**
+     * Formatiert Verletzungen für Logs und Fehlermeldungen
+     * @param {Array} errors - Ergebnis von validate()
+     * @returns {string} Eine Zeile pro Verletzung
+     */
+    formatErrors(errors) {
+        return errors.map(error => `${error.path}: ${error.message}`).join('\n');
+    }
+}
+
+// Export für Node (validate-puzzles.js, Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PuzzleValidator;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.PuzzleValidator = new PuzzleValidator();
+}
@@ -0,0 +1,826 @@
+/**
+ * QR Decoder - QR-Codes aus Kamerabildern lesen, ohne externe Bibliothek
+ * Wird vom In-App-Scanner (qr.scanner.js) mit ImageData aus dem getUserMedia-Stream aufgerufen
+ * Läuft im Browser und in Node (Tests mit admin/qr.encoder.js)
+ */
+
+'use strict';
+
+/**
+ * Ablauf von decode:
+ * 1. Binarisierung: Schwellwert je 8×8-Block aus dem Mittel der umliegenden Blöcke
+ * 2. Finder-Muster (1:1:3:1:1) zeilenweise suchen, senkrecht/waagerecht gegenprüfen, drei auswählen
+ * 3. Version aus dem Abstand schätzen, ab Version 2 das Alignment-Muster rechts unten suchen
+ * 4. Perspektivische Abbildung Modul → Pixel, Modulmitten abtasten
+ * 5. Format/Version lesen, Maske entfernen, Codewörter entschachteln, Reed-Solomon-Korrektur
+ * 6. Segmente (numerisch, alphanumerisch, Byte, ECI) als UTF-8-Text zusammensetzen
+ */
+class QRDecoder {
+    constructor() {
+        // Index: [Level-Ordinal L, M, Q, H][Version] (wie admin/qr.encoder.js)
+        this.eccCodewordsPerBlock = [
+            [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        ];
+        this.errorCorrectionBlocks = [
+            [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        ];
+        // Formatbits → Level-Ordinal
+        this.levelByFormatBits = { 1: 0, 0: 1, 3: 2, 2: 3 };
+        this.levelNames = ['L', 'M', 'Q', 'H'];
+
+        this.masks = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+
+        this.alphanumericChars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+        // GF(2^8), Polynom 0x11D
+        this.gfExp = new Uint8Array(512);
+        this.gfLog = new Uint8Array(256);
+        for (let i = 0, x = 1; i < 255; i++) {
+            this.gfExp[i] = x;
+            this.gfLog[x] = i;
+            x = (x << 1) ^ (x & 0x80 ? 0x11D : 0);
+        }
+        for (let i = 255; i < 512; i++) this.gfExp[i] = this.gfExp[i - 255];
+    }
+
+    /**
+     * Sucht und dekodiert einen QR-Code in einem Bild
+     * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA wie von canvas.getImageData
+     * @returns {{text: string, version: number, ecl: string}|null} null, wenn kein lesbarer Code gefunden wurde
+     */
+    decode(imageData) {
+        const bits = this.binarize(imageData);
+        const location = this.locate(bits);
+        if (!location) return null;
+
+        const attempts = location.alignment ? [location.alignment, null] : [null];
+        for (const alignment of attempts) {
+            const modules = this.extract(bits, location, alignment);
+            for (const candidate of [modules, this.transpose(modules)]) {
+                try {
+                    return this.decodeMatrix(candidate);
+                } catch (error) {
+                    // nächste Variante versuchen (gespiegelt, ohne Alignment)
+                }
+            }
+        }
+        return null;
+    }
+
+    // --- 1. Binarisierung ---
+
+    binarize({ data, width, height }) {
+        const luminance = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            luminance[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+        }
+
+        const regionSize = 8;
+        const columns = Math.ceil(width / regionSize);
+        const rows = Math.ceil(height / regionSize);
+        const blackPoints = new Float32Array(columns * rows);
+
+        for (let ry = 0; ry < rows; ry++) {
+            for (let rx = 0; rx < columns; rx++) {
+                let sum = 0;
+                let count = 0;
+                let min = 255;
+                let max = 0;
+                for (let y = ry * regionSize; y < Math.min(height, (ry + 1) * regionSize); y++) {
+                    for (let x = rx * regionSize; x < Math.min(width, (rx + 1) * regionSize); x++) {
+                        const value = luminance[y * width + x];
+                        sum += value;
+                        count++;
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                    }
+                }
+
+                let average = sum / count;
+                // Kontrastarme Blöcke (einfarbig) erben den Schwellwert der Nachbarn
+                if (max - min <= 24) {
+                    average = min / 2;
+                    if (ry > 0 && rx > 0) {
+                        const neighbors = (blackPoints[(ry - 1) * columns + rx] + 2 * blackPoints[ry * columns + rx - 1] + blackPoints[(ry - 1) * columns + rx - 1]) / 4;
+                        if (min < neighbors) average = neighbors;
+                    }
+                }
+                blackPoints[ry * columns + rx] = average;
+            }
+        }
+
+        const bits = new Uint8Array(width * height);
+        for (let ry = 0; ry < rows; ry++) {
+            for (let rx = 0; rx < columns; rx++) {
+                let sum = 0;
+                let count = 0;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        const ny = Math.min(rows - 1, Math.max(0, ry + dy));
+                        const nx = Math.min(columns - 1, Math.max(0, rx + dx));
+                        sum += blackPoints[ny * columns + nx];
+                        count++;
+                    }
+                }
+                const threshold = sum / count;
+
+                for (let y = ry * regionSize; y < Math.min(height, (ry + 1) * regionSize); y++) {
+                    for (let x = rx * regionSize; x < Math.min(width, (rx + 1) * regionSize); x++) {
+                        bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+                    }
+                }
+            }
+        }
+
+        return { width, height, data: bits, get: (x, y) => bits[y * width + x] === 1 };
+    }
+
+    // --- 2./3. Lokalisierung ---
+
+    locate(bits) {
+        const candidates = this.findFinderCandidates(bits);
+        const patterns = this.selectFinderPatterns(candidates);
+        if (!patterns) return null;
+
+        const { topLeft, topRight, bottomLeft } = this.orderFinderPatterns(patterns);
+        // Die Läufe wurden waagerecht gemessen; bei gedrehtem Code sind sie um 1/max(|cos|, |sin|) länger
+        const angle = Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x);
+        const moduleSize = (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3 *
+            Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle)));
+
+        let dimension = Math.round((this.distance(topLeft, topRight) + this.distance(topLeft, bottomLeft)) / 2 / moduleSize) + 7;
+        if (dimension % 4 === 0) dimension++;
+        else if (dimension % 4 === 2) dimension--;
+        else if (dimension % 4 === 3) dimension -= 2;
+        if (dimension < 21 || dimension > 177) return null;
+
+        const location = { topLeft, topRight, bottomLeft, dimension, moduleSize, alignment: null };
+        if (dimension > 21) {
+            location.alignment = this.findAlignmentPattern(bits, location);
+        }
+        return location;
+    }
+
+    isFinderRatio(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total < 7 || counts.some(count => count === 0)) return false;
+
+        const moduleSize = total / 7;
+        const maxVariance = moduleSize / 1.5;
+        return Math.abs(counts[0] - moduleSize) < maxVariance &&
+            Math.abs(counts[1] - moduleSize) < maxVariance &&
+            Math.abs(counts[2] - 3 * moduleSize) < 3 * maxVariance &&
+            Math.abs(counts[3] - moduleSize) < maxVariance &&
+            Math.abs(counts[4] - moduleSize) < maxVariance;
+    }
+
+    findFinderCandidates(bits) {
+        const candidates = [];
+
+        for (let y = 0; y < bits.height; y++) {
+            let counts = [0, 0, 0, 0, 0];
+            let state = 0;
+
+            for (let x = 0; x <= bits.width; x++) {
+                const dark = x < bits.width && bits.get(x, y);
+                if (dark) {
+                    if (state === 1 || state === 3) state++;
+                    counts[state]++;
+                    continue;
+                }
+
+                if (state === 0 && counts[0] === 0) continue;
+                if (state === 1 || state === 3) {
+                    counts[state]++;
+                    continue;
+                }
+                if (state < 4) {
+                    state++;
+                    counts[state]++;
+                    continue;
+                }
+
+                if (this.isFinderRatio(counts)) {
+                    this.registerFinderCandidate(bits, counts, x, y, candidates);
+                }
+                counts = [counts[2], counts[3], counts[4], 1, 0];
+                state = 3;
+            }
+        }
+
+        return candidates;
+    }
+
+    registerFinderCandidate(bits, counts, endX, y, candidates) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const centerX = endX - counts[4] - counts[3] - counts[2] / 2;
+
+        const centerY = this.crossCheck(bits, Math.floor(centerX), y, counts[2], total, true);
+        if (Number.isNaN(centerY)) return;
+
+        const refinedX = this.crossCheck(bits, Math.floor(centerX), Math.floor(centerY), counts[2], total, false);
+        if (Number.isNaN(refinedX)) return;
+
+        const moduleSize = total / 7;
+        const existing = candidates.find(candidate =>
+            Math.abs(candidate.y - centerY) <= moduleSize &&
+            Math.abs(candidate.x - refinedX) <= moduleSize &&
+            Math.abs(candidate.moduleSize - moduleSize) <= Math.max(1, candidate.moduleSize)
+        );
+
+        if (existing) {
+            const weight = existing.count;
+            existing.x = (existing.x * weight + refinedX) / (weight + 1);
+            existing.y = (existing.y * weight + centerY) / (weight + 1);
+            existing.moduleSize = (existing.moduleSize * weight + moduleSize) / (weight + 1);
+            existing.count++;
+        } else {
+            candidates.push({ x: refinedX, y: centerY, moduleSize, count: 1 });
+        }
+    }
+
+    /**
+     * Zählt das 1:1:3:1:1-Muster senkrecht (vertical = true) oder waagerecht durch einen Mittelpunkt
+     * @returns {number} Mittelpunkt auf der geprüften Achse oder NaN
+     */
+    crossCheck(bits, centerX, centerY, maxCount, originalTotal, vertical) {
+        const limit = vertical ? bits.height : bits.width;
+        const at = (position) => (vertical ? bits.get(centerX, position) : bits.get(position, centerY));
+        const start = vertical ? centerY : centerX;
+        const counts = [0, 0, 0, 0, 0];
+
+        let position = start;
+        while (position >= 0 && at(position)) { counts[2]++; position--; }
+        if (position < 0) return NaN;
+        while (position >= 0 && !at(position) && counts[1] <= maxCount) { counts[1]++; position--; }
+        if (position < 0 || counts[1] > maxCount) return NaN;
+        while (position >= 0 && at(position) && counts[0] <= maxCount) { counts[0]++; position--; }
+        if (counts[0] > maxCount) return NaN;
+
+        position = start + 1;
+        while (position < limit && at(position)) { counts[2]++; position++; }
+        if (position === limit) return NaN;
+        while (position < limit && !at(position) && counts[3] <= maxCount) { counts[3]++; position++; }
+        if (position === limit || counts[3] > maxCount) return NaN;
+        while (position < limit && at(position) && counts[4] <= maxCount) { counts[4]++; position++; }
+        if (counts[4] > maxCount) return NaN;
+
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal) return NaN;
+
+        return this.isFinderRatio(counts) ? position - counts[4] - counts[3] - counts[2] / 2 : NaN;
+    }
+
+    /**
+     * Wählt aus den Kandidaten das Tripel, das am besten ein rechtwinklig-gleichschenkliges Dreieck bildet
+     */
+    selectFinderPatterns(candidates) {
+        const confirmed = candidates.filter(candidate => candidate.count >= 2);
+        const pool = (confirmed.length >= 3 ? confirmed : candidates)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 12);
+        if (pool.length < 3) return null;
+
+        let best = null;
+        for (let i = 0; i < pool.length - 2; i++) {
+            for (let j = i + 1; j < pool.length - 1; j++) {
+                for (let k = j + 1; k < pool.length; k++) {
+                    const triple = [pool[i], pool[j], pool[k]];
+                    const sizes = triple.map(pattern => pattern.moduleSize);
+                    if (Math.max(...sizes) > 1.4 * Math.min(...sizes)) continue;
+
+                    const [a, b, c] = [
+                        this.squaredDistance(triple[0], triple[1]),
+                        this.squaredDistance(triple[1], triple[2]),
+                        this.squaredDistance(triple[0], triple[2])
+                    ].sort((x, y) => x - y);
+                    if (a < 49 * sizes[0] * sizes[0]) continue;
+
+                    const score = Math.abs(c - a - b) / c + Math.abs(a - b) / b;
+                    if (!best || score < best.score) best = { score, triple };
+                }
+            }
+        }
+
+        return best && best.score < 0.5 ? best.triple : null;
+    }
+
+    orderFinderPatterns([first, second, third]) {
+        const d12 = this.squaredDistance(first, second);
+        const d23 = this.squaredDistance(second, third);
+        const d13 = this.squaredDistance(first, third);
+
+        // Oben links liegt gegenüber der längsten Seite
+        let topLeft;
+        let a;
+        let b;
+        if (d23 >= d12 && d23 >= d13) [topLeft, a, b] = [first, second, third];
+        else if (d13 >= d12 && d13 >= d23) [topLeft, a, b] = [second, first, third];
+        else [topLeft, a, b] = [third, first, second];
+
+        const cross = (a.x - topLeft.x) * (b.y - topLeft.y) - (a.y - topLeft.y) * (b.x - topLeft.x);
+        return cross > 0
+            ? { topLeft, topRight: a, bottomLeft: b }
+            : { topLeft, topRight: b, bottomLeft: a };
+    }
+
+    /**
+     * Sucht das Alignment-Muster rechts unten (Mittelpunkt bei dimension - 6.5 Modulen)
+     * durch Vergleich mit der 5×5-Vorlage rund um die affin geschätzte Position
+     */
+    findAlignmentPattern(bits, { topLeft, topRight, bottomLeft, dimension, moduleSize }) {
+        const span = dimension - 7;
+        const ux = (topRight.x - topLeft.x) / span;
+        const uy = (topRight.y - topLeft.y) / span;
+        const vx = (bottomLeft.x - topLeft.x) / span;
+        const vy = (bottomLeft.y - topLeft.y) / span;
+
+        const offset = dimension - 10; // Module von der Finder-Mitte (3.5) bis zur Alignment-Mitte
+        const estimateX = topLeft.x + (ux + vx) * offset;
+        const estimateY = topLeft.y + (uy + vy) * offset;
+        const radius = Math.ceil(moduleSize * 4);
+
+        let best = null;
+        for (let y = Math.round(estimateY) - radius; y <= Math.round(estimateY) + radius; y++) {
+            for (let x = Math.round(estimateX) - radius; x <= Math.round(estimateX) + radius; x++) {
+                let score = 0;
+                for (let j = -2; j <= 2; j++) {
+                    for (let i = -2; i <= 2; i++) {
+                        const px = Math.round(x + i * ux + j * vx);
+                        const py = Math.round(y + i * uy + j * vy);
+                        if (px < 0 || py < 0 || px >= bits.width || py >= bits.height) continue;
+                        const expectedDark = Math.max(Math.abs(i), Math.abs(j)) !== 1;
+                        if (bits.get(px, py) === expectedDark) score++;
+                    }
+                }
+                const distance = (x - estimateX) ** 2 + (y - estimateY) ** 2;
+                if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+                    best = { x, y, score, distance };
+                }
+            }
+        }
+
+        return best && best.score >= 22 ? { x: best.x, y: best.y } : null;
+    }
+
+    // --- 4. Abtastung ---
+
+    extract(bits, { topLeft, topRight, bottomLeft, dimension }, alignment) {
+        const bottomRight = alignment || {
+            x: topRight.x - topLeft.x + bottomLeft.x,
+            y: topRight.y - topLeft.y + bottomLeft.y
+        };
+        const corner = alignment ? dimension - 6.5 : dimension - 3.5;
+
+        const transform = this.quadrilateralToQuadrilateral(
+            [3.5, 3.5, dimension - 3.5, 3.5, corner, corner, 3.5, dimension - 3.5],
+            [topLeft.x, topLeft.y, topRight.x, topRight.y, bottomRight.x, bottomRight.y, bottomLeft.x, bottomLeft.y]
+        );
+
+        const modules = [];
+        for (let y = 0; y < dimension; y++) {
+            const row = [];
+            for (let x = 0; x < dimension; x++) {
+                const point = this.transformPoint(transform, x + 0.5, y + 0.5);
+                const px = Math.floor(point.x);
+                const py = Math.floor(point.y);
+                row.push(px >= 0 && py >= 0 && px < bits.width && py < bits.height && bits.get(px, py));
+            }
+            modules.push(row);
+        }
+        return modules;
+    }
+
+    quadrilateralToQuadrilateral(from, to) {
+        const toSquare = this.adjoint(this.squareToQuadrilateral(from));
+        return this.multiply(this.squareToQuadrilateral(to), toSquare);
+    }
+
+    /**
+     * Projektive Abbildung des Einheitsquadrats auf ein Viereck (Ecken: oben links, oben rechts, unten rechts, unten links)
+     */
+    squareToQuadrilateral([x0, y0, x1, y1, x2, y2, x3, y3]) {
+        const dx3 = x0 - x1 + x2 - x3;
+        const dy3 = y0 - y1 + y2 - y3;
+        if (dx3 === 0 && dy3 === 0) {
+            return { a11: x1 - x0, a21: x2 - x1, a31: x0, a12: y1 - y0, a22: y2 - y1, a32: y0, a13: 0, a23: 0, a33: 1 };
+        }
+
+        const dx1 = x1 - x2;
+        const dx2 = x3 - x2;
+        const dy1 = y1 - y2;
+        const dy2 = y3 - y2;
+        const denominator = dx1 * dy2 - dx2 * dy1;
+        const a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+        const a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+
+        return {
+            a11: x1 - x0 + a13 * x1, a21: x3 - x0 + a23 * x3, a31: x0,
+            a12: y1 - y0 + a13 * y1, a22: y3 - y0 + a23 * y3, a32: y0,
+            a13, a23, a33: 1
+        };
+    }
+
+    adjoint(m) {
+        return {
+            a11: m.a22 * m.a33 - m.a23 * m.a32,
+            a21: m.a23 * m.a31 - m.a21 * m.a33,
+            a31: m.a21 * m.a32 - m.a22 * m.a31,
+            a12: m.a13 * m.a32 - m.a12 * m.a33,
+            a22: m.a11 * m.a33 - m.a13 * m.a31,
+            a32: m.a12 * m.a31 - m.a11 * m.a32,
+            a13: m.a12 * m.a23 - m.a13 * m.a22,
+            a23: m.a13 * m.a21 - m.a11 * m.a23,
+            a33: m.a11 * m.a22 - m.a12 * m.a21
+        };
+    }
+
+    multiply(a, b) {
+        return {
+            a11: a.a11 * b.a11 + a.a21 * b.a12 + a.a31 * b.a13,
+            a21: a.a11 * b.a21 + a.a21 * b.a22 + a.a31 * b.a23,
+            a31: a.a11 * b.a31 + a.a21 * b.a32 + a.a31 * b.a33,
+            a12: a.a12 * b.a11 + a.a22 * b.a12 + a.a32 * b.a13,
+            a22: a.a12 * b.a21 + a.a22 * b.a22 + a.a32 * b.a23,
+            a32: a.a12 * b.a31 + a.a22 * b.a32 + a.a32 * b.a33,
+            a13: a.a13 * b.a11 + a.a23 * b.a12 + a.a33 * b.a13,
+            a23: a.a13 * b.a21 + a.a23 * b.a22 + a.a33 * b.a23,
+            a33: a.a13 * b.a31 + a.a23 * b.a32 + a.a33 * b.a33
+        };
+    }
+
+    transformPoint(m, x, y) {
+        const denominator = m.a13 * x + m.a23 * y + m.a33;
+        return {
+            x: (m.a11 * x + m.a21 * y + m.a31) / denominator,
+            y: (m.a12 * x + m.a22 * y + m.a32) / denominator
+        };
+    }
+
+    transpose(modules) {
+        return modules.map((row, y) => row.map((_, x) => modules[x][y]));
+    }
+
+    // --- 5./6. Dekodierung der Modul-Matrix ---
+
+    /**
+     * Dekodiert eine abgetastete Modul-Matrix
+     * @param {boolean[][]} modules - modules[y][x], true = dunkel
+     * @returns {{text: string, version: number, ecl: string}}
+     * @throws {Error} Wenn Format, Version oder Fehlerkorrektur scheitern
+     */
+    decodeMatrix(modules) {
+        const size = modules.length;
+        let version = (size - 17) / 4;
+        if (!Number.isInteger(version) || version < 1 || version > 40) {
+            throw new Error(`Ungültige QR-Größe: ${size}`);
+        }
+        if (version >= 7) {
+            version = this.readVersion(modules);
+        }
+
+        const { level, mask } = this.readFormat(modules);
+        const isFunction = this.getFunctionModules(version);
+
+        const codewords = [];
+        let current = 0;
+        let bitCount = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (isFunction[y][x]) continue;
+
+                    current = (current << 1) | (modules[y][x] !== this.masks[mask](x, y) ? 1 : 0);
+                    if (++bitCount === 8) {
+                        codewords.push(current);
+                        current = 0;
+                        bitCount = 0;
+                    }
+                }
+            }
+        }
+
+        const data = this.correctErrors(codewords, version, level);
+        const text = this.parseSegments(data, version);
+        return { text, version, ecl: this.levelNames[level] };
+    }
+
+    readFormat(modules) {
+        const size = modules.length;
+        const bit = (x, y) => (modules[y][x] ? 1 : 0);
+
+        let first = 0;
+        const firstPositions = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+        firstPositions.forEach(([x, y], i) => { first |= bit(x, y) << i; });
+
+        let second = 0;
+        for (let i = 0; i < 8; i++) second |= bit(size - 1 - i, 8) << i;
+        for (let i = 8; i < 15; i++) second |= bit(8, size - 15 + i) << i;
+
+        let best = null;
+        for (let data = 0; data < 32; data++) {
+            let remainder = data;
+            for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            const code = (data << 10 | remainder) ^ 0x5412;
+
+            for (const read of [first, second]) {
+                const distance = this.bitCount(code ^ read);
+                if (!best || distance < best.distance) best = { data, distance };
+            }
+        }
+
+        if (best.distance > 3) throw new Error('Formatinformation nicht lesbar');
+        return { level: this.levelByFormatBits[best.data >>> 3], mask: best.data & 7 };
+    }
+
+    readVersion(modules) {
+        const size = modules.length;
+        let first = 0;
+        let second = 0;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            if (modules[b][a]) first |= 1 << i;
+            if (modules[a][b]) second |= 1 << i;
+        }
+
+        let best = null;
+        for (let version = 7; version <= 40; version++) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const code = version << 12 | remainder;
+
+            for (const read of [first, second]) {
+                const distance = this.bitCount(code ^ read);
+                if (!best || distance < best.distance) best = { version, distance };
+            }
+        }
+
+        if (best.distance > 3) throw new Error('Versionsinformation nicht lesbar');
+        return best.version;
+    }
+
+    getFunctionModules(version) {
+        const size = version * 4 + 17;
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const mark = (x, y) => {
+            if (x >= 0 && y >= 0 && x < size && y < size) isFunction[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            mark(6, i);
+            mark(i, 6);
+        }
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) mark(cx + dx, cy + dy);
+            }
+        });
+
+        const positions = this.getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) mark(cx + dx, cy + dy);
+                }
+            });
+        });
+
+        for (let i = 0; i <= 8; i++) {
+            mark(8, i);
+            mark(i, 8);
+        }
+        for (let i = 0; i < 8; i++) {
+            mark(size - 1 - i, 8);
+            mark(8, size - 1 - i);
+        }
+
+        if (version >= 7) {
+            for (let i = 0; i < 18; i++) {
+                mark(size - 11 + i % 3, Math.floor(i / 3));
+                mark(Math.floor(i / 3), size - 11 + i % 3);
+            }
+        }
+
+        return isFunction;
+    }
+
+    getAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = version * 4 + 10; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    /**
+     * Entschachtelt die Blöcke und korrigiert jeden mit Reed-Solomon
+     * @returns {number[]} Datencodewörter
+     */
+    correctErrors(codewords, version, level) {
+        const numBlocks = this.errorCorrectionBlocks[level][version];
+        const eccLength = this.eccCodewordsPerBlock[level][version];
+        const numShortBlocks = numBlocks - codewords.length % numBlocks;
+        const shortBlockLength = Math.floor(codewords.length / numBlocks);
+
+        const blocks = Array.from({ length: numBlocks }, () => []);
+        let index = 0;
+        for (let i = 0; i <= shortBlockLength; i++) {
+            for (let j = 0; j < numBlocks; j++) {
+                // Kurze Blöcke haben an dieser Stelle kein Datencodewort
+                if (i === shortBlockLength - eccLength && j < numShortBlocks) continue;
+                blocks[j].push(codewords[index++]);
+            }
+        }
+
+        const data = [];
+        blocks.forEach(block => {
+            const corrected = this.reedSolomonDecode(block, eccLength);
+            data.push(...corrected.slice(0, corrected.length - eccLength));
+        });
+        return data;
+    }
+
+    /**
+     * Reed-Solomon-Dekodierung (Berlekamp-Massey, Chien-Suche, Forney)
+     * @param {number[]} block - Daten + eccLength Prüfcodewörter, höchster Grad zuerst
+     * @returns {number[]} korrigierter Block
+     * @throws {Error} Wenn mehr Fehler vorliegen als korrigierbar
+     */
+    reedSolomonDecode(block, eccLength) {
+        const n = block.length;
+        const syndromes = [];
+        for (let j = 0; j < eccLength; j++) {
+            let value = 0;
+            for (let k = 0; k < n; k++) value = this.gfMultiply(value, this.gfExp[j]) ^ block[k];
+            syndromes.push(value);
+        }
+        if (syndromes.every(value => value === 0)) return block.slice();
+
+        // Fehlerstellenpolynom, niedrigster Grad zuerst
+        let locator = [1];
+        let previous = [1];
+        let length = 0;
+        let shift = 1;
+        let lastDiscrepancy = 1;
+        for (let step = 0; step < eccLength; step++) {
+            let discrepancy = syndromes[step];
+            for (let i = 1; i <= length; i++) discrepancy ^= this.gfMultiply(locator[i] || 0, syndromes[step - i]);
+
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const factor = this.gfDivide(discrepancy, lastDiscrepancy);
+            const updated = locator.slice();
+            previous.forEach((coefficient, i) => {
+                updated[i + shift] = (updated[i + shift] || 0) ^ this.gfMultiply(factor, coefficient);
+            });
+
+            if (2 * length <= step) {
+                previous = locator;
+                length = step + 1 - length;
+                lastDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = updated;
+        }
+
+        const evaluate = (poly, x) => poly.reduceRight((acc, coefficient) => this.gfMultiply(acc, x) ^ (coefficient || 0), 0);
+
+        const positions = [];
+        for (let k = 0; k < n; k++) {
+            const power = n - 1 - k;
+            if (evaluate(locator, this.gfExp[(255 - power) % 255]) === 0) positions.push(k);
+        }
+        if (positions.length !== length) throw new Error('Zu viele Fehler im QR-Code');
+
+        // Fehlerwertpolynom Ω = S·Λ mod x^eccLength, Ableitung Λ'
+        const evaluator = new Array(eccLength).fill(0);
+        for (let i = 0; i < eccLength; i++) {
+            for (let j = 0; j <= i && j < locator.length; j++) {
+                evaluator[i] ^= this.gfMultiply(locator[j] || 0, syndromes[i - j]);
+            }
+        }
+        const derivative = locator.map((coefficient, i) => (i % 2 === 1 ? coefficient || 0 : 0)).slice(1);
+
+        const corrected = block.slice();
+        positions.forEach(k => {
+            const x = this.gfExp[(n - 1 - k) % 255];
+            const xInverse = this.gfExp[(255 - (n - 1 - k)) % 255];
+            const denominator = evaluate(derivative, xInverse);
+            if (denominator === 0) throw new Error('Zu viele Fehler im QR-Code');
+            corrected[k] ^= this.gfMultiply(x, this.gfDivide(evaluate(evaluator, xInverse), denominator));
+        });
+        return corrected;
+    }
+
+    parseSegments(data, version) {
+        let offset = 0;
+        const totalBits = data.length * 8;
+        const read = (length) => {
+            let value = 0;
+            for (let i = 0; i < length; i++, offset++) {
+                value = (value << 1) | ((data[offset >>> 3] >>> (7 - (offset & 7))) & 1);
+            }
+            return value;
+        };
+        const countBits = (small, medium, large) => (version <= 9 ? small : version <= 26 ? medium : large);
+
+        const bytes = [];
+        while (totalBits - offset >= 4) {
+            const mode = read(4);
+            if (mode === 0) break;
+
+            if (mode === 0b0100) {
+                const count = read(countBits(8, 16, 16));
+                for (let i = 0; i < count; i++) bytes.push(read(8));
+            } else if (mode === 0b0001) {
+                let count = read(countBits(10, 12, 14));
+                for (; count >= 3; count -= 3) bytes.push(...String(read(10)).padStart(3, '0').split('').map(c => c.charCodeAt(0)));
+                if (count === 2) bytes.push(...String(read(7)).padStart(2, '0').split('').map(c => c.charCodeAt(0)));
+                if (count === 1) bytes.push(String(read(4)).charCodeAt(0));
+            } else if (mode === 0b0010) {
+                let count = read(countBits(9, 11, 13));
+                for (; count >= 2; count -= 2) {
+                    const value = read(11);
+                    bytes.push(this.alphanumericChars.charCodeAt(Math.floor(value / 45)), this.alphanumericChars.charCodeAt(value % 45));
+                }
+                if (count === 1) bytes.push(this.alphanumericChars.charCodeAt(read(6)));
+            } else if (mode === 0b0111) {
+                // ECI-Bezeichner überspringen, Text wird als UTF-8 gelesen
+                const first = read(8);
+                if ((first & 0xC0) === 0x80) read(8);
+                else if ((first & 0xE0) === 0xC0) read(16);
+            } else {
+                throw new Error(`Nicht unterstützter QR-Modus: ${mode}`);
+            }
+        }
+
+        return new TextDecoder().decode(new Uint8Array(bytes));
+    }
+
+    // --- Hilfsfunktionen ---
+
+    gfMultiply(x, y) {
+        if (x === 0 || y === 0) return 0;
+        return this.gfExp[this.gfLog[x] + this.gfLog[y]];
+    }
+
+    gfDivide(x, y) {
+        if (x === 0) return 0;
+        return this.gfExp[(this.gfLog[x] + 255 - this.gfLog[y]) % 255];
+    }
+
+    bitCount(value) {
+        let count = 0;
+        for (let v = value; v; v &= v - 1) count++;
+        return count;
+    }
+
+    distance(a, b) {
+        return Math.sqrt(this.squaredDistance(a, b));
+    }
+
+    squaredDistance(a, b) {
+        return (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRDecoder;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.QRDecoder = new QRDecoder();
+}
@@ -0,0 +1,273 @@
+/**
+ * QR Scanner - In-App-Scanner für die Stage-2-Codes im Geschäft
+ * Liest Kamerabilder (getUserMedia) und dekodiert sie mit QRDecoder (qr.decoder.js).
+ * Ohne Kamera oder Berechtigung bleibt die manuelle Eingabe von Link, Token oder Kurzcode.
+ * Gefundene Codes gehen direkt an WinterRallyeApp.handleStage2QRCode.
+ */
+
+'use strict';
+
+const QRDecoderClass = (typeof module !== 'undefined' && module.exports) ? require('./qr.decoder.js') : QRDecoder;
+const QRTokenClass = (typeof module !== 'undefined' && module.exports) ? require('./qr.token.js') : QRToken;
+const ShortCodeClass = (typeof module !== 'undefined' && module.exports) ? require('./short.code.js') : ShortCode;
+
+class QRScanner {
+    constructor() {
+        this.decoder = new QRDecoderClass();
+        this.codec = new QRTokenClass();
+        this.shortCode = new ShortCodeClass();
+        this.config = {
+            scanIntervalMs: 250,
+            maxFrameWidth: 640
+        };
+        this.elements = null;
+        this.stream = null;
+        this.timer = null;
+        this.canvas = null;
+        this.lastRejected = null;
+    }
+
+    /**
+     * Verbindet das Scanner-Modal (#scanner-modal), falls vorhanden
+     */
+    init() {
+        const modal = document.getElementById('scanner-modal');
+        if (!modal) {
+            console.warn('⚠️ #scanner-modal nicht gefunden, QR-Scanner deaktiviert');
+            return;
+        }
+
+        this.elements = {
+            modal,
+            video: document.getElementById('scanner-video'),
+            viewport: document.getElementById('scanner-viewport'),
+            status: document.getElementById('scanner-status'),
+            form: document.getElementById('scanner-manual-form'),
+            input: document.getElementById('scanner-manual-input')
+        };
+
+        document.getElementById('scanner-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (event) => {
+            if (event.target.classList.contains('modal__overlay')) this.close();
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isOpen()) this.close();
+        });
+        this.elements.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submitManual();
+        });
+
+        console.log('📷 QR-Scanner bereit');
+    }
+
+    isOpen() {
+        return Boolean(this.elements && this.elements.modal.classList.contains('is-open'));
+    }
+
+    /**
+     * Öffnet das Modal und startet die Kamera
+     */
+    async open() {
+        if (!this.elements) {
+            throw new Error('QR-Scanner nicht verfügbar');
+        }
+
+        const { modal, input } = this.elements;
+        input.value = '';
+        this.lastRejected = null;
+        modal.classList.add('is-open');
+        modal.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
+
+        await this.startCamera();
+    }
+
+    close() {
+        this.stopCamera();
+        if (!this.elements) return;
+
+        this.elements.modal.classList.remove('is-open');
+        this.elements.modal.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+    }
+
+    async startCamera() {
+        const { video, viewport } = this.elements;
+
+        if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+            viewport.hidden = true;
+            this.setStatus('Auf diesem Gerät ist keine Kamera verfügbar. Bitte gib den Link oder Code vom Aushang ein.');
+            return;
+        }
+
+        viewport.hidden = false;
+        this.setStatus('Kamera wird gestartet...');
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+
+            // Modal wurde während der Berechtigungsabfrage geschlossen
+            if (!this.isOpen()) {
+                this.stopCamera();
+                return;
+            }
+
+            video.srcObject = this.stream;
+            await video.play();
+            this.setStatus('Halte den QR-Code in den Rahmen.');
+            this.scheduleScan();
+
+        } catch (error) {
+            console.warn('⚠️ Kamera konnte nicht gestartet werden:', error);
+            this.stopCamera();
+            viewport.hidden = true;
+            this.setStatus(error.name === 'NotAllowedError'
+                ? 'Kamerazugriff wurde nicht erlaubt. Bitte gib den Link oder Code vom Aushang ein.'
+                : 'Kamera konnte nicht gestartet werden. Bitte gib den Link oder Code vom Aushang ein.');
+        }
+    }
+
+    stopCamera() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.elements && this.elements.video) {
+            this.elements.video.srcObject = null;
+        }
+    }
+
+    scheduleScan() {
+        this.timer = setTimeout(() => {
+            if (!this.stream) return;
+
+            if (!this.scanFrame()) this.scheduleScan();
+        }, this.config.scanIntervalMs);
+    }
+
+    /**
+     * Dekodiert das aktuelle Kamerabild (auf maxFrameWidth verkleinert)
+     * @returns {boolean} True, wenn ein Rallye-Code gefunden und übergeben wurde
+     */
+    scanFrame() {
+        const { video } = this.elements;
+        if (video.readyState < 2 || !video.videoWidth) return false;
+
+        const scale = Math.min(1, this.config.maxFrameWidth / video.videoWidth);
+        const width = Math.round(video.videoWidth * scale);
+        const height = Math.round(video.videoHeight * scale);
+
+        if (!this.canvas) this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        const context = this.canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(video, 0, 0, width, height);
+
+        const result = this.decoder.decode(context.getImageData(0, 0, width, height));
+        return result ? this.handleResult(result.text) : false;
+    }
+
+    submitManual() {
+        const value = this.elements.input.value.trim();
+        if (!value) {
+            this.setStatus('Bitte gib einen Link oder Code ein.');
+            return;
+        }
+        if (!this.handleResult(value)) {
+            this.elements.input.select();
+        }
+    }
+
+    /**
+     * Übergibt einen gelesenen Code an die App
+     * @param {string} text - Inhalt des QR-Codes oder manuelle Eingabe
+     * @returns {boolean} True, wenn der Code übergeben wurde
+     */
+    handleResult(text) {
+        const target = this.parseInput(text);
+        if (!target) {
+            if (this.lastRejected !== text) {
+                console.warn('⚠️ Kein Rallye-Code erkannt:', text);
+                this.lastRejected = text;
+            }
+            this.setStatus(this.shortCode.isShortCode(text)
+                ? 'Kurzcode vertippt – bitte noch einmal prüfen.'
+                : 'Das ist kein Stage-2-Code der Winter-Rallye. Bitte scanne den Code im Geschäft.');
+            return false;
+        }
+
+        const app = window.WinterRallyeApp;
+        if (!app || typeof app.handleStage2QRCode !== 'function') {
+            this.setStatus('Die App ist noch nicht bereit. Bitte versuche es gleich noch einmal.');
+            return false;
+        }
+
+        const now = window.WR_TIME ? window.WR_TIME.getBerlinNow() : new Date();
+        if (typeof app.isPuzzleAvailable === 'function' && !app.isPuzzleAvailable(target.day, now)) {
+            this.setStatus(`Türchen ${target.day} ist noch nicht geöffnet.`);
+            return false;
+        }
+
+        console.log(`📷 QR-Code für Tag ${target.day} erkannt`);
+        this.close();
+        app.handleStage2QRCode(target.day, target.token);
+        return true;
+    }
+
+    /**
+     * Erkennt QR-URL (…?day=&stage=2&qr=<token>), ein nacktes Token v1 oder einen Kurzcode
+     * Die Signatur prüft erst handleStage2QRCode (QRVerify).
+     * @param {string} text
+     * @returns {{day: number, token: string}|null}
+     */
+    parseInput(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+
+        if (value.startsWith('v1.')) {
+            try {
+                const { payload } = this.codec.decode(value);
+                return payload.stage === 2 ? { day: payload.day, token: value } : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (this.shortCode.isShortCode(value)) {
+            try {
+                return { day: this.shortCode.decode(value).day, token: value };
+            } catch (error) {
+                return null;
+            }
+        }
+
+        const parsed = this.codec.parseUrl(value);
+        if (!parsed || parsed.stage !== 2 || !(parsed.day >= 1 && parsed.day <= 24)) {
+            return null;
+        }
+        return { day: parsed.day, token: parsed.token };
+    }
+
+    setStatus(message) {
+        if (this.elements) {
+            this.elements.status.textContent = message;
+        }
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRScanner;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.QRScanner = new QRScanner();
+}
@@ -0,0 +1,233 @@
+/**
+ * QR Token - Gemeinsames Token-Format für admin/qr-linkgen.js und scripts/qr.verify.js
+ *
+ * Token v1 (kompakt, JWS-ähnlich, alle Teile base64url ohne Padding):
+ *   v1.<header>.<payload>.<signature>
+ *   header    = {"alg":"ES256","kid":"<keyId>"}
+ *   payload   = {"day":1-24,"stage":1|2, ...weitere Felder}
+ *               optionale Claims:
+ *                 nbf/exp  Gültigkeitsfenster in Unix-Sekunden (aus release_times des Tages)
+ *                 nonce    Zufallswert (base64url) für Einlöse-Protokoll und Replay-Schutz
+ *                 once     true = nur ein userKey darf den Code einlösen
+ *                 sub      WR_USER_KEY, an den der Code gebunden ist
+ *   signature = ECDSA P-256/SHA-256 (r||s, 64 Bytes) über "v1.<header>.<payload>"
+ *
+ * QR-URL: <baseUrl>/?day=<day>&stage=<stage>&qr=<token>
+ * (wird von main.checkAutoOpenDoor ausgewertet)
+ */
+
+'use strict';
+
+class QRToken {
+    constructor() {
+        this.version = 'v1';
+        this.algorithm = 'ES256';
+        this.maxLength = 1024;
+        this.pattern = /^v1\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+    }
+
+    /**
+     * Signiert einen Payload und liefert das Token
+     * @param {Object} payload - Mindestens { day, stage }
+     * @param {{keyId: string, privateKeyJwk: Object}} signingKey
+     * @returns {Promise<string>} Token v1
+     */
+    async sign(payload, signingKey) {
+        this.validatePayload(payload);
+
+        const header = { alg: this.algorithm, kid: signingKey.keyId };
+        const signingInput = `${this.version}.${this.base64UrlEncode(JSON.stringify(header))}.${this.base64UrlEncode(JSON.stringify(payload))}`;
+
+        return `${signingInput}.${await this.signInput(signingInput, signingKey.privateKeyJwk)}`;
+    }
+
+    /**
+     * ES256-Signatur über einen beliebigen Signing-Input (auch für andere Token-Präfixe, z.B. pv1)
+     * @param {string} signingInput
+     * @param {Object} privateKeyJwk
+     * @returns {Promise<string>} Signatur base64url
+     */
+    async signInput(signingInput, privateKeyJwk) {
+        const cryptoKey = await globalThis.crypto.subtle.importKey(
+            'jwk',
+            privateKeyJwk,
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['sign']
+        );
+        const signature = await globalThis.crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            cryptoKey,
+            new TextEncoder().encode(signingInput)
+        );
+
+        return this.base64UrlEncode(new Uint8Array(signature));
+    }
+
+    /**
+     * Zerlegt ein Token ohne Signaturprüfung
+     * @param {string} token - Token v1
+     * @returns {{version, header, payload, signingInput, signature: Uint8Array}}
+     * @throws {Error} Bei unbekanntem Format
+     */
+    decode(token) {
+        if (typeof token !== 'string' || token.length > this.maxLength || !this.pattern.test(token)) {
+            throw new Error('Unbekanntes QR-Token-Format');
+        }
+
+        const [version, headerPart, payloadPart, signaturePart] = token.split('.');
+        let header;
+        let payload;
+        try {
+            header = JSON.parse(this.base64UrlDecodeText(headerPart));
+            payload = JSON.parse(this.base64UrlDecodeText(payloadPart));
+        } catch (error) {
+            throw new Error('QR-Token nicht lesbar');
+        }
+
+        if (header.alg !== this.algorithm || typeof header.kid !== 'string' || !header.kid) {
+            throw new Error(`Ununterstützter Token-Header: ${header.alg}`);
+        }
+        this.validatePayload(payload);
+
+        return {
+            version,
+            header,
+            payload,
+            signingInput: `${version}.${headerPart}.${payloadPart}`,
+            signature: this.base64UrlDecode(signaturePart)
+        };
+    }
+
+    /**
+     * Prüft die Signatur eines dekodierten Tokens
+     * @param {Object} decoded - Ergebnis von decode
+     * @param {CryptoKey|Object} publicKey - CryptoKey oder öffentlicher JWK
+     * @returns {Promise<boolean>}
+     */
+    async verify(decoded, publicKey) {
+        const cryptoKey = publicKey.kty
+            ? await globalThis.crypto.subtle.importKey('jwk', publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify'])
+            : publicKey;
+
+        if (decoded.signature.length !== 64) return false;
+
+        return globalThis.crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            cryptoKey,
+            decoded.signature,
+            new TextEncoder().encode(decoded.signingInput)
+        );
+    }
+
+    validatePayload(payload) {
+        if (!payload || typeof payload !== 'object') {
+            throw new Error('QR-Payload fehlt');
+        }
+        if (!Number.isInteger(payload.day) || payload.day < 1 || payload.day > 24) {
+            throw new Error('QR-Payload: day muss 1-24 sein');
+        }
+        if (![1, 2].includes(payload.stage)) {
+            throw new Error('QR-Payload: stage muss 1 oder 2 sein');
+        }
+        for (const claim of ['nbf', 'exp']) {
+            if (payload[claim] !== undefined && !Number.isInteger(payload[claim])) {
+                throw new Error(`QR-Payload: ${claim} muss Unix-Sekunden enthalten`);
+            }
+        }
+        if (payload.nbf !== undefined && payload.exp !== undefined && payload.exp <= payload.nbf) {
+            throw new Error('QR-Payload: exp liegt nicht nach nbf');
+        }
+        if (payload.nonce !== undefined && !/^[A-Za-z0-9_-]{8,64}$/.test(payload.nonce)) {
+            throw new Error('QR-Payload: nonce ungültig');
+        }
+        if (payload.once !== undefined && typeof payload.once !== 'boolean') {
+            throw new Error('QR-Payload: once muss boolean sein');
+        }
+        if (payload.sub !== undefined && (typeof payload.sub !== 'string' || !payload.sub || payload.sub.length > 64)) {
+            throw new Error('QR-Payload: sub ungültig');
+        }
+        if (payload.once && !payload.nonce) {
+            throw new Error('QR-Payload: once erfordert eine nonce');
+        }
+    }
+
+    /**
+     * Erzeugt eine zufällige Nonce (96 Bit, base64url)
+     * @returns {string}
+     */
+    createNonce() {
+        return this.base64UrlEncode(globalThis.crypto.getRandomValues(new Uint8Array(12)));
+    }
+
+    // --- URL ---
+
+    /**
+     * Baut die URL, die im QR-Code steht
+     * @param {string} baseUrl - z.B. https://winter-rallye-2025.haldensleben.de
+     * @param {string} token - Token v1
+     * @returns {string}
+     */
+    buildUrl(baseUrl, token) {
+        const { payload } = this.decode(token);
+        const url = new URL(baseUrl);
+        if (!url.pathname.endsWith('/')) url.pathname += '/';
+
+        url.search = new URLSearchParams({
+            day: String(payload.day),
+            stage: String(payload.stage),
+            qr: token
+        }).toString();
+
+        return url.toString();
+    }
+
+    /**
+     * Liest day, stage und Token aus einer QR-URL
+     * @param {string} urlString
+     * @returns {{day: number, stage: number, token: string}|null}
+     */
+    parseUrl(urlString) {
+        try {
+            const params = new URL(urlString).searchParams;
+            const token = params.get('qr');
+            if (!token) return null;
+
+            return {
+                day: parseInt(params.get('day'), 10),
+                stage: parseInt(params.get('stage'), 10),
+                token
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // --- base64url (UTF-8) ---
+
+    base64UrlEncode(data) {
+        const bytes = data instanceof Uint8Array ? data : new TextEncoder().encode(data);
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    base64UrlDecode(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - text.length % 4) % 4);
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    base64UrlDecodeText(text) {
+        return new TextDecoder().decode(this.base64UrlDecode(text));
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRToken;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.QRToken = new QRToken();
+}
@@ -1,10 +1,18 @@
 /**
  * QR Verify - QR-Code-Verifikation für Rätzel Winter 2025
- * Überprüfung von signierten QR-Codes ohne Backend
+ * Überprüfung von signierten QR-Codes ohne Backend.
+ * Signaturen sind ECDSA P-256 (SHA-256); der Browser kennt nur öffentliche Schlüssel
+ * aus dem Key-Set (public/keys/qr-keyset.json), signiert wird ausschließlich in admin/qr-linkgen.
+ * Kurzcodes zum Abtippen (scripts/short.code.js) werden gegen die gehashte Prüfliste
+ * public/keys/short-codes.json geprüft.
  */
 
 'use strict';
 
+// Token-Codec (scripts/qr.token.js): im Browser per <script> vorher geladen, in Node per require
+const QRTokenCodec = (typeof module !== 'undefined' && module.exports) ? require('./qr.token.js') : QRToken;
+const ShortCodeCodec = (typeof module !== 'undefined' && module.exports) ? require('./short.code.js') : ShortCode;
+
 /**
  * QR-Code Verifikations-Klasse
  */
@@ -12,12 +20,39 @@ class QRVerify {
     constructor() {
         this.isInitialized = false;
         this.publicKeys = new Map();
+        this.cryptoKeys = new Map();
         this.verificationCache = new Map();
+        this.codec = new QRTokenCodec();
+        this.shortCode = new ShortCodeCodec();
+        this.shortCodeEntries = new Map();
+        this.shortCodeIterations = this.shortCode.iterations;
         
         // Konfiguration für QR-Verifikation
         this.config = {
             // Unterstützte Signatur-Algorithmen
-            supportedAlgorithms: ['ECDSA', 'RSA-PSS', 'HMAC'],
+            supportedAlgorithms: ['ECDSA'],
+
+            // Öffentliches Key-Set mit keyId, Gültigkeitszeitraum und JWK
+            keySetUrl: './public/keys/qr-keyset.json',
+
+            // Prüfliste der Kurzcodes (PBKDF2-Hashes, erzeugt in admin/qr-linkgen)
+            shortCodesUrl: './public/keys/short-codes.json',
+            minShortCodeIterations: 10000,
+
+            // Unsignierte JSON-Payloads nur für lokale Testseiten
+            allowUnsigned: false,
+
+            // Toleranz für abweichende Geräteuhren bei nbf/exp
+            clockSkewMs: 2 * 60 * 1000,
+
+            // Lokales Einlöse-Protokoll (nonce -> Einlösung)
+            redemptionStorageKey: 'wr_qr_redeemed_v1',
+            redemptionRetentionMs: 30 * 24 * 60 * 60 * 1000,
+
+            // Serverseitige Einlösung von once-Codes: leer = aus WR_ANSWER_CFG.submitEndpoint + '/redemptions'
+            redeemEndpoint: '',
+            // true = once-Codes ohne Server-Bestätigung ablehnen
+            requireServerRedemption: false,
             
             // Timeout für Verifikation
             verificationTimeout: 5000,
@@ -26,23 +61,12 @@ class QRVerify {
             cacheTimeout: 300000, // 5 Minuten
             maxCacheEntries: 100,
             
-            // QR-Code Format
+            // QR-Code Format (Spezifikation in qr.token.js)
             qrFormat: {
-                version: '1.0',
-                signature: /^v1\.([A-Za-z0-9+\/=]+)\.([A-Za-z0-9+\/=]+)$/,
+                version: 'v1',
                 maxPayloadSize: 1024
             }
         };
-
-        // Vordefinierte öffentliche Schlüssel (für Demo/Test)
-        this.predefinedKeys = {
-            'winter2025': {
-                algorithm: 'HMAC',
-                key: 'winter2025_secret_key_demo_only', // In Produktion: echter Schlüssel
-                keyId: 'winter2025',
-                description: 'Demo-Schlüssel für Winter Rallye 2025'
-            }
-        };
     }
 
     /**
@@ -52,8 +76,9 @@ class QRVerify {
         try {
             console.log('🔍 QR-Verifier wird initialisiert...');
             
-            // Lade vordefinierte Schlüssel
-            await this.loadPredefinedKeys();
+            // Lade öffentliche Schlüssel
+            await this.loadKeySet();
+            await this.loadShortCodes();
 
             // Setup Cache-Bereinigung
             this.startCacheCleanup();
@@ -71,46 +96,173 @@ class QRVerify {
     }
 
     /**
-     * Lädt vordefinierte Schlüssel
+     * Lädt das öffentliche Key-Set
      */
-    async loadPredefinedKeys() {
-        for (const [keyId, keyData] of Object.entries(this.predefinedKeys)) {
-            this.publicKeys.set(keyId, keyData);
-            console.log(`🔑 Schlüssel geladen: ${keyId}`);
+    async loadKeySet() {
+        try {
+            const response = await fetch(this.config.keySetUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.setKeySet(await response.json());
+
+        } catch (error) {
+            console.error('❌ Key-Set konnte nicht geladen werden:', error);
         }
     }
 
     /**
-     * Testet Crypto-API-Unterstützung
+     * Übernimmt ein Key-Set. Einträge:
+     * { keyId, algorithm: 'ECDSA-P256', publicKeyJwk: {kty, crv, x, y}, notBefore, expiresAt }
+     * Mehrere Schlüssel dürfen gleichzeitig gültig sein (Rotation mit Überlappung).
+     * @param {Object} keySet - { version, keys: [...] }
      */
-    async testCryptoSupport() {
-        if (!window.crypto || !window.crypto.subtle) {
-            console.warn('⚠️ Web Crypto API nicht verfügbar - verwende Fallback-Methoden');
-            return;
+    setKeySet(keySet) {
+        this.publicKeys.clear();
+        this.cryptoKeys.clear();
+        this.verificationCache.clear();
+
+        for (const entry of keySet?.keys || []) {
+            const jwk = entry.publicKeyJwk || {};
+            if (!entry.keyId || entry.algorithm !== 'ECDSA-P256' || jwk.kty !== 'EC' || jwk.crv !== 'P-256' || !jwk.x || !jwk.y) {
+                console.warn('⚠️ Ungültiger Key-Set-Eintrag übersprungen:', entry.keyId);
+                continue;
+            }
+            if (jwk.d) {
+                console.error(`❌ Key-Set enthält privaten Schlüssel (${entry.keyId}) – Eintrag ignoriert`);
+                continue;
+            }
+
+            this.publicKeys.set(entry.keyId, {
+                keyId: entry.keyId,
+                algorithm: 'ECDSA',
+                publicKeyJwk: { kty: 'EC', crv: 'P-256', x: jwk.x, y: jwk.y },
+                notBefore: entry.notBefore ? Date.parse(entry.notBefore) : null,
+                expiresAt: entry.expiresAt ? Date.parse(entry.expiresAt) : null
+            });
+            console.log(`🔑 Schlüssel geladen: ${entry.keyId}`);
+        }
+
+        if (this.publicKeys.size === 0) {
+            console.warn('⚠️ Key-Set enthält keine gültigen Schlüssel – QR-Codes können nicht geprüft werden');
         }
+    }
 
+    /**
+     * Lädt die Prüfliste der Kurzcodes (fehlt sie, werden Kurzcodes abgelehnt)
+     */
+    async loadShortCodes() {
         try {
-            // Test HMAC-Unterstützung
-            const key = await crypto.subtle.generateKey(
-                { name: 'HMAC', hash: 'SHA-256' },
+            const response = await fetch(this.config.shortCodesUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.setShortCodes(await response.json());
+
+        } catch (error) {
+            console.warn('⚠️ Kurzcode-Liste konnte nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Übernimmt die Kurzcode-Prüfliste. Einträge:
+     * { day, salt (Hex), hash (PBKDF2-SHA256, Hex), nbf?, exp? }
+     * @param {Object} list - { version, iterations, codes: [...] }
+     */
+    setShortCodes(list) {
+        this.shortCodeEntries.clear();
+        this.verificationCache.clear();
+
+        const iterations = list?.iterations;
+        if (!Number.isInteger(iterations) || iterations < this.config.minShortCodeIterations) {
+            console.warn('⚠️ Kurzcode-Liste ohne ausreichende PBKDF2-Iterationen ignoriert');
+            return;
+        }
+        this.shortCodeIterations = iterations;
+
+        for (const entry of list.codes || []) {
+            const validClaims = ['nbf', 'exp'].every(claim => entry[claim] === undefined || Number.isInteger(entry[claim]));
+            if (!Number.isInteger(entry.day) || entry.day < 1 || entry.day > 24 ||
+                !/^[0-9a-f]{32}$/.test(entry.salt) || !/^[0-9a-f]{64}$/.test(entry.hash) || !validClaims) {
+                console.warn('⚠️ Ungültiger Kurzcode-Eintrag übersprungen:', entry.day);
+                continue;
+            }
+
+            if (!this.shortCodeEntries.has(entry.day)) {
+                this.shortCodeEntries.set(entry.day, []);
+            }
+            this.shortCodeEntries.get(entry.day).push(entry);
+        }
+
+        console.log(`🔢 Kurzcodes geladen: ${this.shortCodeEntries.size} Tage`);
+    }
+
+    /**
+     * Liefert den CryptoKey zu einer keyId, sofern der Schlüssel aktuell gültig ist
+     * @param {string} keyId - Schlüssel-ID aus dem signierten Payload
+     * @param {number} [now] - Prüfzeitpunkt (ms), Standard: Serverzeit wie bei nbf/exp
+     * @returns {Promise<CryptoKey>}
+     */
+    async getVerificationKey(keyId, now = this.now()) {
+        const keyData = this.publicKeys.get(keyId);
+        if (!keyData) {
+            throw new Error(`Unbekannte Key-ID: ${keyId}`);
+        }
+        if (keyData.notBefore && now < keyData.notBefore) {
+            throw new Error(`Schlüssel ${keyId} ist noch nicht gültig`);
+        }
+        if (keyData.expiresAt && now > keyData.expiresAt) {
+            throw new Error(`Schlüssel ${keyId} ist abgelaufen`);
+        }
+
+        if (!this.cryptoKeys.has(keyId)) {
+            const cryptoKey = await globalThis.crypto.subtle.importKey(
+                'jwk',
+                keyData.publicKeyJwk,
+                { name: 'ECDSA', namedCurve: 'P-256' },
                 false,
-                ['sign', 'verify']
+                ['verify']
             );
-            console.log('✅ HMAC-Unterstützung verfügbar');
-        } catch (error) {
-            console.warn('⚠️ HMAC-Test fehlgeschlagen:', error);
+            this.cryptoKeys.set(keyId, cryptoKey);
         }
+
+        return this.cryptoKeys.get(keyId);
+    }
+
+    /**
+     * Testet Crypto-API-Unterstützung
+     */
+    async testCryptoSupport() {
+        if (!globalThis.crypto || !globalThis.crypto.subtle) {
+            console.warn('⚠️ Web Crypto API nicht verfügbar - QR-Codes können nicht geprüft werden');
+            return;
+        }
+        console.log('✅ ECDSA-Unterstützung verfügbar');
+    }
+
+    /**
+     * Verifiziert das Token aus einer QR-URL (?day&stage&qr=)
+     * @param {string} token - Token v1
+     * @param {Object} expectedData - z.B. { day, stage: 2 }
+     * @param {Object} [options] - { userKey } (Standard: window.WR_USER_KEY)
+     * @returns {Promise<Object>} { valid, error?, keyId, payload, redemption?, ... }
+     */
+    async verifyToken(token, expectedData = {}, options = {}) {
+        return this.verifyQRCode(token, expectedData, options);
     }
 
     /**
      * Verrifiziert einen QR-Code
      */
-    async verifyQRCode(qrData, expectedData = {}) {
+    async verifyQRCode(qrData, expectedData = {}, options = {}) {
+        const security = typeof window !== 'undefined' ? window.SecurityStatic : null;
+        const userKey = options.userKey ?? (typeof window !== 'undefined' ? window.WR_USER_KEY : undefined);
+
         try {
             console.log('🔍 Verifiziere QR-Code...');
 
             // Rate-Limiting prüfen
-            if (!window.SecurityStatic.checkRateLimit('qrScan')) {
+            if (security && !security.checkRateLimit('qrScan')) {
                 throw new Error('Rate-Limit für QR-Scans überschritten');
             }
 
@@ -135,14 +287,29 @@ class QRVerify {
             }
 
             // Verifikation durchführen
-            const verificationResult = await this.performVerification(parsed, expectedData);
+            const verificationResult = await this.performVerification(parsed, expectedData, userKey);
+
+            // Einlösung protokollieren (lokal, bei once-Codes auch am Server)
+            if (verificationResult.valid && parsed.payload.nonce) {
+                const redemption = await this.redeemNonce(parsed.payload, userKey);
+                if (redemption.ok) {
+                    verificationResult.redemption = redemption.source;
+                } else {
+                    verificationResult.valid = false;
+                    verificationResult.error = redemption.error;
+                }
+            }
 
-            // Ergebnis cachen
-            this.cacheVerificationResult(cacheKey, verificationResult);
+            // Ergebnis cachen (Codes mit Claims nicht: Zeitfenster und Einlösung müssen jedes Mal geprüft werden)
+            // Bei Kurzcodes stehen die Claims erst im Ergebnis (aus der Prüfliste)
+            const claims = verificationResult.payload || parsed.payload;
+            if (!claims.exp && !claims.nonce) {
+                this.cacheVerificationResult(cacheKey, verificationResult);
+            }
 
             // Security-Event loggen
-            if (window.SecurityStatic) {
-                window.SecurityStatic.logSecurityEvent('qr_verification', {
+            if (typeof security?.logSecurityEvent === 'function') {
+                security.logSecurityEvent('qr_verification', {
                     success: verificationResult.valid,
                     keyId: parsed.keyId,
                     algorithm: parsed.algorithm
@@ -155,10 +322,10 @@ class QRVerify {
             console.error('❌ QR-Verifikation fehlgeschlagen:', error);
             
             // Security-Event für Fehler loggen
-            if (window.SecurityStatic) {
-                window.SecurityStatic.logSecurityEvent('qr_verification_failed', {
+            if (typeof security?.logSecurityEvent === 'function') {
+                security.logSecurityEvent('qr_verification_failed', {
                     error: error.message,
-                    qrData: qrData.substring(0, 50) + '...' // Nur Anfang für Logs
+                    qrData: String(qrData).substring(0, 50) + '...' // Nur Anfang für Logs
                 });
             }
 
@@ -197,35 +364,22 @@ class QRVerify {
     parseQRCode(qrData) {
         try {
             // Unterstützte Formate:
-            // 1. Signiertes Format: "v1.{signature}.{payload}"
-            // 2. HMAC Format: "hmac.{keyId}.{signature}.{payload}"
-            // 3. Einfaches Format: "{payload}" (für Tests)
-
-            // Prüfe signiertes Format v1
-            const v1Match = qrData.match(this.config.qrFormat.signature);
-            if (v1Match) {
-                return this.parseV1Format(v1Match[1], v1Match[2]);
+            // 1. Token v1: "v1.{header}.{payload}.{signature}" (siehe qr.token.js)
+            // 2. Kurzcode: "XXXX-XXXX" (siehe short.code.js)
+            // 3. Einfaches Format: "{payload}" (nur mit allowUnsigned, für Testseiten)
+
+            if (qrData.startsWith(`${this.config.qrFormat.version}.`)) {
+                return this.parseV1Format(qrData);
             }
 
-            // Prüfe HMAC-Format
-            if (qrData.startsWith('hmac.')) {
-                return this.parseHMACFormat(qrData);
+            if (this.shortCode.isShortCode(qrData)) {
+                return this.parseShortCodeFormat(qrData);
             }
 
-            // Prüfe einfaches Format (für Development/Tests)
             if (qrData.startsWith('{') && qrData.endsWith('}')) {
                 return this.parseSimpleFormat(qrData);
             }
 
-            // Base64-Dekodierung versuchen
-            try {
-                const decoded = atob(qrData);
-                const parsed = JSON.parse(decoded);
-                return this.parseJSONFormat(parsed);
-            } catch (e) {
-                // Nicht Base64/JSON
-            }
-
             console.warn('Unbekanntes QR-Code-Format:', qrData.substring(0, 50));
             return null;
 
@@ -236,55 +390,44 @@ class QRVerify {
     }
 
     /**
-     * Parsed v1-Format
+     * Parsed Token v1
      */
-    parseV1Format(signatureB64, payloadB64) {
-        try {
-            const signature = atob(signatureB64);
-            const payload = JSON.parse(atob(payloadB64));
+    parseV1Format(token) {
+        const decoded = this.codec.decode(token);
 
-            return {
-                version: '1.0',
-                algorithm: payload.algorithm || 'HMAC',
-                keyId: payload.keyId || 'winter2025',
-                signature,
-                payload,
-                originalData: payloadB64
-            };
-
-        } catch (error) {
-            console.error('V1-Format-Parsing fehlgeschlagen:', error);
-            return null;
-        }
+        return {
+            version: decoded.version,
+            algorithm: decoded.header.alg === 'ES256' ? 'ECDSA' : decoded.header.alg,
+            keyId: decoded.header.kid,
+            signature: decoded.signature,
+            payload: decoded.payload,
+            originalData: decoded.signingInput,
+            decoded
+        };
     }
 
     /**
-     * Parsed HMAC-Format
+     * Parsed einen Kurzcode; ein falsches Prüfzeichen wird erst in verifyShortCode gemeldet
      */
-    parseHMACFormat(qrData) {
-        try {
-            // Format: "hmac.keyId.signature.payload"
-            const parts = qrData.split('.');
-            if (parts.length !== 4) {
-                throw new Error('Ungültiges HMAC-Format');
-            }
-
-            const [, keyId, signatureHex, payloadB64] = parts;
-            const payload = JSON.parse(atob(payloadB64));
-
-            return {
-                version: 'hmac',
-                algorithm: 'HMAC',
-                keyId,
-                signature: signatureHex,
-                payload,
-                originalData: payloadB64
-            };
+    parseShortCodeFormat(input) {
+        const parsed = {
+            version: 'short',
+            algorithm: 'SHORTCODE',
+            keyId: null,
+            signature: null,
+            code: this.shortCode.normalize(input),
+            payload: {},
+            originalData: input
+        };
 
+        try {
+            const decoded = this.shortCode.decode(input);
+            parsed.payload = { day: decoded.day, stage: 2 };
         } catch (error) {
-            console.error('HMAC-Format-Parsing fehlgeschlagen:', error);
-            return null;
+            parsed.error = error.message;
         }
+
+        return parsed;
     }
 
     /**
@@ -309,30 +452,16 @@ class QRVerify {
         }
     }
 
-    /**
-     * Parsed JSON-Format aus Base64
-     */
-    parseJSONFormat(parsed) {
-        return {
-            version: parsed.version || 'json',
-            algorithm: parsed.algorithm || 'none',
-            keyId: parsed.keyId || null,
-            signature: parsed.signature || null,
-            payload: parsed.payload || parsed,
-            originalData: JSON.stringify(parsed)
-        };
-    }
-
     /**
      * Führt die eigentliche Verifikation durch
      */
-    async performVerification(parsed, expectedData) {
+    async performVerification(parsed, expectedData, userKey) {
         const startTime = Date.now();
 
         try {
             // Timeout-Schutz
             return await this.withTimeout(
-                this.verifySignature(parsed, expectedData),
+                this.verifySignature(parsed, expectedData, userKey),
                 this.config.verificationTimeout
             );
 
@@ -349,47 +478,56 @@ class QRVerify {
     }
 
     /**
-     * Verifiziert die Signatur
+     * Verifiziert die Signatur – nur mit öffentlichen Schlüsseln
      */
-    async verifySignature(parsed, expectedData) {
+    async verifySignature(parsed, expectedData, userKey) {
         switch (parsed.algorithm) {
-            case 'HMAC':
-                return await this.verifyHMAC(parsed, expectedData);
             case 'ECDSA':
-                return await this.verifyECDSA(parsed, expectedData);
-            case 'RSA-PSS':
-                return await this.verifyRSAPSS(parsed, expectedData);
+                return await this.verifyECDSA(parsed, expectedData, userKey);
+            case 'SHORTCODE':
+                return await this.verifyShortCode(parsed, expectedData, userKey);
             case 'none':
+                if (!this.config.allowUnsigned) {
+                    throw new Error('Unsignierte QR-Codes sind deaktiviert');
+                }
                 return this.verifyPlaintext(parsed, expectedData);
             default:
+                // HMAC würde ein Geheimnis im Browser erfordern und wird daher nicht mehr akzeptiert
                 throw new Error(`Ununterstützter Algorithmus: ${parsed.algorithm}`);
         }
     }
 
     /**
-     * HMAC-Verifikation
+     * ECDSA-P256-Verifikation eines Tokens v1 (Signatur über "v1.header.payload")
      */
-    async verifyHMAC(parsed, expectedData) {
+    async verifyECDSA(parsed, expectedData, userKey) {
         try {
-            const keyData = this.publicKeys.get(parsed.keyId);
-            if (!keyData) {
-                throw new Error(`Unbekannte Key-ID: ${parsed.keyId}`);
+            // Schlüssel-Gültigkeit und Zeitfenster gegen denselben (server-korrigierten) Zeitpunkt
+            const now = this.now();
+            const cryptoKey = await this.getVerificationKey(parsed.keyId, now);
+            const isValid = await this.codec.verify(parsed.decoded, cryptoKey);
+
+            // Zusätzliche Datenvalidierung: erwartete Felder, dann Zeitfenster und Gerätebindung
+            let dataValid = this.validateExpectedData(parsed.payload, expectedData);
+            if (dataValid.valid) {
+                dataValid = this.validateClaims(parsed.payload, { userKey, now });
             }
 
-            if (window.crypto && window.crypto.subtle) {
-                // Verwende Web Crypto API
-                return await this.verifyHMACWebCrypto(parsed, keyData, expectedData);
-            } else {
-                // Fallback für ältere Browser
-                return this.verifyHMACFallback(parsed, keyData, expectedData);
-            }
+            return {
+                valid: isValid && dataValid.valid,
+                error: isValid ? dataValid.error : 'Ungültige Signatur',
+                algorithm: 'ECDSA',
+                keyId: parsed.keyId,
+                payload: parsed.payload,
+                timestamp: Date.now()
+            };
 
         } catch (error) {
-            console.error('HMAC-Verifikation fehlgeschlagen:', error);
+            console.error('ECDSA-Verifikation fehlgeschlagen:', error);
             return {
                 valid: false,
                 error: error.message,
-                algorithm: 'HMAC',
+                algorithm: 'ECDSA',
                 keyId: parsed.keyId,
                 timestamp: Date.now()
             };
@@ -397,67 +535,42 @@ class QRVerify {
     }
 
     /**
-     * HMAC-Verifikation mit Web Crypto API
+     * Kurzcode-Verifikation: PBKDF2-Hash gegen die Einträge des Tages aus der Prüfliste,
+     * Zeitfenster (nbf/exp) kommen aus dem passenden Eintrag
      */
-    async verifyHMACWebCrypto(parsed, keyData, expectedData) {
-        const encoder = new TextEncoder();
-        const keyBytes = encoder.encode(keyData.key);
-
-        // Import key
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw',
-            keyBytes,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['verify']
-        );
-
-        // Berechne erwartete Signatur
-        const dataToSign = encoder.encode(parsed.originalData);
-        const expectedSignature = await crypto.subtle.sign('HMAC', cryptoKey, dataToSign);
-        const expectedHex = Array.from(new Uint8Array(expectedSignature))
-            .map(b => b.toString(16).padStart(2, '0')).join('');
-
-        // Vergleiche mit übergebener Signatur
-        const isValid = parsed.signature === expectedHex;
-
-        // Zusätzliche Datenvalidierung
-        const dataValid = this.validateExpectedData(parsed.payload, expectedData);
-
-        return {
-            valid: isValid && dataValid.valid,
-            error: isValid ? dataValid.error : 'Ungültige Signatur',
-            algorithm: 'HMAC',
-            keyId: parsed.keyId,
-            payload: parsed.payload,
+    async verifyShortCode(parsed, expectedData, userKey) {
+        const result = {
+            valid: false,
+            algorithm: 'SHORTCODE',
+            keyId: null,
             timestamp: Date.now()
         };
-    }
 
-    /**
-     * HMAC-Fallback für ältere Browser
-     */
-    verifyHMACFallback(parsed, keyData, expectedData) {
-        // Einfacher String-Vergleich (weniger sicher)
-        const expectedPayload = JSON.stringify(expectedData);
-        const receivedPayload = JSON.stringify(parsed.payload);
+        if (parsed.error) {
+            return { ...result, error: parsed.error };
+        }
 
-        // In einer echten Implementierung würde hier eine Crypto-Bibliothek verwendet
-        const isValid = this.simpleHashCompare(
-            keyData.key + parsed.originalData,
-            parsed.signature
-        );
+        let match = null;
+        for (const entry of this.shortCodeEntries.get(parsed.payload.day) || []) {
+            if (await this.shortCode.hash(parsed.code, entry.salt, this.shortCodeIterations) === entry.hash) {
+                match = entry;
+                break;
+            }
+        }
+        if (!match) {
+            return { ...result, error: 'Unbekannter Kurzcode' };
+        }
 
-        const dataValid = this.validateExpectedData(parsed.payload, expectedData);
+        const payload = { day: match.day, stage: 2 };
+        if (match.nbf !== undefined) payload.nbf = match.nbf;
+        if (match.exp !== undefined) payload.exp = match.exp;
 
-        return {
-            valid: isValid && dataValid.valid,
-            error: isValid ? dataValid.error : 'Ungültige Signatur (Fallback)',
-            algorithm: 'HMAC-Fallback',
-            keyId: parsed.keyId,
-            payload: parsed.payload,
-            timestamp: Date.now()
-        };
+        let dataValid = this.validateExpectedData(payload, expectedData);
+        if (dataValid.valid) {
+            dataValid = this.validateClaims(payload, { userKey });
+        }
+
+        return { ...result, valid: dataValid.valid, error: dataValid.error, payload };
     }
 
     /**
@@ -508,18 +621,151 @@ class QRVerify {
     }
 
     /**
-     * Einfacher Hash-Vergleich für Fallback
+     * Prüft nbf/exp (mit clockSkewMs) und die Bindung an WR_USER_KEY.
+     * Ein bereits von diesem userKey eingelöster Code bleibt nach exp gültig,
+     * damit das Rätsel nach dem Scan im Geschäft auch später fortgesetzt werden kann.
+     * @param {Object} payload - Token-Payload
+     * @param {Object} options - { userKey, now }
+     * @returns {{valid: boolean, error?: string}}
      */
-    simpleHashCompare(input, expected) {
-        // FNV-1a Hash (Demo-Zwecke)
-        let hash = 2166136261;
-        for (let i = 0; i < input.length; i++) {
-            hash ^= input.charCodeAt(i);
-            hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+    validateClaims(payload, { userKey, now = this.now() } = {}) {
+        const skew = this.config.clockSkewMs;
+
+        if (payload.sub && payload.sub !== userKey) {
+            return { valid: false, error: 'QR-Code ist an ein anderes Gerät gebunden' };
+        }
+
+        if (payload.nbf !== undefined && now + skew < payload.nbf * 1000) {
+            return { valid: false, error: 'QR-Code ist noch nicht gültig' };
+        }
+
+        if (payload.exp !== undefined && now - skew > payload.exp * 1000) {
+            const redemption = payload.nonce ? this.loadRedemptions()[payload.nonce] : null;
+            if (!redemption || redemption.userKey !== userKey) {
+                return { valid: false, error: 'QR-Code ist abgelaufen' };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    now() {
+        // Zeitfenster (nbf/exp) gegen die Serverzeit (TimeSync-Offset) bzw. im Vorschau-Modus
+        // gegen die simulierte Zeit prüfen – eine zurückgestellte Geräteuhr macht Codes nicht wieder gültig
+        if (typeof window !== 'undefined' && window.WR_TIME) {
+            return window.WR_TIME.getBerlinNow().getTime();
+        }
+        return Date.now();
+    }
+
+    // --- Einlöse-Protokoll ---
+
+    loadRedemptions() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.redemptionStorageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveRedemptions(redemptions) {
+        const cutoff = this.now() - this.config.redemptionRetentionMs;
+        for (const [nonce, entry] of Object.entries(redemptions)) {
+            if (entry.redeemedAt < cutoff) delete redemptions[nonce];
+        }
+
+        try {
+            localStorage.setItem(this.config.redemptionStorageKey, JSON.stringify(redemptions));
+        } catch (error) {
+            console.warn('⚠️ Einlöse-Protokoll konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Löst die Nonce eines gültigen Codes ein
+     * @param {Object} payload - Token-Payload mit nonce
+     * @param {string} userKey
+     * @returns {Promise<{ok: boolean, source?: 'local'|'server'|'new', error?: string}>}
+     */
+    async redeemNonce(payload, userKey) {
+        // Vorschau-Modus: Einmal-Codes nicht verbrauchen
+        if (typeof window !== 'undefined' && window.PreviewMode && window.PreviewMode.isActive()) {
+            return { ok: true, source: 'preview' };
+        }
+
+        const redemptions = this.loadRedemptions();
+        const existing = redemptions[payload.nonce];
+
+        if (existing) {
+            if (payload.once && existing.userKey !== userKey) {
+                return { ok: false, error: 'QR-Code wurde bereits eingelöst' };
+            }
+            return { ok: true, source: 'local' };
+        }
+
+        let source = 'new';
+        if (payload.once) {
+            const server = await this.redeemOnServer(payload, userKey);
+            if (server === 'conflict') {
+                return { ok: false, error: 'QR-Code wurde bereits eingelöst' };
+            }
+            if (server === 'expired') {
+                return { ok: false, error: 'QR-Code ist abgelaufen' };
+            }
+            if (server === 'unavailable' && this.config.requireServerRedemption) {
+                return { ok: false, error: 'Einlösung nicht möglich – bitte mit Internetverbindung erneut scannen' };
+            }
+            if (server === 'redeemed') source = 'server';
+        }
+
+        redemptions[payload.nonce] = {
+            day: payload.day,
+            stage: payload.stage,
+            userKey: userKey || null,
+            redeemedAt: this.now(),
+            exp: payload.exp || null
+        };
+        this.saveRedemptions(redemptions);
+
+        return { ok: true, source };
+    }
+
+    getRedeemEndpoint() {
+        if (this.config.redeemEndpoint) return this.config.redeemEndpoint;
+
+        const submitEndpoint = typeof window !== 'undefined' ? window.WR_ANSWER_CFG?.submitEndpoint : '';
+        return submitEndpoint ? `${submitEndpoint.replace(/\/+$/, '')}/redemptions` : '';
+    }
+
+    /**
+     * Meldet die Einlösung an den Submission-Server (POST …/redemptions)
+     * @returns {Promise<'redeemed'|'conflict'|'expired'|'unavailable'>}
+     */
+    async redeemOnServer(payload, userKey) {
+        const endpoint = this.getRedeemEndpoint();
+        if (!endpoint || !userKey) return 'unavailable';
+
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    nonce: payload.nonce,
+                    userKey,
+                    day: payload.day,
+                    stage: payload.stage,
+                    exp: payload.exp
+                })
+            });
+
+            if (response.status === 409) return 'conflict';
+            if (response.status === 410) return 'expired';
+            return response.ok ? 'redeemed' : 'unavailable';
+
+        } catch (error) {
+            console.warn('⚠️ Einlösung am Server nicht möglich:', error);
+            return 'unavailable';
         }
-        
-        const computed = (hash >>> 0).toString(16);
-        return computed === expected;
     }
 
     /**
@@ -582,41 +828,6 @@ class QRVerify {
         }, 60000); // Alle 60 Sekunden
     }
 
-    /**
-     * Generiert Test-QR-Codes (für Development)
-     */
-    generateTestQR(data, keyId = 'winter2025') {
-        try {
-            const payload = {
-                ...data,
-                keyId,
-                timestamp: Date.now(),
-                algorithm: 'HMAC'
-            };
-
-            const payloadB64 = btoa(JSON.stringify(payload));
-            
-            // Einfache Demo-Signatur (nicht sicher!)
-            const demoSignature = this.simpleHash(payloadB64);
-            
-            return `hmac.${keyId}.${demoSignature}.${payloadB64}`;
-
-        } catch (error) {
-            console.error('Test-QR-Generierung fehlgeschlagen:', error);
-            return null;
-        }
-    }
-
-    simpleHash(input) {
-        let hash = 0;
-        for (let i = 0; i < input.length; i++) {
-            const char = input.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return Math.abs(hash).toString(16);
-    }
-
     /**
      * Status-Report
      */
@@ -624,15 +835,20 @@ class QRVerify {
         return {
             initialized: this.isInitialized,
             loadedKeys: this.publicKeys.size,
+            shortCodeDays: this.shortCodeEntries.size,
             cacheEntries: this.verificationCache.size,
-            cryptoSupport: !!(window.crypto && window.crypto.subtle),
+            cryptoSupport: !!(globalThis.crypto && globalThis.crypto.subtle),
             config: this.config
         };
     }
 }
 
-// Globale Instanz erstellen
-const qrVerify = new QRVerify();
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRVerify;
+}
 
-// Export für Module
-window.QRVerify = qrVerify;
\ No newline at end of file
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.QRVerify = new QRVerify();
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Scoring Engine - Punkteberechnung für Stage 1 und Stage 2
+ *
+ * Eine Lösung ergibt:
+ *   Basispunkte × Stage-Multiplikator
+ *   + Zeitbonus    (linear fallend von maxTimeBonus bis 0 in timeBonusWindowHours nach Freischaltung)
+ *   + Serienbonus  (je weiterem Tag in Folge streakBonusPerDay, höchstens maxStreakBonus)
+ *   + Musikbonus   (musicMoodBonus, wenn beim Lösen die Weihnachtsmusik läuft)
+ *   − Tipp-Abzug   (HintStore.getPenalty)
+ * Die Summe wird nie negativ.
+ *
+ * Die Berechnung ist rein: gleiche Eingaben (inkl. solvedAt) ergeben dieselbe Aufschlüsselung.
+ * Konfiguriert wird über AnswerUtil.config.scoring; die Werte hier sind nur Rückfall.
+ */
+
+'use strict';
+
+class ScoringEngine {
+    constructor() {
+        this.config = {
+            basePoints: 10,
+            stage2Multiplier: 2,
+            timeBonus: true,
+            maxTimeBonus: 5,
+            timeBonusWindowHours: 24,
+            consecutiveBonus: true,
+            streakBonusPerDay: 1,
+            maxStreakBonus: 5,
+            musicMoodBonus: 1
+        };
+    }
+
+    /**
+     * Aktive Konfiguration (AnswerUtil.config.scoring überschreibt die Rückfallwerte)
+     */
+    getConfig() {
+        const answerUtil = typeof window !== 'undefined' ? window.AnswerUtil : null;
+        return { ...this.config, ...(answerUtil?.config?.scoring || {}) };
+    }
+
+    /**
+     * Berechnet die Punkte einer Lösung
+     * @param {Object} input
+     * @param {number} input.day
+     * @param {number} input.stage - 1 oder 2
+     * @param {number} [input.basePoints] - points_per_stage bzw. answer_meta.points
+     * @param {string|Date} [input.releaseTime] - Freischaltung der Stage
+     * @param {string|Date|number} [input.solvedAt] - Zeitpunkt der Lösung (Berliner Zeit aus WR_TIME)
+     * @param {number} [input.streakDays] - Gelöste Tage in Folge inkl. diesem (getStreak)
+     * @param {boolean} [input.musicPlaying]
+     * @param {number} [input.hintPenalty]
+     * @param {Object} [config] - Standard: getConfig()
+     * @returns {{day, stage, basePoints, multiplier, timeBonus, streakDays, streakBonus, musicBonus, hintPenalty, total}}
+     */
+    score(input, config = this.getConfig()) {
+        const stage = input.stage === 2 ? 2 : 1;
+        const basePoints = Number.isFinite(input.basePoints) ? input.basePoints : config.basePoints;
+        const multiplier = stage === 2 ? config.stage2Multiplier : 1;
+        const streakDays = Math.max(1, input.streakDays || 1);
+        const hintPenalty = Math.max(0, input.hintPenalty || 0);
+
+        const timeBonus = this.getTimeBonus(input.releaseTime, input.solvedAt, config);
+        const streakBonus = config.consecutiveBonus
+            ? Math.min((streakDays - 1) * config.streakBonusPerDay, config.maxStreakBonus)
+            : 0;
+        const musicBonus = input.musicPlaying ? config.musicMoodBonus : 0;
+
+        const total = Math.max(0, Math.round(basePoints * multiplier + timeBonus + streakBonus + musicBonus - hintPenalty));
+
+        return {
+            day: input.day,
+            stage,
+            basePoints,
+            multiplier,
+            timeBonus,
+            streakDays,
+            streakBonus,
+            musicBonus,
+            hintPenalty,
+            total
+        };
+    }
+
+    /**
+     * Zeitbonus nach Latenz zwischen Freischaltung und Lösung
+     * Vor der Freischaltung (z.B. Vorschau-Modus) gilt die Latenz 0.
+     */
+    getTimeBonus(releaseTime, solvedAt, config = this.getConfig()) {
+        if (!config.timeBonus || !releaseTime || solvedAt === undefined || solvedAt === null) return 0;
+
+        const latencyMs = Math.max(0, new Date(solvedAt).getTime() - new Date(releaseTime).getTime());
+        const hoursElapsed = latencyMs / (60 * 60 * 1000);
+        if (!(hoursElapsed < config.timeBonusWindowHours)) return 0;
+
+        return Math.round(config.maxTimeBonus * (1 - hoursElapsed / config.timeBonusWindowHours));
+    }
+
+    /**
+     * Höchstmögliche Punkte einer Lösung (voller Zeit-, Serien- und Musikbonus, keine Tipps)
+     * @param {number} stage
+     * @param {number} [basePoints]
+     * @param {Object} [config]
+     * @returns {number}
+     */
+    getMaxPoints(stage, basePoints, config = this.getConfig()) {
+        return this.score({
+            day: 1,
+            stage,
+            basePoints,
+            releaseTime: new Date(0),
+            solvedAt: new Date(0),
+            streakDays: Infinity,
+            musicPlaying: true
+        }, config).total;
+    }
+
+    /**
+     * Basispunkte einer Stage aus der Rätsel-Datei
+     * @param {Object} puzzle
+     * @param {number} stage
+     * @returns {number|undefined} undefined → config.basePoints
+     */
+    getBasePoints(puzzle, stage) {
+        const stagePoints = puzzle?.[`stage${stage}`]?.answer_meta?.points;
+        if (Number.isInteger(stagePoints)) return stagePoints;
+
+        const perStage = puzzle?.config?.points_per_stage;
+        return Number.isInteger(perStage) ? perStage : undefined;
+    }
+
+    /**
+     * Länge der Serie gelöster Tage, die mit day endet (day zählt als gelöst)
+     * @param {Iterable<number>} solvedDays
+     * @param {number} day
+     * @returns {number}
+     */
+    getStreak(solvedDays, day) {
+        const solved = new Set(solvedDays);
+        let streak = 1;
+        while (solved.has(day - streak)) {
+            streak++;
+        }
+        return streak;
+    }
+
+    /**
+     * Summiert mehrere Aufschlüsselungen (Fortschritt, Admin-Bestenliste)
+     * @param {Array<Object>} breakdowns - Ergebnisse von score
+     * @returns {{solves, basePoints, timeBonus, streakBonus, musicBonus, hintPenalty, total}}
+     */
+    summarize(breakdowns) {
+        return breakdowns.filter(Boolean).reduce((sum, breakdown) => ({
+            solves: sum.solves + 1,
+            basePoints: sum.basePoints + (breakdown.basePoints || 0) * (breakdown.multiplier || 1),
+            timeBonus: sum.timeBonus + (breakdown.timeBonus || 0),
+            streakBonus: sum.streakBonus + (breakdown.streakBonus || 0),
+            musicBonus: sum.musicBonus + (breakdown.musicBonus || 0),
+            hintPenalty: sum.hintPenalty + (breakdown.hintPenalty || 0),
+            total: sum.total + (breakdown.total || 0)
+        }), { solves: 0, basePoints: 0, timeBonus: 0, streakBonus: 0, musicBonus: 0, hintPenalty: 0, total: 0 });
+    }
+
+    /**
+     * Kurzform für Tabellen, z.B. "10×2 +3 Zeit +1 Serie −2 Tipps"
+     * @param {Object} breakdown - Ergebnis von score oder summarize
+     * @returns {string}
+     */
+    describe(breakdown) {
+        if (!breakdown) return '';
+
+        const parts = [breakdown.multiplier > 1 ? `${breakdown.basePoints}×${breakdown.multiplier}` : `${breakdown.basePoints}`];
+        if (breakdown.timeBonus) parts.push(`+${breakdown.timeBonus} Zeit`);
+        if (breakdown.streakBonus) parts.push(`+${breakdown.streakBonus} Serie`);
+        if (breakdown.musicBonus) parts.push(`+${breakdown.musicBonus} Musik`);
+        if (breakdown.hintPenalty) parts.push(`−${breakdown.hintPenalty} Tipps`);
+        return parts.join(' ');
+    }
+}
+
+// Export für Node (Tests, Server)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoringEngine;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.ScoringEngine = new ScoringEngine();
+}
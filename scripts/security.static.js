@@ -20,6 +20,7 @@ class SecurityStatic {
     this.cryptoAvailable = Boolean(window.crypto?.subtle);
     this.rateLimiter = new Map();
     this.sessionData = new Map();
+    this.securityEvents = [];
     this.isInitialized = false;
     this.testMode = window.TEST_MODE || false;
 
@@ -37,7 +38,11 @@ class SecurityStatic {
       session: {
         maxAge: 86400000,
         renewThreshold: 3600000
-      }
+      },
+      input: {
+        maxLength: 500
+      },
+      maxSecurityEvents: 100
     };
   }
 
@@ -218,6 +223,35 @@ class SecurityStatic {
     return true;
   }
 
+  // --- Input & Events -------------------------------------------------------
+  /**
+   * Entschärft Benutzereingaben vor Verarbeitung oder Anzeige
+   * (Steuerzeichen und HTML-Sonderzeichen entfernen, Länge begrenzen)
+   * @param {string} input
+   * @returns {string}
+   */
+  sanitizeInput(input) {
+    if (typeof input !== 'string') return '';
+    return input
+      .normalize('NFC')
+      .replace(/[\u0000-\u001F\u007F]/g, '')
+      .replace(/[<>"'`]/g, '')
+      .trim()
+      .slice(0, this.config.input.maxLength);
+  }
+
+  /**
+   * Protokolliert ein Sicherheitsereignis lokal (begrenzter Ringpuffer, ohne Klartext-Antworten)
+   * @param {string} type - z.B. 'answer_submission'
+   * @param {Object} [data]
+   */
+  logSecurityEvent(type, data = {}) {
+    this.securityEvents.push({ type, data, timestamp: Date.now() });
+    if (this.securityEvents.length > this.config.maxSecurityEvents) {
+      this.securityEvents.shift();
+    }
+  }
+
   // --- Utilities ------------------------------------------------------------
   generateSecureId(len = 32) {
     if (this.cryptoAvailable) {
@@ -268,6 +302,7 @@ class SecurityStatic {
       cryptoAvailable: this.cryptoAvailable,
       sessionValid: this.validateSession(),
       rateLimitEntries: this.rateLimiter.size,
+      securityEvents: this.securityEvents.length,
       version: '2.2',
       features: {
         deterministicHashing: true,
@@ -286,7 +321,9 @@ window.SecurityStatic = new SecurityStatic();
 
 // Configuration for Stage-2 answer submission and server endpoints
 window.WR_ANSWER_CFG = {
-  submitEndpoint: '', // 'https://example.com/api/answers' - leave empty for localStorage-only mode
+  submitEndpoint: '', // e.g. 'http://localhost:8787/api/submissions' (server/submission-server.js) - leave empty for localStorage-only mode
+  leaderboardEndpoint: '', // e.g. 'http://localhost:8787/api/leaderboard' - leave empty to rank local submissions only
+  timeEndpoint: '', // e.g. 'http://localhost:8787/api/time' - leave empty to read the Date header of the app's own origin
   timeoutMs: 8000,
   enableLocalBackup: true,
   maxRetries: 2,
@@ -0,0 +1,219 @@
+/**
+ * Short Code - Kurzcodes zum Abtippen, wenn der QR-Code nicht scanbar ist (z.B. hinter Glas)
+ * Gemeinsames Format für admin/qr-linkgen.js (Erzeugung) und scripts/qr.verify.js (Prüfung)
+ *
+ * Code: 8 Zeichen Crockford-Base32, angezeigt als XXXX-XXXX
+ *   Zeichen 1-7  35 Bit: Tag (5 Bit) + HMAC-SHA256(k, "WR-SC1|<day>"), auf 30 Bit gekürzt
+ *   Zeichen 8    Prüfzeichen: Summe (i+1)·Wert_i mod 31 – erkennt Tippfehler und Zahlendreher
+ *   k = HKDF-SHA256(d, info "short-code") aus dem privaten Signaturschlüssel d von admin/qr-linkgen:
+ *       kein zusätzliches Geheimnis, aber d selbst dient nur zum Signieren
+ *
+ * Der Browser erhält das HMAC-Geheimnis nicht, sondern die Prüfliste public/keys/short-codes.json:
+ *   { version: 1, iterations, codes: [{ day, salt, hash, nbf?, exp? }] }
+ *   hash = PBKDF2-SHA256(Code, salt, iterations) als Hex – so lohnt das Durchprobieren
+ *   aller 2^30 Codes eines Tages nicht.
+ */
+
+'use strict';
+
+class ShortCode {
+    constructor() {
+        this.alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+        this.pattern = /^[0-9A-HJKMNP-TV-Z]{8}$/;
+        this.label = 'WR-SC1';
+        this.keyInfo = 'short-code';
+        this.macBits = 30;
+        this.iterations = 100000;
+        this.maxInputLength = 20;
+    }
+
+    /**
+     * Vereinheitlicht eine Eingabe: Großbuchstaben, ohne Leerzeichen/Bindestriche, O→0, I/L→1
+     * @param {string} input
+     * @returns {string}
+     */
+    normalize(input) {
+        return String(input || '')
+            .toUpperCase()
+            .replace(/[\s-]/g, '')
+            .replace(/O/g, '0')
+            .replace(/[IL]/g, '1');
+    }
+
+    /**
+     * Prüft nur die Form (8 Zeichen Crockford-Base32), nicht das Prüfzeichen
+     * @param {string} input
+     * @returns {boolean}
+     */
+    isShortCode(input) {
+        return typeof input === 'string' && input.length <= this.maxInputLength && this.pattern.test(this.normalize(input));
+    }
+
+    /**
+     * @param {string} code - Kurzcode (beliebige Schreibweise)
+     * @returns {string} XXXX-XXXX
+     */
+    format(code) {
+        const normalized = this.normalize(code);
+        return `${normalized.slice(0, 4)}-${normalized.slice(4)}`;
+    }
+
+    checksum(values) {
+        return values.reduce((sum, value, index) => sum + (index + 1) * value, 0) % 31;
+    }
+
+    /**
+     * Setzt Tag und gekürzten HMAC zum Code zusammen
+     * @param {number} day - 1-24
+     * @param {number} mac - 30 Bit
+     * @returns {string} 8 Zeichen ohne Bindestrich
+     */
+    encode(day, mac) {
+        let value = day * 2 ** this.macBits + mac;
+        const values = [];
+        for (let i = 0; i < 7; i++) {
+            values.unshift(value % 32);
+            value = Math.floor(value / 32);
+        }
+        values.push(this.checksum(values));
+        return values.map(index => this.alphabet[index]).join('');
+    }
+
+    /**
+     * Liest Tag und HMAC-Anteil aus einem Code
+     * @param {string} input - Kurzcode (beliebige Schreibweise)
+     * @returns {{code: string, day: number, mac: number}}
+     * @throws {Error} Bei falscher Form, falschem Prüfzeichen oder ungültigem Tag
+     */
+    decode(input) {
+        if (!this.isShortCode(input)) {
+            throw new Error('Kurzcode muss 8 Zeichen haben (z.B. 4K7P-M2QX)');
+        }
+
+        const code = this.normalize(input);
+        const values = code.split('').map(char => this.alphabet.indexOf(char));
+        if (this.checksum(values.slice(0, 7)) !== values[7]) {
+            throw new Error('Kurzcode vertippt – bitte noch einmal prüfen');
+        }
+
+        const value = values.slice(0, 7).reduce((sum, digit) => sum * 32 + digit, 0);
+        const day = Math.floor(value / 2 ** this.macBits);
+        if (day < 1 || day > 24) {
+            throw new Error('Kurzcode enthält keinen gültigen Tag');
+        }
+
+        return { code, day, mac: value % 2 ** this.macBits };
+    }
+
+    /**
+     * Erzeugt den Kurzcode eines Tages (nur im Admin-Tool, benötigt den privaten Schlüssel)
+     * @param {number} day - 1-24
+     * @param {Object} privateKeyJwk - ECDSA-JWK mit d
+     * @returns {Promise<string>} 8 Zeichen ohne Bindestrich
+     */
+    async create(day, privateKeyJwk) {
+        if (!Number.isInteger(day) || day < 1 || day > 24) {
+            throw new Error('Kurzcode: day muss 1-24 sein');
+        }
+        if (!privateKeyJwk?.d) {
+            throw new Error('Kurzcode: privater Schlüssel fehlt');
+        }
+
+        const key = await this.deriveMacKey(privateKeyJwk);
+        const mac = new Uint8Array(await globalThis.crypto.subtle.sign(
+            'HMAC',
+            key,
+            new TextEncoder().encode(`${this.label}|${day}`)
+        ));
+
+        // Die ersten 30 Bit des HMAC
+        const truncated = ((mac[0] << 22) | (mac[1] << 14) | (mac[2] << 6) | (mac[3] >>> 2)) >>> 0;
+        return this.encode(day, truncated);
+    }
+
+    /**
+     * Eigener HMAC-Schlüssel für Kurzcodes, per HKDF vom Signaturschlüssel getrennt
+     * @param {Object} privateKeyJwk - ECDSA-JWK mit d
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveMacKey(privateKeyJwk) {
+        const subtle = globalThis.crypto.subtle;
+        const material = await subtle.importKey('raw', this.base64UrlDecode(privateKeyJwk.d), 'HKDF', false, ['deriveKey']);
+
+        return subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new TextEncoder().encode(this.label),
+                info: new TextEncoder().encode(this.keyInfo)
+            },
+            material,
+            { name: 'HMAC', hash: 'SHA-256', length: 256 },
+            false,
+            ['sign']
+        );
+    }
+
+    /**
+     * Eintrag für die Prüfliste
+     * @param {string} code - Kurzcode
+     * @param {Object} claims - { nbf, exp } in Unix-Sekunden (optional)
+     * @returns {Promise<{day, salt, hash, nbf?, exp?}>}
+     */
+    async createEntry(code, { nbf, exp } = {}) {
+        const { code: normalized, day } = this.decode(code);
+        const salt = this.toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+
+        const entry = { day, salt, hash: await this.hash(normalized, salt) };
+        if (nbf !== undefined) entry.nbf = nbf;
+        if (exp !== undefined) entry.exp = exp;
+        return entry;
+    }
+
+    /**
+     * @param {string} code - normalisierter Kurzcode
+     * @param {string} salt - Hex
+     * @param {number} [iterations]
+     * @returns {Promise<string>} PBKDF2-SHA256 (256 Bit) als Hex
+     */
+    async hash(code, salt, iterations = this.iterations) {
+        const key = await globalThis.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(code),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const bits = await globalThis.crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromHex(salt), iterations },
+            key,
+            256
+        );
+        return this.toHex(new Uint8Array(bits));
+    }
+
+    // --- Kodierung ---
+
+    base64UrlDecode(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - text.length % 4) % 4);
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    fromHex(hex) {
+        return Uint8Array.from(hex.match(/.{2}/g) || [], pair => parseInt(pair, 16));
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShortCode;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.ShortCode = new ShortCode();
+}
@@ -1,6 +1,19 @@
 /**
  * Time Berlin - Zeitfunktionen für Rätzel Winter 2025
- * Vereinfachte Berliner Zeit-Management für Türchen-Freischaltung
+ * Berliner Zeit-Management für Türchen-Freischaltung
+ *
+ * Zeitpunkte sind immer absolute Date-Objekte (Instants). Alles, was von der
+ * Wanduhr abhängt (Freischaltung um 9:00, Uhrzeit-Anzeige, Kalendertag), wird über
+ * Intl in WR_TIME_CFG.timeZone gerechnet – unabhängig von der Zeitzone des Geräts.
+ *
+ * Freischaltplan je Tag und Stage, in dieser Reihenfolge:
+ *   1. release_times des Rätsels (config.release_times, über das Manifest registriert)
+ *   2. WR_TIME_CFG.release.dayOverrides[day]
+ *   3. WR_TIME_CFG.release.weekendTimes (Samstag/Sonntag)
+ *   4. WR_TIME_CFG.release.fallbackTimes
+ * Ein Türchen öffnet mit der Freischaltung seiner Stage (Tag 1-12 Stage 1, ab 13 Stage 2).
+ *
+ * Wird auch im Service Worker per importScripts geladen.
  */
 
 'use strict';
@@ -8,72 +21,304 @@
 // Konfiguration für Zeitmanagement
 const WR_TIME_CFG = {
   timeZone: 'Europe/Berlin',
-  dailyUnlockHour: 9,
-  dailyUnlockMinute: 0,
-  devTestUnlockISO: '2025-11-14T18:35:00+01:00',
-  devTestDay: 2
+  calendarYear: 2025,
+  stage1Days: 12,
+  release: {
+    // Berliner Wandzeit je Stage, wenn das Rätsel keine release_times hat
+    fallbackTimes: ['09:00', '09:00'],
+    // Samstag/Sonntag statt fallbackTimes, z.B. ['10:00', '10:00'] (null = wie werktags)
+    weekendTimes: null,
+    // Feste Zeiten für einzelne Tage, z.B. { 24: ['08:00', '12:00'] }
+    dayOverrides: {}
+  }
 };
 
+const HOUR_MS = 60 * 60 * 1000;
+
 // Globale Interval-ID für die Uhr
 let clockIntervalId = null;
 
+// Abstand Serverzeit − Geräteuhr in ms (gesetzt von TimeSync)
+let clockOffsetMs = 0;
+
+// Vorschau-Modus: simulierter Zeitpunkt, der ab realStartedAt weiterläuft (gesetzt von PreviewMode)
+let simulatedClock = null;
+
+// release_times aus den Rätseln (Tag → Array von ISO-Zeitpunkten, Index = Stage - 1)
+const puzzleReleaseTimes = new Map();
+
+// Intl.DateTimeFormat ist teuer in der Erzeugung – ein Formatter pro Zeitzone
+const zonedFormatters = new Map();
+
 /**
- * Liefert ein Date-Objekt, das die aktuelle Zeit repräsentiert
+ * Liefert den aktuellen Zeitpunkt, korrigiert um den Server-Offset
+ * bzw. im Vorschau-Modus den simulierten Zeitpunkt
+ * (Berliner Wandzeit dazu über getBerlinParts)
  */
 function getBerlinNow() {
-  return new Date();
+  if (simulatedClock) {
+    return new Date(simulatedClock.simulatedAt + (Date.now() - simulatedClock.realStartedAt));
+  }
+  return new Date(Date.now() + clockOffsetMs);
 }
 
 /**
- * Formatiert ein Date-Objekt zu HH:MM im 24h-Format
+ * Setzt den simulierten Zeitpunkt (scripts/preview.mode.js)
+ * @param {Date|number|null} instant - null beendet die Simulation
+ */
+function setSimulatedNow(instant) {
+  const simulatedAt = instant === null || instant === undefined ? NaN : new Date(instant).getTime();
+  simulatedClock = isNaN(simulatedAt) ? null : { simulatedAt: simulatedAt, realStartedAt: Date.now() };
+}
+
+function isSimulated() {
+  return simulatedClock !== null;
+}
+
+/**
+ * Setzt den Abstand zur Serverzeit (scripts/time.sync.js)
+ * @param {number} offsetMs - Serverzeit − Geräteuhr
+ */
+function setClockOffset(offsetMs) {
+  clockOffsetMs = Number.isFinite(offsetMs) ? offsetMs : 0;
+}
+
+function getClockOffset() {
+  return clockOffsetMs;
+}
+
+/**
+ * Zerlegt einen Zeitpunkt in die Wandzeit einer Zeitzone
+ * @param {Date|number} date - Zeitpunkt
+ * @param {string} [timeZone] - IANA-Zeitzone (Standard: WR_TIME_CFG.timeZone)
+ * @returns {{year, month, day, hour, minute, second, weekday}} month 1-12, weekday 0 = Sonntag
+ */
+function getZonedParts(date, timeZone = WR_TIME_CFG.timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  zonedFormatters.get(timeZone).formatToParts(new Date(date)).forEach(function(part) {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Berliner Wandzeit eines Zeitpunkts
+ */
+function getBerlinParts(date) {
+  return getZonedParts(date, WR_TIME_CFG.timeZone);
+}
+
+/**
+ * Abstand der Zeitzone zu UTC in Millisekunden (Berlin: +1 h im Winter, +2 h im Sommer)
+ */
+function getTimeZoneOffset(date, timeZone = WR_TIME_CFG.timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+}
+
+/**
+ * Wandzeit einer Zeitzone → Zeitpunkt
+ * Umstellung auf Sommerzeit (Lücke 02:00-03:00): Zeit wird um die Lücke nach vorn verschoben.
+ * Umstellung auf Winterzeit (02:00-03:00 doppelt): der frühere Zeitpunkt gilt.
+ * @param {{year, month, day, hour?, minute?, second?}} wallTime - month 1-12
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function zonedTimeToDate(wallTime, timeZone = WR_TIME_CFG.timeZone) {
+  const asUtc = Date.UTC(
+    wallTime.year,
+    wallTime.month - 1,
+    wallTime.day,
+    wallTime.hour || 0,
+    wallTime.minute || 0,
+    wallTime.second || 0
+  );
+
+  // Umstellungen liegen nie näher als 12 h beieinander: die Offsets davor und danach reichen
+  const offsetBefore = getTimeZoneOffset(asUtc - 12 * HOUR_MS, timeZone);
+  const offsetAfter = getTimeZoneOffset(asUtc + 12 * HOUR_MS, timeZone);
+
+  const candidates = [offsetBefore, offsetAfter]
+    .map(function(offset) { return asUtc - offset; })
+    .filter(function(instant) { return asUtc - getTimeZoneOffset(instant, timeZone) === instant; });
+
+  if (candidates.length > 0) {
+    return new Date(Math.min.apply(null, candidates));
+  }
+
+  // Wandzeit existiert nicht (Lücke): mit dem Offset vor der Umstellung rechnen
+  return new Date(asUtc - offsetBefore);
+}
+
+/**
+ * Formatiert ein Date-Objekt zu HH:MM im 24h-Format (Berliner Zeit)
  */
 function formatTimeHHMM(date) {
-  const hours = date.getHours().toString().padStart(2, '0');
-  const minutes = date.getMinutes().toString().padStart(2, '0');
+  const parts = getBerlinParts(date);
+  const hours = parts.hour.toString().padStart(2, '0');
+  const minutes = parts.minute.toString().padStart(2, '0');
   return hours + ':' + minutes;
 }
 
 /**
- * Berechnet den nächsten Freischaltzeitpunkt für 09:00 Uhr
+ * Übernimmt die release_times eines Rätsels (aus Manifest oder Rätseldatei)
+ * @param {number} day - 1-24
+ * @param {string[]|null} releaseTimes - ISO-Zeitpunkte je Stage; null entfernt den Eintrag
  */
-function getNextDailyUnlock(now) {
-  const today = new Date(now);
-  today.setHours(WR_TIME_CFG.dailyUnlockHour, WR_TIME_CFG.dailyUnlockMinute, 0, 0);
-  
-  if (now < today) {
-    return today;
+function setPuzzleReleaseTimes(day, releaseTimes) {
+  const valid = Array.isArray(releaseTimes) &&
+    releaseTimes.length > 0 &&
+    releaseTimes.every(function(time) { return !isNaN(Date.parse(time)); });
+
+  if (valid) {
+    puzzleReleaseTimes.set(day, releaseTimes.slice());
   } else {
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    return tomorrow;
+    puzzleReleaseTimes.delete(day);
+  }
+}
+
+/**
+ * Anzahl der Stages eines Tages (laut release_times, sonst beide)
+ */
+function getStageCount(day) {
+  const releaseTimes = puzzleReleaseTimes.get(day);
+  return releaseTimes ? Math.min(releaseTimes.length, 2) : 2;
+}
+
+/**
+ * Stage, mit deren Freischaltung sich das Türchen öffnet
+ */
+function getDoorStage(day) {
+  return Math.min(day <= WR_TIME_CFG.stage1Days ? 1 : 2, getStageCount(day));
+}
+
+/**
+ * Wandzeit "HH:MM" aus dem Rückfallplan (Override → Wochenende → global)
+ */
+function getScheduledTime(day, stage) {
+  const release = WR_TIME_CFG.release;
+  const override = release.dayOverrides && release.dayOverrides[day];
+  if (override && override[stage - 1]) {
+    return override[stage - 1];
+  }
+
+  // Wochentag des Kalenderdatums, nicht des Geräts
+  const weekday = new Date(Date.UTC(WR_TIME_CFG.calendarYear, 11, day)).getUTCDay();
+  if (release.weekendTimes && (weekday === 0 || weekday === 6)) {
+    return release.weekendTimes[stage - 1];
   }
+
+  return release.fallbackTimes[stage - 1];
+}
+
+/**
+ * Freischaltzeitpunkt einer Stage eines Tages
+ * @param {number} day - 1-24
+ * @param {number} [stage=1] - 1 oder 2
+ * @returns {Date}
+ */
+function getReleaseDate(day, stage) {
+  const stageIndex = (stage || 1) - 1;
+  const releaseTimes = puzzleReleaseTimes.get(day);
+
+  if (releaseTimes) {
+    return new Date(releaseTimes[Math.min(stageIndex, releaseTimes.length - 1)]);
+  }
+
+  const time = getScheduledTime(day, stageIndex + 1).split(':');
+  return zonedTimeToDate({
+    year: WR_TIME_CFG.calendarYear,
+    month: 12,
+    day: day,
+    hour: parseInt(time[0], 10),
+    minute: parseInt(time[1], 10)
+  });
+}
+
+/**
+ * Nächste Freischaltung irgendeines Tages oder einer Stage nach now
+ * @param {Date} now
+ * @returns {{day: number, stage: number, date: Date}|null} null nach der letzten Freischaltung
+ */
+function getNextReleaseEvent(now) {
+  let next = null;
+
+  for (let day = 1; day <= 24; day++) {
+    for (let stage = 1; stage <= getStageCount(day); stage++) {
+      const date = getReleaseDate(day, stage);
+      if (date > now && (!next || date < next.date)) {
+        next = { day: day, stage: stage, date: date };
+      }
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Zeitpunkt der nächsten Freischaltung (für Countdown)
+ * @returns {Date|null} null, wenn alles freigeschaltet ist
+ */
+function getNextDailyUnlock(now) {
+  const next = getNextReleaseEvent(now);
+  return next ? next.date : null;
 }
 
 /**
  * Berechnet den regulären Freischaltzeitpunkt für ein Türchen
  */
 function getDoorUnlockDate(day) {
-  const year = 2025;
-  const month = 11; // Dezember (0-indexiert)
-  const date = new Date(year, month, day, WR_TIME_CFG.dailyUnlockHour, WR_TIME_CFG.dailyUnlockMinute, 0, 0);
-  return date;
+  return getReleaseDate(day, getDoorStage(day));
+}
+
+/**
+ * Ist eine Stage eines Tages freigeschaltet?
+ */
+function isStageReleased(day, stage, now) {
+  return (now || getBerlinNow()) >= getReleaseDate(day, stage);
+}
+
+/**
+ * Aktueller Dezember-Tag in Berlin (1-24), 24 nach dem 24. bzw. nach Dezember, null davor
+ */
+function getCurrentDecemberDay(now) {
+  const parts = getBerlinParts(now || getBerlinNow());
+
+  if (parts.year > WR_TIME_CFG.calendarYear) return 24;
+  if (parts.year < WR_TIME_CFG.calendarYear || parts.month < 12) return null;
+  return Math.min(parts.day, 24);
 }
 
 /**
  * Prüft, ob ein Türchen freigeschaltet ist
  */
 function isDoorUnlocked(day, now) {
-  // Prüfe zuerst die DEV-Sonderregel für Türchen 2
-  if (day === WR_TIME_CFG.devTestDay) {
-    const devTestUnlock = new Date(WR_TIME_CFG.devTestUnlockISO);
-    if (now >= devTestUnlock) {
-      return true;
-    }
-  }
-  
-  // Reguläre Freischaltung
-  const unlockDate = getDoorUnlockDate(day);
-  return now >= unlockDate;
+  const current = now || getBerlinNow();
+  return current >= getDoorUnlockDate(day);
 }
 
 /**
@@ -83,12 +328,12 @@ function formatCountdown(deltaMs) {
   if (deltaMs <= 0) {
     return '00:00:00';
   }
-  
+
   const totalSeconds = Math.floor(deltaMs / 1000);
   const hours = Math.floor(totalSeconds / 3600);
   const minutes = Math.floor((totalSeconds % 3600) / 60);
   const seconds = totalSeconds % 60;
-  
+
   const pad = function(n) { return n.toString().padStart(2, '0'); };
   return pad(hours) + ':' + pad(minutes) + ':' + pad(seconds);
 }
@@ -101,33 +346,34 @@ function startClock() {
   if (clockIntervalId) {
     clearInterval(clockIntervalId);
   }
-  
+
   const currentTimeElement = document.getElementById('current-time');
   const countdownElement = document.getElementById('countdown');
-  
+
   if (!currentTimeElement || !countdownElement) {
     console.warn('WR_TIME: Uhren-Elemente nicht gefunden (#current-time oder #countdown)');
     return;
   }
-  
+
   // Sofortiges Update
   updateClock();
-  
+
   // Starte Interval für regelmäßige Updates
   clockIntervalId = setInterval(updateClock, 1000);
-  
+
   function updateClock() {
     try {
       const now = getBerlinNow();
-      
+
       // Aktualisiere aktuelle Zeit
       currentTimeElement.textContent = formatTimeHHMM(now);
-      
-      // Berechne und zeige Countdown
+
+      // Berechne und zeige Countdown bis zur nächsten Freischaltung
       const next = getNextDailyUnlock(now);
-      const delta = next.getTime() - now.getTime();
-      countdownElement.textContent = formatCountdown(delta);
-      
+      countdownElement.textContent = next
+        ? formatCountdown(next.getTime() - now.getTime())
+        : 'Alle Rätsel verfügbar';
+
     } catch (error) {
       console.error('WR_TIME: Fehler beim Clock-Update:', error);
     }
@@ -135,15 +381,42 @@ function startClock() {
 }
 
 // Globale API für Zeitmanagement
-window.WR_TIME = {
+const WR_TIME_API = {
   cfg: WR_TIME_CFG,
   getBerlinNow: getBerlinNow,
+  setClockOffset: setClockOffset,
+  getClockOffset: getClockOffset,
+  setSimulatedNow: setSimulatedNow,
+  isSimulated: isSimulated,
+  getBerlinParts: getBerlinParts,
+  getZonedParts: getZonedParts,
+  getTimeZoneOffset: getTimeZoneOffset,
+  zonedTimeToDate: zonedTimeToDate,
   formatTimeHHMM: formatTimeHHMM,
+  setPuzzleReleaseTimes: setPuzzleReleaseTimes,
+  getReleaseDate: getReleaseDate,
+  getNextReleaseEvent: getNextReleaseEvent,
   getNextDailyUnlock: getNextDailyUnlock,
   getDoorUnlockDate: getDoorUnlockDate,
+  getStageCount: getStageCount,
+  getDoorStage: getDoorStage,
+  isStageReleased: isStageReleased,
+  getCurrentDecemberDay: getCurrentDecemberDay,
   isDoorUnlocked: isDoorUnlocked,
   formatCountdown: formatCountdown,
   startClock: startClock
 };
 
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WR_TIME_API;
+}
+
+if (typeof window !== 'undefined') {
+  window.WR_TIME = WR_TIME_API;
+} else if (typeof self !== 'undefined') {
+  // Service Worker (importScripts)
+  self.WR_TIME = WR_TIME_API;
+}
+
 console.log('✅ WR_TIME Modul geladen');
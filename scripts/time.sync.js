@@ -0,0 +1,341 @@
+/**
+ * Time Sync - Serverzeit statt Geräteuhr für die Türchen-Freischaltung
+ *
+ * Misst den Abstand Serverzeit − Geräteuhr und setzt ihn in WR_TIME (getBerlinNow).
+ * Quellen, in dieser Reihenfolge:
+ *   1. WR_ANSWER_CFG.timeEndpoint (GET /api/time aus server/submission-server.js → { now })
+ *   2. Date-Header der eigenen Origin (HEAD, läuft nicht über den Service Worker)
+ *
+ * Rätselinhalte zukünftiger Tage gibt CalendarLogic.getPuzzle erst frei, wenn der Server
+ * zustimmt (confirmDay). Ohne Netz gilt der zuletzt vom Server bestätigte Zeitpunkt.
+ * Verstellte Geräteuhren werden als security_event an den TrackingAdapter gemeldet.
+ */
+
+'use strict';
+
+class TimeSync {
+    constructor() {
+        this.config = {
+            fallbackUrl: './',
+            samples: 3,
+            timeoutMs: 5000,
+            // Länger wartet der App-Start nicht auf den Sync, der Rest läuft im Hintergrund
+            startupTimeoutMs: 1500,
+            // Ab dieser Abweichung gilt die Geräteuhr als verstellt
+            toleranceMs: 5 * 60 * 1000,
+            // Sprung der Geräteuhr gegenüber performance.now() zwischen zwei Prüfungen
+            jumpThresholdMs: 60 * 1000,
+            jumpCheckIntervalMs: 5000,
+            resyncIntervalMs: 10 * 60 * 1000,
+            storageKey: 'wr_time_sync_v1'
+        };
+
+        this.status = 'unsynced'; // 'synced' | 'failed'
+        this.offsetMs = 0;
+        this.uncertaintyMs = null;
+        this.source = null;
+        this.lastSyncAt = null;
+        // Spätester vom Server bestätigter Zeitpunkt (ms) – gilt offline als Obergrenze
+        this.verifiedUntil = 0;
+        this.tamperReported = false;
+
+        this.syncPromise = null;
+        this.lastTick = null;
+        this.intervals = [];
+    }
+
+    /**
+     * Lädt den letzten Stand, synchronisiert und startet die Überwachung.
+     * Hängt der Server, startet die App nach startupTimeoutMs mit dem gespeicherten Offset;
+     * zukünftige Türchen bleiben bis zur Serverbestätigung gesperrt (confirmDay).
+     */
+    async init() {
+        this.loadState();
+
+        let timeoutId;
+        const startupTimeout = new Promise(resolve => {
+            timeoutId = setTimeout(resolve, this.config.startupTimeoutMs);
+        });
+        await Promise.race([this.sync(), startupTimeout]);
+        clearTimeout(timeoutId);
+
+        this.intervals.push(setInterval(() => this.checkClockJump(), this.config.jumpCheckIntervalMs));
+        this.intervals.push(setInterval(() => this.sync(), this.config.resyncIntervalMs));
+        this.checkClockJump();
+
+        console.log(`🕰️ Zeit-Sync: ${this.status}, Offset ${Math.round(this.offsetMs / 1000)} s`);
+    }
+
+    /**
+     * Synchronisiert mit dem Server (parallele Aufrufe teilen sich eine Messung)
+     * @returns {Promise<boolean>} true, wenn eine Messung gelungen ist
+     */
+    sync() {
+        if (!this.syncPromise) {
+            this.syncPromise = this.runSync().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        return this.syncPromise;
+    }
+
+    async runSync() {
+        let best = null;
+
+        for (let i = 0; i < this.config.samples; i++) {
+            try {
+                const sample = await this.measure();
+                if (!best || sample.uncertaintyMs < best.uncertaintyMs) {
+                    best = sample;
+                }
+            } catch (error) {
+                console.warn('⚠️ Zeit-Sync fehlgeschlagen:', error.message);
+                break;
+            }
+        }
+
+        if (!best) {
+            // Ein bestehender Offset bleibt gültig, solange die Geräteuhr nicht springt
+            if (this.status !== 'synced') {
+                this.status = 'failed';
+            }
+            return false;
+        }
+
+        this.applySample(best);
+        return true;
+    }
+
+    /**
+     * Eine Messung: Serverzeit gegen die Mitte der Round-Trip-Zeit
+     * @returns {Promise<{offsetMs, uncertaintyMs, source}>}
+     */
+    async measure() {
+        const endpoint = this.getEndpoint();
+        if (endpoint) {
+            try {
+                return await this.measureSource(endpoint, 'endpoint');
+            } catch (error) {
+                console.warn('⚠️ Zeit-Endpoint nicht erreichbar, nutze Date-Header:', error.message);
+            }
+        }
+        return this.measureSource(this.config.fallbackUrl, 'date-header');
+    }
+
+    async measureSource(url, source) {
+        const sentAt = Date.now();
+        const started = performance.now();
+
+        const response = await this.fetchWithTimeout(url, {
+            method: source === 'endpoint' ? 'GET' : 'HEAD',
+            cache: 'no-store'
+        });
+        const roundTripMs = performance.now() - started;
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        let serverTime;
+        let resolutionMs = 0;
+        if (source === 'endpoint') {
+            const body = await response.json();
+            serverTime = Number(body && body.now);
+        } else {
+            // Date-Header hat Sekundenauflösung und ist abgerundet
+            serverTime = Date.parse(response.headers.get('Date')) + 500;
+            resolutionMs = 500;
+        }
+
+        if (!Number.isFinite(serverTime)) {
+            throw new Error('Antwort enthält keine Serverzeit');
+        }
+
+        return {
+            offsetMs: Math.round(serverTime - (sentAt + roundTripMs / 2)),
+            uncertaintyMs: Math.round(roundTripMs / 2 + resolutionMs),
+            source
+        };
+    }
+
+    async fetchWithTimeout(url, options) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.config.timeoutMs);
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    getEndpoint() {
+        return (typeof window !== 'undefined' && window.WR_ANSWER_CFG?.timeEndpoint) || '';
+    }
+
+    /**
+     * Übernimmt eine Messung in WR_TIME und prüft auf verstellte Geräteuhr
+     */
+    applySample(sample) {
+        this.offsetMs = sample.offsetMs;
+        this.uncertaintyMs = sample.uncertaintyMs;
+        this.source = sample.source;
+        this.status = 'synced';
+        this.lastSyncAt = Date.now() + this.offsetMs;
+        this.verifiedUntil = Math.max(this.verifiedUntil, this.lastSyncAt - this.uncertaintyMs);
+
+        const time = this.getTimeModule();
+        if (time) {
+            time.setClockOffset(this.offsetMs);
+        }
+        this.saveState();
+
+        if (Math.abs(this.offsetMs) > this.config.toleranceMs) {
+            // Einmal pro Abweichung melden, nicht bei jedem Resync
+            if (!this.tamperReported) {
+                this.tamperReported = true;
+                this.reportSecurityEvent('clock_tampering', {
+                    offsetMs: this.offsetMs,
+                    uncertaintyMs: this.uncertaintyMs,
+                    source: this.source
+                });
+            }
+        } else {
+            this.tamperReported = false;
+        }
+    }
+
+    /**
+     * Vergleicht den Fortschritt der Geräteuhr mit performance.now(). Springt die Uhr,
+     * gilt der Offset bis zum nächsten Sync als unbestätigt.
+     * (Kein sofortiger Alarm: nach Standby bleibt performance.now() in manchen Browsern stehen.)
+     */
+    checkClockJump() {
+        const tick = { wall: Date.now(), mono: performance.now() };
+        const last = this.lastTick;
+        this.lastTick = tick;
+
+        if (!last) return;
+
+        const driftMs = (tick.wall - last.wall) - (tick.mono - last.mono);
+        if (Math.abs(driftMs) > this.config.jumpThresholdMs) {
+            console.warn(`⚠️ Geräteuhr um ${Math.round(driftMs / 1000)} s gesprungen – Zeit wird neu abgeglichen`);
+            this.status = 'unsynced';
+            this.sync();
+        }
+    }
+
+    /**
+     * Aktueller Zeitpunkt nach Serverzeit
+     */
+    now() {
+        return new Date(Date.now() + this.offsetMs);
+    }
+
+    isTrusted() {
+        return this.status === 'synced';
+    }
+
+    /**
+     * Hat der Server die Freischaltung eines Türchens bestätigt?
+     * Ohne aktuellen Sync zählt nur der zuletzt bestätigte Zeitpunkt.
+     * @param {number} day - 1-24
+     * @returns {boolean}
+     */
+    isDayConfirmed(day) {
+        const time = this.getTimeModule();
+        if (!time) return false;
+
+        // Vorschau-Modus (signiertes Redaktions-Token): simulierte Zeit statt Serverzeit
+        if (time.isSimulated && time.isSimulated()) {
+            return time.isDoorUnlocked(day, time.getBerlinNow());
+        }
+
+        const reference = this.isTrusted() ? this.now() : new Date(this.verifiedUntil);
+        return time.isDoorUnlocked(day, reference);
+    }
+
+    /**
+     * Wie isDayConfirmed, synchronisiert aber vorher, falls die Zeit unbestätigt ist
+     * @param {number} day - 1-24
+     * @returns {Promise<boolean>}
+     */
+    async confirmDay(day) {
+        if (this.isDayConfirmed(day)) return true;
+        if (this.isTrusted()) return false;
+
+        await this.sync();
+        return this.isDayConfirmed(day);
+    }
+
+    reportSecurityEvent(type, data = {}) {
+        console.warn(`🚨 Sicherheitsereignis ${type}:`, data);
+
+        const tracking = typeof window !== 'undefined' ? window.TrackingAdapter : null;
+        if (tracking && typeof tracking.track === 'function') {
+            tracking.track('security_event', { type, ...data }, 'security');
+        }
+    }
+
+    getTimeModule() {
+        return typeof window !== 'undefined' ? window.WR_TIME : null;
+    }
+
+    // --- Persistenz ---
+
+    loadState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.config.storageKey) || 'null');
+            if (saved && Number.isFinite(saved.verifiedUntil)) {
+                this.verifiedUntil = saved.verifiedUntil;
+            }
+            // Letzter Offset als Startwert; bestätigt ist die Zeit erst nach dem nächsten Sync
+            if (saved && Number.isFinite(saved.offsetMs) && this.status === 'unsynced') {
+                this.offsetMs = saved.offsetMs;
+                const time = this.getTimeModule();
+                if (time) {
+                    time.setClockOffset(this.offsetMs);
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Zeit-Sync-Status nicht lesbar:', error);
+        }
+    }
+
+    saveState() {
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify({
+                verifiedUntil: this.verifiedUntil,
+                offsetMs: this.offsetMs
+            }));
+        } catch (error) {
+            console.warn('⚠️ Zeit-Sync-Status nicht speicherbar:', error);
+        }
+    }
+
+    destroy() {
+        this.intervals.forEach(clearInterval);
+        this.intervals = [];
+    }
+
+    getStatus() {
+        return {
+            status: this.status,
+            offsetMs: this.offsetMs,
+            uncertaintyMs: this.uncertaintyMs,
+            source: this.source,
+            lastSyncAt: this.lastSyncAt,
+            verifiedUntil: this.verifiedUntil,
+            tamperReported: this.tamperReported
+        };
+    }
+}
+
+// Export für Node (Tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeSync;
+}
+
+// Globale Instanz für den Browser
+if (typeof window !== 'undefined') {
+    window.TimeSync = new TimeSync();
+}
@@ -0,0 +1,585 @@
+#!/usr/bin/env node
+/**
+ * Referenz-Server für Submissions (WR_ANSWER_CFG.submitEndpoint)
+ * Reines Node-HTTP ohne Abhängigkeiten, Daten in einer JSON-Datei
+ *
+ * Aufruf: node server/submission-server.js
+ *   PORT=8787                          Port (Standard 8787)
+ *   DATA_FILE=server/data/submissions.json
+ *   REDEMPTION_FILE=server/data/redemptions.json (Standard: neben DATA_FILE)
+ *   ADMIN_TOKEN=geheim                 Schützt die Lese-Endpunkte (Authorization: Bearer …)
+ *   CORS_ORIGIN=*                      Erlaubte Origin für die App
+ *   STATIC_DIR=.                       Liefert zusätzlich die App aus (eine Origin für E2E-Tests),
+ *                                      ohne Dotfiles und ohne das Verzeichnis der Datendateien
+ *   MAX_BASE_POINTS=10                 Höchste Basispunkte einer Stage (points_per_stage bzw. answer_meta.points)
+ *
+ * Vertrauensmodell: Die App ist statisch, Lösungen und Punkte werden im Browser berechnet.
+ * isCorrect und points kommen daher vom Client. Der Server prüft nur die Form und die Plausibilität
+ * (Tag 1-24, Stage 1-2, points höchstens ScoringEngine.getMaxPoints, keine Punkte für falsche Antworten).
+ * Ein präparierter POST kann innerhalb dieser Grenzen falsche Lösungen und Punkte melden – das betrifft
+ * die Bestenliste (/api/leaderboard) und die Lose der Stage-2 Verlosung (admin/drawing.html).
+ * Vor der Ziehung die Gewinner-Antworten (answer_raw) gegen die Rätsel-Dateien prüfen.
+ *
+ * Endpunkte:
+ *   POST /api/submissions        Submission aus AnswersStore.submitToServer
+ *                                201 stored | 200 duplicate | 400 invalid_submission
+ *   POST /api/submissions/redemptions  Einlösung eines once-QR-Codes (QRVerify.redeemOnServer)
+ *                                201 redeemed | 200 duplicate (gleicher userKey) | 409 already_redeemed | 410 expired
+ *   GET  /api/submissions        ?day=&stage=&correct=&userKey=&page=&pageSize=
+ *   GET  /api/submissions/stats  Kennzahlen wie in admin/submissions.html
+ *   GET  /api/leaderboard        ?scope=overall|day|stage&day=&stage=&limit= (öffentlich, maskierte Keys)
+ *   GET  /api/time               Serverzeit für scripts/time.sync.js → { now } (ms seit Epoch, nie gecacht)
+ *   GET  /api/health
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const Leaderboard = require('../scripts/leaderboard.js');
+const ScoringEngine = require('../scripts/scoring.engine.js');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_PAGE_SIZE = 500;
+const MAX_LEADERBOARD_ROWS = 100;
+const REDEMPTION_CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.mp3': 'audio/mpeg',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Felder, die AnswersStore.submitStage2Answer erzeugt, mit ihrer Prüfung.
+ * Nur diese Felder werden gespeichert.
+ */
+const SUBMISSION_FIELDS = {
+    userKey: { type: 'string', required: true, maxLength: 64 },
+    day: { type: 'integer', required: true, min: 1, max: 24 },
+    stage: { type: 'integer', required: true, min: 1, max: 2 },
+    answer_raw: { type: 'string', required: true, maxLength: 500 },
+    answer_norm: { type: 'string', required: true, maxLength: 500 },
+    isCorrect: { type: 'boolean', required: true },
+    startedAt: { type: 'number', required: true, min: 0 },
+    submittedAt: { type: 'number', required: true, min: 0 },
+    durationMs: { type: 'number', required: true, min: 0 },
+    sessionId: { type: 'string', required: true, maxLength: 100 },
+    idempotencyKey: { type: 'string', maxLength: 200 },
+    source: { type: 'string', maxLength: 50 },
+    points: { type: 'number', min: 0 },
+    hintsUsed: { type: 'integer', min: 0, max: 5 },
+    hintPenalty: { type: 'integer', min: 0 },
+    scoreBreakdown: { type: 'any' },
+    timestamp: { type: 'string', maxLength: 40 },
+    qrPayloadDecoded: { type: 'any' },
+    userAgent: { type: 'string', maxLength: 500 },
+    pageUrl: { type: 'string', maxLength: 2000 }
+};
+
+const scoring = new ScoringEngine();
+
+/**
+ * Prüft Form und Plausibilität einer Submission
+ * @param {*} body - Geparster Request-Body
+ * @param {Object} [options] - { maxBasePoints } (Standard: ScoringEngine basePoints)
+ * @returns {Array<{field: string, message: string}>} Verletzungen (leer = gültig)
+ */
+function validateSubmission(body, options = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return [{ field: '$', message: 'Objekt erwartet' }];
+    }
+
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(SUBMISSION_FIELDS)) {
+        const value = body[field];
+
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push({ field, message: 'Pflichtfeld fehlt' });
+            }
+            continue;
+        }
+
+        if (rule.type === 'any') {
+            continue;
+        }
+
+        const typeOk = rule.type === 'integer'
+            ? Number.isInteger(value)
+            : rule.type === 'number'
+                ? typeof value === 'number' && Number.isFinite(value)
+                : typeof value === rule.type;
+
+        if (!typeOk) {
+            errors.push({ field, message: `erwartet ${rule.type}` });
+            continue;
+        }
+
+        if (rule.type === 'string' && rule.required && value.trim() === '') {
+            errors.push({ field, message: 'darf nicht leer sein' });
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push({ field, message: `höchstens ${rule.maxLength} Zeichen` });
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push({ field, message: `muss >= ${rule.min} sein` });
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push({ field, message: `muss <= ${rule.max} sein` });
+        }
+    }
+
+    if (errors.length === 0 && body.submittedAt < body.startedAt) {
+        errors.push({ field: 'submittedAt', message: 'liegt vor startedAt' });
+    }
+
+    if (errors.length === 0 && body.points !== undefined && body.points !== null) {
+        const maxPoints = scoring.getMaxPoints(body.stage, options.maxBasePoints);
+        if (body.points > 0 && !body.isCorrect) {
+            errors.push({ field: 'points', message: 'falsche Antworten ergeben keine Punkte' });
+        } else if (body.points > maxPoints) {
+            errors.push({ field: 'points', message: `höchstens ${maxPoints} Punkte für Stage ${body.stage}` });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Dateibasierter Speicher; dedupliziert nach userKey + day + stage
+ */
+class SubmissionFileStore {
+    constructor(dataFile) {
+        this.dataFile = dataFile;
+        this.submissions = [];
+        this.byKey = new Map();
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.dataFile)) {
+            return;
+        }
+
+        this.submissions = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+        this.submissions.forEach(entry => this.byKey.set(this.dedupeKey(entry), entry));
+    }
+
+    /**
+     * Schreibt atomar (temporäre Datei + rename), damit ein Absturz keine halbe Datei hinterlässt
+     */
+    persist() {
+        fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+        const tmpFile = `${this.dataFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.submissions, null, 2));
+        fs.renameSync(tmpFile, this.dataFile);
+    }
+
+    dedupeKey(submission) {
+        return `${submission.userKey}|${submission.day}|${submission.stage}`;
+    }
+
+    /**
+     * Speichert eine Submission, sofern für userKey/day/stage noch keine existiert
+     * @returns {{stored: boolean, entry: Object}}
+     */
+    add(submission) {
+        const existing = this.byKey.get(this.dedupeKey(submission));
+        if (existing) {
+            existing.duplicates = (existing.duplicates || 0) + 1;
+            this.persist();
+            return { stored: false, entry: existing };
+        }
+
+        const entry = { id: this.submissions.length + 1, receivedAt: new Date().toISOString() };
+        for (const field of Object.keys(SUBMISSION_FIELDS)) {
+            if (submission[field] !== undefined) {
+                entry[field] = submission[field];
+            }
+        }
+
+        this.submissions.push(entry);
+        this.byKey.set(this.dedupeKey(entry), entry);
+        this.persist();
+        return { stored: true, entry };
+    }
+
+    /**
+     * Gefilterte, seitenweise Liste (neueste zuerst)
+     */
+    query({ day, stage, correct, userKey, page = 1, pageSize = 50 }) {
+        const needle = userKey ? userKey.toLowerCase() : '';
+        const items = this.submissions
+            .filter(entry => day === undefined || entry.day === day)
+            .filter(entry => stage === undefined || entry.stage === stage)
+            .filter(entry => correct === undefined || entry.isCorrect === correct)
+            .filter(entry => !needle || entry.userKey.toLowerCase().includes(needle))
+            .sort((a, b) => b.submittedAt - a.submittedAt);
+
+        const start = (page - 1) * pageSize;
+        return { total: items.length, page, pageSize, items: items.slice(start, start + pageSize) };
+    }
+
+    stats() {
+        const stage2 = this.submissions.filter(entry => entry.stage === 2 && entry.durationMs);
+        const byDay = {};
+        this.submissions.forEach(entry => {
+            byDay[entry.day] = byDay[entry.day] || { total: 0, correct: 0 };
+            byDay[entry.day].total++;
+            if (entry.isCorrect) byDay[entry.day].correct++;
+        });
+
+        return {
+            total: this.submissions.length,
+            correct: this.submissions.filter(entry => entry.isCorrect).length,
+            uniqueUsers: new Set(this.submissions.map(entry => entry.userKey)).size,
+            avgDurationMs: stage2.length
+                ? Math.round(stage2.reduce((sum, entry) => sum + entry.durationMs, 0) / stage2.length)
+                : 0,
+            byDay
+        };
+    }
+}
+
+/**
+ * Prüft eine Einlösung { nonce, userKey, day, stage, exp? }
+ * @returns {Array<{field: string, message: string}>}
+ */
+function validateRedemption(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return [{ field: '$', message: 'Objekt erwartet' }];
+    }
+
+    const errors = [];
+    if (typeof body.nonce !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.nonce)) {
+        errors.push({ field: 'nonce', message: 'base64url, 8-64 Zeichen' });
+    }
+    if (typeof body.userKey !== 'string' || body.userKey.trim() === '' || body.userKey.length > 64) {
+        errors.push({ field: 'userKey', message: 'Pflichtfeld, höchstens 64 Zeichen' });
+    }
+    if (!Number.isInteger(body.day) || body.day < 1 || body.day > 24) {
+        errors.push({ field: 'day', message: 'muss 1-24 sein' });
+    }
+    if (![1, 2].includes(body.stage)) {
+        errors.push({ field: 'stage', message: 'muss 1 oder 2 sein' });
+    }
+    if (body.exp !== undefined && body.exp !== null && !Number.isInteger(body.exp)) {
+        errors.push({ field: 'exp', message: 'erwartet Unix-Sekunden' });
+    }
+    return errors;
+}
+
+/**
+ * Dateibasiertes Einlöse-Protokoll: jede Nonce gehört genau einem userKey
+ */
+class RedemptionFileStore {
+    constructor(dataFile) {
+        this.dataFile = dataFile;
+        this.byNonce = new Map();
+        if (fs.existsSync(this.dataFile)) {
+            JSON.parse(fs.readFileSync(this.dataFile, 'utf8')).forEach(entry => this.byNonce.set(entry.nonce, entry));
+        }
+    }
+
+    persist() {
+        fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+        const tmpFile = `${this.dataFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify([...this.byNonce.values()], null, 2));
+        fs.renameSync(tmpFile, this.dataFile);
+    }
+
+    /**
+     * @returns {{status: 'redeemed'|'duplicate'|'conflict', entry: Object}}
+     */
+    redeem({ nonce, userKey, day, stage }) {
+        const existing = this.byNonce.get(nonce);
+        if (existing) {
+            return { status: existing.userKey === userKey ? 'duplicate' : 'conflict', entry: existing };
+        }
+
+        const entry = { nonce, userKey, day, stage, redeemedAt: new Date().toISOString() };
+        this.byNonce.set(nonce, entry);
+        this.persist();
+        return { status: 'redeemed', entry };
+    }
+}
+
+// --- HTTP-Helfer ---
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Body zu groß'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function parseIntParam(params, name) {
+    if (!params.has(name) || params.get(name) === '') return undefined;
+    const value = parseInt(params.get(name), 10);
+    return Number.isNaN(value) ? undefined : value;
+}
+
+function isAuthorized(req, adminToken) {
+    return !adminToken || req.headers.authorization === `Bearer ${adminToken}`;
+}
+
+/**
+ * Pfade, die serveStatic verweigert: die Datendateien (samt .tmp) und ihr Verzeichnis,
+ * sofern es unterhalb von STATIC_DIR liegt (z.B. server/data bei STATIC_DIR=.)
+ * @returns {string[]}
+ */
+function getPrivatePaths(files, staticDir) {
+    const root = staticDir ? path.resolve(staticDir) : null;
+    const paths = new Set();
+
+    files.map(file => path.resolve(file)).forEach(file => {
+        paths.add(file);
+        const dir = path.dirname(file);
+        if (root && dir.startsWith(root + path.sep)) {
+            paths.add(dir);
+        }
+    });
+
+    return [...paths];
+}
+
+/**
+ * Liefert eine Datei aus STATIC_DIR aus
+ * @param {string[]} privatePaths - Datendateien bzw. deren Verzeichnisse, die nie ausgeliefert werden
+ */
+function serveStatic(req, res, staticDir, pathname, privatePaths = []) {
+    const root = path.resolve(staticDir);
+    const filePath = path.resolve(root, '.' + decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+    const relativePath = path.relative(root, filePath);
+
+    // Kein Zugriff außerhalb von STATIC_DIR, auf Dotfiles und auf die Datendateien (liegen bei STATIC_DIR=. darin)
+    const isPrivate = relativePath.split(path.sep).some(segment => segment.startsWith('.'))
+        || privatePaths.some(privatePath => filePath === privatePath
+            || filePath.startsWith(privatePath + path.sep)
+            || filePath.startsWith(privatePath + '.'));
+
+    if (!filePath.startsWith(root + path.sep) || isPrivate || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        sendJSON(res, 404, { error: 'not_found' });
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Erzeugt den HTTP-Server (ohne listen – für Tests mit Port 0)
+ * @param {Object} options - { dataFile, redemptionFile, adminToken, corsOrigin, staticDir, maxBasePoints }
+ * @returns {http.Server} Server mit .store (SubmissionFileStore) und .redemptions (RedemptionFileStore)
+ */
+function createSubmissionServer(options = {}) {
+    const dataFile = options.dataFile || path.join(__dirname, 'data/submissions.json');
+    const store = new SubmissionFileStore(dataFile);
+    const redemptionFile = options.redemptionFile || path.join(path.dirname(dataFile), 'redemptions.json');
+    const redemptions = new RedemptionFileStore(redemptionFile);
+    const privatePaths = getPrivatePaths([dataFile, redemptionFile], options.staticDir);
+    const corsOrigin = options.corsOrigin || '*';
+    const leaderboard = new Leaderboard();
+
+    const server = http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+
+            if (pathname === '/api/time' && req.method === 'GET') {
+                res.setHeader('Cache-Control', 'no-store');
+                sendJSON(res, 200, { now: Date.now() });
+                return;
+            }
+
+            if (pathname === '/api/health' && req.method === 'GET') {
+                sendJSON(res, 200, { status: 'ok', submissions: store.submissions.length });
+                return;
+            }
+
+            if (pathname === '/api/submissions' && req.method === 'POST') {
+                let body;
+                try {
+                    body = JSON.parse(await readBody(req));
+                } catch (error) {
+                    if (error.status) throw error;
+                    sendJSON(res, 400, { error: 'invalid_json' });
+                    return;
+                }
+
+                // Idempotency-Key aus dem Header hat Vorrang vor dem Body-Feld
+                if (req.headers['idempotency-key'] && body && typeof body === 'object') {
+                    body.idempotencyKey = req.headers['idempotency-key'];
+                }
+
+                const errors = validateSubmission(body, { maxBasePoints: options.maxBasePoints });
+                if (errors.length > 0) {
+                    sendJSON(res, 400, { error: 'invalid_submission', details: errors });
+                    return;
+                }
+
+                const { stored, entry } = store.add(body);
+                console.log(`${stored ? '📥' : '♻️'} Tag ${entry.day} Stage ${entry.stage} von ${entry.userKey}${stored ? '' : ' (Duplikat)'}`);
+                sendJSON(res, stored ? 201 : 200, {
+                    status: stored ? 'stored' : 'duplicate',
+                    id: entry.id,
+                    receivedAt: entry.receivedAt
+                });
+                return;
+            }
+
+            if (pathname === '/api/submissions/redemptions' && req.method === 'POST') {
+                let body;
+                try {
+                    body = JSON.parse(await readBody(req));
+                } catch (error) {
+                    if (error.status) throw error;
+                    sendJSON(res, 400, { error: 'invalid_json' });
+                    return;
+                }
+
+                const errors = validateRedemption(body);
+                if (errors.length > 0) {
+                    sendJSON(res, 400, { error: 'invalid_redemption', details: errors });
+                    return;
+                }
+
+                if (body.exp && body.exp * 1000 + REDEMPTION_CLOCK_SKEW_MS < Date.now()) {
+                    sendJSON(res, 410, { error: 'expired' });
+                    return;
+                }
+
+                const { status, entry } = redemptions.redeem(body);
+                if (status === 'conflict') {
+                    console.log(`⛔ Nonce für Tag ${entry.day} bereits von ${entry.userKey} eingelöst`);
+                    sendJSON(res, 409, { error: 'already_redeemed' });
+                    return;
+                }
+
+                sendJSON(res, status === 'redeemed' ? 201 : 200, { status, redeemedAt: entry.redeemedAt });
+                return;
+            }
+
+            if (pathname === '/api/leaderboard' && req.method === 'GET') {
+                const params = Object.fromEntries(url.searchParams);
+                const board = leaderboard.parseBoard(params);
+                board.limit = Math.min(MAX_LEADERBOARD_ROWS, Math.max(1, board.limit || 10));
+
+                if ((board.scope === 'day' && !(board.day >= 1 && board.day <= 24)) ||
+                    (board.scope === 'stage' && ![1, 2].includes(board.stage))) {
+                    sendJSON(res, 400, { error: 'invalid_board' });
+                    return;
+                }
+
+                sendJSON(res, 200, {
+                    board,
+                    rows: leaderboard.toPublic(leaderboard.compute(store.submissions, board))
+                });
+                return;
+            }
+
+            if (pathname.startsWith('/api/submissions') && req.method === 'GET') {
+                if (!isAuthorized(req, options.adminToken)) {
+                    sendJSON(res, 401, { error: 'unauthorized' });
+                    return;
+                }
+
+                if (pathname === '/api/submissions/stats') {
+                    sendJSON(res, 200, store.stats());
+                    return;
+                }
+
+                if (pathname === '/api/submissions') {
+                    const params = url.searchParams;
+                    const correct = params.get('correct');
+                    sendJSON(res, 200, store.query({
+                        day: parseIntParam(params, 'day'),
+                        stage: parseIntParam(params, 'stage'),
+                        correct: correct === 'true' ? true : correct === 'false' ? false : undefined,
+                        userKey: params.get('userKey') || '',
+                        page: Math.max(1, parseIntParam(params, 'page') || 1),
+                        pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, parseIntParam(params, 'pageSize') || 50))
+                    }));
+                    return;
+                }
+            }
+
+            if (options.staticDir && req.method === 'GET' && !pathname.startsWith('/api/')) {
+                serveStatic(req, res, options.staticDir, url.pathname, privatePaths);
+                return;
+            }
+
+            sendJSON(res, 404, { error: 'not_found' });
+
+        } catch (error) {
+            if (error.status) {
+                sendJSON(res, error.status, { error: error.message });
+                return;
+            }
+            console.error('❌ Fehler bei der Verarbeitung:', error);
+            sendJSON(res, 500, { error: 'internal_error' });
+        }
+    });
+
+    server.store = store;
+    server.redemptions = redemptions;
+    return server;
+}
+
+module.exports = { createSubmissionServer, validateSubmission, validateRedemption, SubmissionFileStore, RedemptionFileStore };
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT || '8787', 10);
+    const server = createSubmissionServer({
+        dataFile: process.env.DATA_FILE ? path.resolve(process.env.DATA_FILE) : undefined,
+        redemptionFile: process.env.REDEMPTION_FILE ? path.resolve(process.env.REDEMPTION_FILE) : undefined,
+        adminToken: process.env.ADMIN_TOKEN || '',
+        corsOrigin: process.env.CORS_ORIGIN || '*',
+        staticDir: process.env.STATIC_DIR ? path.resolve(process.env.STATIC_DIR) : undefined,
+        maxBasePoints: process.env.MAX_BASE_POINTS ? parseInt(process.env.MAX_BASE_POINTS, 10) : undefined
+    });
+
+    server.listen(port, () => {
+        console.log(`🎄 Submission-Server läuft auf http://localhost:${port}`);
+        console.log(`   POST /api/submissions – ${server.store.submissions.length} gespeicherte Submissions`);
+        if (!process.env.ADMIN_TOKEN) {
+            console.log('⚠️ Kein ADMIN_TOKEN gesetzt – Lese-Endpunkte sind ungeschützt');
+        }
+    });
+}
@@ -0,0 +1,323 @@
+/**
+ * Service Worker - Offline-Betrieb für Rätsel Winter 2025
+ * Precache der App-Shell und aller bereits freigeschalteten Rätsel,
+ * Stale-While-Revalidate für GET-Requests und Background-Sync für Stage-2-Antworten
+ */
+
+'use strict';
+
+// Freischaltplan (WR_TIME) – dieselbe Logik wie in der App
+importScripts('scripts/time.berlin.js');
+
+const SW_CFG = {
+  cacheName: 'wr-static-v12',
+  manifestUrl: 'public/puzzles/raetsel/manifest.json',
+  keySetUrl: 'public/keys/qr-keyset.json',
+  shortCodesUrl: 'public/keys/short-codes.json',
+  puzzleBaseUrl: 'public/puzzles/raetsel/',
+  syncTag: 'wr-submissions',
+  db: {
+    name: 'wr-offline',
+    version: 1,
+    store: 'submissions'
+  },
+  appShell: [
+    './',
+    'index.html',
+    'styles/tokens.css',
+    'styles/styles.css',
+    'styles/utilities.css',
+    'scripts/security.static.js',
+    'scripts/time.berlin.js',
+    'scripts/tracking.adapter.js',
+    'scripts/time.sync.js',
+    'scripts/scoring.engine.js',
+    'scripts/answer.util.js',
+    'scripts/modal.confirm.js',
+    'scripts/answers.store.js',
+    'scripts/hint.store.js',
+    'scripts/achievements.js',
+    'scripts/progress.model.js',
+    'scripts/leaderboard.js',
+    'scripts/geo.fence.js',
+    'scripts/qr.token.js',
+    'scripts/short.code.js',
+    'scripts/qr.verify.js',
+    'scripts/preview.mode.js',
+    'scripts/qr.decoder.js',
+    'scripts/qr.scanner.js',
+    'public/keys/qr-keyset.json',
+    'public/keys/short-codes.json',
+    'scripts/puzzle.validator.js',
+    'scripts/calendar.logic.js',
+    'scripts/music.js',
+    'scripts/main.js',
+    'scripts/app.logic.js',
+    'public/puzzles/schema/puzzle.v1.schema.json'
+  ]
+};
+
+// --- Lifecycle ---------------------------------------------------------------
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SW_CFG.cacheName)
+      .then(cache => cache.addAll(SW_CFG.appShell))
+      .then(() => precacheReleasedPuzzles())
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('wr-static-') && key !== SW_CFG.cacheName)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// --- Fetch -------------------------------------------------------------------
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  // Manifest immer zuerst vom Netz: es steuert die Cache-Invalidierung der Rätsel
+  if (url.pathname.endsWith('/' + SW_CFG.manifestUrl)) {
+    event.respondWith(networkFirst(request, SW_CFG.manifestUrl, response => {
+      precacheReleasedPuzzles(response).catch(error => {
+        console.warn('SW: Rätsel-Precache fehlgeschlagen:', error);
+      });
+    }));
+    return;
+  }
+
+  // Key-Set und Kurzcode-Liste ebenfalls: rotierte oder zurückgezogene Schlüssel sollen sofort greifen
+  if (url.pathname.endsWith('/' + SW_CFG.keySetUrl)) {
+    event.respondWith(networkFirst(request, SW_CFG.keySetUrl));
+    return;
+  }
+  if (url.pathname.endsWith('/' + SW_CFG.shortCodesUrl)) {
+    event.respondWith(networkFirst(request, SW_CFG.shortCodesUrl));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(request, event));
+});
+
+/**
+ * Antwortet aus dem Cache und aktualisiert im Hintergrund
+ */
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(SW_CFG.cacheName);
+  const cached = await cache.match(request);
+
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => undefined));
+    return cached;
+  }
+
+  return network;
+}
+
+/**
+ * Netz zuerst, Cache als Fallback (Manifest, Key-Set)
+ * @param {Request} request
+ * @param {string} cacheKey - Fester Cache-Schlüssel, unabhängig von Query-Parametern
+ * @param {Function} [onFresh] - Wird mit jeder frischen Netzantwort aufgerufen
+ */
+async function networkFirst(request, cacheKey, onFresh) {
+  const cache = await caches.open(SW_CFG.cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone());
+      if (onFresh) {
+        onFresh(response.clone());
+      }
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Legt alle laut Manifest bereits freigeschalteten Rätsel in den Cache
+ * @param {Response} [manifestResponse] - Bereits geladenes Manifest
+ */
+async function precacheReleasedPuzzles(manifestResponse) {
+  const response = manifestResponse || await fetch(SW_CFG.manifestUrl, { cache: 'no-cache' });
+  if (!response.ok) {
+    return;
+  }
+
+  const manifest = await response.json();
+  const cache = await caches.open(SW_CFG.cacheName);
+  // Serverzeit aus dem Date-Header – eine verstellte Geräteuhr soll keine künftigen Rätsel vorladen
+  const now = Date.parse(response.headers.get('Date')) || Date.now();
+
+  // Gleiche URL wie CalendarLogic.getPuzzle, damit der Cache-Eintrag trifft
+  const urls = (manifest.days || [])
+    .filter(entry => getReleaseTime(entry) <= now)
+    .map(entry => `${SW_CFG.puzzleBaseUrl}${entry.file}?v=${encodeURIComponent(entry.hash)}`);
+
+  for (const url of urls) {
+    if (!(await cache.match(url))) {
+      await cache.add(url);
+    }
+  }
+}
+
+/**
+ * Freischaltzeit eines Manifest-Eintrags nach demselben Plan wie in der App
+ * (release_times des Rätsels, sonst Rückfallplan aus WR_TIME_CFG)
+ */
+function getReleaseTime(entry) {
+  self.WR_TIME.setPuzzleReleaseTimes(entry.day, entry.release_times);
+  return self.WR_TIME.getDoorUnlockDate(entry.day).getTime();
+}
+
+// --- Background-Sync für Stage-2-Antworten -----------------------------------
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  switch (message.type) {
+    case 'queue-submission':
+      event.waitUntil(queueSubmission(message.request));
+      break;
+    case 'submission-delivered':
+      event.waitUntil(dropSubmission(message.idempotencyKey));
+      break;
+    case 'flush-submissions':
+      event.waitUntil(flushSubmissions());
+      break;
+    case 'precache-puzzles':
+      event.waitUntil(precacheReleasedPuzzles());
+      break;
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SW_CFG.syncTag) {
+    event.waitUntil(flushSubmissions());
+  }
+});
+
+/**
+ * Speichert einen fehlgeschlagenen POST in IndexedDB
+ * @param {Object} request - { url, headers, body, sessionId, idempotencyKey }
+ */
+async function queueSubmission(request) {
+  const db = await openDatabase();
+  await runTransaction(db, 'readwrite', store => store.add({ ...request, queuedAt: Date.now() }));
+  console.log('SW: Stage-2-Antwort für Background-Sync vorgemerkt');
+}
+
+/**
+ * Sendet alle vorgemerkten Antworten; fehlgeschlagene bleiben für den nächsten Sync
+ */
+async function flushSubmissions() {
+  const db = await openDatabase();
+  const queued = await runTransaction(db, 'readonly', store => store.getAll());
+
+  for (const entry of queued) {
+    // Inzwischen von der Outbox der App zugestellt (submission-delivered)
+    const stillQueued = await runTransaction(db, 'readonly', store => store.count(entry.id));
+    if (!stillQueued) {
+      continue;
+    }
+
+    try {
+      const response = await fetch(entry.url, {
+        method: 'POST',
+        headers: entry.headers,
+        body: entry.body
+      });
+
+      // 4xx wird nicht besser – verwerfen; 5xx erneut versuchen
+      if (!response.ok && response.status >= 500) {
+        continue;
+      }
+
+      await runTransaction(db, 'readwrite', store => store.delete(entry.id));
+      await notifyClients({
+        type: 'submission-synced',
+        sessionId: entry.sessionId,
+        idempotencyKey: entry.idempotencyKey,
+        success: response.ok,
+        status: response.status
+      });
+
+    } catch (error) {
+      // Weiterhin offline - sync-Event wird vom Browser erneut ausgelöst
+      throw error;
+    }
+  }
+}
+
+/**
+ * Entfernt eine Antwort, die die Outbox der App bereits zugestellt hat
+ * @param {string} idempotencyKey
+ */
+async function dropSubmission(idempotencyKey) {
+  if (!idempotencyKey) return;
+
+  const db = await openDatabase();
+  const queued = await runTransaction(db, 'readonly', store => store.getAll());
+  const ids = queued.filter(entry => entry.idempotencyKey === idempotencyKey).map(entry => entry.id);
+
+  for (const id of ids) {
+    await runTransaction(db, 'readwrite', store => store.delete(id));
+  }
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+// --- IndexedDB-Helfer ---------------------------------------------------------
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SW_CFG.db.name, SW_CFG.db.version);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SW_CFG.db.store, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function runTransaction(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SW_CFG.db.store, mode);
+    const request = operation(transaction.objectStore(SW_CFG.db.store));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
@@ -67,11 +67,6 @@ function runTimeTests() {
     const door1Status = window.WR_TIME.isDoorUnlocked(1, now);
     testLog(`✅ Türchen 1: Unlock ${window.WR_TIME.formatTimeHHMM(door1Unlock)}, Status: ${door1Status ? 'OFFEN' : 'GESPERRT'}`);
     
-    // Test Türchen 2 (Dev Test)
-    const door2Status = window.WR_TIME.isDoorUnlocked(2, now);
-    const testTime = new Date(window.WR_TIME.cfg.devTestUnlockISO);
-    testLog(`✅ Türchen 2 (Test): Test-Zeit ${window.WR_TIME.formatTimeHHMM(testTime)}, Status: ${door2Status ? 'OFFEN' : 'GESPERRT'}`);
-    
     // Test Türchen 24
     const door24Unlock = window.WR_TIME.getDoorUnlockDate(24);
     const door24Status = window.WR_TIME.isDoorUnlocked(24, now);
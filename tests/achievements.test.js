@@ -0,0 +1,83 @@
+/**
+ * Achievements Unit Tests
+ * Deklarative Regeln: erstes Türchen, Serie, Geschäfte, Blitzstart und Lösungen ohne Tipps
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const Achievements = require('../scripts/achievements.js');
+const ProgressModel = require('../scripts/progress.model.js');
+const WR_TIME = require('../scripts/time.berlin.js');
+
+const MINUTE = 60 * 1000;
+const ids = (rules) => rules.map(rule => rule.id);
+
+describe('Achievements', () => {
+  let achievements;
+
+  beforeEach(() => {
+    achievements = new Achievements();
+  });
+
+  it('sollte das erste Türchen genau einmal vergeben', () => {
+    const context = { solvedDays: [1], event: { type: 'solve', day: 1, stage: 1, latencyMs: 3 * 60 * MINUTE } };
+
+    expect(ids(achievements.evaluate(context))).toEqual(['first-door']);
+    expect(achievements.evaluate(context, [{ id: 'first-door', awardedAt: '2025-12-01T08:00:00.000Z' }])).toEqual([]);
+    // Ältere Stände speichern nur IDs
+    expect(achievements.evaluate(context, ['first-door'])).toEqual([]);
+  });
+
+  it('sollte 7 Tage in Folge erkennen', () => {
+    expect(achievements.getLongestStreak([5, 1, 2, 3, 9, 10])).toBe(3);
+
+    expect(ids(achievements.evaluate({ solvedDays: [1, 2, 3, 5, 6, 7, 8] }, ['first-door']))).toEqual([]);
+    expect(ids(achievements.evaluate({ solvedDays: [3, 4, 5, 6, 7, 8, 9] }, ['first-door']))).toEqual(['streak-7']);
+  });
+
+  it('sollte schnelle Lösungen nur über das auslösende Ereignis werten', () => {
+    const solve = (latencyMs) => ids(achievements.evaluate({ solvedDays: [2], event: { type: 'solve', day: 2, latencyMs } }, ['first-door']));
+
+    expect(solve(9 * MINUTE)).toEqual(['early-bird']);
+    expect(solve(11 * MINUTE)).toEqual([]);
+    // Stage-2 Abgabe ohne korrekte Antwort
+    expect(solve(undefined)).toEqual([]);
+  });
+
+  it('sollte Geschäfte und Lösungen ohne Tipps zählen', () => {
+    const scores = [1, 2, 3, 4, 5].map(day => ({ day, stage: 1, hintPenalty: day === 3 ? 2 : 0 }));
+    const visits = Array.from({ length: 24 }, (_, i) => i + 1);
+
+    expect(ids(achievements.evaluate({ solvedDays: [1, 2, 3, 4, 5], scores }, ['first-door']))).toEqual([]);
+    expect(ids(achievements.evaluate({
+      solvedDays: [1, 2, 3, 4, 5],
+      scores: [...scores, { day: 6, stage: 1, hintPenalty: 0 }],
+      stage2Visits: [...visits, 13]
+    }, ['first-door']))).toEqual(['all-shops', 'no-hints']);
+  });
+
+  it('sollte alle Geschäfte erst mit dem letzten Stage-2 Besuch vergeben', () => {
+    const visits = (count) => ({ stage2Visits: Array.from({ length: count }, (_, i) => i + 1) });
+
+    expect(ids(achievements.evaluate(visits(23), ['first-door']))).toEqual([]);
+    expect(ids(achievements.evaluate(visits(24), ['first-door']))).toEqual(['all-shops']);
+
+    // Im Browser zählt das ProgressModel die Tage mit Stage 2
+    vi.stubGlobal('window', { WR_TIME, ProgressModel: new ProgressModel() });
+    try {
+      expect(achievements.getShopCount(achievements.getRule('all-shops'))).toBe(24);
+      expect(ids(achievements.evaluate(visits(23), ['first-door']))).toEqual([]);
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('sollte erreichte Erfolge zuerst und offene gesperrt anzeigen', () => {
+    const html = achievements.renderList([{ id: 'no-hints' }]);
+
+    expect(html.indexOf('Ganz ohne Tipps')).toBeLessThan(html.indexOf('Erstes Türchen'));
+    expect(html.match(/achievement--locked/g)).toHaveLength(achievements.rules.length - 1);
+  });
+});
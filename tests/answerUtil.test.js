@@ -0,0 +1,133 @@
+/**
+ * AnswerUtil Unit Tests
+ * Stage-1 Antwortprüfung gegen answer_variants inkl. SecurityStatic (Sanitizing, Rate-Limit, Events)
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+function createStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+// Stage 1 aus public/puzzles/raetsel/day-01.json
+const puzzle = require('../public/puzzles/raetsel/day-01.json');
+const stage1Data = () => ({
+  day: 1,
+  stage: 1,
+  points: puzzle.config.points_per_stage,
+  releaseTime: '2025-12-01T05:00:00.000Z',
+  answerVariants: puzzle.stage1.answer_variants
+});
+
+describe('AnswerUtil', () => {
+  let SecurityStatic;
+  let AnswerUtil;
+  let util;
+
+  beforeAll(() => {
+    // Beide Skripte registrieren sich beim Laden auf window
+    vi.stubGlobal('window', { crypto: globalThis.crypto });
+    vi.stubGlobal('localStorage', createStorage());
+    SecurityStatic = require('../scripts/security.static.js');
+    AnswerUtil = require('../scripts/answer.util.js');
+  });
+
+  afterAll(() => {
+    vi.unstubAllGlobals();
+  });
+
+  beforeEach(() => {
+    window.SecurityStatic = new SecurityStatic();
+    util = new AnswerUtil();
+  });
+
+  it('sollte Antwort-Varianten unabhängig von Schreibweise und Umlauten akzeptieren', async () => {
+    for (const answer of ['Augenoptik Schätzing', 'schaetzing', '  OPTIKER schätzing! ']) {
+      window.SecurityStatic = new SecurityStatic();
+      const result = await util.processAnswer(answer, stage1Data());
+      expect(result.correct).toBe(true);
+    }
+  });
+
+  it('sollte falsche Antworten ablehnen und Punkte nur für richtige vergeben', async () => {
+    const wrong = await util.processAnswer('Bäckerei', stage1Data());
+    expect(wrong.correct).toBe(false);
+    expect(wrong.points).toBeUndefined();
+
+    window.WR_TIME = { getBerlinNow: () => new Date('2025-12-01T05:00:00Z') };
+    try {
+      const right = await util.processAnswer('Schätzing', stage1Data());
+      // 10 Punkte + voller Zeitbonus direkt bei Freischaltung
+      expect(right.points).toBe(15);
+    } finally {
+      delete window.WR_TIME;
+    }
+
+    expect(window.SecurityStatic.securityEvents.map(event => event.data.correct)).toEqual([false, true]);
+  });
+
+  it('sollte keinen überhöhten Zeitbonus vor der Freischaltung vergeben', async () => {
+    window.WR_TIME = { getBerlinNow: () => new Date('2025-11-01T12:00:00Z') };
+    try {
+      const result = await util.processAnswer('Schätzing', stage1Data());
+      expect(result.points).toBe(15);
+    } finally {
+      delete window.WR_TIME;
+    }
+  });
+
+  it('sollte den Tipp-Abzug von den Punkten abziehen', async () => {
+    window.WR_TIME = { getBerlinNow: () => new Date('2025-12-01T05:00:00Z') };
+    try {
+      const result = await util.processAnswer('Schätzing', { ...stage1Data(), hintPenalty: 6 });
+      expect(result.points).toBe(9);
+
+      window.SecurityStatic = new SecurityStatic();
+      const capped = await util.processAnswer('Schätzing', { ...stage1Data(), hintPenalty: 40 });
+      expect(capped.points).toBe(0);
+    } finally {
+      delete window.WR_TIME;
+    }
+  });
+
+  it('sollte Rätsel nur mit answer_meta (accepted bzw. answer_hashes + salt) lösbar machen', async () => {
+    // Stage 1 aus day-02.json ohne answer_variants, wie es das Schema erlaubt
+    const { answer_meta: meta } = require('../public/puzzles/raetsel/day-02.json').stage1;
+    const metaData = (extra) => ({ day: 2, stage: 1, normalize: meta.normalize, ...extra });
+
+    expect((await util.processAnswer('Küchen Klaus', metaData({ accepted: meta.accepted }))).correct).toBe(true);
+    expect((await util.processAnswer('Kochstudio', metaData({ accepted: meta.accepted }))).correct).toBe(false);
+
+    window.SecurityStatic = new SecurityStatic();
+    const salt = 'wr-day-02';
+    const saltedAnswerHashes = [await window.SecurityStatic.hmacSHA256(salt, 'kuechenklaus')];
+    expect((await util.processAnswer('Küchenklaus', metaData({ saltedAnswerHashes, salt }))).correct).toBe(true);
+    expect((await util.processAnswer('Küchenklaus', metaData({ saltedAnswerHashes, salt: 'anders' }))).correct).toBe(false);
+  });
+
+  it('sollte nach zu vielen Versuchen das Rate-Limit melden', async () => {
+    for (let i = 0; i < 3; i++) {
+      await util.processAnswer(`falsch${i}`, stage1Data());
+    }
+
+    const blocked = await util.processAnswer('Schätzing', stage1Data());
+    expect(blocked.correct).toBe(false);
+    expect(blocked.error).toContain('Rate-Limit');
+  });
+
+  it('sollte Eingaben entschärfen', () => {
+    const security = new SecurityStatic();
+
+    expect(security.sanitizeInput('  <b>Schätzing</b>\u0000 ')).toBe('bSchätzing/b');
+    expect(security.sanitizeInput(42)).toBe('');
+    expect(security.sanitizeInput('x'.repeat(600))).toHaveLength(500);
+  });
+});
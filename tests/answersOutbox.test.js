@@ -0,0 +1,200 @@
+/**
+ * AnswersStore Outbox Unit Tests
+ * Prüft Wiederholungen, Backoff, Idempotency-Keys und Zustellstatus von Stage-2 Submissions
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+function createStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+const jsonResponse = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `HTTP ${status}`,
+  json: async () => body
+});
+
+describe('AnswersStore Outbox', () => {
+  let store;
+  let fetchMock;
+
+  beforeEach(() => {
+    vi.stubGlobal('window', {
+      WR_ANSWER_CFG: {
+        submitEndpoint: 'https://example.com/api/submissions',
+        timeoutMs: 8000,
+        enableLocalBackup: true,
+        maxRetries: 2,
+        headers: { 'Content-Type': 'application/json' }
+      },
+      location: { href: 'https://example.com/' }
+    });
+    vi.stubGlobal('localStorage', createStorage());
+    vi.stubGlobal('navigator', { onLine: true });
+
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const AnswersStore = require('../scripts/answers.store.js');
+    store = new AnswersStore();
+    store.delay = () => Promise.resolve();
+    store.scheduleOutboxFlush = () => {};
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  async function submit(sessionId = 'day3_1000') {
+    const submission = {
+      userKey: 'ABCD-1234',
+      day: 3,
+      stage: 2,
+      sessionId,
+      idempotencyKey: store.createIdempotencyKey('ABCD-1234', sessionId),
+      delivery: { state: 'pending' }
+    };
+    await store.saveToLocalStorage(submission);
+    const result = await store.submitToServer(submission);
+    return { submission, result };
+  }
+
+  const deliveryState = () => store.getAllLocalSubmissions()[0].delivery.state;
+
+  it('sollte den Idempotency-Key aus der Session-ID ableiten und als Header senden', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(201, { status: 'stored' }));
+
+    const { result } = await submit('day3_42');
+
+    expect(result.success).toBe(true);
+    expect(fetchMock.mock.calls[0][1].headers['Idempotency-Key']).toBe('wr1-ABCD-1234-day3_42');
+    expect(deliveryState()).toBe('delivered');
+    expect(store.getAllLocalSubmissions()[0].serverSaved).toBe(true);
+  });
+
+  it('sollte maxRetries sofortige Wiederholungen nutzen', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse(503))
+      .mockResolvedValueOnce(jsonResponse(201));
+
+    const { result } = await submit();
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(result.success).toBe(true);
+    expect(store.loadOutbox()).toEqual([]);
+  });
+
+  it('sollte nach erschöpften Wiederholungen in die Outbox legen', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const { result } = await submit();
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({ success: false, queued: true });
+    expect(store.loadOutbox()).toHaveLength(1);
+    expect(deliveryState()).toBe('pending');
+  });
+
+  it('sollte 4xx-Antworten nicht wiederholen', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(400));
+
+    const { result } = await submit();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(result.queued).toBeUndefined();
+    expect(store.loadOutbox()).toEqual([]);
+    expect(deliveryState()).toBe('rejected');
+  });
+
+  it('sollte offline ohne sofortige Wiederholungen direkt in die Outbox legen', async () => {
+    navigator.onLine = false;
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await submit();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(store.loadOutbox()).toHaveLength(1);
+  });
+
+  it('sollte den Backoff exponentiell mit Obergrenze berechnen', () => {
+    expect(store.getBackoffMs(0)).toBe(30 * 1000);
+    expect(store.getBackoffMs(1)).toBe(60 * 1000);
+    expect(store.getBackoffMs(3)).toBe(240 * 1000);
+    expect(store.getBackoffMs(20)).toBe(30 * 60 * 1000);
+  });
+
+  describe('flushOutbox', () => {
+    beforeEach(async () => {
+      fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+      await submit();
+      fetchMock.mockReset();
+    });
+
+    it('sollte noch nicht fällige Einträge überspringen', async () => {
+      const stats = await store.flushOutbox();
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(stats).toEqual({ delivered: 0, rejected: 0, pending: 1 });
+    });
+
+    it('sollte bei erneutem Fehler den Backoff erhöhen', async () => {
+      fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+      const before = Date.now();
+
+      await store.flushOutbox({ force: true });
+
+      const [entry] = store.loadOutbox();
+      expect(entry.attempts).toBe(1);
+      expect(entry.nextAttemptAt).toBeGreaterThanOrEqual(before + 60 * 1000);
+    });
+
+    it('sollte localSaved und serverSaved nach Zustellung angleichen', async () => {
+      fetchMock.mockResolvedValue(jsonResponse(200, { status: 'duplicate' }));
+
+      const stats = await store.flushOutbox({ force: true });
+
+      expect(stats.delivered).toBe(1);
+      expect(store.loadOutbox()).toEqual([]);
+      expect(deliveryState()).toBe('delivered');
+      expect(store.getAllLocalSubmissions()[0].serverSaved).toBe(true);
+    });
+
+    it('sollte dem Service Worker die Zustellung melden', async () => {
+      const postMessage = vi.fn();
+      navigator.serviceWorker = { getRegistration: async () => ({ active: { postMessage } }) };
+      fetchMock.mockResolvedValue(jsonResponse(201));
+
+      await store.flushOutbox({ force: true });
+      await vi.waitFor(() => expect(postMessage).toHaveBeenCalled());
+
+      expect(postMessage).toHaveBeenCalledWith({ type: 'submission-delivered', idempotencyKey: 'wr1-ABCD-1234-day3_1000' });
+    });
+
+    it('sollte vom Service Worker zugestellte Einträge nicht erneut senden', async () => {
+      // submission-synced trifft ein, während die Outbox noch einen anderen Eintrag sendet
+      fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+      await submit('day3_2000');
+      fetchMock.mockReset();
+      fetchMock.mockImplementation(async () => {
+        store.removeFromOutbox('wr1-ABCD-1234-day3_2000');
+        return jsonResponse(201);
+      });
+
+      const stats = await store.flushOutbox({ force: true });
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(stats.delivered).toBe(1);
+    });
+  });
+});
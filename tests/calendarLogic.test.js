@@ -0,0 +1,64 @@
+/**
+ * CalendarLogic Unit Tests
+ * Stage-Indikatoren und Tür-Badges aus dem ProgressModel
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const WR_TIME = require('../scripts/time.berlin.js');
+const ProgressModel = require('../scripts/progress.model.js');
+
+describe('CalendarLogic', () => {
+  let calendar;
+  let model;
+  let elements;
+
+  beforeAll(() => {
+    model = new ProgressModel();
+    elements = {
+      'stage-1-progress': { textContent: '' },
+      'stage-2-progress': { textContent: '' }
+    };
+
+    vi.stubGlobal('window', { WR_TIME, ProgressModel: model });
+    vi.stubGlobal('document', { getElementById: (id) => elements[id] || null });
+
+    const CalendarLogic = require('../scripts/calendar.logic.js');
+    calendar = new CalendarLogic();
+  });
+
+  afterAll(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sollte die Stage-Indikatoren mit den erreichbaren Tagen als Gesamtzahl rendern', () => {
+    const progress = model.create();
+    window.WinterRallyeApp = { state: { progress } };
+
+    calendar.updateStageIndicators();
+    expect(elements['stage-1-progress'].textContent).toBe('0/12');
+    expect(elements['stage-2-progress'].textContent).toBe('0/24');
+
+    for (let day = 1; day <= 12; day++) {
+      model.recordSolved(progress, day, 1, { points: 10 });
+    }
+    model.recordSubmitted(progress, 3, 2, { isCorrect: false });
+    model.recordSubmitted(progress, 14, 2, { isCorrect: true, points: 20 });
+
+    calendar.updateStageIndicators();
+    expect(elements['stage-1-progress'].textContent).toBe('12/12');
+    expect(elements['stage-2-progress'].textContent).toBe('2/24');
+  });
+
+  it('sollte Badges nur für erreichbare Stages liefern', () => {
+    const progress = model.create();
+    model.recordAttempt(progress, 2, 1);
+    window.WinterRallyeApp = { state: { progress } };
+
+    expect(calendar.getStageStates(2).map(({ stage, status }) => [stage, status])).toEqual([[1, 'attempted'], [2, 'open']]);
+    expect(calendar.getStageStates(14).map(({ stage }) => stage)).toEqual([2]);
+    expect(calendar.isPuzzleSolved(2)).toBe(false);
+  });
+});
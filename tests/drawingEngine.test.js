@@ -0,0 +1,126 @@
+/**
+ * DrawingEngine Unit Tests
+ * Teilnehmerliste, Reproduzierbarkeit der Ziehung und Signaturprüfung
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const DrawingEngine = require('../admin/drawing.engine.js');
+
+const submission = (userKey, day, isCorrect = true, stage = 2) => ({ userKey, day, stage, isCorrect });
+
+const submissions = [
+  submission('WR-AAAA', 13),
+  submission('WR-AAAA', 13), // doppelt eingereicht
+  submission('WR-AAAA', 14),
+  submission('WR-AAAA', 15),
+  submission('WR-BBBB', 13),
+  submission('WR-CCCC', 14, false), // falsch
+  submission('WR-DDDD', 3, true, 1), // Stage 1
+  submission('unknown', 14),
+  ...Array.from({ length: 20 }, (_, i) => submission(`WR-U${String(i).padStart(3, '0')}`, 13 + (i % 5)))
+];
+
+describe('DrawingEngine', () => {
+  const engine = new DrawingEngine();
+  let keyPair;
+
+  beforeAll(async () => {
+    keyPair = await engine.generateKeyPair();
+  });
+
+  describe('buildEntries', () => {
+    it('sollte nur korrekte Stage-2 Antworten mit einem Eintrag pro Tag zählen', () => {
+      const entries = engine.buildEntries(submissions);
+
+      expect(entries).toHaveLength(22);
+      expect(entries.find(e => e.userKey === 'WR-AAAA')).toEqual({ userKey: 'WR-AAAA', days: [13, 14, 15], weight: 1 });
+      expect(entries.map(e => e.userKey)).not.toContain('WR-CCCC');
+      expect(entries.map(e => e.userKey)).not.toContain('WR-DDDD');
+      expect(entries.map(e => e.userKey)).not.toContain('unknown');
+    });
+
+    it('sollte nach gelösten Tagen gewichten', () => {
+      const entries = engine.buildEntries(submissions, { weighting: 'days-solved' });
+      expect(entries.find(e => e.userKey === 'WR-AAAA').weight).toBe(3);
+    });
+
+    it('sollte auf ausgewählte Tage einschränken', () => {
+      const entries = engine.buildEntries(submissions, { days: [15], weighting: 'days-solved' });
+      expect(entries.find(e => e.userKey === 'WR-AAAA')).toEqual({ userKey: 'WR-AAAA', days: [15], weight: 1 });
+      expect(entries.map(e => e.userKey)).not.toContain('WR-BBBB');
+    });
+
+    it('sollte unabhängig von der Reihenfolge der Submissions sein', () => {
+      expect(engine.buildEntries([...submissions].reverse())).toEqual(engine.buildEntries(submissions));
+    });
+  });
+
+  describe('draw', () => {
+    const entries = () => engine.buildEntries(submissions, { weighting: 'days-solved' });
+
+    it('sollte mit gleichem Seed dieselben Gewinner ziehen', async () => {
+      const first = await engine.draw(entries(), { seed: 'Lotto 3 12 19 27 33 41', winners: 5 });
+      const second = await engine.draw(entries(), { seed: 'Lotto 3 12 19 27 33 41', winners: 5 });
+
+      expect(second.winners).toEqual(first.winners);
+      expect(new Set(first.winners.map(w => w.userKey)).size).toBe(5);
+    });
+
+    it('sollte mit anderem Seed andere Gewinner ziehen', async () => {
+      const first = await engine.draw(entries(), { seed: 'seed-a', winners: 5 });
+      const second = await engine.draw(entries(), { seed: 'seed-b', winners: 5 });
+
+      expect(second.winners.map(w => w.userKey)).not.toEqual(first.winners.map(w => w.userKey));
+    });
+
+    it('sollte ohne Seed oder mit zu vielen Gewinnern abbrechen', async () => {
+      await expect(engine.draw(entries(), { seed: ' ', winners: 1 })).rejects.toThrow(/Seed fehlt/);
+      await expect(engine.draw(entries(), { seed: 'x', winners: 23 })).rejects.toThrow(/Nur 22 Teilnehmer/);
+    });
+  });
+
+  describe('sign / verify', () => {
+    let signed;
+
+    beforeAll(async () => {
+      const entries = engine.buildEntries(submissions, { weighting: 'days-solved' });
+      const result = await engine.draw(entries, { seed: 'Heiligabend', winners: 3, weighting: 'days-solved' });
+      signed = JSON.parse(JSON.stringify(await engine.sign(result, keyPair.privateKeyJwk)));
+    });
+
+    it('sollte eine exportierte Ergebnisdatei vollständig bestätigen', async () => {
+      const verification = await engine.verify(signed, { publicKeyJwk: keyPair.publicKeyJwk, submissions });
+
+      expect(verification.errors).toEqual([]);
+      expect(verification.valid).toBe(true);
+      expect(verification.checks).toMatchObject({ signature: true, digest: true, winners: true, submissions: true, key: true });
+    });
+
+    it('sollte vertauschte Gewinner erkennen', async () => {
+      const tampered = JSON.parse(JSON.stringify(signed));
+      tampered.winners[0].userKey = 'WR-FAKE';
+
+      const verification = await engine.verify(tampered);
+      expect(verification.valid).toBe(false);
+      expect(verification.checks.signature).toBe(false);
+      expect(verification.checks.winners).toBe(false);
+    });
+
+    it('sollte eine fremde Teilnehmerliste erkennen', async () => {
+      const verification = await engine.verify(signed, { submissions: submissions.filter(s => s.userKey !== 'WR-BBBB') });
+      expect(verification.checks.submissions).toBe(false);
+    });
+
+    it('sollte einen unerwarteten Schlüssel melden', async () => {
+      const otherKey = await engine.generateKeyPair();
+      const verification = await engine.verify(signed, { publicKeyJwk: otherKey.publicKeyJwk });
+
+      expect(verification.checks.signature).toBe(true);
+      expect(verification.checks.key).toBe(false);
+      expect(verification.valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * GeoFence Unit Tests
+ * Haversine-Distanz, Richtlinien allow/warn/block und QR-only-Fallback
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const GeoFence = require('../scripts/geo.fence.js');
+
+// Augenoptik Schätzing, Haldensleben (day-01.json)
+const shop = { lat: 52.2938, lng: 11.4120 };
+const location = (policy) => ({ name: 'Augenoptik Schätzing', coordinates: shop, radius: 25, ...(policy && { policy }) });
+
+// ~111 m nördlich des Geschäfts
+const nearby = { lat: 52.2948, lng: 11.4120, accuracy: 5 };
+
+describe('GeoFence', () => {
+  const geoFence = new GeoFence();
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sollte Distanzen per Haversine berechnen', () => {
+    expect(geoFence.distanceMeters(shop, shop)).toBe(0);
+    expect(geoFence.distanceMeters(shop, nearby)).toBeCloseTo(111.2, 0);
+    // Haldensleben – Magdeburg Hbf, ca. 25 km
+    expect(geoFence.distanceMeters(shop, { lat: 52.1307, lng: 11.6277 }) / 1000).toBeCloseTo(23.6, 0);
+  });
+
+  it('sollte innerhalb des Radius erlauben', () => {
+    const result = geoFence.evaluate(location('block'), { lat: 52.29390, lng: 11.41215, accuracy: 10 });
+    expect(result).toMatchObject({ decision: 'allow', reason: 'inside', policy: 'block' });
+  });
+
+  it('sollte außerhalb des Radius gemäß Richtlinie warnen oder blockieren', () => {
+    expect(geoFence.evaluate(location(), nearby)).toMatchObject({ decision: 'warn', reason: 'outside', distanceM: 111 });
+    expect(geoFence.evaluate(location('block'), nearby)).toMatchObject({ decision: 'block', reason: 'outside' });
+    expect(geoFence.evaluate(location('off'), nearby)).toEqual({ decision: 'allow', reason: 'disabled', policy: 'off' });
+  });
+
+  it('sollte die Ortungsgenauigkeit nur begrenzt als Toleranz werten', () => {
+    // ~78 m entfernt: 25 m Radius + höchstens 75 m Toleranz
+    const street = { lat: 52.2945, lng: 11.4120 };
+    expect(geoFence.evaluate(location('block'), { ...street, accuracy: 5 }).decision).toBe('block');
+    expect(geoFence.evaluate(location('block'), { ...street, accuracy: 60 }).decision).toBe('allow');
+    expect(geoFence.evaluate(location('block'), { ...nearby, accuracy: 5000 }).decision).toBe('block');
+  });
+
+  it('sollte ohne Standort auf QR-only zurückfallen', () => {
+    const result = geoFence.evaluate(location('block'), null, 'denied');
+    expect(result).toEqual({ decision: 'allow', reason: 'denied', policy: 'block', qrOnly: true });
+    expect(geoFence.describe(result, location())).toMatch(/QR-Code genügt/);
+  });
+
+  it('sollte eine verweigerte Berechtigung als denied melden', async () => {
+    vi.stubGlobal('navigator', {
+      geolocation: { getCurrentPosition: (success, error) => error({ code: 1 }) }
+    });
+
+    const result = await geoFence.check({ meta: { day: 1 }, config: { location: location('block') } });
+    expect(result).toMatchObject({ decision: 'allow', reason: 'denied', qrOnly: true });
+  });
+
+  it('sollte ohne Richtlinie oder Koordinaten keinen Standort abfragen', async () => {
+    const getCurrentPosition = vi.fn();
+    vi.stubGlobal('navigator', { geolocation: { getCurrentPosition } });
+
+    expect((await geoFence.check({ config: { location: location('off') } })).decision).toBe('allow');
+    expect((await geoFence.check({ config: {} })).reason).toBe('disabled');
+    expect(getCurrentPosition).not.toHaveBeenCalled();
+  });
+
+  it('sollte Entfernungen für die Anzeige formatieren', () => {
+    const far = geoFence.evaluate(location('block'), { lat: 52.1307, lng: 11.6277 });
+    expect(geoFence.describe(far, location())).toMatch(/ca\. 23,\d km von Augenoptik Schätzing/);
+    expect(geoFence.describe(geoFence.evaluate(location(), nearby), location())).toMatch(/ca\. 111 m entfernt/);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * HintStore Unit Tests
+ * Gestufte Tipps aus day-01.json: Reihenfolge, Wartezeit, Punktabzug und Vorschau-Modus
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const HintStore = require('../scripts/hint.store.js');
+const puzzle = require('../public/puzzles/raetsel/day-01.json');
+
+const RELEASE = new Date('2025-12-01T05:00:00Z');
+const MINUTE = 60 * 1000;
+
+function createStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+describe('HintStore', () => {
+  let store;
+  let now;
+  let tracking;
+
+  beforeEach(() => {
+    now = new Date(RELEASE.getTime() + 10 * MINUTE);
+    tracking = { track: vi.fn() };
+
+    vi.stubGlobal('window', {
+      WR_TIME: {
+        getReleaseDate: () => RELEASE,
+        getBerlinNow: () => now,
+        formatTimeHHMM: (date) => date.toISOString().slice(11, 16)
+      },
+      TrackingAdapter: tracking
+    });
+    vi.stubGlobal('localStorage', createStorage());
+
+    store = new HintStore();
+    store.init();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sollte Tipps nur der Reihe nach und nach Ablauf der Wartezeit aufdecken', () => {
+    const [first, second] = store.getHints(puzzle, 1);
+
+    expect(() => store.reveal(1, 1, second)).toThrow('Reihe nach');
+
+    store.reveal(1, 1, first);
+    expect(store.getNextHint(puzzle, 1, 1)).toEqual(second);
+    expect(() => store.reveal(1, 1, second)).toThrow('noch nicht verfügbar');
+
+    now = new Date(RELEASE.getTime() + 120 * MINUTE);
+    store.reveal(1, 1, second);
+
+    expect(store.getNextHint(puzzle, 1, 1)).toBeNull();
+    expect(tracking.track).toHaveBeenCalledWith('hint_revealed', { day: 1, stage: 1, hint: 1, cost: 4 });
+  });
+
+  it('sollte den Abzug je Stage summieren und Wiederholungen nicht doppelt zählen', () => {
+    const [first] = store.getHints(puzzle, 1);
+    store.reveal(1, 1, first);
+    store.reveal(1, 1, first);
+
+    expect(store.getPenalty(1, 1)).toEqual({ hintsUsed: 1, hintPenalty: 2 });
+    expect(store.getPenalty(1, 2)).toEqual({ hintsUsed: 0, hintPenalty: 0 });
+
+    // Aufgedeckte Tipps überstehen einen Neustart
+    const reloaded = new HintStore();
+    reloaded.init();
+    expect(reloaded.getPenalty(1, 1)).toEqual({ hintsUsed: 1, hintPenalty: 2 });
+  });
+
+  it('sollte ohne cost den hintPenalty aus AnswerUtil verwenden', () => {
+    const custom = { stage1: { hints: [{ html: '<p>Tipp</p>' }] } };
+
+    expect(store.getHints(custom, 1)[0].cost).toBe(store.config.defaultCost);
+
+    window.AnswerUtil = { config: { scoring: { hintPenalty: 3 } } };
+    expect(store.getHints(custom, 1)[0].cost).toBe(3);
+    expect(store.getHints({ stage1: {} }, 1)).toEqual([]);
+  });
+
+  it('sollte Button und Wartezeit im Tipp-Bereich anzeigen', () => {
+    const [first] = store.getHints(puzzle, 1);
+
+    expect(store.renderSection(puzzle, 1, 1)).toContain('Tipp anzeigen (−2 Punkte)');
+
+    store.reveal(1, 1, first);
+    const html = store.renderSection(puzzle, 1, 1);
+    expect(html).toContain('Hagenstraße');
+    expect(html).toContain('Nächster Tipp ab 07:00 Uhr');
+
+    expect(store.renderSection(puzzle, 1, 1, { solved: true })).not.toContain('data-action="show-hint"');
+  });
+
+  it('sollte Tipps der Stage 2 über den Button der Stage 2 aufdecken und abrechnen', () => {
+    now = new Date(RELEASE.getTime() + 60 * MINUTE);
+    const payload = store.renderSection(puzzle, 1, 2).match(/data-payload="([^"]+)"/)[1];
+    const { day, stage } = store.parsePayload(payload);
+    expect({ day, stage }).toEqual({ day: 1, stage: 2 });
+
+    store.reveal(day, stage, store.getNextHint(puzzle, day, stage));
+
+    expect(store.getPenalty(1, 2)).toEqual({ hintsUsed: 1, hintPenalty: 4 });
+    expect(store.getPenalty(1, 1)).toEqual({ hintsUsed: 0, hintPenalty: 0 });
+    expect(store.renderSection(puzzle, 1, 2)).toContain(store.getHints(puzzle, 2)[0].html);
+  });
+
+  it('sollte im Vorschau-Modus nichts speichern', () => {
+    window.PreviewMode = { isActive: () => true };
+    now = new Date(RELEASE.getTime() + 60 * MINUTE);
+    store.reveal(1, 2, store.getHints(puzzle, 2)[0]);
+
+    expect(store.getPenalty(1, 2)).toEqual({ hintsUsed: 1, hintPenalty: 4 });
+    expect(localStorage.getItem(store.config.storageKey)).toBeNull();
+  });
+});
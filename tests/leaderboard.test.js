@@ -0,0 +1,78 @@
+/**
+ * Leaderboard Unit Tests
+ * Sortierung nach Punkten und Lösungszeit, Gleichstand, Teilwertungen und Maskierung
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const Leaderboard = require('../scripts/leaderboard.js');
+
+const solve = (userKey, day, stage, points, durationMs, extra = {}) => ({
+  userKey, day, stage, points, durationMs, isCorrect: true, submittedAt: day * 1000 + stage, ...extra
+});
+
+describe('Leaderboard', () => {
+  const leaderboard = new Leaderboard();
+
+  const submissions = [
+    solve('WR-AAAA-1111', 1, 1, 10, 60000),
+    solve('WR-AAAA-1111', 1, 2, 10, 30000),
+    solve('WR-BBBB-2222', 1, 1, 10, 20000),
+    solve('WR-BBBB-2222', 2, 1, 10, 20000),
+    solve('WR-CCCC-3333', 1, 1, 10, 40000),
+    solve('WR-CCCC-3333', 2, 1, 10, 0),
+    solve('WR-DDDD-4444', 2, 1, 10, 5000),
+    { ...solve('WR-DDDD-4444', 3, 1, 10, 1000), isCorrect: false },
+    solve('unknown', 1, 1, 10, 1)
+  ];
+
+  it('sollte nach Punkten und dann nach kürzerer Gesamtzeit sortieren', () => {
+    const rows = leaderboard.compute(submissions);
+
+    expect(rows.map(r => r.userKey)).toEqual(['WR-BBBB-2222', 'WR-CCCC-3333', 'WR-AAAA-1111', 'WR-DDDD-4444']);
+    expect(rows[0]).toMatchObject({ rank: 1, points: 20, totalDurationMs: 40000, solved: 2 });
+    expect(rows[3]).toMatchObject({ rank: 4, points: 10, solved: 1 });
+  });
+
+  it('sollte bei Gleichstand denselben Rang vergeben', () => {
+    const rows = leaderboard.compute([
+      solve('WR-X', 1, 1, 10, 1000),
+      solve('WR-Y', 1, 1, 10, 1000),
+      solve('WR-Z', 1, 1, 10, 2000)
+    ]);
+
+    expect(rows.map(r => r.rank)).toEqual([1, 1, 3]);
+  });
+
+  it('sollte nur die erste korrekte Lösung pro Tag und Stage werten', () => {
+    const rows = leaderboard.compute([
+      solve('WR-X', 1, 1, 10, 90000, { submittedAt: 2000 }),
+      solve('WR-X', 1, 1, 10, 5000, { submittedAt: 1000, scoreBreakdown: { total: 10 } })
+    ]);
+
+    expect(rows).toEqual([{ userKey: 'WR-X', points: 10, totalDurationMs: 5000, solved: 1, scoreBreakdowns: [{ total: 10 }], rank: 1 }]);
+  });
+
+  it('sollte Tages- und Stage-Wertungen berechnen', () => {
+    expect(leaderboard.compute(submissions, { scope: 'day', day: 2 }).map(r => r.userKey))
+      .toEqual(['WR-CCCC-3333', 'WR-DDDD-4444', 'WR-BBBB-2222']);
+    expect(leaderboard.compute(submissions, { scope: 'stage', stage: 2 }).map(r => r.userKey))
+      .toEqual(['WR-AAAA-1111']);
+    expect(() => leaderboard.compute(submissions, { scope: 'day' })).toThrow(/ohne Tag/);
+  });
+
+  it('sollte öffentlich nur maskierte Keys ausgeben', () => {
+    const rows = leaderboard.toPublic(leaderboard.compute(submissions, { limit: 2 }));
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toEqual({ rank: 1, displayKey: '****-2222', points: 20, totalDurationMs: 40000, solved: 2 });
+    expect(JSON.stringify(rows)).not.toContain('WR-BBBB');
+  });
+
+  it('sollte Board-Parameter aus Query-Werten lesen', () => {
+    expect(leaderboard.parseBoard({ scope: 'day', day: '5', limit: '3' })).toEqual({ scope: 'day', day: 5, limit: 3 });
+    expect(leaderboard.parseBoard({ scope: 'foo' })).toEqual({ scope: 'overall' });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * PreviewMode Unit Tests
+ * Signierte Vorschau-Tokens, simulierte Berliner Zeit und kein gespeicherter Fortschritt
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const PreviewMode = require('../scripts/preview.mode.js');
+const QRVerify = require('../scripts/qr.verify.js');
+const TimeSync = require('../scripts/time.sync.js');
+const WR_TIME = require('../scripts/time.berlin.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Echte Zeit: Oktober, lange vor dem ersten Türchen
+const REAL_NOW = Date.parse('2025-10-15T10:00:00Z');
+
+function createStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+async function createKey(keyId) {
+  const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+
+  return {
+    signingKey: { keyId, privateKeyJwk: await crypto.subtle.exportKey('jwk', keyPair.privateKey) },
+    entry: {
+      keyId,
+      algorithm: 'ECDSA-P256',
+      publicKeyJwk: { kty, crv, x, y },
+      notBefore: new Date(REAL_NOW - 30 * DAY).toISOString(),
+      expiresAt: new Date(REAL_NOW + 120 * DAY).toISOString()
+    }
+  };
+}
+
+describe('PreviewMode', () => {
+  let editorKey;
+  let foreignKey;
+  let preview;
+  let verifier;
+
+  beforeAll(async () => {
+    editorKey = await createKey('wr-2025-a');
+    foreignKey = await createKey('wr-2025-a');
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: REAL_NOW, toFake: ['Date'] });
+
+    verifier = new QRVerify();
+    verifier.setKeySet({ version: 1, keys: [editorKey.entry] });
+    preview = new PreviewMode();
+
+    vi.stubGlobal('window', { WR_TIME, QRVerify: verifier, PreviewMode: preview });
+    vi.stubGlobal('localStorage', createStorage());
+    vi.stubGlobal('sessionStorage', createStorage());
+  });
+
+  afterEach(() => {
+    WR_TIME.setSimulatedNow(null);
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  const createToken = (at, key = editorKey, validHours = 24) =>
+    preview.createToken({ at: new Date(at), validHours }, key.signingKey);
+
+  it('sollte mit gültigem Token die simulierte Berliner Zeit nutzen', async () => {
+    await preview.activate(await createToken('2025-12-05T08:30:00Z'));
+
+    expect(preview.isActive()).toBe(true);
+    expect(WR_TIME.isSimulated()).toBe(true);
+    expect(WR_TIME.getBerlinNow().toISOString()).toBe('2025-12-05T08:30:00.000Z');
+    expect(WR_TIME.isDoorUnlocked(5, WR_TIME.getBerlinNow())).toBe(true);
+    expect(WR_TIME.isDoorUnlocked(6, WR_TIME.getBerlinNow())).toBe(false);
+
+    // Der Server-Abgleich sperrt die Vorschau nicht
+    expect(await new TimeSync().confirmDay(5)).toBe(true);
+
+    preview.shiftDays(1);
+    expect(WR_TIME.getBerlinNow().toISOString()).toBe('2025-12-06T08:30:00.000Z');
+  });
+
+  it('sollte abgelaufene Tokens ablehnen', async () => {
+    const token = await createToken('2025-12-05T08:30:00Z', editorKey, 2);
+    vi.setSystemTime(REAL_NOW + 3 * 60 * 60 * 1000);
+
+    await expect(preview.activate(token)).rejects.toThrow('abgelaufen');
+    expect(preview.isActive()).toBe(false);
+    expect(WR_TIME.isSimulated()).toBe(false);
+  });
+
+  it('sollte fremde und manipulierte Tokens ablehnen', async () => {
+    await expect(preview.activate(await createToken('2025-12-05T08:30:00Z', foreignKey))).rejects.toThrow('Signatur');
+
+    const [version, header, , signature] = (await createToken('2025-12-01T08:30:00Z')).split('.');
+    const payload = preview.codec.base64UrlEncode(JSON.stringify({
+      purpose: 'preview',
+      at: Math.floor(Date.parse('2025-12-24T12:00:00Z') / 1000),
+      iat: Math.floor(REAL_NOW / 1000),
+      exp: Math.floor(REAL_NOW / 1000) + 3600
+    }));
+    await expect(preview.activate([version, header, payload, signature].join('.'))).rejects.toThrow('Signatur');
+
+    // QR-Token v1 sind keine Vorschau-Tokens
+    const qrToken = await preview.codec.sign({ day: 1, stage: 1 }, editorKey.signingKey);
+    await expect(preview.activate(qrToken)).rejects.toThrow('Format');
+
+    await expect(createToken('2025-12-05T08:30:00Z', editorKey, 24 * 30)).rejects.toThrow('Gültigkeit');
+    expect(WR_TIME.isSimulated()).toBe(false);
+  });
+
+  it('sollte die Vorschau im selben Tab mit erneuter Prüfung wiederherstellen', async () => {
+    await preview.activate(await createToken('2025-12-10T08:00:00Z'));
+    preview.shiftDays(2);
+
+    WR_TIME.setSimulatedNow(null);
+    const restored = new PreviewMode();
+    window.PreviewMode = restored;
+    await restored.init();
+
+    expect(restored.isActive()).toBe(true);
+    expect(WR_TIME.getBerlinNow().toISOString()).toBe('2025-12-12T08:00:00.000Z');
+
+    // Abgelaufenes Token in der Sitzung wird verworfen
+    WR_TIME.setSimulatedNow(null);
+    vi.setSystemTime(REAL_NOW + 2 * DAY);
+    const stale = new PreviewMode();
+    await stale.init();
+
+    expect(stale.isActive()).toBe(false);
+    expect(sessionStorage.getItem('wr_preview_v1')).toBeNull();
+  });
+
+  it('sollte Einmal-Codes in der Vorschau nicht einlösen', async () => {
+    await preview.activate(await createToken('2025-12-14T12:00:00Z'));
+
+    const result = await verifier.redeemNonce({ day: 14, stage: 2, nonce: 'n0nce-abc123', once: true }, 'WR-ABCD-1234');
+
+    expect(result).toMatchObject({ ok: true, source: 'preview' });
+    expect(localStorage.getItem(verifier.config.redemptionStorageKey)).toBeNull();
+  });
+});
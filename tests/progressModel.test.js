@@ -0,0 +1,131 @@
+/**
+ * ProgressModel Unit Tests
+ * Status je Tag und Stage, Punkte, Kennzahlen und Migration alter Speicherstände
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const ProgressModel = require('../scripts/progress.model.js');
+
+const NOW = new Date('2025-12-05T12:00:00Z');
+
+describe('ProgressModel', () => {
+  let model;
+  let progress;
+
+  beforeEach(() => {
+    vi.stubGlobal('window', {
+      WR_TIME: {
+        getBerlinNow: () => NOW,
+        // Stage 1 bis Tag 5, Stage 2 bis Tag 4 freigeschaltet; Tag 24 hat nur eine Stage
+        isStageReleased: (day, stage) => day <= (stage === 1 ? 5 : 4),
+        getStageCount: (day) => (day === 24 ? 1 : 2),
+        getDoorStage: (day) => Math.min(day <= 12 ? 1 : 2, day === 24 ? 1 : 2)
+      }
+    });
+
+    model = new ProgressModel();
+    progress = model.create();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sollte locked und open aus der Freischaltung ableiten', () => {
+    expect(model.getStageState(progress, 5, 1).status).toBe('open');
+    expect(model.getStageState(progress, 5, 2).status).toBe('locked');
+
+    model.markOpened(progress, 5, 1, NOW);
+    expect(model.getStageState(progress, 5, 1)).toMatchObject({ status: 'open', openedAt: NOW.toISOString() });
+  });
+
+  it('sollte Versuche zählen und gelöste Stages nicht zurückstufen', () => {
+    model.recordAttempt(progress, 3, 1, NOW);
+    model.recordAttempt(progress, 3, 1, NOW);
+    expect(model.getStageState(progress, 3, 1)).toMatchObject({ status: 'attempted', attempts: 2 });
+
+    expect(model.recordSolved(progress, 3, 1, { at: NOW, score: { day: 3, stage: 1, total: 14 } })).toBe(true);
+    expect(model.recordSolved(progress, 3, 1, { points: 99 })).toBe(false);
+
+    model.recordAttempt(progress, 3, 1, NOW);
+    expect(model.getEntry(progress, 3, 1)).toMatchObject({ status: 'solved', points: 14, solvedAt: NOW.toISOString() });
+  });
+
+  it('sollte Stage-2 Abgaben nur bei richtiger Antwort als gelöst werten', () => {
+    model.recordSubmitted(progress, 4, 2, { at: NOW, isCorrect: false });
+    expect(model.getEntry(progress, 4, 2)).toMatchObject({ status: 'submitted', points: 0 });
+    expect(model.isDone(progress, 4, 2)).toBe(true);
+    expect(model.isSolved(progress, 4, 2)).toBe(false);
+
+    model.recordSubmitted(progress, 4, 2, { isCorrect: true, points: 24 });
+    expect(model.getEntry(progress, 4, 2)).toMatchObject({ status: 'solved', points: 24, submittedAt: NOW.toISOString() });
+  });
+
+  it('sollte nur erreichbare Stages zählen', () => {
+    // Stage 1 öffnet das Türchen an Tag 1-12, Stage 2 gibt es per QR-Code an jedem Tag mit zwei Stages
+    expect(model.getStages(5)).toEqual([1, 2]);
+    expect(model.getStages(14)).toEqual([2]);
+    expect(model.getStages(24)).toEqual([1]);
+    expect(model.getStageTotal(1)).toBe(13);
+    expect(model.getStageTotal(2)).toBe(23);
+  });
+
+  it('sollte Stage-Fortschritt und Statistik aus den Einträgen berechnen', () => {
+    model.recordSolved(progress, 1, 1, { points: 15 });
+    model.recordSolved(progress, 2, 1, { points: 12 });
+    model.recordSubmitted(progress, 2, 2, { isCorrect: true, points: 20 });
+    model.recordSubmitted(progress, 3, 2, { isCorrect: false });
+    model.recordAttempt(progress, 3, 1);
+
+    expect(model.getStageProgress(progress, 1)).toEqual({ solved: 2, submitted: 0, attempted: 1, done: 2, total: 13 });
+    expect(model.getStageProgress(progress, 2)).toEqual({ solved: 1, submitted: 1, attempted: 0, done: 2, total: 23 });
+    expect(model.getStats(progress)).toEqual({ solvedDays: 2, solvedStages: 3, totalPoints: 47 });
+    expect(model.getDaysWithStatus(progress, 2, ['submitted', 'solved'])).toEqual([2, 3]);
+  });
+
+  it('sollte die Gesamtpunkte alter Stände ohne Aufschlüsselung übernehmen', () => {
+    const legacy = { solvedPuzzles: [1, 2, 3], userProgress: { totalPoints: 45, stage1Progress: 3 } };
+    const migrated = model.migrate(legacy);
+
+    expect(model.getStats(migrated).totalPoints).toBe(legacy.userProgress.totalPoints);
+    expect(model.getStats(migrated).solvedDays).toBe(3);
+
+    // Neue Lösungen kommen hinzu
+    model.recordSolved(migrated, 4, 1, { points: 12 });
+    expect(model.getStats(migrated).totalPoints).toBe(57);
+  });
+
+  it('sollte alte Speicherstände samt lokaler Submissions migrieren', () => {
+    const legacy = {
+      solvedPuzzles: [1, 2, 14],
+      userProgress: {
+        totalPoints: 40,
+        scores: { '1-1': { day: 1, stage: 1, hintPenalty: 0, total: 15 } },
+        stage2Visits: [6]
+      },
+      lastSaved: '2025-12-06T08:00:00.000Z'
+    };
+    const submissions = [
+      { day: 2, stage: 2, isCorrect: true, points: 22, submittedAt: Date.parse('2025-12-02T18:00:00Z') },
+      { day: 3, stage: 1, isCorrect: false, submittedAt: Date.parse('2025-12-03T09:00:00Z') },
+      { day: 1, stage: 1, isCorrect: true, points: 15, submittedAt: Date.parse('2025-12-01T07:00:00Z') }
+    ];
+
+    const migrated = model.fromSavedState(legacy, submissions);
+
+    expect(model.getEntry(migrated, 1, 1)).toMatchObject({ status: 'solved', points: 15, solvedAt: '2025-12-01T07:00:00.000Z' });
+    expect(model.getEntry(migrated, 2, 1)).toMatchObject({ status: 'solved', solvedAt: legacy.lastSaved });
+    expect(model.getEntry(migrated, 14, 2)).toMatchObject({ status: 'solved' });
+    expect(model.getEntry(migrated, 2, 2)).toMatchObject({ status: 'solved', points: 22 });
+    expect(model.getEntry(migrated, 3, 1)).toMatchObject({ status: 'attempted', attempts: 1 });
+    expect(model.getEntry(migrated, 6, 2)).toMatchObject({ status: 'submitted' });
+
+    expect(model.getStats(migrated).totalPoints).toBe(legacy.userProgress.totalPoints);
+
+    // Bereits migrierte Stände bleiben unverändert
+    expect(model.fromSavedState({ progress: migrated })).toBe(migrated);
+  });
+});
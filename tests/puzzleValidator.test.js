@@ -0,0 +1,136 @@
+/**
+ * PuzzleValidator Unit Tests
+ * Prüft das Puzzle-Schema v1 gegen die echten Rätsel-Dateien und typische Redaktionsfehler
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+const PuzzleValidator = require('../scripts/puzzle.validator.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const readJSON = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+const schema = readJSON('public/puzzles/schema/puzzle.v1.schema.json');
+const day01 = readJSON('public/puzzles/raetsel/day-01.json');
+const day02 = readJSON('public/puzzles/raetsel/day-02.json');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const paths = (result) => result.errors.map(error => error.path);
+
+describe('PuzzleValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new PuzzleValidator();
+    validator.setSchema(schema);
+  });
+
+  describe('Schema', () => {
+    it('sollte nur Schema-Version 1 akzeptieren', () => {
+      expect(() => validator.setSchema({ ...schema, 'x-schema-version': 2 })).toThrow(/Version 2/);
+    });
+
+    it('sollte ohne geladenes Schema einen Fehler werfen', () => {
+      expect(() => new PuzzleValidator().validate(day01)).toThrow(/nicht geladen/);
+    });
+  });
+
+  describe('Echte Rätsel-Dateien', () => {
+    it('sollte day-01.json akzeptieren', () => {
+      expect(validator.validate(day01, { day: 1 })).toEqual({ valid: true, errors: [] });
+    });
+
+    it('sollte day-02.json akzeptieren', () => {
+      expect(validator.validate(day02, { day: 2 })).toEqual({ valid: true, errors: [] });
+    });
+
+    it('sollte einen falschen Dateinamen-Tag melden', () => {
+      const result = validator.validate(day01, { day: 3 });
+      expect(result.valid).toBe(false);
+      expect(paths(result)).toEqual(['$.meta.day']);
+    });
+  });
+
+  describe('Verletzungen mit JSON-Pfad', () => {
+    it('sollte alle Verletzungen auf einmal melden', () => {
+      const broken = clone(day01);
+      delete broken.meta.shop_name;
+      broken.stage1.answer_variants = [];
+      broken.config.release_times[1] = '01.12.2025 12:00';
+      broken.config.location.coordinates.lat = 123;
+
+      const result = validator.validate(broken, { day: 1 });
+
+      expect(result.valid).toBe(false);
+      expect(paths(result)).toEqual([
+        '$.meta.shop_name',
+        '$.stage1.answer_variants',
+        '$.config.release_times[1]',
+        '$.config.location.coordinates.lat'
+      ]);
+    });
+
+    it('sollte Tippfehler in Feldnamen als unbekannte Felder melden', () => {
+      const broken = clone(day02);
+      broken.stage2.answer_enabeld = true;
+
+      const result = validator.validate(broken, { day: 2 });
+      expect(result.errors).toEqual([{ path: '$.stage2.answer_enabeld', message: 'unbekanntes Feld' }]);
+    });
+
+    it('sollte nur bekannte Standort-Richtlinien zulassen', () => {
+      const puzzle = clone(day01);
+      puzzle.config.location.policy = 'block';
+      expect(validator.validate(puzzle, { day: 1 }).valid).toBe(true);
+
+      puzzle.config.location.policy = 'strict';
+      expect(paths(validator.validate(puzzle, { day: 1 }))).toEqual(['$.config.location.policy']);
+    });
+
+    it('sollte Stage 1 ohne Antworten ablehnen', () => {
+      const broken = clone(day01);
+      delete broken.stage1.answer_variants;
+
+      const result = validator.validate(broken, { day: 1 });
+      expect(paths(result)).toEqual(['$.stage1']);
+      expect(result.errors[0].message).toContain('answer_variants | answer_meta');
+    });
+
+    it('sollte falsche Typen benennen', () => {
+      const broken = clone(day01);
+      broken.config.points_per_stage = '10';
+
+      const result = validator.validate(broken, { day: 1 });
+      expect(result.errors).toEqual([{ path: '$.config.points_per_stage', message: 'erwartet integer, erhalten string' }]);
+    });
+  });
+
+  describe('Inhaltliche Prüfungen', () => {
+    it('sollte unbekannte Normalisierungsregeln melden', () => {
+      const broken = clone(day02);
+      broken.stage2.answer_meta.normalize = 'lowercase, strip-accents';
+
+      const result = validator.validate(broken, { day: 2 });
+      expect(paths(result)).toEqual(['$.stage2.answer_meta.normalize']);
+      expect(result.errors[0].message).toContain('strip-accents');
+    });
+
+    it('sollte Freischaltzeiten in falscher Reihenfolge melden', () => {
+      const broken = clone(day01);
+      broken.config.release_times = ['2025-12-01T12:00:00+01:00', '2025-12-01T06:00:00+01:00'];
+
+      expect(paths(validator.validate(broken, { day: 1 }))).toEqual(['$.config.release_times[1]']);
+    });
+
+    it('sollte inkonsistente Punktsummen melden', () => {
+      const broken = clone(day01);
+      broken.config.total_points = 25;
+
+      expect(paths(validator.validate(broken, { day: 1 }))).toEqual(['$.config.total_points']);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * QRDecoder Unit Tests
+ * Rundlauf mit admin/qr.encoder.js: gerenderte Bilder (skaliert, gedreht, verrauscht) und Fehlerkorrektur
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const QREncoder = require('../admin/qr.encoder.js');
+const QRDecoder = require('../scripts/qr.decoder.js');
+
+const encoder = new QREncoder();
+const decoder = new QRDecoder();
+
+const TOKEN_URL = 'https://winter-rallye-2025.haldensleben.de/?day=14&stage=2&qr=v1.eyJhbGciOiJFUzI1NiIsImtpZCI6IndyMjAyNSJ9.' +
+  'eyJkYXkiOjE0LCJzdGFnZSI6Miwibm9uY2UiOiJhYmNkZWZnaGlqa2wiLCJuYmYiOjE3NjU2NjY4MDAsImV4cCI6MTc2NTcwMjgwMH0.' +
+  'A'.repeat(86);
+
+/**
+ * Rendert eine Modul-Matrix als RGBA-Bild wie von canvas.getImageData
+ * scale = Pixel pro Modul, angle = Drehung um die Bildmitte (Radiant)
+ */
+function renderImage(modules, { scale = 4, angle = 0, quietZone = 4, noise = 0 } = {}) {
+  const side = (modules.length + quietZone * 2) * scale;
+  const width = Math.ceil(side * 1.5);
+  const height = width;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dx = x + 0.5 - width / 2;
+      const dy = y + 0.5 - height / 2;
+      const mx = Math.floor((cos * dx + sin * dy + side / 2) / scale) - quietZone;
+      const my = Math.floor((-sin * dx + cos * dy + side / 2) / scale) - quietZone;
+      const dark = mx >= 0 && my >= 0 && mx < modules.length && my < modules.length && modules[my][mx];
+      const value = (dark ? 30 : 220) + ((x * 31 + y * 17) % (noise + 1)) - noise / 2;
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+
+  return { data, width, height };
+}
+
+describe('QRDecoder', () => {
+  it('sollte eine Stage-2-URL aus einem gerenderten Bild lesen', () => {
+    const qr = encoder.encode(TOKEN_URL, { ecl: 'M' });
+    const result = decoder.decode(renderImage(qr.modules));
+
+    expect(result).toEqual({ text: TOKEN_URL, version: qr.version, ecl: 'M' });
+  });
+
+  it('sollte gedrehte und verrauschte Codes lesen', () => {
+    const qr = encoder.encode('https://winter-rallye-2025.haldensleben.de/?day=3', { ecl: 'Q' });
+
+    [
+      { scale: 3, angle: 0.2 },
+      { scale: 5, angle: -0.5, noise: 40 },
+      { scale: 4, angle: Math.PI / 2 + 0.1 },
+      { scale: 4, angle: Math.PI }
+    ].forEach(options => {
+      expect(decoder.decode(renderImage(qr.modules, options))?.text).toBe('https://winter-rallye-2025.haldensleben.de/?day=3');
+    });
+  });
+
+  it('sollte Umlaute als UTF-8 dekodieren', () => {
+    const qr = encoder.encode('Glühwein & Lebkuchen – Tag 7', { ecl: 'L' });
+    expect(decoder.decode(renderImage(qr.modules)).text).toBe('Glühwein & Lebkuchen – Tag 7');
+  });
+
+  it('sollte null liefern, wenn kein Code im Bild ist', () => {
+    const width = 120;
+    const height = 80;
+    const data = new Uint8ClampedArray(width * height * 4).fill(200);
+
+    expect(decoder.decode({ data, width, height })).toBeNull();
+  });
+
+  it('sollte beschädigte Module mit Reed-Solomon korrigieren', () => {
+    const qr = encoder.encode('Fehlerkorrektur Tag 24', { ecl: 'H' });
+    const damaged = qr.modules.map(row => row.slice());
+    for (let i = 0; i < 6; i++) {
+      damaged[12 + i][14] = !damaged[12 + i][14];
+      damaged[20][9 + i] = !damaged[20][9 + i];
+    }
+
+    expect(decoder.decodeMatrix(damaged).text).toBe('Fehlerkorrektur Tag 24');
+  });
+
+  it('sollte bei zu vielen Fehlern abbrechen statt falsch zu lesen', () => {
+    const qr = encoder.encode('Fehlerkorrektur Tag 24', { ecl: 'L' });
+    const damaged = qr.modules.map((row, y) => row.map((dark, x) => (x > 9 && y > 9 ? !dark : dark)));
+
+    expect(() => decoder.decodeMatrix(damaged)).toThrow();
+  });
+
+  it('sollte Versionsinformation ab Version 7 lesen', () => {
+    const text = 'x'.repeat(120);
+    const qr = encoder.encode(text, { ecl: 'M' });
+
+    expect(qr.version).toBe(7);
+    expect(decoder.decode(renderImage(qr.modules, { scale: 3 }))).toEqual({ text, version: 7, ecl: 'M' });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * QREncoder Unit Tests
+ * Reed-Solomon, Kapazitäten, Funktionsmuster und SVG-Ausgabe
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const QREncoder = require('../admin/qr.encoder.js');
+
+const encoder = new QREncoder();
+const url = 'https://winter-rallye-2025.haldensleben.de/?day=14&stage=2&qr=';
+
+// Liest die 15 Formatbits (erste Kopie, links oben)
+function readFormatBits(modules) {
+  const positions = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+  return positions.reduce((bits, [x, y], i) => bits | (modules[y][x] ? 1 << i : 0), 0);
+}
+
+describe('QREncoder', () => {
+  it('sollte die Reed-Solomon-Codewörter des Norm-Beispiels "HELLO WORLD" (1-M) erzeugen', () => {
+    const data = [0x20, 0x5B, 0x0B, 0x78, 0xD1, 0x72, 0xDC, 0x4D, 0x43, 0x40, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11];
+    expect(encoder.reedSolomonRemainder(data, encoder.reedSolomonDivisor(10)))
+      .toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  it('sollte die Byte-Kapazitäten der Norm einhalten', () => {
+    expect(encoder.getByteCapacity(1, 'L')).toBe(17);
+    expect(encoder.getByteCapacity(1, 'M')).toBe(14);
+    expect(encoder.getByteCapacity(10, 'M')).toBe(213);
+    expect(encoder.getByteCapacity(40, 'L')).toBe(2953);
+    expect(encoder.getByteCapacity(40, 'H')).toBe(1273);
+  });
+
+  it('sollte die kleinste passende Version wählen', () => {
+    expect(encoder.encode('x'.repeat(14)).version).toBe(1);
+    expect(encoder.encode('x'.repeat(15)).version).toBe(2);
+
+    const qr = encoder.encode(url + 'x'.repeat(330));
+    expect(qr.version).toBe(15);
+    expect(qr.size).toBe(77);
+    expect(qr.modules).toHaveLength(77);
+  });
+
+  it('sollte Finder-Muster, Timing und dunkles Modul setzen', () => {
+    const { modules, size } = encoder.encode(url);
+
+    for (const [x, y] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+      expect(modules[y + 3].slice(x, x + 7)).toEqual([true, false, true, true, true, false, true]);
+      expect(modules[y + 1].slice(x, x + 7)).toEqual([true, false, false, false, false, false, true]);
+    }
+    expect(modules[6].slice(8, size - 8)).toEqual(Array.from({ length: size - 16 }, (_, i) => i % 2 === 0));
+    expect(modules[size - 8][8]).toBe(true);
+  });
+
+  it('sollte Stufe und gewählte Maske in den Formatbits kodieren', () => {
+    const qr = encoder.encode(url, { ecl: 'Q' });
+    const bits = readFormatBits(qr.modules) ^ 0x5412;
+
+    expect(bits >>> 13).toBe(3); // Q
+    expect((bits >>> 10) & 7).toBe(qr.mask);
+  });
+
+  it('sollte ab Version 7 die Versionsinformation schreiben', () => {
+    const qr = encoder.encode('x'.repeat(120));
+    expect(qr.version).toBe(7);
+
+    // Block rechts oben: 6 Zeilen × 3 Spalten, Bit i an (size - 11 + i % 3, floor(i / 3))
+    let bits = 0;
+    for (let i = 0; i < 18; i++) {
+      if (qr.modules[Math.floor(i / 3)][qr.size - 11 + i % 3]) bits |= 1 << i;
+    }
+    expect(bits).toBe(0x07C94);
+  });
+
+  it('sollte genau die dunklen Module als SVG-Pfad ausgeben', () => {
+    const qr = encoder.encode('WR-14');
+    const dark = qr.modules.flat().filter(Boolean).length;
+    const area = [...encoder.toSvgPath(qr).matchAll(/h([\d.]+)v/g)].reduce((sum, match) => sum + Number(match[1]), 0);
+
+    expect(area).toBe(dark);
+  });
+
+  it('sollte zu lange Inhalte ablehnen', () => {
+    expect(() => encoder.encode('x'.repeat(3000))).toThrow(/zu lang/);
+    expect(() => encoder.encode('x', { ecl: 'X' })).toThrow(/Fehlerkorrekturstufe/);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * QRScanner Unit Tests
+ * Erkennung von QR-URL und Token v1 aus Scan oder manueller Eingabe
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const QRScanner = require('../scripts/qr.scanner.js');
+const QRToken = require('../scripts/qr.token.js');
+
+const codec = new QRToken();
+const scanner = new QRScanner();
+
+const token = (payload) => [
+  'v1',
+  codec.base64UrlEncode(JSON.stringify({ alg: 'ES256', kid: 'wr2025' })),
+  codec.base64UrlEncode(JSON.stringify(payload)),
+  codec.base64UrlEncode(new Uint8Array(64))
+].join('.');
+
+describe('QRScanner', () => {
+  it('sollte Tag und Token aus einer Stage-2-URL lesen', () => {
+    const stage2 = token({ day: 14, stage: 2 });
+    const url = codec.buildUrl('https://winter-rallye-2025.haldensleben.de', stage2);
+
+    expect(scanner.parseInput(url)).toEqual({ day: 14, token: stage2 });
+    expect(scanner.parseInput(`  ${url}\n`)).toEqual({ day: 14, token: stage2 });
+  });
+
+  it('sollte ein eingefügtes Token v1 ohne URL akzeptieren', () => {
+    const stage2 = token({ day: 20, stage: 2, nonce: 'abcdefghijkl' });
+
+    expect(scanner.parseInput(stage2)).toEqual({ day: 20, token: stage2 });
+  });
+
+  it('sollte Kurzcodes mit Tag aus dem Code übernehmen', () => {
+    const code = scanner.shortCode.format(scanner.shortCode.encode(18, 4242));
+
+    expect(scanner.parseInput(code.toLowerCase())).toEqual({ day: 18, token: code.toLowerCase() });
+    expect(scanner.parseInput(code.slice(0, 8) + (code[8] === '0' ? '1' : '0'))).toBeNull();
+  });
+
+  it('sollte fremde Codes und Stage-1-Codes ablehnen', () => {
+    expect(scanner.parseInput('https://example.com/')).toBeNull();
+    expect(scanner.parseInput('https://winter-rallye-2025.haldensleben.de/?day=30&stage=2&qr=abc')).toBeNull();
+    expect(scanner.parseInput(codec.buildUrl('https://winter-rallye-2025.haldensleben.de', token({ day: 3, stage: 1 })))).toBeNull();
+    expect(scanner.parseInput(token({ day: 3, stage: 1 }))).toBeNull();
+    expect(scanner.parseInput('v1.kaputt')).toBeNull();
+    expect(scanner.parseInput('')).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * QRSheet Unit Tests
+ * Seitenaufteilung, Kachelinhalte und Schnittmarken des Druckbogens
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const QRSheet = require('../admin/qr.sheet.js');
+
+const sheet = new QRSheet();
+
+const item = (day, extra = {}) => ({
+  day,
+  url: `https://winter-rallye-2025.haldensleben.de/?day=${day}&stage=2&qr=v1.eyJhbGciOiJFUzI1NiJ9.eyJkYXkiOjF9.AbCdEfGhIjKl`,
+  token: 'v1.eyJhbGciOiJFUzI1NiJ9.eyJkYXkiOjF9.AbCdEfGhIjKl',
+  shopName: `Geschäft ${day}`,
+  address: 'Hagenstraße 49, 39340 Haldensleben',
+  ...extra
+});
+
+describe('QRSheet', () => {
+  it('sollte 24 Tage auf 4 A4-Seiten mit je 6 Kacheln verteilen', () => {
+    const pages = sheet.render(Array.from({ length: 24 }, (_, i) => item(i + 1)));
+
+    expect(pages).toHaveLength(4);
+    pages.forEach((svg, index) => {
+      expect(svg).toContain('viewBox="0 0 210 297"');
+      expect(svg.match(/<g id="tag-/g)).toHaveLength(6);
+      expect(svg).toContain(`Seite ${index + 1}/4`);
+    });
+    expect(pages[3]).toContain('<g id="tag-24">');
+  });
+
+  it('sollte Tag, Geschäft, Adresse und Code-ID in die Kachel schreiben', () => {
+    const [svg] = sheet.render([item(3, { shopName: 'Müller & Söhne <GmbH>' })]);
+
+    expect(svg).toContain('>Tag 3</text>');
+    expect(svg).toContain('Müller &amp; Söhne &lt;GmbH&gt;');
+    expect(svg).toContain('Hagenstraße 49, 39340 Haldensleben');
+    expect(svg).toContain('Code-ID: WR-03-AbCd-EfGh');
+    expect(svg).toMatch(/<path fill="#000000" d="M[\d.]+ [\d.]+h/);
+  });
+
+  it('sollte einen vorhandenen Kurzcode statt der Code-ID drucken', () => {
+    expect(sheet.getFallbackCode(item(5, { fallbackCode: 'K7QF-9XZ2' }))).toBe('K7QF-9XZ2');
+  });
+
+  it('sollte Schnittmarken an allen Kachelecken setzen', () => {
+    const [svg] = sheet.render([item(1)]);
+    const marks = svg.match(/stroke-width="0.2" d="([^"]+)"/)[1].match(/M/g);
+
+    // 3 × 4 Ecken, je ein waagerechter und ein senkrechter Strich
+    expect(marks).toHaveLength(24);
+  });
+
+  it('sollte lange Namen kürzen', () => {
+    const [svg] = sheet.render([item(1, { shopName: 'A'.repeat(60) })]);
+    expect(svg).toContain(`${'A'.repeat(37)}…`);
+  });
+});
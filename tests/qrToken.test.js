@@ -0,0 +1,90 @@
+/**
+ * QRToken Round-Trip Tests
+ * Vom Generator signierte Codes müssen über URL und QRVerify.verifyToken die Tür öffnen
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const QRToken = require('../scripts/qr.token.js');
+const QRVerify = require('../scripts/qr.verify.js');
+
+describe('QRToken', () => {
+  const codec = new QRToken();
+  let signingKey;
+  let verifier;
+
+  beforeAll(async () => {
+    const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    signingKey = { keyId: 'wr-20251101-ab12', privateKeyJwk: await crypto.subtle.exportKey('jwk', keyPair.privateKey) };
+
+    verifier = new QRVerify();
+    verifier.setKeySet({
+      version: 1,
+      keys: [{ keyId: signingKey.keyId, algorithm: 'ECDSA-P256', publicKeyJwk: { kty, crv, x, y } }]
+    });
+  });
+
+  // Payload wie QRLinkGenerator.createSignature
+  const generatorPayload = { day: 14, stage: 2, answer: 'fünf', timestamp: '2025-12-14T12:00' };
+
+  it('sollte Generator-Codes über die QR-URL verifizieren (Round-Trip)', async () => {
+    const token = await codec.sign(generatorPayload, signingKey);
+    const url = codec.buildUrl('https://winter-rallye-2025.haldensleben.de', token);
+
+    expect(url).toMatch(/^https:\/\/winter-rallye-2025\.haldensleben\.de\/\?day=14&stage=2&qr=v1\./);
+
+    // Wie main.checkAutoOpenDoor: day, stage und qr aus der URL
+    const params = new URL(url).searchParams;
+    expect(params.get('stage')).toBe('2');
+
+    const result = await verifier.verifyToken(params.get('qr'), { day: parseInt(params.get('day'), 10), stage: 2 });
+    expect(result.valid).toBe(true);
+    expect(result.payload).toEqual(generatorPayload);
+    expect(result.keyId).toBe('wr-20251101-ab12');
+  });
+
+  it('sollte Token mit Umlauten verlustfrei kodieren', async () => {
+    const decoded = codec.decode(await codec.sign(generatorPayload, signingKey));
+
+    expect(decoded.header).toEqual({ alg: 'ES256', kid: 'wr-20251101-ab12' });
+    expect(decoded.payload.answer).toBe('fünf');
+    expect(decoded.signature).toHaveLength(64);
+  });
+
+  it('sollte Unterverzeichnisse der Base-URL erhalten', async () => {
+    const token = await codec.sign({ day: 3, stage: 2 }, signingKey);
+    const url = codec.buildUrl('https://example.org/rallye', token);
+
+    expect(url.startsWith('https://example.org/rallye/?day=3&stage=2&qr=')).toBe(true);
+    expect(codec.parseUrl(url)).toEqual({ day: 3, stage: 2, token });
+  });
+
+  it('sollte einen Code für einen anderen Tag ablehnen', async () => {
+    const token = await codec.sign(generatorPayload, signingKey);
+    const result = await verifier.verifyToken(token, { day: 15, stage: 2 });
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/Feld 'day'/);
+  });
+
+  it('sollte einen geänderten Header (kid) als ungültig erkennen', async () => {
+    const [version, , payload, signature] = (await codec.sign(generatorPayload, signingKey)).split('.');
+    const header = codec.base64UrlEncode(JSON.stringify({ alg: 'ES256', kid: 'wr-20251101-ab12', extra: 1 }));
+
+    const result = await verifier.verifyToken(`${version}.${header}.${payload}.${signature}`, { day: 14 });
+    expect(result.valid).toBe(false);
+  });
+
+  it('sollte fremde Formate und ungültige Payloads ablehnen', async () => {
+    expect(() => codec.decode('v1.abc.def')).toThrow(/Unbekanntes QR-Token-Format/);
+    expect(() => codec.decode('v2.a.b.c')).toThrow(/Unbekanntes QR-Token-Format/);
+    await expect(codec.sign({ day: 25, stage: 2 }, signingKey)).rejects.toThrow(/day muss 1-24/);
+
+    const header = codec.base64UrlEncode(JSON.stringify({ alg: 'HS256', kid: 'x' }));
+    const payload = codec.base64UrlEncode(JSON.stringify({ day: 1, stage: 2 }));
+    expect(() => codec.decode(`v1.${header}.${payload}.AAAA`)).toThrow(/Ununterstützter Token-Header/);
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * QRVerify Unit Tests
+ * ECDSA-P256-Prüfung mit öffentlichem Key-Set: Rotation, Ablauf, Manipulation
+ * sowie Zeitfenster (nbf/exp), Gerätebindung und Einlöse-Protokoll
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const QRVerify = require('../scripts/qr.verify.js');
+const QRToken = require('../scripts/qr.token.js');
+const ShortCode = require('../scripts/short.code.js');
+const WR_TIME = require('../scripts/time.berlin.js');
+
+const codec = new QRToken();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function createKey(keyId, { notBefore = Date.now() - DAY, expiresAt = Date.now() + 30 * DAY } = {}) {
+  const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+
+  return {
+    signingKey: { keyId, privateKeyJwk: await crypto.subtle.exportKey('jwk', keyPair.privateKey) },
+    entry: {
+      keyId,
+      algorithm: 'ECDSA-P256',
+      publicKeyJwk: { kty, crv, x, y },
+      notBefore: new Date(notBefore).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString()
+    }
+  };
+}
+
+// Signiert wie admin/qr-linkgen
+const signToken = (key, payload) => codec.sign(payload, key.signingKey);
+
+describe('QRVerify', () => {
+  let current;
+  let previous;
+  let expired;
+  let verifier;
+
+  const verify = (token, expected = {}) => verifier.verifySignature(verifier.parseQRCode(token), expected);
+
+  beforeAll(async () => {
+    current = await createKey('wr-2025-b');
+    previous = await createKey('wr-2025-a', { notBefore: Date.now() - 60 * DAY });
+    expired = await createKey('wr-2024-x', { notBefore: Date.now() - 90 * DAY, expiresAt: Date.now() - DAY });
+  });
+
+  beforeEach(() => {
+    verifier = new QRVerify();
+    verifier.setKeySet({ version: 1, keys: [previous.entry, current.entry, expired.entry] });
+  });
+
+  it('sollte einen signierten QR-Code mit dem öffentlichen Schlüssel bestätigen', async () => {
+    const result = await verify(await signToken(current, { day: 14, stage: 2 }), { day: 14, stage: 2 });
+
+    expect(result.valid).toBe(true);
+    expect(result).toMatchObject({ algorithm: 'ECDSA', keyId: 'wr-2025-b' });
+  });
+
+  it('sollte nach einer Rotation auch Codes des älteren, noch gültigen Schlüssels annehmen', async () => {
+    const result = await verify(await signToken(previous, { day: 13, stage: 2 }));
+    expect(result.valid).toBe(true);
+  });
+
+  it('sollte einen manipulierten Payload ablehnen', async () => {
+    const token = await signToken(current, { day: 14, stage: 2 });
+    const [version, header, , signature] = token.split('.');
+    const forged = `${version}.${header}.${codec.base64UrlEncode(JSON.stringify({ day: 15, stage: 2 }))}.${signature}`;
+
+    const result = await verify(forged);
+    expect(result.valid).toBe(false);
+    expect(result.error).toBe('Ungültige Signatur');
+  });
+
+  it('sollte Signaturen fremder Schlüssel ablehnen', async () => {
+    const foreign = await createKey('wr-2025-b');
+    const result = await verify(await signToken(foreign, { day: 14, stage: 2 }));
+    expect(result.valid).toBe(false);
+  });
+
+  it('sollte abgelaufene und unbekannte Schlüssel ablehnen', async () => {
+    expect((await verify(await signToken(expired, { day: 14, stage: 2 }))).error).toMatch(/abgelaufen/);
+
+    verifier.setKeySet({ keys: [current.entry] });
+    expect((await verify(await signToken(previous, { day: 14, stage: 2 }))).error).toMatch(/Unbekannte Key-ID/);
+  });
+
+  it('sollte die Schlüssel-Gültigkeit gegen die Serverzeit prüfen', async () => {
+    const expiredToken = await signToken(expired, { day: 14, stage: 2 });
+    const currentToken = await signToken(current, { day: 14, stage: 2 });
+    vi.stubGlobal('window', { WR_TIME });
+
+    try {
+      // Geräteuhr zwei Tage vor: laut Server ist der alte Schlüssel noch gültig
+      WR_TIME.setClockOffset(-2 * DAY);
+      expect((await verify(expiredToken)).valid).toBe(true);
+
+      // Geräteuhr 31 Tage zurück: laut Server ist der aktuelle Schlüssel schon abgelaufen
+      WR_TIME.setClockOffset(31 * DAY);
+      expect((await verify(currentToken)).error).toMatch(/abgelaufen/);
+    } finally {
+      WR_TIME.setClockOffset(0);
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('sollte Tag-Abweichungen trotz gültiger Signatur melden', async () => {
+    const result = await verify(await signToken(current, { day: 14, stage: 2 }), { day: 15 });
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/Feld 'day'/);
+  });
+
+  it('sollte HMAC- und unsignierte Codes nicht mehr akzeptieren', async () => {
+    const hmac = `hmac.winter2025.abcdef.${btoa(JSON.stringify({ day: 14 }))}`;
+    expect(await verifier.verifyToken(hmac)).toMatchObject({ valid: false, error: 'QR-Code-Format nicht erkannt' });
+    expect(await verifier.verifyToken('{"day":14}')).toMatchObject({ valid: false, error: 'Unsignierte QR-Codes sind deaktiviert' });
+  });
+
+  it('sollte Key-Set-Einträge mit privatem Schlüssel verwerfen', async () => {
+    const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+    verifier.setKeySet({ keys: [{ ...current.entry, keyId: 'leak', publicKeyJwk: privateJwk }, current.entry] });
+    expect([...verifier.publicKeys.keys()]).toEqual(['wr-2025-b']);
+  });
+
+  describe('Zeitfenster und Einlösung', () => {
+    const NOW = Date.parse('2025-12-14T10:00:00+01:00');
+    const seconds = (ms) => Math.floor(ms / 1000);
+    let storage;
+
+    const windowed = (extra = {}) => ({
+      day: 14,
+      stage: 2,
+      nbf: seconds(NOW - 4 * 60 * 60 * 1000),
+      exp: seconds(NOW + 10 * 60 * 60 * 1000),
+      nonce: codec.createNonce(),
+      ...extra
+    });
+
+    beforeEach(() => {
+      storage = new Map();
+      vi.stubGlobal('localStorage', {
+        getItem: (key) => storage.get(key) ?? null,
+        setItem: (key, value) => storage.set(key, value)
+      });
+      verifier.now = () => NOW;
+      // Der aktuelle Schlüssel muss auch zum festen Prüfzeitpunkt NOW gültig sein
+      verifier.setKeySet({ version: 1, keys: [{ ...current.entry, notBefore: new Date(NOW - 30 * DAY).toISOString() }] });
+    });
+
+    afterEach(() => vi.unstubAllGlobals());
+
+    it('sollte nbf und exp mit Toleranz für Uhrabweichungen prüfen', async () => {
+      const early = await signToken(current, windowed({ nbf: seconds(NOW + 60 * 1000) }));
+      expect(await verifier.verifyToken(early, {}, { userKey: 'WR-A' })).toMatchObject({ valid: true });
+
+      const future = await signToken(current, windowed({ nbf: seconds(NOW + 10 * 60 * 1000) }));
+      expect((await verifier.verifyToken(future, {}, { userKey: 'WR-A' })).error).toMatch(/noch nicht gültig/);
+
+      const over = await signToken(current, windowed({ exp: seconds(NOW - 10 * 60 * 1000) }));
+      expect((await verifier.verifyToken(over, {}, { userKey: 'WR-A' })).error).toMatch(/abgelaufen/);
+    });
+
+    it('sollte kurzlebige Counter-Codes nur im Fenster plus Toleranz annehmen', async () => {
+      // Wie admin/counter.js: nbf = jetzt, exp = jetzt + 30 s Anzeige + 60 s Nachlauf
+      const counterCode = () => signToken(current, windowed({ nbf: seconds(NOW), exp: seconds(NOW + 90 * 1000), display: 'counter' }));
+      const skew = verifier.config.clockSkewMs;
+
+      verifier.now = () => NOW + 90 * 1000 + skew - 1000;
+      expect((await verifier.verifyToken(await counterCode(), { day: 14, stage: 2 }, { userKey: 'WR-A' })).valid).toBe(true);
+
+      verifier.now = () => NOW + 90 * 1000 + skew + 1000;
+      expect((await verifier.verifyToken(await counterCode(), { day: 14, stage: 2 }, { userKey: 'WR-A' })).error).toMatch(/abgelaufen/);
+    });
+
+    it('sollte Zeitfenster gegen die Serverzeit statt gegen die Geräteuhr prüfen', async () => {
+      // Geräteuhr zwei Stunden zurückgestellt: laut Gerät noch gültig, laut Server abgelaufen
+      const token = await signToken(current, windowed({ nbf: seconds(Date.now() - 60 * 60 * 1000), exp: seconds(Date.now() + 30 * 60 * 1000) }));
+      const synced = new QRVerify();
+      synced.setKeySet({ version: 1, keys: [current.entry] });
+      vi.stubGlobal('window', { WR_TIME });
+
+      try {
+        WR_TIME.setClockOffset(2 * 60 * 60 * 1000);
+        expect((await synced.verifyToken(token, {}, { userKey: 'WR-A' })).error).toMatch(/abgelaufen/);
+
+        WR_TIME.setClockOffset(0);
+        expect((await synced.verifyToken(token, {}, { userKey: 'WR-A' })).valid).toBe(true);
+      } finally {
+        WR_TIME.setClockOffset(0);
+      }
+    });
+
+    it('sollte gebundene Codes nur für den passenden User-Key annehmen', async () => {
+      const token = await signToken(current, windowed({ sub: 'WR-ABCD-1234' }));
+
+      expect((await verifier.verifyToken(token, {}, { userKey: 'WR-EFGH-5678' })).error).toMatch(/anderes Gerät/);
+      expect((await verifier.verifyToken(token, {}, { userKey: 'WR-ABCD-1234' })).valid).toBe(true);
+    });
+
+    it('sollte einen eingelösten Code nach Ablauf für denselben User-Key weiter annehmen', async () => {
+      const payload = windowed();
+      const token = await signToken(current, payload);
+
+      expect(await verifier.verifyToken(token, {}, { userKey: 'WR-A' })).toMatchObject({ valid: true, redemption: 'new' });
+
+      verifier.now = () => payload.exp * 1000 + 60 * 60 * 1000;
+      expect(await verifier.verifyToken(token, {}, { userKey: 'WR-A' })).toMatchObject({ valid: true, redemption: 'local' });
+      expect((await verifier.verifyToken(token, {}, { userKey: 'WR-B' })).error).toMatch(/abgelaufen/);
+    });
+
+    it('sollte Einmal-Codes am Server einlösen und Konflikte ablehnen', async () => {
+      const fetchMock = vi.fn()
+        .mockResolvedValueOnce({ ok: true, status: 201 })
+        .mockResolvedValueOnce({ ok: false, status: 409 });
+      vi.stubGlobal('fetch', fetchMock);
+      verifier.config.redeemEndpoint = 'https://example.test/api/submissions/redemptions';
+
+      const first = await signToken(current, windowed({ once: true }));
+      expect(await verifier.verifyToken(first, {}, { userKey: 'WR-A' })).toMatchObject({ valid: true, redemption: 'server' });
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ userKey: 'WR-A', day: 14, stage: 2 });
+
+      const second = await signToken(current, windowed({ once: true }));
+      expect(await verifier.verifyToken(second, {}, { userKey: 'WR-B' })).toMatchObject({ valid: false, error: 'QR-Code wurde bereits eingelöst' });
+
+      // Lokal bereits eingelöst: anderer User-Key auf demselben Gerät wird ohne Server abgelehnt
+      expect((await verifier.verifyToken(first, {}, { userKey: 'WR-B' })).error).toBe('QR-Code wurde bereits eingelöst');
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('sollte ohne Server nur mit requireServerRedemption ablehnen', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new Error('offline')));
+      verifier.config.redeemEndpoint = 'https://example.test/api/submissions/redemptions';
+
+      expect((await verifier.verifyToken(await signToken(current, windowed({ once: true })), {}, { userKey: 'WR-A' })).valid).toBe(true);
+
+      verifier.config.requireServerRedemption = true;
+      expect((await verifier.verifyToken(await signToken(current, windowed({ once: true })), {}, { userKey: 'WR-A' })).error).toMatch(/Internetverbindung/);
+    });
+  });
+
+  describe('Kurzcodes', () => {
+    const NOW = Date.parse('2025-12-14T10:00:00+01:00');
+    const seconds = (ms) => Math.floor(ms / 1000);
+    const shortCode = new ShortCode();
+    shortCode.iterations = 10000;
+
+    let code;
+
+    beforeAll(async () => {
+      code = await shortCode.create(14, current.signingKey.privateKeyJwk);
+    });
+
+    beforeEach(async () => {
+      verifier.now = () => NOW;
+      verifier.setShortCodes({
+        version: 1,
+        iterations: 10000,
+        codes: [await shortCode.createEntry(code, { nbf: seconds(NOW - 60 * 60 * 1000), exp: seconds(NOW + 60 * 60 * 1000) })]
+      });
+    });
+
+    it('sollte einen Kurzcode aus der Prüfliste bestätigen', async () => {
+      const result = await verifier.verifyToken(shortCode.format(code).toLowerCase(), { day: 14, stage: 2 });
+
+      expect(result).toMatchObject({ valid: true, algorithm: 'SHORTCODE', payload: { day: 14, stage: 2 } });
+    });
+
+    it('sollte Kurzcodes anderer Tage, fremder Schlüssel und Tippfehler ablehnen', async () => {
+      expect((await verifier.verifyToken(code, { day: 15, stage: 2 })).valid).toBe(false);
+
+      const foreign = await shortCode.create(14, previous.signingKey.privateKeyJwk);
+      expect(await verifier.verifyToken(foreign, { day: 14, stage: 2 })).toMatchObject({ valid: false, error: 'Unbekannter Kurzcode' });
+
+      const typo = code.slice(0, 3) + (code[3] === 'A' ? 'B' : 'A') + code.slice(4);
+      expect((await verifier.verifyToken(typo, { day: 14, stage: 2 })).error).toMatch(/vertippt/);
+    });
+
+    it('sollte das Zeitfenster aus der Prüfliste bei jedem Aufruf prüfen', async () => {
+      expect((await verifier.verifyToken(code, { day: 14, stage: 2 })).valid).toBe(true);
+
+      verifier.now = () => NOW + 2 * 60 * 60 * 1000;
+      expect(await verifier.verifyToken(code, { day: 14, stage: 2 })).toMatchObject({ valid: false, error: 'QR-Code ist abgelaufen' });
+    });
+
+    it('sollte Listen mit zu wenigen PBKDF2-Iterationen ignorieren', async () => {
+      verifier.setShortCodes({ version: 1, iterations: 10, codes: [await shortCode.createEntry(code)] });
+
+      expect((await verifier.verifyToken(code, { day: 14, stage: 2 })).error).toBe('Unbekannter Kurzcode');
+    });
+  });
+});
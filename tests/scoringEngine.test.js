@@ -0,0 +1,90 @@
+/**
+ * ScoringEngine Unit Tests
+ * Basispunkte, Stage-Multiplikator, Zeitbonus, Serienbonus, Musikbonus und Tipp-Abzug
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const ScoringEngine = require('../scripts/scoring.engine.js');
+const puzzle = require('../public/puzzles/raetsel/day-01.json');
+
+const RELEASE = '2025-12-01T05:00:00.000Z';
+const HOUR = 60 * 60 * 1000;
+const at = (hours) => new Date(Date.parse(RELEASE) + hours * HOUR);
+
+describe('ScoringEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new ScoringEngine();
+  });
+
+  it('sollte den Zeitbonus linear über 24 Stunden abbauen', () => {
+    const score = (hours) => engine.score({ day: 1, stage: 1, basePoints: 10, releaseTime: RELEASE, solvedAt: at(hours) });
+
+    expect(score(0)).toMatchObject({ basePoints: 10, multiplier: 1, timeBonus: 5, total: 15 });
+    expect(score(12).timeBonus).toBe(3);
+    expect(score(24).timeBonus).toBe(0);
+    // Vor der Freischaltung (Vorschau) kein höherer Bonus
+    expect(score(-5).timeBonus).toBe(5);
+  });
+
+  it('sollte Stage 2 multiplizieren und alle Anteile aufschlüsseln', () => {
+    const score = engine.score({
+      day: 4,
+      stage: 2,
+      basePoints: 10,
+      releaseTime: RELEASE,
+      solvedAt: at(6),
+      streakDays: 4,
+      musicPlaying: true,
+      hintPenalty: 6
+    });
+
+    expect(score).toEqual({
+      day: 4,
+      stage: 2,
+      basePoints: 10,
+      multiplier: 2,
+      timeBonus: 4,
+      streakDays: 4,
+      streakBonus: 3,
+      musicBonus: 1,
+      hintPenalty: 6,
+      total: 22
+    });
+    expect(engine.describe(score)).toBe('10×2 +4 Zeit +3 Serie +1 Musik −6 Tipps');
+  });
+
+  it('sollte Serien aus gelösten Tagen zählen und den Bonus deckeln', () => {
+    expect(engine.getStreak([], 5)).toBe(1);
+    expect(engine.getStreak([2, 3, 4], 5)).toBe(4);
+    expect(engine.getStreak([1, 2, 4], 5)).toBe(2);
+
+    const long = engine.score({ day: 20, stage: 2, basePoints: 10, streakDays: 20 });
+    expect(long.streakBonus).toBe(5);
+
+    const off = engine.score({ day: 20, stage: 2, basePoints: 10, streakDays: 20 }, { ...engine.config, consecutiveBonus: false });
+    expect(off.streakBonus).toBe(0);
+  });
+
+  it('sollte nie negative Punkte vergeben', () => {
+    expect(engine.score({ day: 1, stage: 1, basePoints: 2, hintPenalty: 10 }).total).toBe(0);
+  });
+
+  it('sollte Basispunkte aus der Rätsel-Datei lesen und Lösungen summieren', () => {
+    expect(engine.getBasePoints(puzzle, 1)).toBe(puzzle.config.points_per_stage);
+    expect(engine.getBasePoints({ stage2: { answer_meta: { points: 7 } } }, 2)).toBe(7);
+    expect(engine.getBasePoints({}, 1)).toBeUndefined();
+
+    const summary = engine.summarize([
+      engine.score({ day: 1, stage: 1, basePoints: 10, releaseTime: RELEASE, solvedAt: at(0) }),
+      engine.score({ day: 2, stage: 2, basePoints: 10, streakDays: 2, hintPenalty: 4 }),
+      null
+    ]);
+
+    expect(summary).toEqual({ solves: 2, basePoints: 30, timeBonus: 5, streakBonus: 1, musicBonus: 0, hintPenalty: 4, total: 32 });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * ShortCode Unit Tests
+ * Format, Prüfzeichen, Ableitung aus dem Signaturschlüssel und Hash-Einträge der Prüfliste
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const ShortCode = require('../scripts/short.code.js');
+
+const shortCode = new ShortCode();
+
+describe('ShortCode', () => {
+  let privateKeyJwk;
+  let otherKeyJwk;
+
+  beforeAll(async () => {
+    const generate = async () => {
+      const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+      return crypto.subtle.exportKey('jwk', keyPair.privateKey);
+    };
+    privateKeyJwk = await generate();
+    otherKeyJwk = await generate();
+  });
+
+  it('sollte Tag und HMAC-Anteil verlustfrei in 8 Zeichen kodieren', () => {
+    const code = shortCode.encode(24, 2 ** 30 - 1);
+
+    expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{8}$/);
+    expect(shortCode.decode(code)).toEqual({ code, day: 24, mac: 2 ** 30 - 1 });
+    expect(shortCode.decode(shortCode.encode(1, 0)).day).toBe(1);
+  });
+
+  it('sollte Schreibweisen vereinheitlichen (Kleinbuchstaben, Bindestrich, O/I/L)', () => {
+    const code = shortCode.encode(13, 123456789);
+    const typed = shortCode.format(code).toLowerCase().replace(/0/g, 'o').replace(/1/g, 'l');
+
+    expect(shortCode.decode(` ${typed} `).code).toBe(code);
+    expect(shortCode.format(code)).toMatch(/^.{4}-.{4}$/);
+  });
+
+  it('sollte Tippfehler und Zahlendreher am Prüfzeichen erkennen', () => {
+    const code = shortCode.encode(17, 987654321);
+    const chars = code.split('');
+
+    for (let i = 0; i < 8; i++) {
+      for (const replacement of shortCode.alphabet) {
+        if (replacement === chars[i]) continue;
+        const typo = [...chars];
+        typo[i] = replacement;
+        expect(() => shortCode.decode(typo.join(''))).toThrow(/vertippt/);
+      }
+    }
+
+    for (let i = 0; i < 7; i++) {
+      if (chars[i] === chars[i + 1]) continue;
+      const swapped = [...chars];
+      [swapped[i], swapped[i + 1]] = [swapped[i + 1], swapped[i]];
+      expect(() => shortCode.decode(swapped.join(''))).toThrow(/vertippt/);
+    }
+  });
+
+  it('sollte fremde Eingaben ablehnen', () => {
+    expect(shortCode.isShortCode('v1.abc.def.ghi')).toBe(false);
+    expect(shortCode.isShortCode('ABCD-EFGU')).toBe(false);
+    expect(shortCode.isShortCode('ABC')).toBe(false);
+    expect(() => shortCode.decode(shortCode.encode(0, 5))).toThrow(/Tag/);
+  });
+
+  it('sollte den Code pro Tag und Schlüssel deterministisch ableiten', async () => {
+    const code = await shortCode.create(14, privateKeyJwk);
+
+    expect(await shortCode.create(14, privateKeyJwk)).toBe(code);
+    expect(shortCode.decode(code).day).toBe(14);
+    expect(await shortCode.create(15, privateKeyJwk)).not.toBe(code);
+    expect(await shortCode.create(14, otherKeyJwk)).not.toBe(code);
+    await expect(shortCode.create(14, { kty: 'EC' })).rejects.toThrow(/privater Schlüssel/);
+  });
+
+  it('sollte den Signaturschlüssel nicht direkt als HMAC-Schlüssel verwenden', async () => {
+    const direct = await crypto.subtle.importKey('raw', shortCode.base64UrlDecode(privateKeyJwk.d), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const message = new TextEncoder().encode(`${shortCode.label}|14`);
+    const derived = await shortCode.deriveMacKey(privateKeyJwk);
+
+    const directMac = new Uint8Array(await crypto.subtle.sign('HMAC', direct, message));
+    const derivedMac = new Uint8Array(await crypto.subtle.sign('HMAC', derived, message));
+    expect(shortCode.toHex(derivedMac)).not.toBe(shortCode.toHex(directMac));
+  });
+
+  it('sollte Einträge für die Prüfliste ohne Klartext erzeugen', async () => {
+    const code = await shortCode.create(20, privateKeyJwk);
+    const entry = await shortCode.createEntry(shortCode.format(code), { nbf: 1766214000, exp: 1766257200 });
+
+    expect(entry).toMatchObject({ day: 20, nbf: 1766214000, exp: 1766257200 });
+    expect(entry.salt).toMatch(/^[0-9a-f]{32}$/);
+    expect(entry.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(entry)).not.toContain(code);
+    expect(await shortCode.hash(code, entry.salt)).toBe(entry.hash);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Submission-Server Integrationstests
+ * Startet server/submission-server.js auf einem freien Port mit temporärer Datendatei
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+const { createSubmissionServer, validateSubmission } = require('../server/submission-server.js');
+
+const baseSubmission = () => ({
+  userKey: 'WR-ABCD-1234',
+  day: 3,
+  stage: 2,
+  answer_raw: 'Lebkuchen',
+  answer_norm: 'lebkuchen',
+  isCorrect: true,
+  startedAt: 1733220000000,
+  submittedAt: 1733220060000,
+  durationMs: 60000,
+  sessionId: 'day3_1733220000000',
+  idempotencyKey: 'wr1-WR-ABCD-1234-day3_1733220000000',
+  source: 'qr-stage2',
+  points: 10
+});
+
+describe('Submission-Server', () => {
+  let server;
+  let baseUrl;
+  let tmpDir;
+
+  async function start(options = {}) {
+    server = createSubmissionServer({ dataFile: path.join(tmpDir, 'submissions.json'), ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  const post = (body, headers = {}) => fetch(`${baseUrl}/api/submissions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wr-server-'));
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('sollte eine gültige Submission speichern', async () => {
+    await start();
+
+    const response = await post(baseSubmission());
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(body).toMatchObject({ status: 'stored', id: 1 });
+    expect(JSON.parse(fs.readFileSync(path.join(tmpDir, 'submissions.json'), 'utf8'))).toHaveLength(1);
+  });
+
+  it('sollte nach userKey + day + stage deduplizieren', async () => {
+    await start();
+
+    await post(baseSubmission());
+    const retry = await post({ ...baseSubmission(), sessionId: 'day3_other', answer_raw: 'Zimtstern' });
+
+    expect(retry.status).toBe(200);
+    expect((await retry.json()).status).toBe('duplicate');
+    expect(server.store.submissions).toHaveLength(1);
+    expect(server.store.submissions[0].answer_raw).toBe('Lebkuchen');
+  });
+
+  it('sollte ungültige Submissions mit Feldangaben ablehnen', async () => {
+    await start();
+
+    const response = await post({ ...baseSubmission(), day: 25, isCorrect: 'yes', userKey: undefined });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe('invalid_submission');
+    expect(body.details.map(detail => detail.field)).toEqual(['userKey', 'day', 'isCorrect']);
+  });
+
+  it('sollte kaputtes JSON ablehnen', async () => {
+    await start();
+
+    const response = await post('{"day": 3');
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('invalid_json');
+  });
+
+  it('sollte den Idempotency-Key aus dem Header übernehmen', async () => {
+    await start();
+
+    await post({ ...baseSubmission(), idempotencyKey: undefined }, { 'Idempotency-Key': 'wr1-header-key' });
+    expect(server.store.submissions[0].idempotencyKey).toBe('wr1-header-key');
+  });
+
+  it('sollte Submissions gefiltert und seitenweise liefern', async () => {
+    await start();
+
+    await post(baseSubmission());
+    await post({ ...baseSubmission(), userKey: 'WR-EFGH-5678', isCorrect: false, points: 0 });
+    await post({ ...baseSubmission(), day: 4, submittedAt: 1733306460000, startedAt: 1733306400000 });
+
+    const response = await fetch(`${baseUrl}/api/submissions?day=3&correct=true&pageSize=10`);
+    const body = await response.json();
+
+    expect(body.total).toBe(1);
+    expect(body.items[0].userKey).toBe('WR-ABCD-1234');
+
+    const stats = await (await fetch(`${baseUrl}/api/submissions/stats`)).json();
+    expect(stats).toMatchObject({ total: 3, correct: 2, uniqueUsers: 2 });
+    expect(stats.byDay['3']).toEqual({ total: 2, correct: 1 });
+  });
+
+  it('sollte Lese-Endpunkte mit ADMIN_TOKEN schützen', async () => {
+    await start({ adminToken: 'geheim' });
+
+    expect((await fetch(`${baseUrl}/api/submissions`)).status).toBe(401);
+
+    const authorized = await fetch(`${baseUrl}/api/submissions`, { headers: { Authorization: 'Bearer geheim' } });
+    expect(authorized.status).toBe(200);
+
+    // POST bleibt für die App offen
+    expect((await post(baseSubmission())).status).toBe(201);
+  });
+
+  it('sollte die Bestenliste öffentlich und maskiert ausliefern', async () => {
+    await start({ adminToken: 'geheim' });
+    await post(baseSubmission());
+    await post({ ...baseSubmission(), userKey: 'WR-EFGH-5678', durationMs: 30000, submittedAt: 1733220030000 });
+
+    const response = await fetch(`${baseUrl}/api/leaderboard?scope=day&day=3`);
+    expect(response.status).toBe(200);
+
+    const result = await response.json();
+    expect(result.rows.map(r => r.displayKey)).toEqual(['****-5678', '****-1234']);
+    expect(JSON.stringify(result)).not.toContain('WR-ABCD');
+
+    expect((await fetch(`${baseUrl}/api/leaderboard?scope=day&day=25`)).status).toBe(400);
+  });
+
+  it('sollte die Serverzeit ungecacht ausliefern', async () => {
+    await start({ adminToken: 'geheim' });
+
+    const before = Date.now();
+    const response = await fetch(`${baseUrl}/api/time`);
+    const { now } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('cache-control')).toBe('no-store');
+    expect(now).toBeGreaterThanOrEqual(before);
+    expect(now).toBeLessThanOrEqual(Date.now());
+  });
+
+  it('sollte Einmal-Codes genau einem User-Key zuordnen', async () => {
+    await start();
+    const redeem = (body) => fetch(`${baseUrl}/api/submissions/redemptions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ nonce: 'n0nce-abc123', userKey: 'WR-ABCD-1234', day: 14, stage: 2, ...body })
+    });
+
+    expect((await redeem({})).status).toBe(201);
+    expect((await redeem({})).status).toBe(200);
+    expect((await redeem({ userKey: 'WR-EFGH-5678' })).status).toBe(409);
+    expect((await redeem({ nonce: 'other-nonce1', exp: Math.floor(Date.now() / 1000) - 3600 })).status).toBe(410);
+    expect((await redeem({ nonce: 'kurz' })).status).toBe(400);
+
+    expect(JSON.parse(fs.readFileSync(path.join(tmpDir, 'redemptions.json'), 'utf8'))).toHaveLength(1);
+  });
+
+  it('sollte gespeicherte Submissions nach Neustart wieder laden', async () => {
+    await start();
+    await post(baseSubmission());
+    await new Promise(resolve => server.close(resolve));
+
+    await start();
+    const response = await post(baseSubmission());
+    expect((await response.json()).status).toBe('duplicate');
+  });
+
+  it('sollte Tipp-Angaben speichern und prüfen', async () => {
+    await start();
+
+    await post({ ...baseSubmission(), points: 6, hintsUsed: 1, hintPenalty: 4 });
+    expect(server.store.submissions[0]).toMatchObject({ points: 6, hintsUsed: 1, hintPenalty: 4 });
+
+    const errors = validateSubmission({ ...baseSubmission(), hintsUsed: 9, hintPenalty: -1 });
+    expect(errors.map(error => error.field)).toEqual(['hintsUsed', 'hintPenalty']);
+  });
+
+  it('sollte Punkte je Stage deckeln und für falsche Antworten ablehnen', async () => {
+    // Stage 2: 10×2 + 5 Zeit + 5 Serie + 1 Musik
+    expect(validateSubmission({ ...baseSubmission(), points: 31 })).toEqual([]);
+    expect(validateSubmission({ ...baseSubmission(), points: 32 })).toEqual([{ field: 'points', message: 'höchstens 31 Punkte für Stage 2' }]);
+    expect(validateSubmission({ ...baseSubmission(), stage: 1, points: 22 }).map(error => error.field)).toEqual(['points']);
+    expect(validateSubmission({ ...baseSubmission(), isCorrect: false, points: 5 })).toEqual([{ field: 'points', message: 'falsche Antworten ergeben keine Punkte' }]);
+    expect(validateSubmission({ ...baseSubmission(), day: 25, stage: 3 }).map(error => error.field)).toEqual(['day', 'stage']);
+
+    await start({ maxBasePoints: 20 });
+    expect((await post({ ...baseSubmission(), points: 51 })).status).toBe(201);
+    expect((await post({ ...baseSubmission(), userKey: 'WR-EFGH-5678', points: 52 })).status).toBe(400);
+  });
+
+  it('sollte Datendateien und Dotfiles nicht statisch ausliefern', async () => {
+    // Wie STATIC_DIR=. mit server/data/ unterhalb der ausgelieferten App
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<h1>App</h1>');
+    fs.writeFileSync(path.join(tmpDir, '.env'), 'ADMIN_TOKEN=geheim');
+    fs.mkdirSync(path.join(tmpDir, 'server/data'), { recursive: true });
+    await start({ adminToken: 'geheim', staticDir: tmpDir, dataFile: path.join(tmpDir, 'server/data/submissions.json') });
+    expect((await post(baseSubmission())).status).toBe(201);
+
+    expect((await fetch(`${baseUrl}/`)).status).toBe(200);
+    for (const file of ['server/data/submissions.json', 'server/data/redemptions.json', 'server/data/submissions.json.tmp', '.env']) {
+      const response = await fetch(`${baseUrl}/${file}`);
+      expect(response.status).toBe(404);
+      expect(await response.text()).not.toContain('WR-ABCD-1234');
+    }
+  });
+
+  it('sollte submittedAt vor startedAt ablehnen', () => {
+    const errors = validateSubmission({ ...baseSubmission(), submittedAt: 1 });
+    expect(errors).toEqual([{ field: 'submittedAt', message: 'liegt vor startedAt' }]);
+  });
+});
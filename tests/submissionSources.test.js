@@ -0,0 +1,145 @@
+/**
+ * Admin Submissions - Datenquellen Tests
+ * Gleiche Filter-, Paginierungs- und Export-Ergebnisse für localStorage, Datei und Server
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+const {
+  LocalStorageSubmissionSource,
+  FileSubmissionSource,
+  HttpSubmissionSource,
+  submissionsToCSV,
+  submissionsFromCSV
+} = require('../admin/submissions.sources.js');
+const { createSubmissionServer } = require('../server/submission-server.js');
+
+const makeSubmission = (index, overrides = {}) => ({
+  userKey: `WR-USER-${String(index).padStart(4, '0')}`,
+  day: (index % 3) + 1,
+  stage: 2,
+  answer_raw: `Antwort, "Nr." ${index}`,
+  answer_norm: `antwort nr ${index}`,
+  isCorrect: index % 2 === 0,
+  startedAt: 1733220000000 + index * 1000,
+  submittedAt: 1733220030000 + index * 1000,
+  durationMs: 30000,
+  sessionId: `day${(index % 3) + 1}_${index}`,
+  timestamp: new Date(1733220030000 + index * 1000).toISOString(),
+  source: 'qr-stage2',
+  ...overrides
+});
+
+const submissions = Array.from({ length: 60 }, (_, i) => makeSubmission(i));
+const filters = { day: '2', stage: '', correct: 'true', userKey: '' };
+
+describe('Submission-Datenquellen', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('LocalStorageSubmissionSource', () => {
+    it('sollte lokal filtern und paginieren', async () => {
+      vi.stubGlobal('localStorage', {
+        getItem: () => JSON.stringify(submissions),
+        removeItem: () => {}
+      });
+      const source = new LocalStorageSubmissionSource();
+
+      const all = await source.query({ page: 2, pageSize: 50 });
+      expect(all.total).toBe(60);
+      expect(all.items).toHaveLength(10);
+
+      const filtered = await source.query({ filters, page: 1, pageSize: 5 });
+      expect(filtered.total).toBe(10);
+      expect(filtered.items.every(s => s.day === 2 && s.isCorrect)).toBe(true);
+      expect(filtered.items[0].timestamp > filtered.items[1].timestamp).toBe(true);
+    });
+  });
+
+  describe('CSV', () => {
+    it('sollte den eigenen CSV-Export verlustfrei zurücklesen', () => {
+      const csv = submissionsToCSV(submissions.slice(0, 3));
+      const parsed = submissionsFromCSV(csv);
+
+      expect(parsed).toHaveLength(3);
+      expect(parsed[0]).toEqual({
+        userKey: 'WR-USER-0000',
+        day: 1,
+        stage: 2,
+        answer_raw: 'Antwort, "Nr." 0',
+        answer_norm: 'antwort nr 0',
+        isCorrect: true,
+        durationMs: 30000,
+        timestamp: submissions[0].timestamp,
+        source: 'qr-stage2'
+      });
+    });
+
+    it('sollte fremde CSV-Formate ablehnen', () => {
+      expect(() => submissionsFromCSV('a,b\n1,2')).toThrow(/Unbekanntes CSV-Format/);
+    });
+  });
+
+  describe('FileSubmissionSource', () => {
+    it('sollte JSON-Arrays und { items } akzeptieren', async () => {
+      const fromArray = new FileSubmissionSource('export.json', JSON.stringify(submissions));
+      const fromItems = new FileSubmissionSource('page.json', JSON.stringify({ total: 60, items: submissions }));
+
+      expect((await fromArray.query({ filters })).total).toBe(10);
+      expect((await fromItems.stats()).total).toBe(60);
+    });
+
+    it('sollte CSV-Dateien laden', async () => {
+      const source = new FileSubmissionSource('export.csv', submissionsToCSV(submissions));
+      expect((await source.getAll(filters))).toHaveLength(10);
+    });
+  });
+
+  describe('HttpSubmissionSource', () => {
+    let server;
+    let tmpDir;
+    let source;
+
+    beforeAll(async () => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wr-sources-'));
+      server = createSubmissionServer({ dataFile: path.join(tmpDir, 'submissions.json'), adminToken: 'geheim' });
+      submissions.forEach(submission => server.store.add(submission));
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      source = new HttpSubmissionSource(`http://127.0.0.1:${server.address().port}/api/submissions/`, { token: 'geheim' });
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('sollte serverseitig filtern und paginieren', async () => {
+      const page = await source.query({ filters, page: 2, pageSize: 4 });
+
+      expect(source.supportsServerPaging).toBe(true);
+      expect(page.total).toBe(10);
+      expect(page.items).toHaveLength(4);
+    });
+
+    it('sollte dieselben Ergebnisse wie die lokale Quelle liefern', async () => {
+      const local = new FileSubmissionSource('export.json', JSON.stringify(submissions));
+
+      const remoteKeys = (await source.getAll(filters)).map(s => s.userKey).sort();
+      const localKeys = (await local.getAll(filters)).map(s => s.userKey).sort();
+
+      expect(remoteKeys).toEqual(localKeys);
+      expect(await source.stats()).toEqual(await local.stats());
+    });
+
+    it('sollte fehlende Autorisierung melden', async () => {
+      const unauthorized = new HttpSubmissionSource(source.endpoint);
+      await expect(unauthorized.query()).rejects.toThrow(/Nicht autorisiert/);
+    });
+  });
+});
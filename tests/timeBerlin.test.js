@@ -0,0 +1,192 @@
+/**
+ * WR_TIME Unit Tests
+ * Freischaltung und Uhrzeit in Europe/Berlin – unabhängig von der Zeitzone des Geräts
+ */
+
+import { describe, it, expect, afterAll, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const WR_TIME = require('../scripts/time.berlin.js');
+
+const originalTZ = process.env.TZ;
+
+// Geräte-Zeitzonen, in denen Teilnehmende unterwegs sein könnten
+const zones = [
+  'Europe/Berlin',
+  'UTC',
+  'America/Los_Angeles',
+  'America/St_Johns',
+  'Asia/Tokyo',
+  'Asia/Kolkata',
+  'Australia/Sydney',
+  'Pacific/Kiritimati',
+  'Pacific/Pago_Pago'
+];
+
+afterAll(() => {
+  if (originalTZ === undefined) {
+    delete process.env.TZ;
+  } else {
+    process.env.TZ = originalTZ;
+  }
+});
+
+describe('WR_TIME', () => {
+  describe.each(zones)('Gerät in %s', (zone) => {
+    it('sollte Türchen um 9:00 Berliner Zeit freischalten', () => {
+      process.env.TZ = zone;
+
+      for (let day = 1; day <= 24; day++) {
+        const expected = `2025-12-${String(day).padStart(2, '0')}T08:00:00.000Z`;
+        expect(WR_TIME.getDoorUnlockDate(day).toISOString()).toBe(expected);
+      }
+
+      const unlock = WR_TIME.getDoorUnlockDate(5);
+      expect(WR_TIME.isDoorUnlocked(5, new Date(unlock.getTime() - 1000))).toBe(false);
+      expect(WR_TIME.isDoorUnlocked(5, unlock)).toBe(true);
+    });
+
+    it('sollte die Uhrzeit in Berlin anzeigen', () => {
+      process.env.TZ = zone;
+
+      expect(WR_TIME.formatTimeHHMM(new Date('2025-12-01T08:00:00Z'))).toBe('09:00');
+      expect(WR_TIME.formatTimeHHMM(new Date('2025-12-24T22:59:00Z'))).toBe('23:59');
+      expect(WR_TIME.formatTimeHHMM(new Date('2025-12-24T23:00:00Z'))).toBe('00:00');
+      expect(WR_TIME.formatTimeHHMM(new Date('2026-07-01T10:05:00Z'))).toBe('12:05');
+    });
+
+    it('sollte die nächste Freischaltung und den Berliner Kalendertag berechnen', () => {
+      process.env.TZ = zone;
+
+      expect(WR_TIME.getNextDailyUnlock(new Date('2025-12-03T07:59:59Z')).toISOString()).toBe('2025-12-03T08:00:00.000Z');
+      expect(WR_TIME.getNextDailyUnlock(new Date('2025-12-03T08:00:00Z')).toISOString()).toBe('2025-12-04T08:00:00.000Z');
+      // 23:30 UTC ist in Berlin schon der nächste Tag
+      expect(WR_TIME.getNextDailyUnlock(new Date('2025-12-03T23:30:00Z')).toISOString()).toBe('2025-12-04T08:00:00.000Z');
+      // Nach der letzten Freischaltung gibt es keinen Countdown mehr
+      expect(WR_TIME.getNextDailyUnlock(new Date('2025-12-24T08:00:00Z'))).toBeNull();
+
+      expect(WR_TIME.getCurrentDecemberDay(new Date('2025-11-30T22:59:59Z'))).toBeNull();
+      expect(WR_TIME.getCurrentDecemberDay(new Date('2025-11-30T23:00:00Z'))).toBe(1);
+      expect(WR_TIME.getCurrentDecemberDay(new Date('2025-12-13T23:30:00Z'))).toBe(14);
+      expect(WR_TIME.getCurrentDecemberDay(new Date('2025-12-28T12:00:00Z'))).toBe(24);
+      expect(WR_TIME.getCurrentDecemberDay(new Date('2026-01-02T12:00:00Z'))).toBe(24);
+    });
+
+    it('sollte Sommerzeit-Umstellungen korrekt behandeln', () => {
+      process.env.TZ = zone;
+
+      // 29.03.2026: 02:00 MEZ → 03:00 MESZ
+      expect(WR_TIME.zonedTimeToDate({ year: 2026, month: 3, day: 29, hour: 1, minute: 59 }).toISOString()).toBe('2026-03-29T00:59:00.000Z');
+      expect(WR_TIME.zonedTimeToDate({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }).toISOString()).toBe('2026-03-29T01:30:00.000Z');
+      expect(WR_TIME.zonedTimeToDate({ year: 2026, month: 3, day: 29, hour: 3, minute: 0 }).toISOString()).toBe('2026-03-29T01:00:00.000Z');
+      expect(WR_TIME.formatTimeHHMM(new Date('2026-03-29T01:30:00Z'))).toBe('03:30');
+
+      // 25.10.2026: 03:00 MESZ → 02:00 MEZ, die doppelte Stunde gilt zuerst
+      expect(WR_TIME.zonedTimeToDate({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }).toISOString()).toBe('2026-10-25T00:30:00.000Z');
+      expect(WR_TIME.zonedTimeToDate({ year: 2026, month: 10, day: 25, hour: 3, minute: 0 }).toISOString()).toBe('2026-10-25T02:00:00.000Z');
+      expect(WR_TIME.formatTimeHHMM(new Date('2026-10-25T00:30:00Z'))).toBe('02:30');
+      expect(WR_TIME.formatTimeHHMM(new Date('2026-10-25T01:30:00Z'))).toBe('02:30');
+    });
+  });
+
+  describe('Freischaltplan', () => {
+    const release = WR_TIME.cfg.release;
+
+    afterEach(() => {
+      WR_TIME.cfg.release = release;
+      for (let day = 1; day <= 24; day++) {
+        WR_TIME.setPuzzleReleaseTimes(day, null);
+      }
+    });
+
+    it('sollte release_times des Rätsels für beide Stages übernehmen', () => {
+      WR_TIME.setPuzzleReleaseTimes(1, ['2025-12-01T06:00:00+01:00', '2025-12-01T12:00:00+01:00']);
+      WR_TIME.setPuzzleReleaseTimes(14, ['2025-12-14T07:00:00+01:00', '2025-12-14T15:30:00+01:00']);
+
+      expect(WR_TIME.getReleaseDate(1, 1).toISOString()).toBe('2025-12-01T05:00:00.000Z');
+      expect(WR_TIME.getReleaseDate(1, 2).toISOString()).toBe('2025-12-01T11:00:00.000Z');
+      // Türchen 1-12 öffnen mit Stage 1, ab 13 mit Stage 2
+      expect(WR_TIME.getDoorUnlockDate(1).toISOString()).toBe('2025-12-01T05:00:00.000Z');
+      expect(WR_TIME.getDoorUnlockDate(14).toISOString()).toBe('2025-12-14T14:30:00.000Z');
+
+      expect(WR_TIME.isStageReleased(1, 2, new Date('2025-12-01T10:59:59Z'))).toBe(false);
+      expect(WR_TIME.isStageReleased(1, 2, new Date('2025-12-01T11:00:00Z'))).toBe(true);
+    });
+
+    it('sollte Tages-Overrides vor Wochenende und globalem Rückfall anwenden', () => {
+      WR_TIME.cfg.release = {
+        fallbackTimes: ['09:00', '17:00'],
+        weekendTimes: ['10:30', '18:00'],
+        dayOverrides: { 6: ['08:00'], 24: ['07:00', '14:00'] }
+      };
+
+      // 03.12.2025 Mittwoch, 07.12.2025 Sonntag, 06.12.2025 Samstag mit Override für Stage 1
+      expect(WR_TIME.getReleaseDate(3, 1).toISOString()).toBe('2025-12-03T08:00:00.000Z');
+      expect(WR_TIME.getReleaseDate(3, 2).toISOString()).toBe('2025-12-03T16:00:00.000Z');
+      expect(WR_TIME.getReleaseDate(7, 1).toISOString()).toBe('2025-12-07T09:30:00.000Z');
+      expect(WR_TIME.getReleaseDate(6, 1).toISOString()).toBe('2025-12-06T07:00:00.000Z');
+      expect(WR_TIME.getReleaseDate(6, 2).toISOString()).toBe('2025-12-06T17:00:00.000Z');
+      expect(WR_TIME.getDoorUnlockDate(24).toISOString()).toBe('2025-12-24T13:00:00.000Z');
+
+      // release_times des Rätsels schlagen jeden Rückfallplan
+      WR_TIME.setPuzzleReleaseTimes(6, ['2025-12-06T11:00:00+01:00', '2025-12-06T12:00:00+01:00']);
+      expect(WR_TIME.getReleaseDate(6, 1).toISOString()).toBe('2025-12-06T10:00:00.000Z');
+    });
+
+    it('sollte den Countdown an der nächsten tatsächlichen Freischaltung ausrichten', () => {
+      WR_TIME.cfg.release = { fallbackTimes: ['09:00', '17:00'], weekendTimes: null, dayOverrides: {} };
+      WR_TIME.setPuzzleReleaseTimes(1, ['2025-12-01T06:00:00+01:00', '2025-12-01T12:00:00+01:00']);
+
+      expect(WR_TIME.getNextReleaseEvent(new Date('2025-11-30T12:00:00Z'))).toEqual({
+        day: 1, stage: 1, date: new Date('2025-12-01T05:00:00Z')
+      });
+      expect(WR_TIME.getNextReleaseEvent(new Date('2025-12-01T05:00:00Z'))).toMatchObject({ day: 1, stage: 2 });
+      expect(WR_TIME.getNextDailyUnlock(new Date('2025-12-01T11:00:00Z')).toISOString()).toBe('2025-12-02T08:00:00.000Z');
+      expect(WR_TIME.getNextReleaseEvent(new Date('2025-12-02T08:00:00Z'))).toMatchObject({ day: 2, stage: 2 });
+      expect(WR_TIME.getNextReleaseEvent(new Date('2025-12-24T15:59:59Z'))).toMatchObject({ day: 24, stage: 2 });
+      expect(WR_TIME.getNextReleaseEvent(new Date('2025-12-24T16:00:00Z'))).toBeNull();
+    });
+
+    it('sollte einstufige Rätsel und ungültige release_times berücksichtigen', () => {
+      WR_TIME.setPuzzleReleaseTimes(15, ['2025-12-15T07:00:00+01:00']);
+      WR_TIME.setPuzzleReleaseTimes(16, ['kaputt']);
+
+      expect(WR_TIME.getDoorUnlockDate(15).toISOString()).toBe('2025-12-15T06:00:00.000Z');
+      expect(WR_TIME.getReleaseDate(15, 2).toISOString()).toBe('2025-12-15T06:00:00.000Z');
+      expect(WR_TIME.getDoorUnlockDate(16).toISOString()).toBe('2025-12-16T08:00:00.000Z');
+    });
+  });
+
+  it('sollte den Abstand zu UTC für Winter- und Sommerzeit liefern', () => {
+    expect(WR_TIME.getTimeZoneOffset(new Date('2025-12-01T12:00:00Z'))).toBe(60 * 60 * 1000);
+    expect(WR_TIME.getTimeZoneOffset(new Date('2026-07-01T12:00:00Z'))).toBe(2 * 60 * 60 * 1000);
+    expect(WR_TIME.getTimeZoneOffset(new Date('2026-07-01T12:00:00Z'), 'Asia/Kolkata')).toBe(5.5 * 60 * 60 * 1000);
+  });
+
+  it('sollte eine simulierte Zeit weiterlaufen lassen und zurücksetzen können', () => {
+    vi.useFakeTimers({ now: Date.parse('2026-10-01T10:00:00Z'), toFake: ['Date'] });
+    try {
+      WR_TIME.setSimulatedNow(new Date('2025-12-05T07:59:00Z'));
+      expect(WR_TIME.isSimulated()).toBe(true);
+      expect(WR_TIME.isDoorUnlocked(5, WR_TIME.getBerlinNow())).toBe(false);
+
+      vi.advanceTimersByTime(60 * 1000);
+      expect(WR_TIME.getBerlinNow().toISOString()).toBe('2025-12-05T08:00:00.000Z');
+      expect(WR_TIME.isDoorUnlocked(5, WR_TIME.getBerlinNow())).toBe(true);
+
+      WR_TIME.setSimulatedNow(null);
+      expect(WR_TIME.isSimulated()).toBe(false);
+      expect(WR_TIME.getBerlinNow().toISOString()).toBe('2026-10-01T10:01:00.000Z');
+    } finally {
+      WR_TIME.setSimulatedNow(null);
+      vi.useRealTimers();
+    }
+  });
+
+  it('sollte Countdowns formatieren', () => {
+    expect(WR_TIME.formatCountdown(0)).toBe('00:00:00');
+    expect(WR_TIME.formatCountdown(-5)).toBe('00:00:00');
+    expect(WR_TIME.formatCountdown((25 * 3600 + 61) * 1000)).toBe('25:01:01');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * TimeSync Unit Tests
+ * Server-Offset für WR_TIME, Meldung verstellter Geräteuhren und Freigabe nur mit Serverbestätigung
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const TimeSync = require('../scripts/time.sync.js');
+const WR_TIME = require('../scripts/time.berlin.js');
+
+function createStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+const timeResponse = (now) => ({ ok: true, status: 200, json: async () => ({ now }) });
+const headResponse = (date) => ({ ok: true, status: 200, headers: { get: (name) => (name === 'Date' ? date : null) } });
+
+// Serverzeit: 10.12.2025 12:00 Berlin
+const SERVER_NOW = Date.parse('2025-12-10T11:00:00Z');
+
+describe('TimeSync', () => {
+  let sync;
+  let fetchMock;
+  let track;
+
+  beforeEach(() => {
+    track = vi.fn();
+    fetchMock = vi.fn();
+    vi.stubGlobal('window', {
+      WR_TIME,
+      WR_ANSWER_CFG: { timeEndpoint: 'https://example.com/api/time' },
+      TrackingAdapter: { track }
+    });
+    vi.stubGlobal('localStorage', createStorage());
+    vi.stubGlobal('fetch', fetchMock);
+
+    sync = new TimeSync();
+  });
+
+  afterEach(() => {
+    WR_TIME.setClockOffset(0);
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('sollte den Offset zur Serverzeit in WR_TIME übernehmen', async () => {
+    vi.useFakeTimers({ now: SERVER_NOW - 90 * 1000, toFake: ['Date'] });
+    fetchMock.mockImplementation(async () => timeResponse(SERVER_NOW));
+
+    expect(await sync.sync()).toBe(true);
+
+    expect(sync.isTrusted()).toBe(true);
+    expect(Math.abs(sync.offsetMs - 90 * 1000)).toBeLessThan(1000);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(Math.abs(WR_TIME.getBerlinNow().getTime() - SERVER_NOW)).toBeLessThan(1000);
+    // 90 s liegen in der Toleranz
+    expect(track).not.toHaveBeenCalled();
+  });
+
+  it('sollte eine vorgestellte Geräteuhr melden und künftige Türchen gesperrt lassen', async () => {
+    vi.useFakeTimers({ now: Date.parse('2025-12-24T10:00:00Z'), toFake: ['Date'] });
+    fetchMock.mockImplementation(async () => timeResponse(SERVER_NOW));
+
+    await sync.sync();
+    await sync.sync();
+
+    expect(track).toHaveBeenCalledTimes(1);
+    expect(track).toHaveBeenCalledWith('security_event', expect.objectContaining({ type: 'clock_tampering', source: 'endpoint' }), 'security');
+    expect(track.mock.calls[0][1].offsetMs).toBeLessThan(-13 * 24 * 3600 * 1000);
+
+    expect(WR_TIME.isDoorUnlocked(24, WR_TIME.getBerlinNow())).toBe(false);
+    expect(await sync.confirmDay(10)).toBe(true);
+    expect(await sync.confirmDay(11)).toBe(false);
+  });
+
+  it('sollte ohne Zeit-Endpoint den Date-Header der eigenen Origin nutzen', async () => {
+    window.WR_ANSWER_CFG.timeEndpoint = '';
+    vi.useFakeTimers({ now: SERVER_NOW, toFake: ['Date'] });
+    fetchMock.mockImplementation(async () => headResponse(new Date(SERVER_NOW + 3600 * 1000).toUTCString()));
+
+    await sync.sync();
+
+    expect(fetchMock.mock.calls[0][0]).toBe('./');
+    expect(fetchMock.mock.calls[0][1]).toMatchObject({ method: 'HEAD', cache: 'no-store' });
+    expect(sync.source).toBe('date-header');
+    expect(Math.abs(sync.offsetMs - 3600 * 1000)).toBeLessThanOrEqual(1000);
+    expect(sync.uncertaintyMs).toBeGreaterThanOrEqual(500);
+  });
+
+  it('sollte auf den Date-Header ausweichen, wenn der Endpoint fehlt', async () => {
+    vi.useFakeTimers({ now: SERVER_NOW, toFake: ['Date'] });
+    fetchMock.mockImplementation(async (url) => (url === './'
+      ? headResponse(new Date(SERVER_NOW).toUTCString())
+      : { ok: false, status: 404, json: async () => ({}) }));
+
+    expect(await sync.sync()).toBe(true);
+    expect(sync.source).toBe('date-header');
+  });
+
+  it('sollte offline nur bereits vom Server bestätigte Türchen freigeben', async () => {
+    localStorage.setItem('wr_time_sync_v1', JSON.stringify({ verifiedUntil: SERVER_NOW }));
+    vi.useFakeTimers({ now: Date.parse('2025-12-20T10:00:00Z'), toFake: ['Date'] });
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    sync.loadState();
+    expect(await sync.sync()).toBe(false);
+
+    expect(sync.getStatus().status).toBe('failed');
+    expect(await sync.confirmDay(10)).toBe(true);
+    expect(await sync.confirmDay(11)).toBe(false);
+    expect(track).not.toHaveBeenCalled();
+  });
+
+  it('sollte den App-Start bei hängendem Server nicht blockieren', async () => {
+    localStorage.setItem('wr_time_sync_v1', JSON.stringify({ verifiedUntil: SERVER_NOW, offsetMs: 90 * 1000 }));
+    vi.useFakeTimers({ now: SERVER_NOW, toFake: ['Date', 'setTimeout', 'clearTimeout', 'setInterval'] });
+    fetchMock.mockImplementation(() => new Promise(() => {}));
+
+    let started = false;
+    sync.init().then(() => { started = true; });
+    await vi.advanceTimersByTimeAsync(sync.config.startupTimeoutMs);
+
+    try {
+      expect(started).toBe(true);
+      // Gespeicherter Offset gilt als Startwert, bestätigt ist nur der letzte Serverzeitpunkt
+      expect(sync.isTrusted()).toBe(false);
+      expect(WR_TIME.getBerlinNow().getTime() - Date.now()).toBe(90 * 1000);
+      expect(sync.isDayConfirmed(10)).toBe(true);
+      expect(sync.isDayConfirmed(11)).toBe(false);
+    } finally {
+      sync.destroy();
+    }
+  });
+
+  it('sollte den bestätigten Zeitpunkt nicht zurücksetzen', async () => {
+    vi.useFakeTimers({ now: SERVER_NOW, toFake: ['Date'] });
+    fetchMock.mockImplementation(async () => timeResponse(SERVER_NOW));
+    await sync.sync();
+
+    // Spätere Antwort mit älterer Zeit (z.B. falsch gehender Proxy)
+    fetchMock.mockImplementation(async () => timeResponse(SERVER_NOW - 2 * 24 * 3600 * 1000));
+    await sync.sync();
+
+    expect(sync.verifiedUntil).toBeGreaterThan(SERVER_NOW - 1000);
+    expect(JSON.parse(localStorage.getItem('wr_time_sync_v1')).verifiedUntil).toBe(sync.verifiedUntil);
+  });
+
+  it('sollte nach einem Sprung der Geräteuhr neu abgleichen', async () => {
+    vi.useFakeTimers({ now: SERVER_NOW, toFake: ['Date'] });
+    fetchMock.mockImplementation(async () => timeResponse(SERVER_NOW));
+    await sync.sync();
+    fetchMock.mockClear();
+
+    sync.checkClockJump();
+    vi.setSystemTime(SERVER_NOW + 14 * 24 * 3600 * 1000);
+    sync.checkClockJump();
+
+    expect(sync.isTrusted()).toBe(false);
+    await sync.syncPromise;
+    expect(fetchMock).toHaveBeenCalled();
+    expect(sync.isTrusted()).toBe(true);
+    expect(track).toHaveBeenCalledWith('security_event', expect.objectContaining({ type: 'clock_tampering' }), 'security');
+  });
+});
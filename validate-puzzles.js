@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Validiert alle Rätsel-Dateien gegen das Puzzle-Schema
+ * Aufruf: node validate-puzzles.js [datei.json ...]
+ * Ohne Argumente werden alle public/puzzles/raetsel/day-NN.json geprüft.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PuzzleValidator = require('./scripts/puzzle.validator.js');
+
+const PUZZLE_DIR = path.join(__dirname, 'public/puzzles/raetsel');
+const SCHEMA_FILE = path.join(__dirname, 'public/puzzles/schema/puzzle.v1.schema.json');
+
+const validator = new PuzzleValidator();
+validator.setSchema(JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8')));
+
+const files = process.argv.length > 2
+    ? process.argv.slice(2)
+    : fs.readdirSync(PUZZLE_DIR)
+        .filter(name => /^day-\d{2}\.json$/.test(name))
+        .sort()
+        .map(name => path.join(PUZZLE_DIR, name));
+
+console.log(`🧩 Prüfe ${files.length} Rätsel-Datei(en)...\n`);
+
+let failed = 0;
+
+for (const file of files) {
+    const name = path.basename(file);
+    const dayMatch = name.match(/^day-(\d{2})\.json$/);
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.log(`❌ ${name}`);
+        console.log(`   $: kein gültiges JSON (${error.message})`);
+        failed++;
+        continue;
+    }
+
+    const result = validator.validate(data, { day: dayMatch ? parseInt(dayMatch[1], 10) : undefined });
+
+    if (result.valid) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.log(`❌ ${name} (${result.errors.length} Fehler)`);
+        result.errors.forEach(error => console.log(`   ${error.path}: ${error.message}`));
+        failed++;
+    }
+}
+
+console.log('\n' + '='.repeat(50));
+if (failed === 0) {
+    console.log('🎉 Alle Rätsel-Dateien sind gültig.');
+} else {
+    console.log(`❌ ${failed} von ${files.length} Rätsel-Datei(en) fehlerhaft.`);
+    process.exit(1);
+}